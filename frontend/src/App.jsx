@@ -1,267 +1,910 @@
-import { useEffect, useRef, useState } from 'react'
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { averageDbfsSpectrum, createSpectrumAnalyzer, downmixToMono } from './dsp/fft'
+import { concatPcmChunks, pcmToAudioBuffer } from './audio/pcm'
+import { encodeWav, readWavSampleRate, WAV_FORMATS } from './audio/wav'
+import AnalysisSettings from './components/AnalysisSettings'
+import CalibrationSettings from './components/CalibrationSettings'
+import CanvasCursor from './components/CanvasCursor'
+import ChannelPairPlot from './components/ChannelPairPlot'
+import ChannelSettings from './components/ChannelSettings'
+import ColorBar from './components/ColorBar'
+import ColormapSettings from './components/ColormapSettings'
+import DetectionLog from './components/DetectionLog'
+import DetectionSettings from './components/DetectionSettings'
+import FeaturePanel from './components/FeaturePanel'
+import InputSettings from './components/InputSettings'
+import PinnedMarkers from './components/PinnedMarkers'
+import PitchSettings from './components/PitchSettings'
+import ProcessingSettings from './components/ProcessingSettings'
+import RecordingDetails from './components/RecordingDetails'
+import RecordingFilters from './components/RecordingFilters'
+import SelectionTable from './components/SelectionTable'
+import SpectrumSettings from './components/SpectrumSettings'
+import TaxonomySettings from './components/TaxonomySettings'
+import TemplateSearch from './components/TemplateSearch'
+import TranspositionSettings from './components/TranspositionSettings'
+import {
+  measureSelection,
+  rowsToCsv,
+  selectionsToCsv,
+  spectraFromFrames,
+  spectraFromSamples,
+} from './dsp/measurements'
+import {
+  createFrequencyView,
+  FREQUENCY_SCALES,
+  formatFrequency,
+  formatHertz,
+  fractionToFreq,
+  freqToFraction,
+  frequencyTicks,
+  panFrequencyRange,
+  scaleFloor,
+  zoomFrequencyRange,
+} from './dsp/frequencyScale'
+import {
+  formatSeconds,
+  formatSecondsPerPixel,
+  formatTimeTick,
+  panTimeRange,
+  SECONDS_PER_PIXEL_OPTIONS,
+  TIME_AXIS_MODES,
+  timeTicks,
+  timeToX,
+  xToTime,
+  zoomTimeRange,
+} from './dsp/timeAxis'
+import { confidentPitch, createPitchTrackerFor, summarizePitch } from './dsp/pitch'
+import { calculateFrequencyAnalysis, yToFreq } from './dsp/analysis'
+import { rowBinRanges, writeSpectrumColumn } from './dsp/spectrogramImage'
+import {
+  columnLevel,
+  createSpectrumTraces,
+  drawSpectrumPlot,
+  heldTraces,
+  MAX_SPECTRUM_OVERLAYS,
+  OVERLAY_COLORS,
+  spectrumLevelRange,
+} from './dsp/spectrumPlot'
+import { createPalette } from './dsp/colormaps'
+import {
+  activeCalibration,
+  byteSpectrumToDbfs,
+  calibrateAnalysis,
+  formatLevel,
+  levelUnit,
+  toDisplayLevel,
+} from './dsp/levels'
+import { pickLiveAnalysisSettings } from './dsp/liveAnalysis'
+import {
+  analysisChannel,
+  laneAt,
+  laneCount,
+  measureChannelPair,
+  PAIR_MAX_FFT_SIZE,
+  pairIndices,
+  stackedLanes,
+} from './dsp/channels'
+import { createTemplate, DETECTION_COLUMNS, DETECTION_METHODS, preRollHistorySeconds } from './dsp/detection'
+import { MAX_MATCHES, searchFrames } from './dsp/templateSearch'
+import {
+  createFeatureExtractor,
+  FEATURE_FRAME_COLUMNS,
+  FEATURE_SUMMARY_COLUMNS,
+  featureTrackFromFrames,
+  featureTrackFromSamples,
+  ROLLOFF_FRACTION,
+  summarizeFeatures,
+} from './dsp/features'
+import { createNoiseProfile, createNoiseSubtractor, filterChannels, filtersActive } from './dsp/processing'
+import {
+  heardDuration,
+  heardFrequency,
+  heterodyneSegments,
+  heterodyneShift,
+  transpositionRate,
+} from './dsp/transposition'
+import { DEFAULT_SETTINGS, loadSettings, saveSettings } from './settings'
+import { audioConstraints, describeInputTrack, listInputDevices } from './audio/inputDevices'
+import pcmRecorderUrl from './audio/pcmRecorder.worklet.js?url'
+import analysisTapUrl from './audio/analysisTap.worklet.js?url'
+import {
+  deleteRecording,
+  getStorageEstimate,
+  listRecordings,
+  loadRecordingAudio,
+  loadRecordingFrames,
+  migrateLegacyRecordings,
+  requestPersistentStorage,
+  saveRecording,
+  updateRecording,
+} from './storage/recordingStore'
+import {
+  filterRecordings,
+  recordingTags,
+  recordingTime,
+  sanitizeAnnotations,
+  sanitizeRecordingTags,
+} from './storage/catalog'
 import './App.css'
 
+// Colour of the F0 contour drawn over the spectrogram
+const PITCH_COLOR = '#00e5ff'
+
+// ...and of detection markers
+const DETECTION_COLOR = '#e040fb'
+
+// ...and of template search matches
+const MATCH_COLOR = '#69f0ae'
+
+// ...and of recording annotations
+const ANNOTATION_COLOR = '#ffd180'
+
+// ...and of markers pinned on the spectrogram
+const PIN_COLOR = '#ffffff'
+
+// ...and of the times and frequencies heard when playback is transposed
+const HEARD_COLOR = '#ffb74d'
+
+// Labels of the markers pinned at once: a pair to measure between
+const MARKER_LABELS = ['A', 'B']
+const MAX_PINNED_MARKERS = MARKER_LABELS.length
+
+// Time shown either side of a template match opened in replay, in seconds (at least)
+const MATCH_CONTEXT_SECONDS = 1
+
+// Seconds of live input a noise profile is captured from
+const NOISE_CAPTURE_SECONDS = 2
+
+// The whole-file view estimates F0 every few pixel columns
+const PITCH_COLUMN_STEP = 2
+
+// Most F0 estimates averaged when exporting a file selection
+const SELECTION_PITCH_ESTIMATES = 64
+
+// Pixel size of the spectrogram canvas and its grid overlay
+const SPECTROGRAM_WIDTH = 1024
+const SPECTROGRAM_HEIGHT = 320
+
+// The channel pair at the playhead of a file is re-measured at most this often while playing
+const PAIR_UPDATE_INTERVAL_MS = 100
+
+// Frequency labels per lane, fewer as lanes get shorter
+const laneTickCount = (lanes) => Math.max(2, Math.ceil(6 / lanes))
+
+// Pixel row of `freq` in a spectrogram lane ({ top, height }, see dsp/channels)
+const laneFreqToY = (freq, view, lane) => lane.top + (1 - freqToFraction(freq, view)) * (lane.height - 1)
+
+// The channels of an AudioBuffer as Float32Arrays
+const bufferChannels = (buffer) =>
+  Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c))
+
+// Draw an F0 contour from [{ x, frequency }] points sorted by x, breaking the
+// line where consecutive points are more than `maxGap` pixels apart
+const drawPitchContour = (ctx, points, maxGap, toY) => {
+  ctx.save()
+  ctx.strokeStyle = PITCH_COLOR
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  points.forEach((point, i) => {
+    const y = toY(point.frequency)
+    if (i > 0 && point.x - points[i - 1].x <= maxGap) {
+      ctx.lineTo(point.x, y)
+    } else {
+      // Isolated points still get a short mark
+      ctx.moveTo(point.x, y)
+      ctx.lineTo(point.x + 1, y)
+    }
+  })
+  ctx.stroke()
+  ctx.restore()
+}
+
+// Replay speeds offered in the replay transport
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8]
+
+// How long to wait for the PCM recorder and the analysis worker to hand over
+// their last chunk and frames when stopping
+const CAPTURE_STOP_TIMEOUT_MS = 1000
+
+// Format seconds as m:ss.s for the transport display
+const formatTime = (seconds) => {
+  const safe = Math.max(0, seconds || 0)
+  const minutes = Math.floor(safe / 60)
+  const rest = (safe - minutes * 60).toFixed(1).padStart(4, '0')
+  return `${minutes}:${rest}`
+}
+
+// Length of a recording from its frame timestamps, in seconds (never zero, so views have a span)
+const framesDuration = (frames) => Math.max(0.1, frames.length ? frames[frames.length - 1].t / 1000 : 0)
+
+// How a recording's byte frames were scaled, to recover dBFS levels (see
+// dsp/levels); older recordings used the defaults
+const recordingDecibelScaling = (recording) => ({
+  minDecibels: recording.minDecibels ?? DEFAULT_SETTINGS.minDecibels,
+  maxDecibels: recording.maxDecibels ?? DEFAULT_SETTINGS.maxDecibels,
+  windowFunction: recording.windowFunction || DEFAULT_SETTINGS.windowFunction,
+})
+
+// Position of a { startedAt, offset, playing, rate } transport at clock time `now`, in seconds.
+// `rate` is how fast the source plays: the replay speed times any transposition
+// (see dsp/transposition).
+const playbackPosition = (playback, now) =>
+  playback.playing ? playback.offset + (now - playback.startedAt) * playback.rate : playback.offset
+
+// Trigger a browser download for a Blob
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
+
+// Draw the grid overlay for the spectrogram (a separate canvas above the waterfall).
+// timeAxis: { headTime, secondsPerPixel, mode, originEpochMs, heardScale } describing
+// the waterfall's right edge, or null when nothing has been drawn yet; a
+// `heardScale` (seconds heard per second of sound) labels each tick with the time
+// it is heard at as well. With more than one `lanes` (stacked channels) each
+// lane gets its own frequency grid.
+const drawSpectrogramGrid = (canvas, view, timeAxis, lanes = 1) => {
+  const ctx = canvas?.getContext('2d')
+  if (!ctx) return
+  const { width, height } = canvas
+  const laneRows = stackedLanes(height, lanes)
+  ctx.save()
+  ctx.clearRect(0, 0, width, height)
+  ctx.strokeStyle = 'rgba(255, 152, 0, 0.3)' // Original orange grid lines, semi-transparent
+  ctx.lineWidth = 1
+
+  // Draw horizontal grid lines (frequency markers)
+  // Use the same frequencies as the scale labels
+  laneRows.forEach((lane) => {
+    frequencyTicks(view, laneTickCount(lanes)).forEach((freq) => {
+      const y = Math.round(laneFreqToY(freq, view, lane)) + 0.5
+      ctx.beginPath()
+      ctx.moveTo(0, y)
+      ctx.lineTo(width, y)
+      ctx.stroke()
+    })
+  })
+
+  // Y-axis label: Frequency and scale - rotated on left side
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)' // Original white
+  ctx.font = '12px system-ui, sans-serif'
+
+  if (lanes > 1) {
+    ctx.textAlign = 'right'
+    ctx.textBaseline = 'top'
+    laneRows.forEach((lane, c) => ctx.fillText(`Ch ${c + 1}`, width - 6, lane.top + 4))
+  }
+
+  // Draw vertical grid lines (time markers) at real times, labelled along the bottom
+  if (timeAxis) {
+    const { headTime, secondsPerPixel, mode, originEpochMs, heardScale } = timeAxis
+    const { interval, ticks } = timeTicks(headTime, secondsPerPixel, width)
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'bottom'
+    ticks.forEach((time) => {
+      const x = Math.round(timeToX(time, headTime, secondsPerPixel, width)) + 0.5
+      ctx.beginPath()
+      ctx.moveTo(x, 0)
+      ctx.lineTo(x, height)
+      ctx.stroke()
+      // Keep labels clear of the edges and the frequency label
+      if (x > 60 && x < width - 30) {
+        ctx.fillText(formatTimeTick(time, interval, mode, originEpochMs), x, height - 4)
+        if (heardScale) {
+          ctx.fillStyle = HEARD_COLOR
+          ctx.fillText(formatTimeTick(time * heardScale, interval * heardScale), x, height - 18)
+          ctx.fillStyle = 'rgba(255, 255, 255, 0.8)'
+        }
+      }
+    })
+  }
+
+  ctx.translate(15, height / 2)
+  ctx.rotate(-Math.PI / 2)
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(`Frequency (${view.scale.label})`, 0, 0)
+
+  ctx.restore()
+}
+
+// Outline measured selections and the box being dragged on a static spectrogram.
+// `toX(seconds)` and `toY(hz)` map into canvas pixels; `pending` is
+// { x0, y0, x1, y1 } in canvas pixels, or null.
+const drawSelectionBoxes = (ctx, selections, pending, toX, toY, color = '#ffeb3b') => {
+  ctx.save()
+  ctx.lineWidth = 1
+  ctx.strokeStyle = color
+  ctx.fillStyle = color
+  ctx.font = '11px system-ui, sans-serif'
+  ctx.textBaseline = 'top'
+  selections.forEach((selection) => {
+    const x0 = Math.round(toX(selection.begin))
+    const x1 = Math.round(toX(selection.end))
+    const y0 = Math.round(toY(selection.highFreq))
+    const y1 = Math.round(toY(selection.lowFreq))
+    ctx.strokeRect(x0 + 0.5, y0 + 0.5, Math.max(1, x1 - x0), Math.max(1, y1 - y0))
+    ctx.fillText(String(selection.number), x0 + 3, y0 + 3)
+  })
+  if (pending && pending.moved) {
+    ctx.setLineDash([4, 3])
+    const x = Math.min(pending.x0, pending.x1)
+    const y = Math.min(pending.y0, pending.y1)
+    ctx.strokeRect(x + 0.5, y + 0.5, Math.abs(pending.x1 - pending.x0), Math.abs(pending.y1 - pending.y0))
+  }
+  ctx.restore()
+}
+
+// Mark detections ({ number, start, end } in seconds, `end` null while one is
+// going on) along the top of a spectrogram; `toX(seconds)` maps into canvas pixels.
+const drawDetectionMarkers = (ctx, detections, toX) => {
+  const { width, height } = ctx.canvas
+  ctx.save()
+  ctx.font = '11px system-ui, sans-serif'
+  ctx.textBaseline = 'top'
+  detections.forEach((detection) => {
+    const x0 = Math.round(toX(detection.start))
+    const x1 = detection.end == null ? width : Math.max(x0 + 1, Math.round(toX(detection.end)))
+    if (x1 < 0 || x0 > width) return
+    ctx.fillStyle = 'rgba(224, 64, 251, 0.12)'
+    ctx.fillRect(x0, 0, x1 - x0, height)
+    ctx.fillStyle = DETECTION_COLOR
+    ctx.fillRect(x0, 0, x1 - x0, 3)
+    ctx.fillRect(x0, 0, 1, height)
+    ctx.fillText(String(detection.number), x0 + 3, 5)
+  })
+  ctx.restore()
+}
+
+// Mark annotations ({ time, text }, time in seconds) with a line and their text
+// along the bottom of a spectrogram; `toX(seconds)` maps into canvas pixels.
+const drawAnnotations = (ctx, annotations, toX) => {
+  const { width, height } = ctx.canvas
+  ctx.save()
+  ctx.strokeStyle = ANNOTATION_COLOR
+  ctx.fillStyle = ANNOTATION_COLOR
+  ctx.lineWidth = 1
+  ctx.setLineDash([3, 3])
+  ctx.font = '11px system-ui, sans-serif'
+  ctx.textBaseline = 'bottom'
+  annotations.forEach((annotation) => {
+    const x = Math.round(toX(annotation.time)) + 0.5
+    if (x < 0 || x > width) return
+    ctx.beginPath()
+    ctx.moveTo(x, 0)
+    ctx.lineTo(x, height)
+    ctx.stroke()
+    // Clear of the time labels along the bottom edge
+    ctx.fillText(annotation.text, x + 3, height - 20)
+  })
+  ctx.restore()
+}
+
+// Mark pinned markers ({ label, time, freq }) with a cross and their label, and
+// join a pair with a dashed line; `toX(seconds)` and `toY(hz)` map into canvas pixels.
+const drawPinnedMarkers = (ctx, markers, toX, toY) => {
+  if (!markers.length) return
+  const points = markers.map((marker) => ({ label: marker.label, x: toX(marker.time), y: toY(marker.freq) }))
+  ctx.save()
+  ctx.strokeStyle = PIN_COLOR
+  ctx.fillStyle = PIN_COLOR
+  ctx.lineWidth = 1
+  ctx.font = '11px system-ui, sans-serif'
+  ctx.textBaseline = 'bottom'
+  points.forEach(({ label, x, y }) => {
+    ctx.beginPath()
+    ctx.moveTo(x - 5, y)
+    ctx.lineTo(x + 5, y)
+    ctx.moveTo(x, y - 5)
+    ctx.lineTo(x, y + 5)
+    ctx.stroke()
+    ctx.fillText(label, x + 4, y - 3)
+  })
+  if (points.length > 1) {
+    ctx.setLineDash([4, 3])
+    ctx.beginPath()
+    ctx.moveTo(points[0].x, points[0].y)
+    ctx.lineTo(points[1].x, points[1].y)
+    ctx.stroke()
+  }
+  ctx.restore()
+}
+
+// Round a zoomed/panned range edge for the inputs; sub-hertz precision only matters below 100 Hz
+const roundFrequency = (freq) => (freq < 100 ? Math.round(freq * 10) / 10 : Math.round(freq))
+
+// Spectrum plot of the dBFS spectrum `dbfs` (bins of `binHz`) with the held
+// traces settings.spectrum (`options`) asks for and the frozen overlays.
+// Returns what a freeze keeps: the average while it is shown, else the frame,
+// along with the frame and held traces the cursor reads.
+const drawSpectrum = (canvas, dbfs, binHz, { traces, view, range, options, overlays, average = null }) => {
+  const held = heldTraces(traces, options, average)
+  drawSpectrumPlot(canvas, { view, range, binHz, current: dbfs, held, overlays })
+  return { dbfs: held.average || dbfs, binHz, averaged: Boolean(held.average), frame: dbfs, held }
+}
+
+// A sample value and its level, for the waveform readout
+const formatAmplitude = (value) => `${value.toFixed(3)} (${formatLevel(20 * Math.log10(Math.abs(value)), null)})`
+
+// Level of the bin nearest `freq` in a dBFS spectrum, or null outside it
+const binLevel = (dbfs, binHz, freq) => {
+  const level = dbfs[Math.round(freq / binHz)]
+  return Number.isFinite(level) ? level : null
+}
+
+// A frame feature for the analysis panel, or a dash where there is none (silence, no formant found)
+const formatFeature = (value, format) => (Number.isFinite(value) ? format(value) : '—')
+
+// Human-readable byte count for the storage indicator
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`
+  return `${Math.round(bytes / 1024)} KB`
+}
+
+// Local date and time a recording was made (old recordings only kept a time of day)
+const formatRecordingTime = (recording) => {
+  const time = recordingTime(recording)
+  return time ? new Date(time).toLocaleString() : recording.createdAt
+}
+
+// Make a recording label safe to use in a download file name
+const toFileName = (label) => (label || 'recording').replace(/[^\w.-]+/g, '_')
+
+// Horizontal position of a mouse event as a 0..1 fraction of the canvas width
+const canvasFraction = (event) => {
+  const canvas = event.currentTarget
+  const width = canvas.clientWidth || canvas.width || 1
+  return Math.min(Math.max(event.nativeEvent.offsetX / width, 0), 1)
+}
+
 function App() {
   const spectrogramRef = useRef(null)
+  const spectrogramOverlayRef = useRef(null)
+  const frequencyAxisRef = useRef(null)
+  const axisDragRef = useRef(null)
   const waveformRef = useRef(null)
   const spectrumRef = useRef(null)
   const fileInputRef = useRef(null)
+  const audioFileInputRef = useRef(null)
   const [isListening, setIsListening] = useState(false)
   const [isRecording, setIsRecording] = useState(false)
   const [isReplaying, setIsReplaying] = useState(false)
+  const [replayInfo, setReplayInfo] = useState(null) // { id, label, duration, detections } of the recording being replayed
+  const [isReplayPlaying, setIsReplayPlaying] = useState(false)
+  const [replayPositionSec, setReplayPositionSec] = useState(0)
+  const [replaySpeed, setReplaySpeed] = useState(1)
+  const [replayWindow, setReplayWindow] = useState(null) // visible { start, end } in seconds
   const [recordings, setRecordings] = useState([])
   const [showRecordings, setShowRecordings] = useState(true)
-  const [nyquistHz, setNyquistHz] = useState(20000)
+  const [storageEstimate, setStorageEstimate] = useState(null) // { usage, quota } in bytes
+  const [storageWarning, setStorageWarning] = useState('')
+  const [nyquistHz, setNyquistHz] = useState(24000)
   const [hoverFreqHz, setHoverFreqHz] = useState(null)
-  const [useLogScale, setUseLogScale] = useState(true) // Logarithmic scale by default (like Maztr)
-  const [topResonatingFreq, setTopResonatingFreq] = useState(null)
-  const [harmonyInfo, setHarmonyInfo] = useState(null) // { fundamental, harmonics: [] }
+  const [cursor, setCursor] = useState(null) // { canvas, x, y, lines } crosshair readout, see CanvasCursor
+  // Latest analysis readout, levels in dBFS (see dsp/analysis and dsp/levels)
+  const [topResonance, setTopResonance] = useState(null) // { frequency, level }
+  const [harmonyInfo, setHarmonyInfo] = useState(null) // { fundamental, fundamentalConfidence, fundamentalLevel, harmonics: [] }
+  const [levelSpectrum, setLevelSpectrum] = useState(null) // { dbfs, binHz } the readout came from
+  const [frameFeatures, setFrameFeatures] = useState(null) // features of the same frame (see dsp/features)
   const [error, setError] = useState('')
+  const [audioFile, setAudioFile] = useState(null) // { name, buffer } while analysing a decoded file
+  const [isFilePlaying, setIsFilePlaying] = useState(false)
+  const [filePositionSec, setFilePositionSec] = useState(0)
+  const [fileSelection, setFileSelection] = useState(null) // { start, end } in seconds
+  const [wavFormat, setWavFormat] = useState('pcm16')
+  const [settings, setSettings] = useState(loadSettings)
+  const [selections, setSelections] = useState([]) // measured time–frequency boxes, see dsp/measurements
+  const [pinnedMarkers, setPinnedMarkers] = useState([]) // { id, label, sourceKey, time, freq, level } on the spectrogram
+  const [inputDevices, setInputDevices] = useState([]) // [{ deviceId, label }] of the audio inputs
+  const [activeInput, setActiveInput] = useState(null) // what the live input actually opened with
+  const [inputChannelCount, setInputChannelCount] = useState(1) // channels arriving from the live input
+  const [channelPair, setChannelPair] = useState(null) // { levelDifference, coherence, binHz, channels }
+  const [detections, setDetections] = useState([]) // logged live detections, see DETECTION_COLUMNS
+  const [detectorStatus, setDetectorStatus] = useState(null) // { score, active, threshold } of the live detector
+  const [capturingNoise, setCapturingNoise] = useState(false) // a live noise profile capture is running
+  const [searchTemplate, setSearchTemplate] = useState(null) // template search pattern, see dsp/detection createTemplate
+  const [searchMatches, setSearchMatches] = useState([]) // ranked { number, recordingId, label, begin, end, score, ... }
+  const [searchProgress, setSearchProgress] = useState(null) // { done, total } recordings while searching
+  const [heterodyneProgress, setHeterodyneProgress] = useState(null) // 0-1 while a heterodyned buffer is made
+  const [featureTrack, setFeatureTrack] = useState(null) // { sourceKey, source, sampleRate, fftSize, frames, summary }
+  const [analyzingFeatures, setAnalyzingFeatures] = useState(false)
+  const [recordingFilters, setRecordingFilters] = useState({ query: '', tag: '', sort: 'newest' })
+  const [editingRecordingId, setEditingRecordingId] = useState(null) // recording whose details are open
 
   const recordedFramesRef = useRef([])
   const recordingStartRef = useRef(null)
-  const replayRequestIdRef = useRef(null)
+  const replayingIdRef = useRef(null)
+  const replayWindowRef = useRef(null)
+  const selectionsRef = useRef([])
+  const pinnedMarkersRef = useRef([])
+  const spectrogramDragRef = useRef(null) // { x0, y0, x1, y1, moved } in canvas pixels while dragging
+  const fileSamplesRef = useRef(null) // mono samples of the open file, for measurements
+  const replaySourceRef = useRef(null)
+  const replayPlaybackRef = useRef({ startedAt: 0, offset: 0, playing: false, speed: 1 })
+  const heterodyneCacheRef = useRef(null) // { source, shift, buffer } of the last heterodyned copy, see playbackBuffer
+  const playbackRequestRef = useRef(0) // bumped by every start and stop of playback, see playbackBuffer
   const isRecordingRef = useRef(false)
-  const nyquistRef = useRef(20000)
+  const settingsRef = useRef(settings)
+
+  // Visible frequency range/scale of the spectrogram, limited by the current Nyquist frequency
+  const frequencyView = useMemo(
+    () =>
+      createFrequencyView(
+        settings.frequencyScale,
+        settings.minFrequency,
+        Math.min(settings.maxFrequency, nyquistHz),
+      ),
+    [settings.frequencyScale, settings.minFrequency, settings.maxFrequency, nyquistHz],
+  )
+  const frequencyViewRef = useRef(frequencyView)
+  // The spectrum plot spans the same frequencies on its own axis
+  const spectrumView = useMemo(
+    () => createFrequencyView(settings.spectrum.scale, frequencyView.minFreq, frequencyView.maxFreq),
+    [settings.spectrum.scale, frequencyView],
+  )
+  const spectrumViewRef = useRef(spectrumView)
+  const [spectrumOverlays, setSpectrumOverlays] = useState([]) // frozen { id, label, dbfs, binHz, color }
+  const spectrumOverlaysRef = useRef(spectrumOverlays)
+  const spectrumTracesRef = useRef(null) // held traces of the running draw loop (see dsp/spectrumPlot)
+  const spectrumShownRef = useRef(null) // { source, at, dbfs, binHz, averaged } a freeze would keep
+  // Spectrogram colours for the colormap, brightness and contrast settings
+  const palette = useMemo(
+    () =>
+      createPalette({
+        colormap: settings.colormap,
+        customColormap: settings.customColormap,
+        brightness: settings.brightness,
+        contrast: settings.contrast,
+      }),
+    [settings.colormap, settings.customColormap, settings.brightness, settings.contrast],
+  )
+  const paletteRef = useRef(palette)
+  // Microphone calibration in effect, or null while levels are shown in dBFS
+  const calibration = useMemo(() => activeCalibration(settings.calibration), [settings.calibration])
+
+  // Annotations of the recording being replayed, drawn on its spectrogram
+  const replayAnnotations = useMemo(
+    () => (replayInfo && recordings.find((r) => r.id === replayInfo.id)?.annotations) || [],
+    [recordings, replayInfo],
+  )
+
+  // Channels of the source on screen; replayed recordings have those of their raw audio,
+  // frame-only ones the analysed signal alone
+  const sourceChannelCount = audioFile
+    ? audioFile.buffer.numberOfChannels
+    : isReplaying
+      ? replayInfo?.channelCount || 1
+      : inputChannelCount
+  const spectrogramLaneCount = laneCount(settings.channelView, sourceChannelCount)
+  // Seconds heard per second of a file or recording that plays transposed slower or
+  // faster (at the replay speed, for recordings), or null when it plays in real time
+  const heardTimeScale =
+    (audioFile || isReplaying) && transpositionRate(settings.transposition) !== 1
+      ? heardDuration(1, settings.transposition) / (isReplaying ? replaySpeed : 1)
+      : null
+  const heardTimeScaleRef = useRef(heardTimeScale)
+  // Right edge of the waterfall: { headTime, secondsPerPixel, originEpochMs }, see drawSpectrogramGrid
+  const timeAxisRef = useRef(null)
+  const recordingStartEpochRef = useRef(null) // wall-clock time of the first recorded frame
+  const replayOriginRef = useRef(null) // wall-clock start of the recording being replayed
+  const recorderNodeRef = useRef(null) // AudioWorklet tap on the live source
+  const analysisWorkerRef = useRef(null) // worker running the live analysis
+  const capturedAudioRef = useRef({ chunks: [], startMs: null, sampleRate: 44100, onStopped: null })
+  const replayAudioRef = useRef(null) // { sampleRate, channels, offsetMs, buffer, samples } of the recording being replayed
+  const nyquistRef = useRef(24000)
   const sampleRateRef = useRef(44100)
   const fftSizeRef = useRef(2048)
   const bufferLengthRef = useRef(1024)
+  const fileAudioContextRef = useRef(null)
+  const fileSourceRef = useRef(null)
+  const filePlaybackRef = useRef({ startedAt: 0, offset: 0, playing: false })
+  const fileSelectionRef = useRef(null)
+  const waveformDragRef = useRef(null)
+  const waveformShownRef = useRef(null) // { samples, sampleRate } of the live or replayed frame's waveform (bytes)
+  const liveColumnsRef = useRef([]) // live spectrogram columns on screen, oldest first, for the cursor readout
+  const liveDetectionsRef = useRef([]) // { id, number, start, end } on the live analysis clock, for markers
+  const nextDetectionNumberRef = useRef(1)
+  const recordingDetectionsRef = useRef([]) // { number, start, end, peakFrequency } in seconds of the recording
+  const recordingLabelRef = useRef('')
+  const autoRecordingRef = useRef(false) // the current recording was started by a detection
+  const postRollTimerRef = useRef(null)
+  // The latest handlers called from the live worker's messages and timers: { handleDetections, stopRecording }
+  const liveHandlersRef = useRef(null)
+
+  const refreshStorageEstimate = () => {
+    getStorageEstimate()
+      .then(setStorageEstimate)
+      .catch(() => setStorageEstimate(null))
+  }
 
-  // Helper: Map bin index to Y position (linear or logarithmic)
-  // Frequency range: 5 Hz to 20000 Hz
-  const binToY = (binIndex, bufferLength, height, logarithmic, sampleRate, fftSize) => {
-    const minFreq = 5
-    const maxFreq = 20000
-    const binFreq = (binIndex * sampleRate) / fftSize
-    
-    // Only map bins in the 5-20000 Hz range
-    if (binFreq < minFreq || binFreq > maxFreq) {
-      return -1 // Out of range, don't draw
-    }
-    
-    if (logarithmic) {
-      // Logarithmic scale: map frequency to log space
-      const logMin = Math.log10(minFreq)
-      const logMax = Math.log10(maxFreq)
-      const logFreq = Math.log10(binFreq)
-      const frac = 1 - (logFreq - logMin) / (logMax - logMin)
-      return Math.floor(frac * (height - 1))
-    } else {
-      // Linear scale: map frequency linearly
-      const frac = 1 - (binFreq - minFreq) / (maxFreq - minFreq)
-      return Math.floor(frac * (height - 1))
-    }
-  }
-
-  // Helper: Map Y position back to frequency (reverse of binToY)
-  // Frequency range: 5 Hz to 20000 Hz
-  const yToFreq = (y, height, logarithmic) => {
-    const minFreq = 5
-    const maxFreq = 20000
-    
-    if (logarithmic) {
-      const logMin = Math.log10(minFreq)
-      const logMax = Math.log10(maxFreq)
-      const frac = 1 - (y + 0.5) / (height - 1)
-      const logFreq = logMin + frac * (logMax - logMin)
-      return Math.pow(10, logFreq)
-    } else {
-      const frac = 1 - (y + 0.5) / (height - 1)
-      return minFreq + frac * (maxFreq - minFreq)
-    }
-  }
-  
-  // Helper: Convert frequency to bin index
-  const freqToBin = (freq, sampleRate, fftSize) => {
-    return Math.floor((freq * fftSize) / sampleRate)
-  }
-
-  // Helper: Calculate top resonating frequency and harmony
-  const calculateFrequencyAnalysis = (freqDataArray, sampleRate, fftSize) => {
-    if (!freqDataArray || freqDataArray.length === 0) return null
-
-    // Find peak frequency (top resonating)
-    let maxValue = 0
-    let peakBin = 0
-    for (let i = 0; i < freqDataArray.length; i += 1) {
-      if (freqDataArray[i] > maxValue) {
-        maxValue = freqDataArray[i]
-        peakBin = i
-      }
-    }
-    const peakFreq = (peakBin * sampleRate) / fftSize
-
-    // Find fundamental frequency (lowest significant peak)
-    // Look for peaks in lower frequency range (below 2kHz typically for elephant calls)
-    const lowFreqLimit = Math.floor((2000 * fftSize) / sampleRate)
-    let fundamentalBin = 0
-    let fundamentalValue = 0
-    
-    for (let i = 1; i < Math.min(lowFreqLimit, freqDataArray.length); i += 1) {
-      const value = freqDataArray[i]
-      // Check if this is a local peak
-      if (value > fundamentalValue && value > 50) { // Threshold to avoid noise
-        const isPeak = (i === 0 || freqDataArray[i - 1] < value) &&
-                       (i === freqDataArray.length - 1 || freqDataArray[i + 1] < value)
-        if (isPeak) {
-          fundamentalValue = value
-          fundamentalBin = i
-        }
+  // Load saved recordings from IndexedDB on first mount (migrating old localStorage data once)
+  useEffect(() => {
+    let cancelled = false
+    const load = async () => {
+      try {
+        await migrateLegacyRecordings()
+        const saved = await listRecordings()
+        if (!cancelled) setRecordings(saved)
+      } catch (e) {
+        console.error('Failed to load recordings from IndexedDB', e)
+        if (!cancelled) setStorageWarning('Saved recordings could not be loaded from browser storage.')
       }
+      if (!cancelled) refreshStorageEstimate()
+    }
+    load()
+    return () => {
+      cancelled = true
     }
+  }, [])
 
-    const fundamentalFreq = (fundamentalBin * sampleRate) / fftSize
+  // Persist a new or imported recording; returns the stored metadata, or null on failure
+  const storeRecording = async (recording, frames, audio) => {
+    try {
+      const saved = await saveRecording(recording, frames, audio)
+      requestPersistentStorage().catch(() => {})
+      setStorageWarning('')
+      return saved
+    } catch (e) {
+      console.error('Failed to save recording', e)
+      setStorageWarning(
+        e && e.name === 'QuotaExceededError'
+          ? 'Browser storage is full. Export and delete old recordings to make room.'
+          : 'The recording could not be saved to browser storage.',
+      )
+      return null
+    } finally {
+      refreshStorageEstimate()
+    }
+  }
 
-    // Find harmonics (multiples of fundamental)
-    const harmonics = []
-    if (fundamentalFreq > 10) { // Only if we found a valid fundamental
-      for (let n = 2; n <= 4; n += 1) {
-        const harmonicFreq = fundamentalFreq * n
-        const harmonicBin = Math.floor((harmonicFreq * fftSize) / sampleRate)
-        if (harmonicBin < freqDataArray.length) {
-          const harmonicValue = freqDataArray[harmonicBin]
-          if (harmonicValue > 30) { // Threshold
-            harmonics.push({
-              order: n,
-              frequency: harmonicFreq,
-              amplitude: harmonicValue,
-            })
-          }
+  // Mouse-wheel zoom on the spectrogram and frequency axis, around the cursor.
+  // Attached natively because React's wheel listeners are passive.
+  useEffect(() => {
+    const targets = [spectrogramRef.current, frequencyAxisRef.current].filter(Boolean)
+    const handleWheel = (event) => {
+      event.preventDefault()
+      const rect = event.currentTarget.getBoundingClientRect()
+
+      // Replay view: Shift+wheel zooms time around the cursor, horizontal scrolling pans it
+      const replayView = replayWindowRef.current
+      const horizontal = Math.abs(event.deltaX) > Math.abs(event.deltaY)
+      if (replayView && event.currentTarget === spectrogramRef.current && (event.shiftKey || horizontal)) {
+        const duration = framesDuration(recordedFramesRef.current)
+        if (event.shiftKey) {
+          const anchorFrac = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1)
+          const delta = event.deltaY || event.deltaX
+          setReplayWindow(zoomTimeRange(replayView, anchorFrac, delta > 0 ? 1.2 : 1 / 1.2, duration))
+        } else {
+          const span = replayView.end - replayView.start
+          setReplayWindow(panTimeRange(replayView, (event.deltaX / rect.width) * span, duration))
         }
+        return
       }
-    }
 
-    return {
-      topResonating: peakFreq,
-      fundamental: fundamentalFreq > 10 ? fundamentalFreq : null,
-      harmonics,
+      const anchorFrac = 1 - Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1)
+      const factor = event.deltaY > 0 ? 1.2 : 1 / 1.2
+      const view = frequencyViewRef.current
+      const next = zoomFrequencyRange(view, anchorFrac, factor, [scaleFloor(view.scale), nyquistRef.current])
+      setSettings((prev) => ({
+        ...prev,
+        minFrequency: roundFrequency(next.minFreq),
+        maxFrequency: roundFrequency(next.maxFreq),
+      }))
     }
-  }
+    targets.forEach((target) => target.addEventListener('wheel', handleWheel, { passive: false }))
+    return () => {
+      targets.forEach((target) => target.removeEventListener('wheel', handleWheel))
+    }
+  }, [])
 
-  // Helper: Draw grid overlay on spectrogram
-  const drawSpectrogramGrid = (ctx, width, height, bufferLength, useLog) => {
-    ctx.save()
-    ctx.strokeStyle = 'rgba(255, 152, 0, 0.3)' // Original orange grid lines, semi-transparent
-    ctx.lineWidth = 1
+  useEffect(() => {
+    replayWindowRef.current = replayWindow
+  }, [replayWindow])
 
-    // Draw horizontal grid lines (frequency markers)
-    // Use the same positions as legend labels
-    const freqPositions = [1, 0.75, 0.5, 0.35, 0.2, 0] // Top to bottom
-    freqPositions.forEach((p) => {
-      const y = p * (height - 1)
-      ctx.beginPath()
-      ctx.moveTo(0, y)
-      ctx.lineTo(width, y)
-      ctx.stroke()
-    })
+  // Selection boxes are drawn by the file and replay draw loops
+  useEffect(() => {
+    selectionsRef.current = selections
+  }, [selections])
 
-    // Draw vertical grid lines (time markers)
-    // Draw lines at regular intervals across the width
-    const timeIntervals = 10 // Number of vertical grid lines
-    for (let i = 0; i <= timeIntervals; i += 1) {
-      const x = (i / timeIntervals) * width
-      ctx.beginPath()
-      ctx.moveTo(x, 0)
-      ctx.lineTo(x, height)
-      ctx.stroke()
-    }
+  // ...and pinned markers by every draw loop
+  useEffect(() => {
+    pinnedMarkersRef.current = pinnedMarkers
+  }, [pinnedMarkers])
 
-    // Draw axis labels
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)' // Original white
-    ctx.font = '12px system-ui, sans-serif'
-    
-    // Y-axis label: Frequency (kHz) - rotated on left side
-    ctx.save()
-    ctx.translate(15, height / 2)
-    ctx.rotate(-Math.PI / 2)
-    ctx.textAlign = 'center'
-    ctx.textBaseline = 'middle'
-    ctx.fillText('Frequency (kHz)', 0, 0)
-    ctx.restore()
-    
-    // X-axis label: Time (s)
-    ctx.textAlign = 'center'
-    ctx.textBaseline = 'top'
-    ctx.fillText('Time (s)', width / 2, height - 20)
-    
-    // Draw time tick labels
-    ctx.textAlign = 'center'
-    ctx.textBaseline = 'middle'
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)' // Original white
-    ctx.font = '10px system-ui, sans-serif'
-    for (let i = 0; i <= timeIntervals; i += 1) {
-      const x = (i / timeIntervals) * width
-      const timeValue = i // Grid markers for visual reference
-      ctx.fillText(`${timeValue}`, x, height - 8)
+  // Persist analysis settings; the live draw loop reads them through a ref
+  useEffect(() => {
+    settingsRef.current = settings
+    saveSettings(settings)
+  }, [settings])
+
+  // ...and the heard time labels by the file and replay draw loops
+  useEffect(() => {
+    heardTimeScaleRef.current = heardTimeScale
+  }, [heardTimeScale])
+
+  // Redraw the grid overlay when the frequency view, time labels or lanes change;
+  // the draw loops redraw it themselves as the waterfall advances
+  useEffect(() => {
+    const timeAxis = timeAxisRef.current && {
+      ...timeAxisRef.current,
+      mode: settings.timeAxisMode,
+      heardScale: heardTimeScale,
     }
+    drawSpectrogramGrid(spectrogramOverlayRef.current, frequencyView, timeAxis, spectrogramLaneCount)
+  }, [frequencyView, settings.timeAxisMode, spectrogramLaneCount, heardTimeScale])
 
-    ctx.restore()
-  }
+  // New live columns use the current palette; columns already drawn keep theirs
+  useEffect(() => {
+    paletteRef.current = palette
+  }, [palette])
 
-  // Load saved recordings from localStorage on first mount
+  // The live draw loop reads the frequency view through a ref so changing it doesn't
+  // restart capture; the waterfall is cleared on every change
   useEffect(() => {
-    try {
-      const raw = window.localStorage.getItem('venura-frequency-recordings')
-      if (raw) {
-        const parsed = JSON.parse(raw)
-        if (Array.isArray(parsed)) {
-          setRecordings(parsed)
-        }
-      }
-    } catch (e) {
-      console.error('Failed to load recordings from localStorage', e)
+    frequencyViewRef.current = frequencyView
+    const canvas = spectrogramRef.current
+    const ctx = canvas?.getContext('2d')
+    if (ctx) {
+      ctx.fillStyle = 'black'
+      ctx.fillRect(0, 0, canvas.width, canvas.height)
     }
-  }, [])
+  }, [frequencyView])
 
-  // Persist recordings to localStorage whenever they change
+  // The draw loops read the spectrum plot's axis and overlays through refs too
   useEffect(() => {
-    try {
-      window.localStorage.setItem('venura-frequency-recordings', JSON.stringify(recordings))
-    } catch (e) {
-      console.error('Failed to save recordings to localStorage', e)
+    spectrumViewRef.current = spectrumView
+    spectrumOverlaysRef.current = spectrumOverlays
+  }, [spectrumView, spectrumOverlays])
+
+  // Keep the input list current as devices are plugged in or removed
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices
+    if (!mediaDevices) return undefined
+    const refresh = () => {
+      listInputDevices()
+        .then(setInputDevices)
+        .catch((e) => console.error('Failed to list audio inputs', e))
     }
-  }, [recordings])
+    refresh()
+    mediaDevices.addEventListener('devicechange', refresh)
+    return () => mediaDevices.removeEventListener('devicechange', refresh)
+  }, [])
 
+  // Live microphone analysis (paused while replaying or analysing a file).
+  // Changing the input settings reopens capture on the new device/constraints.
+  // The analysis tap worklet streams the input to the analysis worker, which
+  // posts spectrogram columns, snapshots and recorded frames back; this effect
+  // only paints what has arrived on each animation frame.
   useEffect(() => {
-    if (isReplaying) {
+    if (isReplaying || audioFile) {
       return undefined
     }
 
+    let cancelled = false
+    let stream
     let audioContext
-    let analyser
     let source
+    let recorderNode
+    let tapNode
+    let analysisWorker
     let animationFrameId
-    let freqDataArray
-    let timeDomainArray
+
+    // Raw samples from the PCM recorder worklet, collected while recording
+    const handleRecorderMessage = (event) => {
+      const message = event.data
+      const captured = capturedAudioRef.current
+      if (message.type === 'start') {
+        // Frames are timestamped on the same audio clock
+        captured.startMs = message.time * 1000
+      } else if (message.type === 'chunk') {
+        captured.chunks.push(message.channels)
+      } else if (message.type === 'stopped' && captured.onStopped) {
+        captured.onStopped()
+      }
+    }
 
     const start = async () => {
       try {
         setError('')
-        const stream = await navigator.mediaDevices.getUserMedia({
-          audio: true,
-          video: false,
-        })
+        const input = settings.input
+        try {
+          stream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints(input), video: false })
+        } catch (e) {
+          // A saved device that has been unplugged falls back to the default one
+          if (!input.deviceId || (e.name !== 'OverconstrainedError' && e.name !== 'NotFoundError')) throw e
+          console.warn('Selected input unavailable, using the default device', e)
+          stream = await navigator.mediaDevices.getUserMedia({
+            audio: audioConstraints({ ...input, deviceId: '' }),
+            video: false,
+          })
+        }
 
-        audioContext = new (window.AudioContext || window.webkitAudioContext)()
-        analyser = audioContext.createAnalyser()
-        analyser.fftSize = 2048
-        analyser.smoothingTimeConstant = 0.8
+        // The effect was torn down while waiting for permission
+        if (cancelled) {
+          stream.getTracks().forEach((track) => track.stop())
+          return
+        }
+
+        // Device labels are only exposed once access has been granted
+        listInputDevices()
+          .then(setInputDevices)
+          .catch((e) => console.error('Failed to list audio inputs', e))
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext
+        try {
+          audioContext = new AudioContextClass(input.sampleRate ? { sampleRate: input.sampleRate } : undefined)
+        } catch (e) {
+          console.warn('Requested sample rate unavailable, using the default', e)
+          audioContext = new AudioContextClass()
+        }
+        const [track] = stream.getAudioTracks()
+        // The context rate is what the analysis runs at, whatever the device delivers
+        setActiveInput({ ...describeInputTrack(track), sampleRate: audioContext.sampleRate })
 
         const sampleRate = audioContext.sampleRate || 44100
-        const fftSize = analyser.fftSize
-        const nyquist = Math.min(20000, sampleRate / 2)
+        const nyquist = sampleRate / 2
         setNyquistHz(nyquist)
         nyquistRef.current = nyquist
         sampleRateRef.current = sampleRate
-        fftSizeRef.current = fftSize
 
         source = audioContext.createMediaStreamSource(stream)
-        source.connect(analyser)
 
-        const bufferLength = analyser.frequencyBinCount
-        bufferLengthRef.current = bufferLength
-        freqDataArray = new Uint8Array(bufferLength)
-        timeDomainArray = new Uint8Array(analyser.fftSize)
+        // Tap the raw samples so recordings keep the actual audio, not just frames
+        try {
+          await audioContext.audioWorklet.addModule(pcmRecorderUrl)
+          if (cancelled) return
+          recorderNode = new AudioWorkletNode(audioContext, 'pcm-recorder')
+          recorderNode.port.onmessage = handleRecorderMessage
+          source.connect(recorderNode)
+          // The node outputs silence; connecting it keeps it processing
+          recorderNode.connect(audioContext.destination)
+          recorderNodeRef.current = recorderNode
+          recorderNode.port.postMessage({
+            command: 'arm',
+            seconds: preRollHistorySeconds(settingsRef.current.detection),
+          })
+          capturedAudioRef.current.sampleRate = sampleRate
+        } catch (e) {
+          console.warn('PCM capture unavailable, recordings will only keep frames', e)
+        }
+
+        // Analysis runs in a worker fed straight from the audio thread, so
+        // nothing is lost while the page is busy
+        try {
+          await audioContext.audioWorklet.addModule(analysisTapUrl)
+        } catch (e) {
+          console.error('Analysis tap unavailable', e)
+          setError('Live analysis needs AudioWorklet support, which this browser does not provide.')
+          return
+        }
+        if (cancelled) return
+        analysisWorker = new Worker(new URL('./audio/analysis.worker.js', import.meta.url), {
+          type: 'module',
+        })
+        analysisWorkerRef.current = analysisWorker
+        tapNode = new AudioWorkletNode(audioContext, 'analysis-tap')
+        const channel = new MessageChannel()
+        tapNode.port.postMessage({ command: 'connect', port: channel.port1 }, [channel.port1])
+        let postedSettings = settingsRef.current
+        analysisWorker.postMessage(
+          {
+            type: 'start',
+            port: channel.port2,
+            sampleRate,
+            settings: pickLiveAnalysisSettings(postedSettings),
+          },
+          [channel.port2],
+        )
+        source.connect(tapNode)
+        tapNode.connect(audioContext.destination)
 
         const spectrogramCanvas = spectrogramRef.current
         const waveformCanvas = waveformRef.current
@@ -271,112 +914,250 @@ function App() {
         const waveformCtx = waveformCanvas?.getContext('2d')
         const spectrumCtx = spectrumCanvas?.getContext('2d')
 
+        // Results waiting for the next animation frame
+        let pendingColumns = []
+        let clearSpectrogram = false
+        let latestSnapshot = null
+        const spectrumTraces = createSpectrumTraces()
+        spectrumTracesRef.current = spectrumTraces
+        // Waterfall time axis: t = 0 when listening started
+        const originEpochMs = Date.now()
+        let headTime = 0
+        let secondsPerPixel = postedSettings.secondsPerPixel
+        liveDetectionsRef.current = []
+        liveColumnsRef.current = []
+        // Markers pinned on an earlier session were on another clock
+        setPinnedMarkers((current) => current.filter((marker) => marker.sourceKey !== 'live'))
+
+        analysisWorker.onmessage = (event) => {
+          const message = event.data
+          if (message.type !== 'update') return
+
+          // Frames go straight into the recording, even while no frames are painted
+          if (message.frames.length) {
+            if (recordingStartRef.current == null) {
+              recordingStartRef.current = message.recordStartMs
+              recordingStartEpochRef.current = Date.now()
+            }
+            recordedFramesRef.current.push(...message.frames)
+          }
+          if (message.detections.length) liveHandlersRef.current.handleDetections(message)
+          if (message.noiseProfile) {
+            const { noiseProfile } = message
+            setSettings((current) => ({ ...current, processing: { ...current.processing, noiseProfile } }))
+            setCapturingNoise(false)
+          }
+
+          if (message.resetColumns) {
+            pendingColumns = []
+            clearSpectrogram = true
+          }
+          pendingColumns.push(...message.columns)
+          // Anything older than a canvas width would scroll straight off it
+          const maxColumns = spectrogramCanvas ? spectrogramCanvas.width : 0
+          if (pendingColumns.length > maxColumns) pendingColumns = pendingColumns.slice(-maxColumns)
+          headTime = message.headTime
+          secondsPerPixel = message.secondsPerPixel
+          fftSizeRef.current = message.fftSize
+          bufferLengthRef.current = message.fftSize / 2
+          setInputChannelCount(message.channelCount)
+          if (!message.detector) {
+            // Detection is off (or restarting): nothing is going on any more
+            liveDetectionsRef.current.forEach((detection) => {
+              if (detection.end == null) detection.end = message.time
+            })
+          }
+
+          if (message.snapshot) latestSnapshot = message.snapshot
+          if (message.analysis) {
+            setDetectorStatus(message.detector)
+            setTopResonance({ frequency: message.analysis.topResonating, level: message.analysis.topLevel })
+            setHarmonyInfo({
+              fundamental: message.analysis.fundamental,
+              fundamentalConfidence: message.analysis.fundamentalConfidence,
+              fundamentalLevel: message.analysis.fundamentalLevel,
+              harmonics: message.analysis.harmonics,
+            })
+            setLevelSpectrum({ dbfs: message.snapshot.dbfs, binHz: sampleRate / message.fftSize })
+            setFrameFeatures(message.features)
+            const { pair } = message.snapshot
+            setChannelPair(
+              pair && {
+                levelDifference: pair.levelDifference,
+                coherence: pair.coherence,
+                binHz: sampleRate / pair.fftSize,
+                channels: pairIndices(settingsRef.current.pairChannels, message.channelCount),
+              },
+            )
+          }
+        }
+
+        // Pixel row -> bin ranges per spectrum length and lane height, rebuilt when the view changes
+        let rowBinsCache = new Map()
+        let rowBinsView = null
+        const rowBinsFor = (binCount, height) => {
+          if (rowBinsView !== frequencyViewRef.current) {
+            rowBinsCache = new Map()
+            rowBinsView = frequencyViewRef.current
+          }
+          const key = `${binCount}:${height}`
+          if (!rowBinsCache.has(key)) {
+            rowBinsCache.set(key, rowBinRanges(height, sampleRate, binCount * 2, binCount, rowBinsView))
+          }
+          return rowBinsCache.get(key)
+        }
+
         const draw = () => {
           if (!spectrogramCtx || !spectrogramCanvas) return
 
-          // Frequency data for spectrogram & spectrum
-          analyser.getByteFrequencyData(freqDataArray)
-          // Time-domain data for waveform
-          analyser.getByteTimeDomainData(timeDomainArray)
+          const currentSettings = settingsRef.current
+          if (currentSettings !== postedSettings) {
+            postedSettings = currentSettings
+            analysisWorker.postMessage({ type: 'configure', settings: pickLiveAnalysisSettings(currentSettings) })
+          }
 
           // ----- Spectrogram (waterfall) -----
           const specWidth = spectrogramCanvas.width
           const specHeight = spectrogramCanvas.height
-          const imageData = spectrogramCtx.getImageData(1, 0, specWidth - 1, specHeight)
-          spectrogramCtx.putImageData(imageData, 0, 0)
-
-          // Calculate frequency analysis
-          const analysis = calculateFrequencyAnalysis(freqDataArray, sampleRate, fftSize)
-          if (analysis) {
-            setTopResonatingFreq(analysis.topResonating)
-            setHarmonyInfo({
-              fundamental: analysis.fundamental,
-              harmonics: analysis.harmonics,
-            })
+          if (clearSpectrogram) {
+            spectrogramCtx.fillStyle = 'black'
+            spectrogramCtx.fillRect(0, 0, specWidth, specHeight)
+            clearSpectrogram = false
+            liveColumnsRef.current = []
           }
 
-          const barX = specWidth - 1
-          for (let i = 0; i < bufferLength; i += 1) {
-            const value = freqDataArray[i] / 255 // 0..1
-            const y = binToY(i, bufferLength, specHeight, useLogScale, sampleRate, fftSize)
-            
-            // Skip if out of 5-20000 Hz range
-            if (y < 0) continue
-
-            // Original color mapping: dark background with purple/blue and some orange
-            const intensity = value
-            const r = Math.floor(255 * Math.pow(intensity, 3)) // more orange at high intensity
-            const g = Math.floor(50 * intensity)
-            const b = Math.floor(255 * Math.sqrt(intensity))
-
-            spectrogramCtx.fillStyle = `rgb(${r}, ${g}, ${b})`
-            spectrogramCtx.fillRect(barX, y, 1, 1)
-          }
+          if (pendingColumns.length) {
+            const columns = pendingColumns.slice(-specWidth)
+            pendingColumns = []
+            const count = columns.length
+            const left = specWidth - count
 
-          // ----- Save frame if recording -----
-          if (isRecordingRef.current) {
-            const now = performance.now()
-            if (recordingStartRef.current == null) {
-              recordingStartRef.current = now
-              recordedFramesRef.current = []
+            // Scroll left by the number of new columns, then write them in one ImageData
+            if (left > 0) {
+              spectrogramCtx.drawImage(spectrogramCanvas, count, 0, left, specHeight, 0, 0, left, specHeight)
             }
-            recordedFramesRef.current.push({
-              t: now - recordingStartRef.current,
-              freq: Array.from(freqDataArray),
-              timeDomain: Array.from(timeDomainArray),
+            const image = spectrogramCtx.createImageData(count, specHeight)
+            // Stacked channels get a lane each; the newest column decides how many
+            const lanes = columns[count - 1].lanes ? columns[count - 1].lanes.length : 1
+            const laneRows = stackedLanes(specHeight, lanes)
+            columns.forEach((column, x) => {
+              if (lanes > 1 && column.lanes?.length === lanes) {
+                column.lanes.forEach((spectrum, c) => {
+                  const lane = laneRows[c]
+                  writeSpectrumColumn(
+                    image,
+                    x,
+                    spectrum,
+                    rowBinsFor(spectrum.length, lane.height),
+                    paletteRef.current,
+                    lane.top,
+                  )
+                })
+              } else {
+                writeSpectrumColumn(
+                  image,
+                  x,
+                  column.freq,
+                  rowBinsFor(column.freq.length, specHeight),
+                  paletteRef.current,
+                )
+              }
             })
+            spectrogramCtx.putImageData(image, left, 0)
+            liveColumnsRef.current = liveColumnsRef.current.concat(columns).slice(-specWidth)
+
+            // F0 contour points for the new columns
+            if (currentSettings.showPitch) {
+              spectrogramCtx.fillStyle = PITCH_COLOR
+              columns.forEach((column, x) => {
+                if (!column.pitch) return
+                // The F0 of the mix, repeated in every lane
+                laneRows.forEach((lane) => {
+                  const pitchY = laneFreqToY(column.pitch.frequency, frequencyViewRef.current, lane)
+                  if (pitchY >= lane.top && pitchY < lane.top + lane.height) {
+                    spectrogramCtx.fillRect(left + x, Math.round(pitchY) - 1, 1, 2)
+                  }
+                })
+              })
+            }
+
+            timeAxisRef.current = { headTime, secondsPerPixel, originEpochMs }
+            drawSpectrogramGrid(
+              spectrogramOverlayRef.current,
+              frequencyViewRef.current,
+              { ...timeAxisRef.current, mode: currentSettings.timeAxisMode },
+              lanes,
+            )
+            // Markers still on screen
+            const shownFrom = headTime - specWidth * secondsPerPixel
+            liveDetectionsRef.current = liveDetectionsRef.current.filter(
+              (detection) => detection.end == null || detection.end >= shownFrom,
+            )
+            const overlayCtx = spectrogramOverlayRef.current?.getContext('2d')
+            if (overlayCtx && liveDetectionsRef.current.length) {
+              drawDetectionMarkers(overlayCtx, liveDetectionsRef.current, (time) =>
+                timeToX(time, headTime, secondsPerPixel, specWidth),
+              )
+            }
+            const liveMarkers = pinnedMarkersRef.current.filter((marker) => marker.sourceKey === 'live')
+            if (overlayCtx && liveMarkers.length) {
+              laneRows.forEach((lane) =>
+                drawPinnedMarkers(
+                  overlayCtx,
+                  liveMarkers,
+                  (time) => timeToX(time, headTime, secondsPerPixel, specWidth),
+                  (freq) => laneFreqToY(freq, frequencyViewRef.current, lane),
+                ),
+              )
+            }
           }
 
-          // ----- Waveform (oscilloscope) -----
-          if (waveformCtx && waveformCanvas) {
-            const w = waveformCanvas.width
-            const h = waveformCanvas.height
-            waveformCtx.fillStyle = '#000'
-            waveformCtx.fillRect(0, 0, w, h)
-
-            waveformCtx.lineWidth = 2
-            waveformCtx.strokeStyle = '#4caf50'
-            waveformCtx.beginPath()
-
-            const sliceWidth = w / timeDomainArray.length
-            let x = 0
-            for (let i = 0; i < timeDomainArray.length; i += 1) {
-              const v = timeDomainArray[i] / 128.0 // around 1 at midline
-              const y = (v / 2) * h
-              if (i === 0) {
-                waveformCtx.moveTo(x, y)
-              } else {
-                waveformCtx.lineTo(x, y)
+          if (latestSnapshot) {
+            const { dbfs, timeDomain: timeDomainArray } = latestSnapshot
+            latestSnapshot = null
+            waveformShownRef.current = { samples: timeDomainArray, sampleRate }
+
+            // ----- Waveform (oscilloscope) -----
+            if (waveformCtx && waveformCanvas) {
+              const w = waveformCanvas.width
+              const h = waveformCanvas.height
+              waveformCtx.fillStyle = '#000'
+              waveformCtx.fillRect(0, 0, w, h)
+
+              waveformCtx.lineWidth = 2
+              waveformCtx.strokeStyle = '#4caf50'
+              waveformCtx.beginPath()
+
+              const sliceWidth = w / timeDomainArray.length
+              let x = 0
+              for (let i = 0; i < timeDomainArray.length; i += 1) {
+                const v = timeDomainArray[i] / 128.0 // around 1 at midline
+                const y = (v / 2) * h
+                if (i === 0) {
+                  waveformCtx.moveTo(x, y)
+                } else {
+                  waveformCtx.lineTo(x, y)
+                }
+                x += sliceWidth
               }
-              x += sliceWidth
+              waveformCtx.stroke()
             }
-            waveformCtx.stroke()
-          }
 
-          // ----- Instantaneous spectrum (FFT line plot) -----
-          if (spectrumCtx && spectrumCanvas) {
-            const w = spectrumCanvas.width
-            const h = spectrumCanvas.height
-            spectrumCtx.fillStyle = '#000'
-            spectrumCtx.fillRect(0, 0, w, h)
-
-            spectrumCtx.lineWidth = 2
-            spectrumCtx.strokeStyle = '#ff9800' // Original orange
-            spectrumCtx.beginPath()
-
-            const step = Math.ceil(bufferLength / w)
-            let x = 0
-            for (let i = 0; i < bufferLength; i += step) {
-              const value = freqDataArray[i] / 255
-              const y = h - value * h
-              if (x === 0) {
-                spectrumCtx.moveTo(x, y)
-              } else {
-                spectrumCtx.lineTo(x, y)
+            // ----- Spectrum (FFT line plot) with its held traces -----
+            spectrumTraces.add(dbfs)
+            if (spectrumCanvas) {
+              spectrumShownRef.current = {
+                source: 'Live',
+                at: null,
+                ...drawSpectrum(spectrumCanvas, dbfs, sampleRate / (dbfs.length * 2), {
+                  traces: spectrumTraces,
+                  view: spectrumViewRef.current,
+                  range: spectrumLevelRange(currentSettings),
+                  options: currentSettings.spectrum,
+                  overlays: spectrumOverlaysRef.current,
+                }),
               }
-              x += 1
             }
-            spectrumCtx.stroke()
           }
 
           animationFrameId = requestAnimationFrame(draw)
@@ -396,258 +1177,1778 @@ function App() {
           spectrumCtx.fillRect(0, 0, spectrumCanvas.width, spectrumCanvas.height)
         }
 
-        setIsListening(true)
-        draw()
-      } catch (err) {
-        console.error(err)
-        setError('Could not access microphone. Please allow mic permission in your browser.')
-        setIsListening(false)
+        setIsListening(true)
+        draw()
+      } catch (err) {
+        console.error(err)
+        setError('Could not access microphone. Please allow mic permission in your browser.')
+        setIsListening(false)
+      }
+    }
+
+    start()
+
+    return () => {
+      cancelled = true
+      if (animationFrameId) cancelAnimationFrame(animationFrameId)
+      if (source) source.disconnect()
+      if (tapNode) tapNode.disconnect()
+      if (analysisWorker) {
+        analysisWorker.terminate()
+        if (analysisWorkerRef.current === analysisWorker) analysisWorkerRef.current = null
+      }
+      if (recorderNode) {
+        recorderNode.port.onmessage = null
+        recorderNode.disconnect()
+        if (recorderNodeRef.current === recorderNode) recorderNodeRef.current = null
+      }
+      if (audioContext) audioContext.close()
+      if (stream) stream.getTracks().forEach((track) => track.stop())
+      setIsListening(false)
+      setActiveInput(null)
+      setChannelPair(null)
+      setDetectorStatus(null)
+      setCapturingNoise(false)
+      clearTimeout(postRollTimerRef.current)
+      postRollTimerRef.current = null
+    }
+  }, [isReplaying, audioFile, settings.input])
+
+  // Keep as much recent input as a triggered recording's pre-roll may need
+  useEffect(() => {
+    recorderNodeRef.current?.port.postMessage({ command: 'arm', seconds: preRollHistorySeconds(settings.detection) })
+  }, [settings.detection])
+
+  // Static view of a recording's frames over the visible time range, with a playhead
+  useEffect(() => {
+    if (!isReplaying || !replayWindow) return undefined
+    const frames = recordedFramesRef.current
+    if (!frames.length) {
+      setIsReplaying(false)
+      return undefined
+    }
+
+    const spectrogramCanvas = spectrogramRef.current
+    const waveformCanvas = waveformRef.current
+    const spectrumCanvas = spectrumRef.current
+    const spectrogramCtx = spectrogramCanvas?.getContext('2d')
+    const waveformCtx = waveformCanvas?.getContext('2d')
+    if (!spectrogramCtx || !spectrogramCanvas) return undefined
+
+    const bufferLength = frames[0].freq.length
+    const sampleRate = sampleRateRef.current || 44100
+    const fftSize = fftSizeRef.current || bufferLength * 2
+    const duration = framesDuration(frames)
+    // How the byte frames were scaled, to recover dBFS levels
+    const decibelScaling = {
+      minDecibels: replayInfo.minDecibels,
+      maxDecibels: replayInfo.maxDecibels,
+      windowFunction: replayInfo.windowFunction,
+    }
+    const { start, end } = replayWindow
+    const specWidth = spectrogramCanvas.width
+    const specHeight = spectrogramCanvas.height
+    const secondsPerPixel = (end - start) / Math.max(1, specWidth - 1)
+
+    // Index of the frame nearest to `ms`
+    const nearestFrame = (ms) => {
+      let lo = 0
+      let hi = frames.length - 1
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1
+        if (frames[mid].t < ms) lo = mid + 1
+        else hi = mid
+      }
+      return lo > 0 && ms - frames[lo - 1].t < frames[lo].t - ms ? lo - 1 : lo
+    }
+
+    // ----- Visible range: one column per pixel, loudest frame value per bin -----
+    const spectrogramLayer = document.createElement('canvas')
+    spectrogramLayer.width = specWidth
+    spectrogramLayer.height = specHeight
+    const layerCtx = spectrogramLayer.getContext('2d')
+    const image = layerCtx.createImageData(specWidth, specHeight)
+
+    // Recordings with raw audio keep their channels: stacked lanes and a single
+    // channel are analysed from the audio, the mix comes from the stored frames
+    const replayAudio = replayAudioRef.current
+    const channels = replayAudio?.channels.length > 1 ? replayAudio.channels : null
+    const lanes = stackedLanes(specHeight, laneCount(settings.channelView, channels ? channels.length : 1))
+    const laneSignals =
+      channels && settings.channelView === 'stacked'
+        ? lanes.map((_, c) => channels[c])
+        : channels && settings.channelView === 'single'
+          ? [analysisChannel(channels, 'single', settings.channelIndex)]
+          : null
+    // Audio sample 0 was captured offsetMs after the first frame
+    const audioSampleAt = (time) => Math.round((time - (replayAudio?.offsetMs || 0) / 1000) * replayAudio.sampleRate)
+    const rowBins = rowBinRanges(lanes[0].height, sampleRate, fftSize, bufferLength, frequencyView)
+    const laneAnalyzer = laneSignals && createSpectrumAnalyzer(fftSize, replayInfo.windowFunction)
+
+    const column = new Uint8Array(bufferLength)
+    let frameIndex = 0
+    for (let x = 0; x < specWidth; x += 1) {
+      if (laneSignals) {
+        const center = audioSampleAt(start + x * secondsPerPixel)
+        laneSignals.forEach((signal, c) => {
+          laneAnalyzer.byteFrequencyData(signal, center - fftSize / 2, column, decibelScaling)
+          writeSpectrumColumn(image, x, column, rowBins, palette, lanes[c].top)
+        })
+        continue
+      }
+      const centerMs = (start + x * secondsPerPixel) * 1000
+      const fromMs = centerMs - (secondsPerPixel * 1000) / 2
+      const toMs = centerMs + (secondsPerPixel * 1000) / 2
+      while (frameIndex < frames.length && frames[frameIndex].t < fromMs) frameIndex += 1
+
+      column.fill(0)
+      let folded = 0
+      for (let j = frameIndex; j < frames.length && frames[j].t < toMs; j += 1) {
+        const { freq } = frames[j]
+        for (let i = 0; i < bufferLength; i += 1) {
+          if (freq[i] > column[i]) column[i] = freq[i]
+        }
+        folded += 1
+      }
+      // Zoomed in past the frame rate: columns between frames repeat the nearest one
+      if (!folded && centerMs >= frames[0].t && centerMs <= frames[frames.length - 1].t) {
+        column.set(frames[nearestFrame(centerMs)].freq)
+      }
+
+      writeSpectrumColumn(image, x, column, rowBins, palette)
+    }
+    layerCtx.putImageData(image, 0, 0)
+
+    // Stored F0 estimates of the visible frames
+    const pitchMinConfidence = settings.pitchMinConfidence
+    if (settings.showPitch) {
+      const contour = []
+      frames.forEach((frame) => {
+        if (!frame.pitch || frame.pitchConfidence < pitchMinConfidence) return
+        const x = (frame.t / 1000 - start) / secondsPerPixel
+        if (x >= 0 && x < specWidth) contour.push({ x, frequency: frame.pitch })
+      })
+      // Bridge gaps of up to ~100 ms (a few dropped frames) but not unvoiced stretches
+      lanes.forEach((lane) =>
+        drawPitchContour(layerCtx, contour, Math.max(2, 0.1 / secondsPerPixel), (freq) =>
+          laneFreqToY(freq, frequencyView, lane),
+        ),
+      )
+    }
+    const toX = (time) => (time - start) / secondsPerPixel
+    drawDetectionMarkers(layerCtx, replayInfo.detections, toX)
+    lanes.forEach((lane) =>
+      drawSelectionBoxes(
+        layerCtx,
+        searchMatches.filter((match) => match.recordingId === replayInfo.id),
+        null,
+        toX,
+        (freq) => laneFreqToY(freq, frequencyView, lane),
+        MATCH_COLOR,
+      ),
+    )
+    drawAnnotations(layerCtx, replayAnnotations, toX)
+
+    timeAxisRef.current = { headTime: end, secondsPerPixel, originEpochMs: replayOriginRef.current }
+    drawSpectrogramGrid(
+      spectrogramOverlayRef.current,
+      frequencyView,
+      { ...timeAxisRef.current, mode: settingsRef.current.timeAxisMode, heardScale: heardTimeScaleRef.current },
+      lanes.length,
+    )
+
+    // Level difference and coherence of the channel pair around the playhead
+    const pair = channels ? pairIndices(settings.pairChannels, channels.length) : null
+    const pairFftSize = Math.min(fftSize, PAIR_MAX_FFT_SIZE)
+    let lastPairPosition = -1
+    let lastPairUpdate = 0
+    const updateChannelPair = (position) => {
+      const center = audioSampleAt(position)
+      const span = pairFftSize * 8
+      const { levelDifference, coherence } = measureChannelPair(
+        channels[pair[0]],
+        channels[pair[1]],
+        center - span / 2,
+        center + span / 2,
+        pairFftSize,
+        replayInfo.windowFunction,
+      )
+      setChannelPair({ levelDifference, coherence, binHz: replayAudio.sampleRate / pairFftSize, channels: pair })
+    }
+
+    const sourceKey = `recording:${replayingIdRef.current}`
+    const featureExtractor = createFeatureExtractor(sampleRate, fftSize)
+    const spectrumTraces = createSpectrumTraces()
+    spectrumTracesRef.current = spectrumTraces
+    let shownDbfs = null
+    let lastFrameIndex = -1
+    let animationFrameId
+
+    const drawReplay = () => {
+      const playback = replayPlaybackRef.current
+      const ctx = fileAudioContextRef.current
+      let position = Math.min(duration, playbackPosition(playback, ctx ? ctx.currentTime : 0))
+
+      // Reached the end: pause there
+      if (playback.playing && position >= duration) {
+        stopReplaySource()
+        replayPlaybackRef.current = { ...playback, startedAt: 0, offset: duration, playing: false }
+        setIsReplayPlaying(false)
+        position = duration
+      }
+
+      // Page the view along with the playhead while playing
+      const span = end - start
+      if (playback.playing && (position > end || position < start) && span < duration) {
+        setReplayWindow(panTimeRange({ start, end }, position - start, duration))
+        return
+      }
+
+      spectrogramCtx.drawImage(spectrogramLayer, 0, 0)
+      const playheadX = (position - start) / secondsPerPixel
+      if (playheadX >= 0 && playheadX <= specWidth) {
+        spectrogramCtx.strokeStyle = 'rgba(255, 255, 255, 0.85)'
+        spectrogramCtx.lineWidth = 1
+        spectrogramCtx.beginPath()
+        spectrogramCtx.moveTo(Math.round(playheadX) + 0.5, 0)
+        spectrogramCtx.lineTo(Math.round(playheadX) + 0.5, specHeight)
+        spectrogramCtx.stroke()
+      }
+      const markers = pinnedMarkersRef.current.filter((marker) => marker.sourceKey === sourceKey)
+      lanes.forEach((lane) => {
+        const toY = (freq) => laneFreqToY(freq, frequencyView, lane)
+        drawSelectionBoxes(
+          spectrogramCtx,
+          selectionsRef.current.filter((selection) => selection.sourceKey === sourceKey),
+          lane === lanes[0] ? spectrogramDragRef.current : null,
+          toX,
+          toY,
+        )
+        drawPinnedMarkers(spectrogramCtx, markers, toX, toY)
+      })
+
+      const now = performance.now()
+      const playing = playback.playing
+      if (pair && position !== lastPairPosition && (!playing || now - lastPairUpdate >= PAIR_UPDATE_INTERVAL_MS)) {
+        lastPairPosition = position
+        lastPairUpdate = now
+        updateChannelPair(position)
+      }
+
+      // Waveform, spectrum and analysis of the frame under the playhead
+      const index = nearestFrame(position * 1000)
+      if (index !== lastFrameIndex) {
+        lastFrameIndex = index
+        const { freq: freqDataArray, timeDomain: timeDomainArray } = frames[index]
+        const { pitch: pitchFrequency, pitchConfidence } = frames[index]
+        const pitch =
+          pitchFrequency && pitchConfidence >= pitchMinConfidence
+            ? { frequency: pitchFrequency, confidence: pitchConfidence }
+            : null
+
+        const dbfs = byteSpectrumToDbfs(freqDataArray, decibelScaling)
+        const analysis = calculateFrequencyAnalysis(dbfs, sampleRate, fftSize, pitch)
+        if (analysis) {
+          setTopResonance({ frequency: analysis.topResonating, level: analysis.topLevel })
+          setHarmonyInfo({
+            fundamental: analysis.fundamental,
+            fundamentalConfidence: analysis.fundamentalConfidence,
+            fundamentalLevel: analysis.fundamentalLevel,
+            harmonics: analysis.harmonics,
+          })
+          setLevelSpectrum({ dbfs, binHz: sampleRate / fftSize })
+        }
+        const waveform = Float32Array.from(timeDomainArray, (value) => (value - 128) / 128)
+        setFrameFeatures(featureExtractor.extract(dbfs, waveform, 0, waveform.length))
+        spectrumTraces.add(dbfs)
+        shownDbfs = dbfs
+        waveformShownRef.current = { samples: timeDomainArray, sampleRate }
+
+        // Waveform
+        if (waveformCtx && waveformCanvas) {
+          const w = waveformCanvas.width
+          const h = waveformCanvas.height
+          waveformCtx.fillStyle = '#000'
+          waveformCtx.fillRect(0, 0, w, h)
+          waveformCtx.lineWidth = 2
+          waveformCtx.strokeStyle = '#4caf50'
+          waveformCtx.beginPath()
+          const sliceWidth = w / timeDomainArray.length
+          let x = 0
+          for (let i = 0; i < timeDomainArray.length; i += 1) {
+            const v = timeDomainArray[i] / 128.0
+            const y = (v / 2) * h
+            if (i === 0) waveformCtx.moveTo(x, y)
+            else waveformCtx.lineTo(x, y)
+            x += sliceWidth
+          }
+          waveformCtx.stroke()
+        }
+      }
+
+      // Spectrum of the frame with its held traces, redrawn as the options change
+      if (spectrumCanvas && shownDbfs) {
+        spectrumShownRef.current = {
+          source: replayInfo.label,
+          at: position,
+          ...drawSpectrum(spectrumCanvas, shownDbfs, sampleRate / fftSize, {
+            traces: spectrumTraces,
+            view: spectrumViewRef.current,
+            range: spectrumLevelRange(decibelScaling),
+            options: settingsRef.current.spectrum,
+            overlays: spectrumOverlaysRef.current,
+          }),
+        }
+      }
+
+      setReplayPositionSec(position)
+      animationFrameId = requestAnimationFrame(drawReplay)
+    }
+
+    drawReplay()
+
+    return () => {
+      if (animationFrameId) cancelAnimationFrame(animationFrameId)
+      setChannelPair(null)
+    }
+  }, [
+    isReplaying,
+    replayInfo,
+    replayWindow,
+    frequencyView,
+    palette,
+    settings.showPitch,
+    settings.pitchMinConfidence,
+    settings.channelView,
+    settings.channelIndex,
+    settings.pairChannels,
+    searchMatches,
+    replayAnnotations,
+  ])
+
+  // Full-length view of a decoded audio file with a moving playhead
+  useEffect(() => {
+    if (!audioFile) return undefined
+
+    const spectrogramCanvas = spectrogramRef.current
+    const waveformCanvas = waveformRef.current
+    const spectrumCanvas = spectrumRef.current
+    const spectrogramCtx = spectrogramCanvas?.getContext('2d')
+    const waveformCtx = waveformCanvas?.getContext('2d')
+    if (!spectrogramCtx || !spectrogramCanvas) return undefined
+
+    const { buffer } = audioFile
+    const sampleRate = buffer.sampleRate
+    const processing = settings.processing
+    // Analysed (and measured) through the processing filters; playback stays raw
+    const channels = filtersActive(processing)
+      ? filterChannels(bufferChannels(buffer), processing.filters, sampleRate)
+      : bufferChannels(buffer)
+    // The mix or the selected channel; a stacked view shows every channel but analyses the mix
+    const samples = analysisChannel(channels, settings.channelView, settings.channelIndex)
+    fileSamplesRef.current = samples
+    const sourceKey = `file:${audioFile.name}`
+    const fftSize = settings.fftSize
+    const decibelRange = { minDecibels: settings.minDecibels, maxDecibels: settings.maxDecibels }
+    const bufferLength = fftSize / 2
+    const subtractor = createNoiseSubtractor(processing, sampleRate / fftSize, bufferLength)
+    const duration = buffer.duration
+    const spectrumAnalyzer = createSpectrumAnalyzer(fftSize, settings.windowFunction)
+    const playheadAnalyzer = createSpectrumAnalyzer(fftSize, settings.windowFunction)
+    const featureExtractor = createFeatureExtractor(sampleRate, fftSize)
+    const pitchSettings = {
+      pitchMethod: settings.pitchMethod,
+      pitchMinFrequency: settings.pitchMinFrequency,
+      pitchMaxFrequency: settings.pitchMaxFrequency,
+      pitchMinConfidence: settings.pitchMinConfidence,
+    }
+    const pitchTracker = createPitchTrackerFor(pitchSettings, sampleRate)
+    fftSizeRef.current = fftSize
+    bufferLengthRef.current = bufferLength
+
+    // ----- Whole-file spectrogram: one FFT column per canvas pixel -----
+    const specWidth = spectrogramCanvas.width
+    const specHeight = spectrogramCanvas.height
+    const spectrogramLayer = document.createElement('canvas')
+    spectrogramLayer.width = specWidth
+    spectrogramLayer.height = specHeight
+    const layerCtx = spectrogramLayer.getContext('2d')
+    const image = layerCtx.createImageData(specWidth, specHeight)
+
+    const lanes = stackedLanes(specHeight, laneCount(settings.channelView, channels.length))
+    const stacked = lanes.length > 1
+    const rowBins = rowBinRanges(lanes[0].height, sampleRate, fftSize, bufferLength, frequencyView)
+
+    const column = new Uint8Array(bufferLength)
+    const columnDbfs = new Float32Array(bufferLength)
+    const analyzeColumn = (signal, start) => {
+      spectrumAnalyzer.byteFrequencyData(signal, start, column, { ...decibelRange, dbfs: columnDbfs })
+      if (subtractor) subtractor.apply(columnDbfs, column, decibelRange, spectrumAnalyzer.dbfsOffset)
+    }
+    // Welch average of the whole file from the spectrogram's columns
+    const fileTraces = createSpectrumTraces()
+    for (let x = 0; x < specWidth; x += 1) {
+      const center = Math.round((x / Math.max(1, specWidth - 1)) * (samples.length - 1))
+      analyzeColumn(samples, center - fftSize / 2)
+      fileTraces.add(columnDbfs)
+      if (stacked) {
+        lanes.forEach((lane, c) => {
+          analyzeColumn(channels[c], center - fftSize / 2)
+          writeSpectrumColumn(image, x, column, rowBins, palette, lane.top)
+        })
+      } else {
+        writeSpectrumColumn(image, x, column, rowBins, palette)
+      }
+    }
+    layerCtx.putImageData(image, 0, 0)
+    const averageDbfs = fileTraces.average()
+
+    // ----- F0 contour across the file -----
+    if (settings.showPitch) {
+      const contour = []
+      for (let x = 0; x < specWidth; x += PITCH_COLUMN_STEP) {
+        const center = Math.round((x / Math.max(1, specWidth - 1)) * (samples.length - 1))
+        const pitch = confidentPitch(
+          pitchTracker.estimate(samples, center - pitchTracker.frameSize / 2),
+          pitchSettings,
+        )
+        if (pitch) contour.push({ x, frequency: pitch.frequency })
+      }
+      lanes.forEach((lane) =>
+        drawPitchContour(layerCtx, contour, PITCH_COLUMN_STEP * 2, (freq) => laneFreqToY(freq, frequencyView, lane)),
+      )
+    }
+
+    // The whole file spans the canvas, so the time axis runs from 0 to its duration
+    timeAxisRef.current = {
+      headTime: duration,
+      secondsPerPixel: duration / Math.max(1, specWidth - 1),
+      originEpochMs: null,
+    }
+    drawSpectrogramGrid(
+      spectrogramOverlayRef.current,
+      frequencyView,
+      { ...timeAxisRef.current, mode: settingsRef.current.timeAxisMode, heardScale: heardTimeScaleRef.current },
+      lanes.length,
+    )
+
+    // ----- Whole-file waveform envelope (min/max per pixel) -----
+    let waveformLayer = null
+    if (waveformCanvas) {
+      const w = waveformCanvas.width
+      const h = waveformCanvas.height
+      waveformLayer = document.createElement('canvas')
+      waveformLayer.width = w
+      waveformLayer.height = h
+      const ctx = waveformLayer.getContext('2d')
+      ctx.fillStyle = '#000'
+      ctx.fillRect(0, 0, w, h)
+      ctx.strokeStyle = '#4caf50'
+      ctx.lineWidth = 1
+      ctx.beginPath()
+      for (let x = 0; x < w; x += 1) {
+        const from = Math.floor((x * samples.length) / w)
+        const to = Math.max(from + 1, Math.floor(((x + 1) * samples.length) / w))
+        let min = 1
+        let max = -1
+        for (let i = from; i < to && i < samples.length; i += 1) {
+          if (samples[i] < min) min = samples[i]
+          if (samples[i] > max) max = samples[i]
+        }
+        if (max < min) continue
+        // Same vertical orientation as the live oscilloscope
+        ctx.moveTo(x + 0.5, ((1 + min) / 2) * h)
+        ctx.lineTo(x + 0.5, ((1 + max) / 2) * h + 1)
+      }
+      ctx.stroke()
+    }
+
+    const drawSelection = (ctx, w, h) => {
+      const selection = fileSelectionRef.current
+      if (!selection || duration <= 0) return
+      const x0 = (selection.start / duration) * w
+      const x1 = (selection.end / duration) * w
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.15)'
+      ctx.fillRect(x0, 0, Math.max(1, x1 - x0), h)
+    }
+
+    const drawPlayhead = (ctx, x, h) => {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)'
+      ctx.lineWidth = 1
+      ctx.beginPath()
+      ctx.moveTo(x + 0.5, 0)
+      ctx.lineTo(x + 0.5, h)
+      ctx.stroke()
+    }
+
+    const freqDataArray = new Uint8Array(bufferLength)
+    const dbfs = new Float32Array(bufferLength)
+    const spectrumTraces = createSpectrumTraces()
+    spectrumTracesRef.current = spectrumTraces
+    let lastComputedPosition = -1
+    let animationFrameId
+
+    // Level difference and coherence of the channel pair around the playhead
+    const pair = channels.length > 1 ? pairIndices(settings.pairChannels, channels.length) : null
+    const pairFftSize = Math.min(fftSize, PAIR_MAX_FFT_SIZE)
+    let lastPairPosition = -1
+    let lastPairUpdate = 0
+    const updateChannelPair = (center) => {
+      const span = pairFftSize * 8
+      const { levelDifference, coherence } = measureChannelPair(
+        channels[pair[0]],
+        channels[pair[1]],
+        center - span / 2,
+        center + span / 2,
+        pairFftSize,
+        settings.windowFunction,
+      )
+      setChannelPair({ levelDifference, coherence, binHz: sampleRate / pairFftSize, channels: pair })
+    }
+
+    const draw = () => {
+      const position = getFilePosition(duration)
+      const progress = duration > 0 ? position / duration : 0
+
+      spectrogramCtx.drawImage(spectrogramLayer, 0, 0)
+      drawSelection(spectrogramCtx, specWidth, specHeight)
+      drawPlayhead(spectrogramCtx, progress * (specWidth - 1), specHeight)
+      const markers = pinnedMarkersRef.current.filter((marker) => marker.sourceKey === sourceKey)
+      lanes.forEach((lane) => {
+        const toX = (time) => (time / duration) * (specWidth - 1)
+        const toY = (freq) => laneFreqToY(freq, frequencyView, lane)
+        drawSelectionBoxes(
+          spectrogramCtx,
+          selectionsRef.current.filter((selection) => selection.sourceKey === sourceKey),
+          lane === lanes[0] ? spectrogramDragRef.current : null,
+          toX,
+          toY,
+        )
+        drawPinnedMarkers(spectrogramCtx, markers, toX, toY)
+      })
+
+      if (waveformCtx && waveformLayer) {
+        waveformCtx.drawImage(waveformLayer, 0, 0)
+        drawSelection(waveformCtx, waveformCanvas.width, waveformCanvas.height)
+        drawPlayhead(waveformCtx, progress * (waveformCanvas.width - 1), waveformCanvas.height)
+      }
+
+      // Spectrum at the playhead, smoothed like the live view while playing
+      const playing = filePlaybackRef.current.playing
+      if (playing || position !== lastComputedPosition) {
+        const center = Math.round(position * sampleRate)
+        playheadAnalyzer.byteFrequencyData(samples, center - fftSize / 2, freqDataArray, {
+          ...decibelRange,
+          smoothing: playing ? settingsRef.current.smoothing : 0,
+          dbfs,
+        })
+        if (subtractor) subtractor.apply(dbfs, freqDataArray, decibelRange, playheadAnalyzer.dbfsOffset)
+        spectrumTraces.add(dbfs)
+        const playheadPitch = confidentPitch(
+          pitchTracker.estimate(samples, center - pitchTracker.frameSize / 2),
+          pitchSettings,
+        )
+        lastComputedPosition = position
+
+        const analysis = calculateFrequencyAnalysis(dbfs, sampleRate, fftSize, playheadPitch)
+        if (analysis) {
+          setTopResonance({ frequency: analysis.topResonating, level: analysis.topLevel })
+          setHarmonyInfo({
+            fundamental: analysis.fundamental,
+            fundamentalConfidence: analysis.fundamentalConfidence,
+            fundamentalLevel: analysis.fundamentalLevel,
+            harmonics: analysis.harmonics,
+          })
+          setLevelSpectrum({ dbfs: dbfs.slice(), binHz: sampleRate / fftSize })
+        }
+        setFrameFeatures(featureExtractor.extract(dbfs, samples, center - fftSize / 2))
+
+        const now = performance.now()
+        if (pair && position !== lastPairPosition && (!playing || now - lastPairUpdate >= PAIR_UPDATE_INTERVAL_MS)) {
+          lastPairPosition = position
+          lastPairUpdate = now
+          updateChannelPair(center)
+        }
+      }
+
+      if (spectrumCanvas) {
+        // The whole-file average stands in for the running one
+        spectrumShownRef.current = {
+          source: audioFile.name,
+          at: position,
+          ...drawSpectrum(spectrumCanvas, dbfs, sampleRate / fftSize, {
+            traces: spectrumTraces,
+            view: spectrumViewRef.current,
+            range: spectrumLevelRange({ ...decibelRange, windowFunction: settings.windowFunction }),
+            options: settingsRef.current.spectrum,
+            overlays: spectrumOverlaysRef.current,
+            average: averageDbfs,
+          }),
+        }
+      }
+
+      setFilePositionSec(position)
+      animationFrameId = requestAnimationFrame(draw)
+    }
+
+    draw()
+
+    return () => {
+      if (animationFrameId) cancelAnimationFrame(animationFrameId)
+      setChannelPair(null)
+    }
+  }, [
+    audioFile,
+    frequencyView,
+    palette,
+    settings.fftSize,
+    settings.windowFunction,
+    settings.minDecibels,
+    settings.maxDecibels,
+    settings.pitchMethod,
+    settings.pitchMinFrequency,
+    settings.pitchMaxFrequency,
+    settings.pitchMinConfidence,
+    settings.showPitch,
+    settings.channelView,
+    settings.channelIndex,
+    settings.pairChannels,
+    settings.processing,
+  ])
+
+  // Release the file playback context on unmount
+  useEffect(() => {
+    const playback = filePlaybackRef.current
+    return () => {
+      playback.playing = false
+      if (fileAudioContextRef.current) fileAudioContextRef.current.close()
+    }
+  }, [])
+
+  // Current playhead position of the open audio file, in seconds
+  const getFilePosition = (duration) => {
+    const playback = filePlaybackRef.current
+    const ctx = fileAudioContextRef.current
+    return Math.min(duration, Math.max(0, playbackPosition(playback, ctx ? ctx.currentTime : 0)))
+  }
+
+  // Stop the current file source without triggering its end-of-file handling
+  const stopFileSource = () => {
+    playbackRequestRef.current += 1
+    const source = fileSourceRef.current
+    if (!source) return
+    source.onended = null
+    try {
+      source.stop()
+    } catch {
+      // already stopped
+    }
+    source.disconnect()
+    fileSourceRef.current = null
+  }
+
+  // Resolves to the buffer to play for a transposition, or null once another
+  // buffer is asked for. Heterodyned copies are made once per buffer and shift,
+  // a segment at a time between renders as that takes a while on long files,
+  // with the progress shown in the transport
+  const playbackBuffer = (buffer, transposition) => {
+    const shift = heterodyneShift(transposition)
+    const cached = heterodyneCacheRef.current
+    if (cached && cached.source === buffer && cached.shift === shift) return cached.buffer
+    // Asking for anything else abandons a copy still being made
+    if (cached && !cached.ready) {
+      heterodyneCacheRef.current = null
+      setHeterodyneProgress(null)
+    }
+    if (!shift) return Promise.resolve(buffer)
+
+    const entry = { source: buffer, shift, ready: false }
+    const makeShifted = async () => {
+      const shifted = fileAudioContextRef.current.createBuffer(
+        buffer.numberOfChannels,
+        buffer.length,
+        buffer.sampleRate,
+      )
+      setHeterodyneProgress(0)
+      for (let c = 0; c < buffer.numberOfChannels; c += 1) {
+        const out = new Float32Array(buffer.length)
+        for (const done of heterodyneSegments(buffer.getChannelData(c), shift, buffer.sampleRate, out)) {
+          await new Promise((resolve) => setTimeout(resolve, 0))
+          if (heterodyneCacheRef.current !== entry) return null
+          setHeterodyneProgress((c + done) / buffer.numberOfChannels)
+        }
+        shifted.copyToChannel(out, c)
+      }
+      entry.ready = true
+      setHeterodyneProgress(null)
+      return shifted
+    }
+    entry.buffer = makeShifted()
+    heterodyneCacheRef.current = entry
+    return entry.buffer
+  }
+
+  // Play the open file from `offset` seconds, once its playback buffer is ready;
+  // until then the playhead holds there and can still be moved
+  const startFileSource = async (offset, transposition = settings.transposition) => {
+    const ctx = fileAudioContextRef.current
+    if (!ctx || !audioFile) return
+    stopFileSource()
+    const request = playbackRequestRef.current
+    filePlaybackRef.current = { startedAt: 0, offset, playing: false }
+    setIsFilePlaying(false)
+
+    const buffer = await playbackBuffer(audioFile.buffer, transposition)
+    if (!buffer || request !== playbackRequestRef.current) return
+    const position = filePlaybackRef.current.offset
+    const rate = transpositionRate(transposition)
+    const source = ctx.createBufferSource()
+    source.buffer = buffer
+    source.playbackRate.value = rate
+    source.connect(ctx.destination)
+    source.onended = () => {
+      // Played through to the end of the file
+      fileSourceRef.current = null
+      filePlaybackRef.current = { startedAt: 0, offset: audioFile.buffer.duration, playing: false }
+      setIsFilePlaying(false)
+    }
+    source.start(0, position)
+    fileSourceRef.current = source
+    filePlaybackRef.current = { startedAt: ctx.currentTime, offset: position, playing: true, rate }
+    setIsFilePlaying(true)
+  }
+
+  const handleOpenAudioFileClick = () => {
+    if (audioFileInputRef.current) {
+      audioFileInputRef.current.click()
+    }
+  }
+
+  // Playback context shared by every file opened in file mode and by recording replay
+  const ensureFileAudioContext = () => {
+    if (!fileAudioContextRef.current) {
+      fileAudioContextRef.current = new (window.AudioContext || window.webkitAudioContext)()
+    }
+    return fileAudioContextRef.current
+  }
+
+  // Decode at the file's own sample rate where it can be read (WAV), so
+  // ultrasound above the playback context's Nyquist frequency is kept
+  const decodeAtFileRate = async (data) => {
+    const ctx = ensureFileAudioContext()
+    try {
+      const sampleRate = readWavSampleRate(data)
+      if (sampleRate && sampleRate !== ctx.sampleRate) {
+        // decodeAudioData detaches what it is given, so keep `data` for the fallback
+        return await new OfflineAudioContext(1, 1, sampleRate).decodeAudioData(data.slice(0))
+      }
+    } catch (e) {
+      // A malformed header or an unsupported rate: let the browser decode it as it can
+      console.error("Failed to decode at the file's own sample rate", e)
+    }
+    return ctx.decodeAudioData(data)
+  }
+
+  // Switch to file mode for a decoded AudioBuffer
+  const openAudioBuffer = (buffer, name) => {
+    stopFileSource()
+    filePlaybackRef.current = { startedAt: 0, offset: 0, playing: false }
+    const nyquist = buffer.sampleRate / 2
+    nyquistRef.current = nyquist
+    setNyquistHz(nyquist)
+    sampleRateRef.current = buffer.sampleRate
+    fftSizeRef.current = settings.fftSize
+    bufferLengthRef.current = settings.fftSize / 2
+
+    if (isReplaying) handleCloseReplay()
+    setIsFilePlaying(false)
+    setFilePositionSec(0)
+    updateFileSelection(null)
+    setAudioFile({ name, buffer })
+  }
+
+  const handleOpenAudioFile = async (event) => {
+    const file = event.target.files && event.target.files[0]
+    if (!file) return
+    try {
+      setError('')
+      const data = await file.arrayBuffer()
+      const buffer = await decodeAtFileRate(data)
+      openAudioBuffer(buffer, file.name)
+    } catch (e) {
+      console.error('Failed to decode audio file', e)
+      setError('Could not decode this audio file. Try a WAV, MP3 or FLAC file.')
+    } finally {
+      // reset input so same file can be chosen again if needed
+      event.target.value = ''
+    }
+  }
+
+  const handleToggleFilePlayback = () => {
+    if (!audioFile) return
+    const duration = audioFile.buffer.duration
+
+    if (filePlaybackRef.current.playing) {
+      const offset = getFilePosition(duration)
+      stopFileSource()
+      filePlaybackRef.current = { startedAt: 0, offset, playing: false }
+      setIsFilePlaying(false)
+      return
+    }
+
+    const ctx = fileAudioContextRef.current
+    if (ctx && ctx.state === 'suspended') ctx.resume()
+    const { offset } = filePlaybackRef.current
+    // Start over once the end of the file has been reached
+    startFileSource(offset >= duration ? 0 : offset)
+  }
+
+  const handleFileSeek = (seconds) => {
+    if (!audioFile) return
+    const offset = Math.max(0, Math.min(audioFile.buffer.duration, seconds))
+    if (filePlaybackRef.current.playing) {
+      startFileSource(offset)
+    } else {
+      filePlaybackRef.current = { startedAt: 0, offset, playing: false }
+    }
+    setFilePositionSec(offset)
+  }
+
+  // Click on the spectrogram to seek within an open file or the replay view
+  const handleCanvasSeek = (event) => {
+    if (isReplaying && replayWindow) {
+      handleReplaySeek(replayWindow.start + canvasFraction(event) * (replayWindow.end - replayWindow.start))
+      return
+    }
+    if (!audioFile) return
+    handleFileSeek(canvasFraction(event) * audioFile.buffer.duration)
+  }
+
+  const updateFileSelection = (selection) => {
+    fileSelectionRef.current = selection
+    setFileSelection(selection)
+  }
+
+  // Waveform: drag to select a time range, click to seek
+  const handleWaveformMouseDown = (event) => {
+    if (!audioFile) return
+    waveformDragRef.current = { startFrac: canvasFraction(event), startX: event.nativeEvent.offsetX }
+  }
+
+  // Crosshair readout of the sample at the pointer: in the open file, or in the
+  // live or replayed frame the oscilloscope shows
+  const handleWaveformHover = (event) => {
+    const canvas = waveformRef.current
+    if (!canvas) return
+    const x = canvasFraction(event)
+    const y = Math.min(Math.max(event.nativeEvent.offsetY / (canvas.clientHeight || canvas.height), 0), 1)
+    let lines
+    if (audioFile && fileSamplesRef.current) {
+      const samples = fileSamplesRef.current
+      const index = Math.round(x * (samples.length - 1))
+      const time = index / audioFile.buffer.sampleRate
+      lines = [formatSeconds(time), `Sample ${index}`, formatAmplitude(samples[index])]
+    } else if ((isListening || isReplaying) && waveformShownRef.current) {
+      const { samples, sampleRate } = waveformShownRef.current
+      const index = Math.round(x * (samples.length - 1))
+      lines = [
+        `Sample ${index + 1} of ${samples.length}`,
+        `+${((index / sampleRate) * 1000).toFixed(2)} ms into the frame`,
+        formatAmplitude((samples[index] - 128) / 128),
+      ]
+    } else {
+      return
+    }
+    setCursor({ canvas: 'waveform', x, y, lines })
+  }
+
+  const handleWaveformMouseMove = (event) => {
+    handleWaveformHover(event)
+    const drag = waveformDragRef.current
+    if (!drag || !audioFile) return
+    if (Math.abs(event.nativeEvent.offsetX - drag.startX) < 3) return
+    const duration = audioFile.buffer.duration
+    const a = drag.startFrac * duration
+    const b = canvasFraction(event) * duration
+    updateFileSelection({ start: Math.min(a, b), end: Math.max(a, b) })
+  }
+
+  const handleWaveformMouseUp = (event) => {
+    const drag = waveformDragRef.current
+    waveformDragRef.current = null
+    if (!drag || !audioFile) return
+    if (Math.abs(event.nativeEvent.offsetX - drag.startX) < 3) {
+      handleFileSeek(drag.startFrac * audioFile.buffer.duration)
+    }
+  }
+
+  const handleCloseAudioFile = () => {
+    stopFileSource()
+    filePlaybackRef.current = { startedAt: 0, offset: 0, playing: false }
+    setIsFilePlaying(false)
+    setFilePositionSec(0)
+    updateFileSelection(null)
+    setAudioFile(null)
+  }
+
+  // Ask the PCM recorder to stop and resolve with the captured audio (or null)
+  const finishPcmCapture = () =>
+    new Promise((resolve) => {
+      const captured = capturedAudioRef.current
+      const node = recorderNodeRef.current
+      let settled = false
+      const finish = () => {
+        if (settled) return
+        settled = true
+        captured.onStopped = null
+        const channels = concatPcmChunks(captured.chunks)
+        captured.chunks = []
+        resolve(channels.length && channels[0].length ? { ...captured, channels } : null)
+      }
+      if (!node) {
+        finish()
+        return
+      }
+      captured.onStopped = finish
+      node.port.postMessage({ command: 'stop' })
+      setTimeout(finish, CAPTURE_STOP_TIMEOUT_MS)
+    })
+
+  // Ask the analysis worker to stop recording frames; resolves once the last
+  // ones have been added to recordedFramesRef
+  const finishFrameCapture = () =>
+    new Promise((resolve) => {
+      const worker = analysisWorkerRef.current
+      if (!worker) {
+        resolve()
+        return
+      }
+      let timer
+      const handleMessage = (event) => {
+        if (event.data?.type !== 'recordStopped') return
+        clearTimeout(timer)
+        worker.removeEventListener('message', handleMessage)
+        resolve()
+      }
+      timer = setTimeout(() => {
+        worker.removeEventListener('message', handleMessage)
+        resolve()
+      }, CAPTURE_STOP_TIMEOUT_MS)
+      worker.addEventListener('message', handleMessage)
+      worker.postMessage({ type: 'record', recording: false })
+    })
+
+  // Start recording the live input, beginning up to `preRoll` seconds in the past
+  // (as far back as the pre-roll history kept for detections goes)
+  const startRecording = ({ preRoll = 0 } = {}) => {
+    recordingStartRef.current = null
+    recordedFramesRef.current = []
+    recordingDetectionsRef.current = []
+    recordingLabelRef.current = `Recording ${recordings.length + 1}`
+    capturedAudioRef.current.chunks = []
+    capturedAudioRef.current.startMs = null
+    if (recorderNodeRef.current) {
+      recorderNodeRef.current.port.postMessage({ command: 'start', preRoll })
+    }
+    if (analysisWorkerRef.current) {
+      analysisWorkerRef.current.postMessage({ type: 'record', recording: true, preRoll })
+    }
+    setIsRecording(true)
+    isRecordingRef.current = true
+  }
+
+  // Stop the current recording and save it
+  const stopRecording = async () => {
+    if (!isRecordingRef.current) return
+    clearTimeout(postRollTimerRef.current)
+    postRollTimerRef.current = null
+    autoRecordingRef.current = false
+    setIsRecording(false)
+    isRecordingRef.current = false
+    const [captured] = await Promise.all([finishPcmCapture(), finishFrameCapture()])
+    const frames = recordedFramesRef.current
+    const framesStartMs = recordingStartRef.current
+    const startedAt = recordingStartEpochRef.current
+    if (frames && frames.length) {
+      const durationMs = frames[frames.length - 1].t
+      const createdAt = new Date()
+      const index = recordings.length + 1
+      const id = `${createdAt.getTime()}-${index}`
+
+      // The recording metadata only keeps a description of the raw audio
+      const audio = captured && {
+        sampleRate: captured.sampleRate,
+        channelCount: captured.channels.length,
+        durationMs: (captured.channels[0].length / captured.sampleRate) * 1000,
+        offsetMs:
+          captured.startMs != null && framesStartMs != null ? captured.startMs - framesStartMs : 0,
+      }
+
+      const saved = await storeRecording(
+        {
+          id,
+          label: recordingLabelRef.current || `Recording ${index}`,
+          createdAt: createdAt.toISOString(),
+          recordedAt: createdAt.toISOString(),
+          // Wall-clock time of the first frame, for clock labels on replay
+          startedAt: new Date(startedAt ?? createdAt.getTime() - durationMs).toISOString(),
+          durationMs,
+          nyquistHz: nyquistRef.current,
+          sampleRate: sampleRateRef.current,
+          fftSize: fftSizeRef.current,
+          bufferLength: bufferLengthRef.current,
+          windowFunction: settingsRef.current.windowFunction,
+          minDecibels: settingsRef.current.minDecibels,
+          maxDecibels: settingsRef.current.maxDecibels,
+          // Frames follow the analysed signal: one input channel (0-based), or null for the mix
+          channel:
+            settingsRef.current.channelView === 'single' && inputChannelCount > 1
+              ? Math.min(settingsRef.current.channelIndex, inputChannelCount - 1)
+              : null,
+          pitch: {
+            method: settingsRef.current.pitchMethod,
+            minFrequency: settingsRef.current.pitchMinFrequency,
+            maxFrequency: settingsRef.current.pitchMaxFrequency,
+          },
+          audio,
+          // Detections during the recording, in seconds from its first frame
+          detections: recordingDetectionsRef.current,
+        },
+        frames,
+        captured && { sampleRate: captured.sampleRate, channels: captured.channels },
+      )
+      if (saved) setRecordings((prev) => [saved, ...prev])
+    }
+  }
+
+  const handleToggleRecording = () => {
+    if (isReplaying || audioFile) return
+    if (isRecordingRef.current) stopRecording()
+    else startRecording()
+  }
+
+  // Detections from a live worker update: mark and log them, and start or stop
+  // a triggered recording. Event times are on the update's analysis clock.
+  const handleDetections = ({ detections: events, time, originTime }) => {
+    const detection = settingsRef.current.detection
+    events.forEach(({ type, event }) => {
+      const markers = liveDetectionsRef.current
+      if (type === 'start') {
+        // An event left open by a restarted detector ends where the next one starts
+        markers.forEach((marker) => {
+          if (marker.end == null) marker.end = event.start
+        })
+        markers.push({ id: event.id, number: nextDetectionNumberRef.current, start: event.start, end: null })
+        nextDetectionNumberRef.current += 1
+
+        if (detection.autoRecord && !isRecordingRef.current) {
+          autoRecordingRef.current = true
+          // The pre-roll runs back from when the event started, not from now
+          startRecording({ preRoll: detection.preRoll > 0 ? detection.preRoll + (time - event.start) : 0 })
+        }
+        clearTimeout(postRollTimerRef.current)
+        postRollTimerRef.current = null
+        return
+      }
+
+      const marker = markers.find((m) => m.id === event.id && m.end == null)
+      const number = marker ? marker.number : nextDetectionNumberRef.current++
+      if (marker) marker.end = event.end
+
+      const startMs = recordingStartRef.current
+      if (isRecordingRef.current && startMs != null) {
+        const toRecording = (seconds) => Math.max(0, originTime + seconds - startMs / 1000)
+        recordingDetectionsRef.current.push({
+          number,
+          start: toRecording(event.start),
+          end: toRecording(event.end),
+          peakFrequency: event.peakFrequency,
+        })
+      }
+      setDetections((prev) => [
+        ...prev,
+        {
+          number,
+          // Wall-clock time the event started, from how long ago it was on the audio clock
+          detectedAt: new Date(Date.now() - (time - event.start) * 1000).toISOString(),
+          method: DETECTION_METHODS.find((m) => m.id === detection.method)?.label ?? detection.method,
+          duration: event.duration,
+          peakFrequency: event.peakFrequency,
+          peakLevel: toDisplayLevel(event.peakLevel, event.peakFrequency, calibration),
+          levelUnit: levelUnit(calibration),
+          peakScore: event.peakScore,
+          recording: isRecordingRef.current ? recordingLabelRef.current : '',
+        },
+      ])
+
+      if (autoRecordingRef.current && isRecordingRef.current) {
+        clearTimeout(postRollTimerRef.current)
+        postRollTimerRef.current = setTimeout(() => liveHandlersRef.current.stopRecording(), detection.postRoll * 1000)
+      }
+    })
+  }
+
+  useEffect(() => {
+    liveHandlersRef.current = { handleDetections, stopRecording }
+  })
+
+  const handleExportDetections = () => {
+    if (!detections.length) return
+    const blob = new Blob([rowsToCsv(DETECTION_COLUMNS, detections)], { type: 'text/csv' })
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+    downloadBlob(blob, `venura-frequency-detections-${stamp}.csv`)
+  }
+
+  const handleClearDetections = () => {
+    setDetections([])
+    nextDetectionNumberRef.current = 1
+  }
+
+  // Frequency at pixel row `y` of the spectrogram, in the lane of row `laneY`
+  // (stacked channels each span the frequency view)
+  const spectrogramYToFreq = (y, height, laneY = y) => {
+    const lane = laneAt(stackedLanes(height, spectrogramLaneCount), laneY)
+    return yToFreq(Math.min(Math.max(y - lane.top, 0), lane.height - 1), lane.height, frequencyView)
+  }
+
+  // Canvas pixel position of a mouse event on the spectrogram
+  const spectrogramPoint = (event) => {
+    const canvas = spectrogramRef.current
+    const scaleX = canvas.width / (canvas.clientWidth || canvas.width)
+    const scaleY = canvas.height / (canvas.clientHeight || canvas.height)
+    return {
+      x: Math.min(Math.max(event.nativeEvent.offsetX * scaleX, 0), canvas.width - 1),
+      y: Math.min(Math.max(event.nativeEvent.offsetY * scaleY, 0), canvas.height - 1),
+    }
+  }
+
+  // Time (s) at canvas x in the file or replay view; the live view has no fixed time axis
+  const spectrogramXToTime = (x, width) => {
+    const frac = x / Math.max(1, width - 1)
+    if (isReplaying && replayWindow) {
+      return replayWindow.start + frac * (replayWindow.end - replayWindow.start)
+    }
+    if (audioFile) return frac * audioFile.buffer.duration
+    return null
+  }
+
+  // { spectra, binHz } of a selection box on the open file or replayed recording, or null
+  const boxSpectra = (box) => {
+    if (audioFile) {
+      const { sampleRate } = audioFile.buffer
+      const spectra = spectraFromSamples(
+        fileSamplesRef.current,
+        sampleRate,
+        box.begin,
+        box.end,
+        settings.fftSize,
+        settings.windowFunction,
+      )
+      return { spectra, binHz: sampleRate / settings.fftSize }
+    }
+    if (!isReplaying || !replayInfo) return null
+    const fftSize = fftSizeRef.current
+    const replayAudio = replayAudioRef.current
+    if (replayAudio && replayAudio.samples) {
+      // Audio sample 0 was captured offsetMs after the first frame
+      const offsetSec = (replayAudio.offsetMs || 0) / 1000
+      // The channel on screen, like an open file's; otherwise the mix
+      const samples =
+        settings.channelView === 'single' && replayAudio.channels.length > 1
+          ? analysisChannel(replayAudio.channels, 'single', settings.channelIndex)
+          : replayAudio.samples
+      const spectra = spectraFromSamples(
+        samples,
+        replayAudio.sampleRate,
+        box.begin - offsetSec,
+        box.end - offsetSec,
+        fftSize,
+        replayInfo.windowFunction,
+      )
+      return { spectra, binHz: replayAudio.sampleRate / fftSize }
+    }
+    const spectra = spectraFromFrames(recordedFramesRef.current, box.begin, box.end, replayInfo)
+    return { spectra, binHz: sampleRateRef.current / fftSize }
+  }
+
+  // Measure a { begin, end, lowFreq, highFreq } box in the open file or recording.
+  // Raw audio is measured directly; frame-only recordings use their stored spectra.
+  const measureBox = (box) => {
+    const measured = boxSpectra(box)
+    return measured && measureSelection(box, measured.spectra, measured.binHz, calibration)
+  }
+
+  // { time, freq, level } under canvas point { x, y } of the spectrogram, the level
+  // in display units; time and level are null while nothing is on screen
+  const spectrogramReading = ({ x, y }) => {
+    const canvas = spectrogramRef.current
+    const freq = Math.max(frequencyView.minFreq, Math.min(frequencyView.maxFreq, spectrogramYToFreq(y, canvas.height)))
+    let time = spectrogramXToTime(x, canvas.width)
+    let dbfs = null
+    if (time != null) {
+      const measured = boxSpectra({ begin: time, end: time })
+      if (measured?.spectra.length) dbfs = binLevel(measured.spectra[0], measured.binHz, freq)
+    } else if (isListening && timeAxisRef.current) {
+      // The live waterfall keeps no audio: read the column drawn at x
+      const { headTime, secondsPerPixel } = timeAxisRef.current
+      time = xToTime(x, headTime, secondsPerPixel, canvas.width)
+      const columns = liveColumnsRef.current
+      const column = columns[columns.length - canvas.width + Math.round(x)]
+      if (column) {
+        const binHz = sampleRateRef.current / (column.freq.length * 2)
+        dbfs = binLevel(byteSpectrumToDbfs(column.freq, settingsRef.current), binHz, freq)
+      }
+    }
+    return { time, freq, level: dbfs == null ? null : toDisplayLevel(dbfs, freq, calibration) }
+  }
+
+  // Crosshair readout of time, frequency and level at the pointer
+  const handleSpectrogramHover = (event) => {
+    const canvas = spectrogramRef.current
+    if (!canvas) return
+    const point = spectrogramPoint(event)
+    const { time, freq, level } = spectrogramReading(point)
+    setHoverFreqHz(freq)
+    setCursor({
+      canvas: 'spectrogram',
+      x: point.x / Math.max(1, canvas.width - 1),
+      y: point.y / Math.max(1, canvas.height - 1),
+      lines:
+        time == null ? [formatHertz(freq)] : [formatSeconds(time), formatHertz(freq), formatLevel(level, calibration)],
+    })
+  }
+
+  // The newest selection on the open file or replayed recording, if any
+  const openSourceKey = audioFile
+    ? `file:${audioFile.name}`
+    : isReplaying && replayInfo
+      ? `recording:${replayInfo.id}`
+      : null
+  const lastOpenSelection = selections.findLast((selection) => selection.sourceKey === openSourceKey)
+
+  // Markers are pinned on the same sources, or on the live view
+  const spectrogramSourceKey = openSourceKey || (isListening ? 'live' : null)
+  const shownMarkers = pinnedMarkers.filter((marker) => marker.sourceKey === spectrogramSourceKey)
+
+  // Pin a marker at canvas point { x, y } of the spectrogram; each source keeps the newest pair
+  const pinMarker = (point) => {
+    const sourceKey = spectrogramSourceKey
+    const { time, freq, level } = spectrogramReading(point)
+    if (!sourceKey || time == null) return
+    setPinnedMarkers((current) => {
+      const kept = current.filter((marker) => marker.sourceKey === sourceKey).slice(1 - MAX_PINNED_MARKERS)
+      const label = MARKER_LABELS.find((letter) => !kept.some((marker) => marker.label === letter))
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+      return [...kept, { id, label, sourceKey, time, freq, level }]
+    })
+  }
+
+  // A template (see dsp/detection createTemplate) of the last selection over its band, or null
+  const templateFromLastSelection = () => {
+    const measured = lastOpenSelection && boxSpectra(lastOpenSelection)
+    if (!measured || !measured.spectra.length) return null
+    const { begin, end, lowFreq, highFreq } = lastOpenSelection
+    return createTemplate(measured.spectra, measured.binHz, {
+      lowFrequency: lowFreq,
+      highFrequency: highFreq,
+      frameSeconds: Math.max(end - begin, 1e-3) / measured.spectra.length,
+    })
+  }
+
+  // Make the last selection the template of the template-match detector, over its band
+  const handleUseSelectionAsTemplate = () => {
+    const template = templateFromLastSelection()
+    if (!template) return
+    const { lowFrequency: lowFreq, highFrequency: highFreq } = template
+    setSettings((current) => ({
+      ...current,
+      detection: { ...current.detection, template, lowFrequency: lowFreq, highFrequency: highFreq },
+    }))
+  }
+
+  // Noise profiles for spectral subtraction, from the live input or the last selection
+  const handleCaptureNoise = () => {
+    if (!analysisWorkerRef.current) return
+    analysisWorkerRef.current.postMessage({ type: 'captureNoise', seconds: NOISE_CAPTURE_SECONDS })
+    setCapturingNoise(true)
+  }
+
+  const handleUseSelectionAsNoise = () => {
+    const measured = lastOpenSelection && boxSpectra(lastOpenSelection)
+    if (!measured || !measured.spectra.length) return
+    const noiseProfile = createNoiseProfile(measured.spectra, measured.binHz)
+    setSettings((current) => ({ ...current, processing: { ...current.processing, noiseProfile } }))
+  }
+
+  const handleUseSelectionForSearch = () => {
+    const template = templateFromLastSelection()
+    if (!template) return
+    setSearchTemplate({ ...template, source: `${lastOpenSelection.source} #${lastOpenSelection.number}` })
+    setSearchMatches([])
+  }
+
+  // Slide the search template along the stored frames of one or all recordings
+  // and rank the matches. Recordings are searched one at a time so the page stays responsive.
+  const handleSearchRecordings = async (scope, threshold) => {
+    if (!searchTemplate || searchProgress) return
+    const targets = scope === 'current' ? recordings.filter((r) => r.id === replayInfo?.id) : recordings
+    const found = []
+    for (let i = 0; i < targets.length; i += 1) {
+      setSearchProgress({ done: i, total: targets.length })
+      const recording = targets[i]
+      try {
+        const frames =
+          isReplaying && replayInfo?.id === recording.id
+            ? recordedFramesRef.current
+            : await loadRecordingFrames(recording.id)
+        if (frames.length) {
+          const fftSize = recording.fftSize || frames[0].freq.length * 2
+          const matches = searchFrames(
+            searchTemplate,
+            frames,
+            { binHz: (recording.sampleRate || 44100) / fftSize, scaling: recordingDecibelScaling(recording) },
+            threshold,
+          )
+          matches.forEach((match) => found.push({ ...match, recordingId: recording.id, label: recording.label }))
+        }
+      } catch (e) {
+        console.error('Failed to search recording', e)
+      }
+      await new Promise((resolve) => setTimeout(resolve, 0))
+    }
+    found.sort((a, b) => b.score - a.score)
+    setSearchMatches(
+      found.slice(0, MAX_MATCHES).map((match, i) => ({
+        ...match,
+        number: i + 1,
+        // Drawn like selections on the replayed spectrogram
+        lowFreq: searchTemplate.lowFrequency,
+        highFreq: searchTemplate.highFrequency,
+      })),
+    )
+    setSearchProgress(null)
+  }
+
+  // Acoustic features across the open file or replayed recording: from its
+  // samples where there are some, else from the stored frames
+  const handleAnalyzeFeatures = async () => {
+    if (!openSourceKey || analyzingFeatures) return
+    setAnalyzingFeatures(true)
+    // Let the button show the work before it blocks
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    try {
+      const replayAudio = replayAudioRef.current
+      let analyzed
+      if (audioFile) {
+        const { sampleRate } = audioFile.buffer
+        const options = { fftSize: settings.fftSize, windowFunction: settings.windowFunction }
+        analyzed = { sampleRate, fftSize: options.fftSize }
+        analyzed.frames = featureTrackFromSamples(fileSamplesRef.current, sampleRate, options)
+      } else if (replayAudio && replayAudio.samples) {
+        const options = {
+          fftSize: fftSizeRef.current,
+          windowFunction: replayInfo.windowFunction,
+          // Audio sample 0 was captured offsetMs after the first frame
+          offset: (replayAudio.offsetMs || 0) / 1000,
+        }
+        analyzed = { sampleRate: replayAudio.sampleRate, fftSize: options.fftSize }
+        analyzed.frames = featureTrackFromSamples(replayAudio.samples, replayAudio.sampleRate, options)
+      } else {
+        analyzed = { sampleRate: sampleRateRef.current, fftSize: fftSizeRef.current }
+        analyzed.frames = featureTrackFromFrames(recordedFramesRef.current, { ...analyzed, scaling: replayInfo })
       }
+      setFeatureTrack({
+        ...analyzed,
+        sourceKey: openSourceKey,
+        source: audioFile ? audioFile.name : replayInfo.label,
+        summary: summarizeFeatures(analyzed.frames),
+      })
+    } catch (e) {
+      console.error('Failed to extract features', e)
+    } finally {
+      setAnalyzingFeatures(false)
     }
+  }
 
-    if (!isListening) {
-      start()
+  // The feature track as 'summary' or 'frames' CSV, or as JSON with both
+  const handleExportFeatures = (format) => {
+    const track = featureTrack
+    if (!track) return
+    const name = `${toFileName(track.source)}-features`
+    if (format === 'json') {
+      const { source, sampleRate, fftSize, summary, frames } = track
+      const json = { source, sampleRate, fftSize, rolloffFraction: ROLLOFF_FRACTION, summary, frames }
+      downloadBlob(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }), `${name}.json`)
+      return
     }
+    const csv =
+      format === 'frames'
+        ? rowsToCsv(FEATURE_FRAME_COLUMNS, track.frames)
+        : rowsToCsv(FEATURE_SUMMARY_COLUMNS, track.summary)
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), `${name}-${format}.csv`)
+  }
 
-    return () => {
-      if (animationFrameId) cancelAnimationFrame(animationFrameId)
-      if (source) source.disconnect()
-      if (analyser) analyser.disconnect()
-      if (audioContext) audioContext.close()
+  // Open a match in replay, framed with some context and the playhead at its start
+  const handleOpenMatch = async (match) => {
+    const context = Math.max(MATCH_CONTEXT_SECONDS, match.end - match.begin)
+    const viewAround = (duration) => ({
+      start: Math.max(0, match.begin - context),
+      end: Math.min(duration, match.end + context),
+    })
+    if (isReplaying && replayInfo?.id === match.recordingId) {
+      handleReplaySeek(match.begin)
+      setReplayWindow(viewAround(replayInfo.duration))
+      return
     }
-  }, [isListening, isReplaying, useLogScale])
+    await handleReplay(match.recordingId, { at: match.begin, viewAround })
+  }
 
-  // Replay previously recorded frames onto the canvases
-  useEffect(() => {
-    if (!isReplaying) return undefined
-    const frames = recordedFramesRef.current
-    if (!frames.length) {
-      setIsReplaying(false)
-      return undefined
+  // Drag on a static spectrogram to select a region; a plain click seeks and
+  // Shift+click pins a marker (live too)
+  const handleSpectrogramMouseDown = (event) => {
+    if (event.shiftKey) {
+      pinMarker(spectrogramPoint(event))
+      return
     }
+    if (!audioFile && !isReplaying) return
+    const { x, y } = spectrogramPoint(event)
+    spectrogramDragRef.current = { x0: x, y0: y, x1: x, y1: y, moved: false }
+  }
 
-    const spectrogramCanvas = spectrogramRef.current
-    const waveformCanvas = waveformRef.current
-    const spectrumCanvas = spectrumRef.current
-    const spectrogramCtx = spectrogramCanvas?.getContext('2d')
-    const waveformCtx = waveformCanvas?.getContext('2d')
-    const spectrumCtx = spectrumCanvas?.getContext('2d')
+  const handleSpectrogramMouseMove = (event) => {
+    handleSpectrogramHover(event)
+    const drag = spectrogramDragRef.current
+    if (!drag) return
+    const { x, y } = spectrogramPoint(event)
+    drag.x1 = x
+    drag.y1 = y
+    if (Math.abs(x - drag.x0) >= 3 || Math.abs(y - drag.y0) >= 3) drag.moved = true
+  }
 
-    if (!spectrogramCtx || !spectrogramCanvas) {
-      setIsReplaying(false)
-      return undefined
+  const handleSpectrogramMouseUp = (event) => {
+    const drag = spectrogramDragRef.current
+    spectrogramDragRef.current = null
+    if (!drag) return
+    if (!drag.moved) {
+      handleCanvasSeek(event)
+      return
     }
 
-    const startTime = performance.now()
-
-    // Initialize spectrogram canvas to black once before replay
-    if (spectrogramCtx && spectrogramCanvas) {
-      spectrogramCtx.fillStyle = 'black'
-      spectrogramCtx.fillRect(0, 0, spectrogramCanvas.width, spectrogramCanvas.height)
+    const canvas = spectrogramRef.current
+    const begin = spectrogramXToTime(Math.min(drag.x0, drag.x1), canvas.width)
+    const end = spectrogramXToTime(Math.max(drag.x0, drag.x1), canvas.width)
+    if (begin == null) return
+    const box = {
+      begin,
+      end,
+      lowFreq: spectrogramYToFreq(Math.max(drag.y0, drag.y1), canvas.height, drag.y0),
+      highFreq: spectrogramYToFreq(Math.min(drag.y0, drag.y1), canvas.height, drag.y0),
     }
+    try {
+      const measured = measureBox(box)
+      if (!measured) return
+      const source = audioFile
+        ? { source: audioFile.name, sourceKey: `file:${audioFile.name}` }
+        : { source: replayInfo.label, sourceKey: `recording:${replayInfo.id}` }
+      setSelections((prev) => [
+        ...prev,
+        { ...measured, ...source, number: prev.length ? prev[prev.length - 1].number + 1 : 1 },
+      ])
+    } catch (e) {
+      console.error('Failed to measure selection', e)
+    }
+  }
 
-    const drawReplay = () => {
-      const elapsed = performance.now() - startTime
-      // Find frame with closest timestamp
-      let frame = frames[frames.length - 1]
-      for (let i = 0; i < frames.length; i += 1) {
-        if (frames[i].t >= elapsed) {
-          frame = frames[i]
-          break
-        }
-      }
+  const handleSpectrogramMouseLeave = () => {
+    spectrogramDragRef.current = null
+    setHoverFreqHz(null)
+    setCursor(null)
+  }
 
-      const { freq, timeDomain } = frame
+  const handleDeleteSelection = (number) => {
+    setSelections((prev) => prev.filter((selection) => selection.number !== number))
+  }
 
-      const freqDataArray = Uint8Array.from(freq)
-      const timeDomainArray = Uint8Array.from(timeDomain)
+  const handleExportSelections = () => {
+    if (!selections.length) return
+    const blob = new Blob([selectionsToCsv(selections)], { type: 'text/csv' })
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+    downloadBlob(blob, `venura-frequency-selections-${stamp}.csv`)
+  }
 
-      const bufferLength = freqDataArray.length
-      const sampleRate = sampleRateRef.current || 44100
-      const fftSize = fftSizeRef.current || 2048
+  // Frequencies the view may be zoomed or panned across
+  const frequencyLimits = () => [scaleFloor(frequencyView.scale), nyquistHz]
 
-      // Spectrogram: scroll left and draw a new 1px column, same as live view
-      const specWidth = spectrogramCanvas.width
-      const specHeight = spectrogramCanvas.height
-      const imageData = spectrogramCtx.getImageData(1, 0, specWidth - 1, specHeight)
-      spectrogramCtx.putImageData(imageData, 0, 0)
+  const updateFrequencyRange = ({ minFreq, maxFreq }) => {
+    setSettings((prev) => ({
+      ...prev,
+      minFrequency: roundFrequency(minFreq),
+      maxFrequency: roundFrequency(maxFreq),
+    }))
+  }
 
-      // Calculate frequency analysis for replay
-      const analysis = calculateFrequencyAnalysis(freqDataArray, sampleRate, fftSize)
-      if (analysis) {
-        setTopResonatingFreq(analysis.topResonating)
-        setHarmonyInfo({
-          fundamental: analysis.fundamental,
-          harmonics: analysis.harmonics,
-        })
-      }
+  const handleFrequencyInput = (key, value) => {
+    const next = { ...settings, [key]: value }
+    if (!Number.isFinite(value) || value < 0 || next.maxFrequency <= next.minFrequency) return
+    setSettings(next)
+  }
 
-      const barX = specWidth - 1
-      for (let i = 0; i < bufferLength; i += 1) {
-        const value = freqDataArray[i] / 255
-        const y = binToY(i, bufferLength, specHeight, useLogScale, sampleRate, fftSize)
-        
-        // Skip if out of 5-20000 Hz range
-        if (y < 0) continue
-        
-        // Original color mapping: dark background with purple/blue and some orange
-        const intensity = value
-        const r = Math.floor(255 * Math.pow(intensity, 3))
-        const g = Math.floor(50 * intensity)
-        const b = Math.floor(255 * Math.sqrt(intensity))
-        
-        spectrogramCtx.fillStyle = `rgb(${r}, ${g}, ${b})`
-        spectrogramCtx.fillRect(barX, y, 1, 1)
-      }
-
-      // Waveform
-      if (waveformCtx && waveformCanvas) {
-        const w = waveformCanvas.width
-        const h = waveformCanvas.height
-        waveformCtx.fillStyle = '#000'
-        waveformCtx.fillRect(0, 0, w, h)
-        waveformCtx.lineWidth = 2
-        waveformCtx.strokeStyle = '#4caf50'
-        waveformCtx.beginPath()
-        const sliceWidth = w / timeDomainArray.length
-        let x = 0
-        for (let i = 0; i < timeDomainArray.length; i += 1) {
-          const v = timeDomainArray[i] / 128.0
-          const y = (v / 2) * h
-          if (i === 0) waveformCtx.moveTo(x, y)
-          else waveformCtx.lineTo(x, y)
-          x += sliceWidth
-        }
-        waveformCtx.stroke()
-      }
-
-      // Spectrum
-      if (spectrumCtx && spectrumCanvas) {
-        const w = spectrumCanvas.width
-        const h = spectrumCanvas.height
-        spectrumCtx.fillStyle = '#000'
-        spectrumCtx.fillRect(0, 0, w, h)
-        spectrumCtx.lineWidth = 2
-        spectrumCtx.strokeStyle = '#ff9800'
-        spectrumCtx.beginPath()
-        const step = Math.ceil(bufferLength / w)
-        let x = 0
-        for (let i = 0; i < bufferLength; i += step) {
-          const value = freqDataArray[i] / 255
-          const y = h - value * h
-          if (x === 0) spectrumCtx.moveTo(x, y)
-          else spectrumCtx.lineTo(x, y)
-          x += 1
-        }
-        spectrumCtx.stroke()
-      }
+  const handleResetFrequencyRange = () => {
+    setSettings((prev) => ({
+      ...prev,
+      minFrequency: DEFAULT_SETTINGS.minFrequency,
+      maxFrequency: DEFAULT_SETTINGS.maxFrequency,
+    }))
+  }
 
-      // Continue until we reach the final frame time
-      if (elapsed <= frames[frames.length - 1].t && isReplaying) {
-        replayRequestIdRef.current = requestAnimationFrame(drawReplay)
-      } else {
-        setIsReplaying(false)
+  // Drag the frequency axis up/down to pan the visible range
+  const handleAxisPointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId)
+    axisDragRef.current = { startY: event.clientY, view: frequencyView }
+  }
+
+  const handleAxisPointerMove = (event) => {
+    const drag = axisDragRef.current
+    if (!drag) return
+    const height = event.currentTarget.clientHeight || 1
+    const deltaFrac = (event.clientY - drag.startY) / height
+    updateFrequencyRange(panFrequencyRange(drag.view, deltaFrac, frequencyLimits()))
+  }
+
+  const handleAxisPointerUp = () => {
+    axisDragRef.current = null
+  }
+
+  // Crosshair readout of the frequency and the levels each trace shows at the pointer
+  const handleSpectrumHover = (event) => {
+    const canvas = spectrumRef.current
+    if (!canvas) return
+    const width = canvas.width || 1
+    const x = (event.nativeEvent.offsetX * width) / (canvas.clientWidth || width)
+    const clampedX = Math.min(Math.max(x, 0), width - 1)
+    const freq = Math.min(nyquistRef.current, fractionToFreq(clampedX / Math.max(1, width - 1), spectrumView))
+    setHoverFreqHz(freq)
+
+    const lines = [formatHertz(freq)]
+    const shown = spectrumShownRef.current
+    if (shown) {
+      const traceLevel = (label, dbfs) => {
+        const level = toDisplayLevel(columnLevel(dbfs, shown.binHz, spectrumView, width, clampedX), freq, calibration)
+        lines.push(`${label} ${formatLevel(level, calibration)}`)
       }
+      traceLevel('Frame', shown.frame)
+      if (shown.held.peak) traceLevel('Peak', shown.held.peak)
+      if (shown.held.min) traceLevel('Min', shown.held.min)
+      if (shown.held.average) traceLevel('Average', shown.held.average)
     }
+    setCursor({
+      canvas: 'spectrum',
+      x: clampedX / Math.max(1, width - 1),
+      y: Math.min(Math.max(event.nativeEvent.offsetY / (canvas.clientHeight || canvas.height), 0), 1),
+      lines,
+    })
+  }
 
-    replayRequestIdRef.current = requestAnimationFrame(drawReplay)
+  // Keep the spectrum shown (the average while it is on) as an overlay
+  const handleFreezeSpectrum = () => {
+    const shown = spectrumShownRef.current
+    if (!shown?.dbfs) return
+    let label = shown.source
+    if (shown.averaged) label = `${shown.source} (average)`
+    else if (shown.at != null) label = `${shown.source} @ ${formatTime(shown.at)}`
+    setSpectrumOverlays((current) => {
+      const color = OVERLAY_COLORS.find((c) => !current.some((overlay) => overlay.color === c)) || OVERLAY_COLORS[0]
+      const overlay = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        label,
+        color,
+        dbfs: shown.dbfs.slice(),
+        binHz: shown.binHz,
+      }
+      return [...current, overlay].slice(-MAX_SPECTRUM_OVERLAYS)
+    })
+  }
 
-    return () => {
-      if (replayRequestIdRef.current) {
-        cancelAnimationFrame(replayRequestIdRef.current)
+  // Stop the replay's audio source (if any) without ending the replay
+  const stopReplaySource = () => {
+    playbackRequestRef.current += 1
+    const source = replaySourceRef.current
+    if (!source) return
+    try {
+      source.stop()
+    } catch {
+      // never started
+    }
+    source.disconnect()
+    replaySourceRef.current = null
+  }
+
+  // Play the open recording from `offset` seconds at `speed`; recordings without
+  // raw audio just advance the playhead on the playback context's clock. Like a
+  // file, it holds at `offset` until its playback buffer is ready.
+  const startReplayPlayback = async (offset, speed, transposition = settings.transposition) => {
+    const ctx = ensureFileAudioContext()
+    if (ctx.state === 'suspended') ctx.resume()
+    stopReplaySource()
+    const request = playbackRequestRef.current
+    replayPlaybackRef.current = { ...replayPlaybackRef.current, startedAt: 0, offset, playing: false, speed }
+    setIsReplayPlaying(false)
+
+    const replayAudio = replayAudioRef.current
+    const buffer = replayAudio && replayAudio.buffer ? await playbackBuffer(replayAudio.buffer, transposition) : null
+    if (request !== playbackRequestRef.current) return
+    // Seeking or a new speed while waiting moved the held playhead
+    const held = replayPlaybackRef.current
+    const rate = held.speed * transpositionRate(transposition)
+    if (buffer) {
+      const source = ctx.createBufferSource()
+      source.buffer = buffer
+      // Like a tape, faster or slower replay also shifts the pitch
+      source.playbackRate.value = rate
+      source.connect(ctx.destination)
+      // Audio sample 0 was captured offsetMs after the first frame
+      const audioOffset = held.offset - (replayAudio.offsetMs || 0) / 1000
+      if (audioOffset >= 0) {
+        source.start(ctx.currentTime, audioOffset)
+      } else {
+        source.start(ctx.currentTime - audioOffset / rate)
       }
+      replaySourceRef.current = source
     }
-  }, [isReplaying, useLogScale])
+    replayPlaybackRef.current = {
+      startedAt: ctx.currentTime,
+      offset: held.offset,
+      playing: true,
+      speed: held.speed,
+      rate,
+    }
+    setIsReplayPlaying(true)
+  }
 
-  const handleToggleRecording = () => {
-    if (isReplaying) return
-
-    // Starting a new recording
-    if (!isRecordingRef.current) {
-      recordingStartRef.current = null
-      recordedFramesRef.current = []
-      setIsRecording(true)
-      isRecordingRef.current = true
+  // Current replay playhead, in seconds
+  const getReplayPosition = () => {
+    const ctx = fileAudioContextRef.current
+    const position = playbackPosition(replayPlaybackRef.current, ctx ? ctx.currentTime : 0)
+    return Math.min(framesDuration(recordedFramesRef.current), position)
+  }
+
+  const handleToggleReplayPlayback = () => {
+    const playback = replayPlaybackRef.current
+    if (playback.playing) {
+      const offset = getReplayPosition()
+      stopReplaySource()
+      replayPlaybackRef.current = { ...playback, startedAt: 0, offset, playing: false }
+      setIsReplayPlaying(false)
       return
     }
+    // Start over once the end of the recording has been reached
+    const duration = framesDuration(recordedFramesRef.current)
+    startReplayPlayback(playback.offset >= duration ? 0 : playback.offset, playback.speed)
+  }
 
-    // Stopping current recording and saving it
-    setIsRecording(false)
-    isRecordingRef.current = false
-    const frames = recordedFramesRef.current
-    if (frames && frames.length) {
-      const durationMs = frames[frames.length - 1].t
-      const createdAt = new Date()
+  const handleReplaySeek = (seconds) => {
+    const duration = framesDuration(recordedFramesRef.current)
+    const offset = Math.max(0, Math.min(duration, seconds))
+    const playback = replayPlaybackRef.current
+    if (playback.playing) {
+      startReplayPlayback(offset, playback.speed)
+    } else {
+      replayPlaybackRef.current = { ...playback, offset }
+    }
+    setReplayPositionSec(offset)
+    // Bring the playhead into view
+    const view = replayWindowRef.current
+    if (view && (offset < view.start || offset > view.end)) {
+      setReplayWindow(panTimeRange(view, offset - (view.start + view.end) / 2, duration))
+    }
+  }
 
-      setRecordings((prev) => {
-        const index = prev.length + 1
-        return [
-          {
-            id: `${createdAt.getTime()}-${index}`,
-            label: `Recording ${index}`,
-            createdAt: createdAt.toLocaleTimeString(),
-            durationMs,
-            nyquistHz: nyquistRef.current,
-            sampleRate: sampleRateRef.current,
-            fftSize: fftSizeRef.current,
-            bufferLength: bufferLengthRef.current,
-            frames: [...frames],
-          },
-          ...prev,
-        ]
-      })
+  const handleReplaySpeed = (speed) => {
+    const playback = replayPlaybackRef.current
+    if (playback.playing) {
+      startReplayPlayback(getReplayPosition(), speed)
+    } else {
+      replayPlaybackRef.current = { ...playback, speed }
     }
+    setReplaySpeed(speed)
   }
 
-  const handleSpectrogramHover = (event) => {
-    const canvas = spectrogramRef.current
-    if (!canvas) return
-    // Use canvas pixel coordinates to avoid CSS scaling offset
-    const { offsetY } = event.nativeEvent
-    const height = canvas.height || 1
-    const clampedY = Math.min(Math.max(offsetY, 0), height - 1)
-    
-    if (height - 1 <= 0) {
-      setHoverFreqHz(null)
-      return
+  // Apply the infrasound mode or a new playback transposition (`change` maps
+  // settings to the new ones), restarting playback that is under way so it is heard at once
+  const handleTranspositionChange = (change) => {
+    setSettings(change)
+    const next = change(settings)
+    const { mode, factor } = next.transposition
+    if (mode === settings.transposition.mode && factor === settings.transposition.factor) return
+    if (audioFile && filePlaybackRef.current.playing) {
+      startFileSource(getFilePosition(audioFile.buffer.duration), next.transposition)
+    }
+    if (isReplaying && replayPlaybackRef.current.playing) {
+      startReplayPlayback(getReplayPosition(), replayPlaybackRef.current.speed, next.transposition)
     }
-    
-    // Map Y position directly to frequency (5-20000 Hz range)
-    const freq = yToFreq(clampedY, height, useLogScale)
-    setHoverFreqHz(Math.max(5, Math.min(20000, freq)))
   }
 
-  const handleSpectrumHover = (event) => {
-    const canvas = spectrumRef.current
-    if (!canvas) return
-    const { offsetX } = event.nativeEvent
-    const width = canvas.width || 1
-    const clampedX = Math.min(Math.max(offsetX, 0), width - 1)
-    
-    const bufferLength = bufferLengthRef.current || 1024
-    const sampleRate = sampleRateRef.current || 44100
-    const fftSize = fftSizeRef.current || 2048
-    
-    // FFT plot drawing: step = Math.ceil(bufferLength / width)
-    // Loop: for (let i = 0; i < bufferLength; i += step) { draw at x, x++ }
-    // So at pixel x, bin index = x * step (clamped to < bufferLength)
-    const step = Math.ceil(bufferLength / width)
-    const pixelIndex = Math.round(clampedX)
-    const binIndex = Math.min(bufferLength - 1, pixelIndex * step)
-    
-    // Calculate frequency: bin i represents frequency range [i*SR/FFT, (i+1)*SR/FFT)
-    // Use center frequency: (i + 0.5) * sampleRate / fftSize
-    const freq = ((binIndex + 0.5) * sampleRate) / fftSize
-    setHoverFreqHz(Math.max(0, Math.min(20000, freq)))
-  }
-
-  const handleReplay = (recordingId) => {
+  // Zoom the replay view around the playhead (or the centre when it is off screen)
+  const handleReplayZoom = (factor) => {
+    const view = replayWindowRef.current
+    if (!view) return
+    const position = getReplayPosition()
+    const anchorFrac =
+      position >= view.start && position <= view.end ? (position - view.start) / (view.end - view.start) : 0.5
+    setReplayWindow(zoomTimeRange(view, anchorFrac, factor, framesDuration(recordedFramesRef.current)))
+  }
+
+  const handleCloseReplay = () => {
+    stopReplaySource()
+    replayPlaybackRef.current = { ...replayPlaybackRef.current, startedAt: 0, offset: 0, playing: false }
+    setIsReplayPlaying(false)
+    setIsReplaying(false)
+    setReplayInfo(null)
+    setReplayWindow(null)
+  }
+
+  // Replay a recording from `at` seconds, showing `viewAround(duration)` (the whole recording by default)
+  const handleReplay = async (recordingId, { at = 0, viewAround = null } = {}) => {
     const recording = recordings.find((r) => r.id === recordingId)
     if (!recording) return
-    recordedFramesRef.current = recording.frames
-    if (recording.nyquistHz) {
-      nyquistRef.current = recording.nyquistHz
-      setNyquistHz(recording.nyquistHz)
+
+    // Frames are loaded lazily from IndexedDB when a recording is replayed
+    let frames
+    try {
+      frames = await loadRecordingFrames(recording.id)
+    } catch (e) {
+      console.error('Failed to load recording frames', e)
+      return
+    }
+    if (isReplaying) handleCloseReplay()
+    replayAudioRef.current = null
+    if (recording.audio) {
+      try {
+        const stored = await loadRecordingAudio(recording.id)
+        if (stored) {
+          const buffer = pcmToAudioBuffer(stored)
+          replayAudioRef.current = {
+            ...stored,
+            offsetMs: recording.audio.offsetMs || 0,
+            buffer,
+            samples: downmixToMono(buffer),
+          }
+        }
+      } catch (e) {
+        console.error('Failed to load recording audio', e)
+      }
+    }
+    recordedFramesRef.current = frames
+    replayingIdRef.current = recording.id
+    // Older recordings only know when they were saved
+    replayOriginRef.current = recording.startedAt
+      ? Date.parse(recording.startedAt)
+      : Date.parse(recording.recordedAt) - (recording.durationMs || 0) || null
+    // Older recordings stored a Nyquist frequency capped at 20 kHz; their sample rate gives the real one
+    const nyquist = recording.sampleRate ? recording.sampleRate / 2 : recording.nyquistHz
+    if (nyquist) {
+      nyquistRef.current = nyquist
+      setNyquistHz(nyquist)
     }
     if (recording.sampleRate) {
       sampleRateRef.current = recording.sampleRate
@@ -658,42 +2959,198 @@ function App() {
     if (recording.bufferLength) {
       bufferLengthRef.current = recording.bufferLength
     }
+    if (audioFile) handleCloseAudioFile()
     setIsRecording(false)
     setIsListening(false)
+
+    // Open on the whole recording and start playing from the beginning (or `at`)
+    const duration = framesDuration(frames)
+    setReplayInfo({
+      id: recording.id,
+      label: recording.label,
+      duration,
+      detections: recording.detections || [],
+      // Frame-only recordings hold the analysed signal alone
+      channelCount: replayAudioRef.current?.channels.length || 1,
+      ...recordingDecibelScaling(recording),
+    })
+    const offset = Math.min(Math.max(0, at), duration)
+    setReplayWindow(viewAround ? viewAround(duration) : { start: 0, end: duration })
+    setReplayPositionSec(offset)
     setIsReplaying(true)
+    startReplayPlayback(offset, replaySpeed)
+  }
+
+  // Open a recording's raw audio in file mode so it can be re-analysed with current settings
+  const handleAnalyzeRecordingAudio = async (recordingId) => {
+    const recording = recordings.find((r) => r.id === recordingId)
+    if (!recording || !recording.audio) return
+    try {
+      const stored = await loadRecordingAudio(recording.id)
+      if (!stored) {
+        setError('The audio for this recording is no longer available.')
+        return
+      }
+      setError('')
+      ensureFileAudioContext()
+      openAudioBuffer(pcmToAudioBuffer(stored), recording.label)
+    } catch (e) {
+      console.error('Failed to load recording audio', e)
+    }
   }
 
   const handleDeleteRecording = (recordingId) => {
     setRecordings((prev) => prev.filter((r) => r.id !== recordingId))
+    setSearchMatches((prev) => prev.filter((match) => match.recordingId !== recordingId))
+    deleteRecording(recordingId)
+      .catch((e) => {
+        console.error('Failed to delete recording', e)
+      })
+      .finally(refreshStorageEstimate)
     // If currently replaying this recording, stop replay
-    if (isReplaying && recordedFramesRef.current.length) {
-      const currentId = recordings.find((r) => r.frames === recordedFramesRef.current)?.id
-      if (currentId === recordingId) {
-        setIsReplaying(false)
-      }
+    if (isReplaying && replayingIdRef.current === recordingId) {
+      handleCloseReplay()
+    }
+  }
+
+  // Save edited metadata (name, notes, tags, annotations) of a recording
+  const handleUpdateRecording = (next) => {
+    setRecordings((prev) => prev.map((r) => (r.id === next.id ? next : r)))
+    if (replayInfo?.id === next.id && replayInfo.label !== next.label) {
+      setReplayInfo((info) => ({ ...info, label: next.label }))
     }
+    updateRecording(next).catch((e) => {
+      console.error('Failed to update recording', e)
+      setStorageWarning('The recording changes could not be saved to browser storage.')
+    })
   }
 
-  const handleExportRecordings = () => {
+  const handleExportRecordings = async () => {
     if (!recordings.length) return
     try {
-      const blob = new Blob([JSON.stringify(recordings, null, 2)], {
+      // Backups keep the original JSON layout: frames as plain number arrays
+      const full = []
+      for (const recording of recordings) {
+        const frames = await loadRecordingFrames(recording.id)
+        full.push({
+          ...recording,
+          frames: frames.map((frame) => ({
+            t: frame.t,
+            freq: Array.from(frame.freq),
+            timeDomain: Array.from(frame.timeDomain),
+            ...(frame.pitch != null && { pitch: frame.pitch, pitchConfidence: frame.pitchConfidence }),
+          })),
+        })
+      }
+      const blob = new Blob([JSON.stringify(full, null, 2)], {
         type: 'application/json',
       })
-      const url = URL.createObjectURL(blob)
-      const a = document.createElement('a')
       const stamp = new Date().toISOString().replace(/[:.]/g, '-')
-      a.href = url
-      a.download = `venura-frequency-recordings-${stamp}.json`
-      document.body.appendChild(a)
-      a.click()
-      document.body.removeChild(a)
-      URL.revokeObjectURL(url)
+      downloadBlob(blob, `venura-frequency-recordings-${stamp}.json`)
     } catch (e) {
       console.error('Failed to export recordings', e)
     }
   }
 
+  // Frequency analysis of a recording's average spectrum, for export metadata
+  const analyzeRecordingFrames = async (recording) => {
+    const frames = await loadRecordingFrames(recording.id)
+    if (!frames.length) return null
+    // Mean power spectrum of the frames, in dBFS
+    const decibelScaling = recordingDecibelScaling(recording)
+    const sum = new Float64Array(frames[0].freq.length)
+    frames.forEach((frame) => {
+      const dbfs = byteSpectrumToDbfs(frame.freq, decibelScaling)
+      for (let i = 0; i < sum.length; i += 1) sum[i] += 10 ** (dbfs[i] / 10)
+    })
+    const average = Float32Array.from(sum, (power) => 10 * Math.log10(power / frames.length))
+    // Typical F0 across the recording, from the per-frame estimates stored with it
+    const pitch = summarizePitch(
+      frames.map((frame) => (frame.pitch ? { frequency: frame.pitch, confidence: frame.pitchConfidence } : null)),
+      settings.pitchMinConfidence,
+    )
+    const analysis = calculateFrequencyAnalysis(
+      average,
+      recording.sampleRate || sampleRateRef.current,
+      recording.fftSize || fftSizeRef.current,
+      pitch,
+    )
+    return calibrateAnalysis(analysis, calibration)
+  }
+
+  const handleExportRecordingWav = async (recordingId) => {
+    const recording = recordings.find((r) => r.id === recordingId)
+    if (!recording || !recording.audio) return
+    try {
+      const stored = await loadRecordingAudio(recording.id)
+      if (!stored) {
+        setError('The audio for this recording is no longer available.')
+        return
+      }
+      const blob = encodeWav({
+        sampleRate: stored.sampleRate,
+        channels: stored.channels,
+        format: wavFormat,
+        metadata: {
+          label: recording.label,
+          timestamp: recording.recordedAt || recording.createdAt,
+          durationMs: recording.durationMs,
+          fftSize: recording.fftSize,
+          analysis: await analyzeRecordingFrames(recording),
+        },
+      })
+      downloadBlob(blob, `${toFileName(recording.label)}.wav`)
+    } catch (e) {
+      console.error('Failed to export recording as WAV', e)
+    }
+  }
+
+  // Export the selected time range of the open file at its own sample rate
+  const handleExportSelectionWav = () => {
+    if (!audioFile || !fileSelection) return
+    try {
+      const { buffer, name } = audioFile
+      const from = Math.floor(fileSelection.start * buffer.sampleRate)
+      const to = Math.max(from + 1, Math.floor(fileSelection.end * buffer.sampleRate))
+      const channels = []
+      for (let c = 0; c < buffer.numberOfChannels; c += 1) {
+        channels.push(buffer.getChannelData(c).slice(from, to))
+      }
+      const mono = downmixToMono(buffer)
+      const spectrum = averageDbfsSpectrum(mono, from, to, settings.fftSize, settings.windowFunction)
+      // Typical F0 over the selection from evenly spaced estimates
+      const pitchTracker = createPitchTrackerFor(settings, buffer.sampleRate)
+      const pitchStep = Math.max(pitchTracker.frameSize / 2, Math.ceil((to - from) / SELECTION_PITCH_ESTIMATES))
+      const estimates = []
+      for (let center = from; center < to; center += pitchStep) {
+        estimates.push(pitchTracker.estimate(mono, center - pitchTracker.frameSize / 2))
+      }
+      const pitch = summarizePitch(estimates, settings.pitchMinConfidence)
+      const label = `${name} ${formatTime(fileSelection.start)}-${formatTime(fileSelection.end)}`
+      const blob = encodeWav({
+        sampleRate: buffer.sampleRate,
+        channels,
+        format: wavFormat,
+        metadata: {
+          label,
+          timestamp: new Date().toISOString(),
+          source: name,
+          startSec: fileSelection.start,
+          endSec: fileSelection.end,
+          fftSize: settings.fftSize,
+          windowFunction: settings.windowFunction,
+          analysis: calibrateAnalysis(
+            calculateFrequencyAnalysis(spectrum, buffer.sampleRate, settings.fftSize, pitch),
+            calibration,
+          ),
+        },
+      })
+      downloadBlob(blob, `${toFileName(label)}.wav`)
+    } catch (e) {
+      console.error('Failed to export selection as WAV', e)
+    }
+  }
+
   const handleImportClick = () => {
     if (fileInputRef.current) {
       fileInputRef.current.click()
@@ -704,7 +3161,7 @@ function App() {
     const file = event.target.files && event.target.files[0]
     if (!file) return
     const reader = new FileReader()
-    reader.onload = () => {
+    reader.onload = async () => {
       try {
         const parsed = JSON.parse(reader.result)
         if (!Array.isArray(parsed)) {
@@ -713,7 +3170,7 @@ function App() {
           return
         }
         const imported = parsed.map((rec, idx) => {
-          const createdAt = rec.createdAt || new Date().toLocaleTimeString()
+          const createdAt = rec.createdAt || new Date().toISOString()
           const durationMs =
             typeof rec.durationMs === 'number' && rec.durationMs > 0
               ? rec.durationMs
@@ -722,6 +3179,12 @@ function App() {
             id: `${Date.now()}-${idx}-${Math.random().toString(36).slice(2, 8)}`,
             label: rec.label || `Imported recording ${idx + 1}`,
             createdAt,
+            // Descriptive metadata travels with the backup (see storage/catalog)
+            ...(typeof rec.recordedAt === 'string' && { recordedAt: rec.recordedAt }),
+            ...(typeof rec.notes === 'string' && { notes: rec.notes }),
+            ...(rec.tags && typeof rec.tags === 'object' && { tags: sanitizeRecordingTags(rec.tags) }),
+            ...(Array.isArray(rec.annotations) && { annotations: sanitizeAnnotations(rec.annotations) }),
+            ...(Array.isArray(rec.detections) && { detections: rec.detections }),
             durationMs,
             nyquistHz:
               typeof rec.nyquistHz === 'number' && rec.nyquistHz > 0
@@ -742,7 +3205,12 @@ function App() {
             frames: Array.isArray(rec.frames) ? rec.frames : [],
           }
         })
-        setRecordings((prev) => [...imported, ...prev])
+        const saved = []
+        for (const { frames, ...recording } of imported) {
+          const stored = await storeRecording(recording, frames)
+          if (stored) saved.push(stored)
+        }
+        setRecordings((prev) => [...saved, ...prev])
       } catch (e) {
         console.error('Failed to import recordings', e)
       } finally {
@@ -753,32 +3221,56 @@ function App() {
     reader.readAsText(file)
   }
 
+  const shownRecordings = filterRecordings(recordings, recordingFilters)
+
+  // dB range the colour bar stands for: a replayed recording keeps the range it was recorded with
+  const decibelLegend =
+    isReplaying && replayInfo?.minDecibels != null
+      ? { minDecibels: replayInfo.minDecibels, maxDecibels: replayInfo.maxDecibels }
+      : { minDecibels: settings.minDecibels, maxDecibels: settings.maxDecibels }
+
+  // Level at the hovered frequency in the spectrum behind the analysis readout
+  const hoverLevel =
+    hoverFreqHz != null && levelSpectrum
+      ? toDisplayLevel(levelSpectrum.dbfs[Math.round(hoverFreqHz / levelSpectrum.binHz)], hoverFreqHz, calibration)
+      : null
+
+  // Files and recordings play transposed, so the axes also show what is heard
+  const transposed = Boolean(audioFile || isReplaying) && settings.transposition.mode !== 'off'
+  const timeScaled = heardTimeScale !== null
+
   return (
     <div className="app">
       <header className="app-header">
         <h1>Real‑Time Microphone Spectrogram</h1>
         <p>
-          This visualization listens to your microphone and shows a scrolling frequency spectrum over time.
+          This visualization listens to your microphone and shows a scrolling frequency spectrum over time,
+          or analyses a local audio file.
         </p>
         <p className="credit">
           Frequency analysis system developed by <strong>Venura Jayasingha</strong>, PhD Scholar, Ottawa University.
         </p>
-        <p className="hint">
-          If you don&apos;t see anything, check that your browser has permission to use the microphone.
-        </p>
+        {!isListening && !isReplaying && !audioFile && (
+          <p className="hint">
+            If you don&apos;t see anything, check that your browser has permission to use the microphone.
+          </p>
+        )}
         <div className="controls">
           <button
             type="button"
             className={`primary-btn ${isRecording ? 'danger' : ''}`}
             onClick={handleToggleRecording}
+            disabled={!!audioFile}
           >
             {isRecording ? 'Stop Recording' : 'Start Recording'}
           </button>
           <div className="freq-box">
             <span className="freq-box-label">Freq</span>
-            <span className="freq-box-value">
-              {hoverFreqHz != null ? `${Math.round(hoverFreqHz)} Hz` : '—'}
-            </span>
+            <span className="freq-box-value">{hoverFreqHz != null ? formatHertz(hoverFreqHz) : '—'}</span>
+          </div>
+          <div className="freq-box">
+            <span className="freq-box-label">Level</span>
+            <span className="freq-box-value">{hoverFreqHz != null ? formatLevel(hoverLevel, calibration) : '—'}</span>
           </div>
           <button
             type="button"
@@ -807,7 +3299,64 @@ function App() {
           >
             Import recordings
           </button>
+          <button
+            type="button"
+            className="secondary-btn"
+            onClick={handleOpenAudioFileClick}
+            disabled={isRecording}
+          >
+            Open audio file
+          </button>
+          <label className="control-select">
+            WAV
+            <select value={wavFormat} onChange={(e) => setWavFormat(e.target.value)}>
+              {WAV_FORMATS.map((f) => (
+                <option key={f.id} value={f.id}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </label>
         </div>
+        <AnalysisSettings
+          settings={settings}
+          onChange={setSettings}
+          sampleRate={sampleRateRef.current || 44100}
+          lockFftSize={isRecording}
+        />
+        <PitchSettings settings={settings} onChange={setSettings} />
+        <ColormapSettings settings={settings} onChange={setSettings} />
+        <InputSettings
+          input={settings.input}
+          onChange={(next) => setSettings((current) => ({ ...current, input: next }))}
+          devices={inputDevices}
+          activeInput={activeInput}
+          disabled={isRecording}
+        />
+        <ProcessingSettings
+          processing={settings.processing}
+          onChange={(next) => setSettings((current) => ({ ...current, processing: next }))}
+          onCaptureNoise={isListening ? handleCaptureNoise : null}
+          capturing={capturingNoise}
+          onUseSelection={lastOpenSelection ? handleUseSelectionAsNoise : null}
+        />
+        <ChannelSettings settings={settings} onChange={setSettings} channelCount={sourceChannelCount} />
+        <TranspositionSettings settings={settings} onChange={handleTranspositionChange} />
+        <DetectionSettings
+          detection={settings.detection}
+          onChange={(next) => setSettings((current) => ({ ...current, detection: next }))}
+          status={detectorStatus}
+          onUseSelection={lastOpenSelection ? handleUseSelectionAsTemplate : null}
+        />
+        <TaxonomySettings
+          taxonomy={settings.taxonomy}
+          onChange={(next) => setSettings((current) => ({ ...current, taxonomy: next }))}
+        />
+        <CalibrationSettings
+          calibration={settings.calibration}
+          onChange={(next) => setSettings((current) => ({ ...current, calibration: next }))}
+          levelSpectrum={levelSpectrum}
+        />
         <input
           type="file"
           accept="application/json"
@@ -815,24 +3364,216 @@ function App() {
           onChange={handleImportFile}
           style={{ display: 'none' }}
         />
+        <input
+          type="file"
+          accept="audio/*,.wav,.mp3,.flac"
+          ref={audioFileInputRef}
+          onChange={handleOpenAudioFile}
+          style={{ display: 'none' }}
+        />
+        {isReplaying && replayInfo && replayWindow && (
+          <div className="file-transport">
+            <span className="file-name" title={replayInfo.label}>
+              {replayInfo.label}
+            </span>
+            <button type="button" className="primary-btn" onClick={handleToggleReplayPlayback}>
+              {isReplayPlaying ? 'Pause' : 'Play'}
+            </button>
+            <input
+              type="range"
+              className="file-seek"
+              min={0}
+              max={replayInfo.duration}
+              step={0.01}
+              value={replayPositionSec}
+              onChange={(e) => handleReplaySeek(Number(e.target.value))}
+              aria-label="Seek"
+            />
+            <span className="file-time">
+              {formatTime(replayPositionSec)} / {formatTime(replayInfo.duration)}
+              {timeScaled &&
+                ` · plays in ${formatTime(heardDuration(replayInfo.duration / replaySpeed, settings.transposition))}`}
+              {heterodyneProgress !== null && ` · heterodyning ${Math.round(heterodyneProgress * 100)}%…`}
+            </span>
+            <label className="control-select">
+              Speed
+              <select value={replaySpeed} onChange={(e) => handleReplaySpeed(Number(e.target.value))}>
+                {REPLAY_SPEEDS.map((speed) => (
+                  <option key={speed} value={speed}>
+                    {speed}×
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button type="button" className="secondary-btn" onClick={() => handleReplayZoom(1 / 2)}>
+              Zoom in
+            </button>
+            <button type="button" className="secondary-btn" onClick={() => handleReplayZoom(2)}>
+              Zoom out
+            </button>
+            <button
+              type="button"
+              className="secondary-btn"
+              onClick={() => setReplayWindow({ start: 0, end: replayInfo.duration })}
+              disabled={replayWindow.end - replayWindow.start >= replayInfo.duration}
+            >
+              Fit
+            </button>
+            {replayWindow.end - replayWindow.start < replayInfo.duration && (
+              <input
+                type="range"
+                className="file-seek"
+                min={0}
+                max={replayInfo.duration - (replayWindow.end - replayWindow.start)}
+                step={0.01}
+                value={replayWindow.start}
+                onChange={(e) => {
+                  const start = Number(e.target.value)
+                  setReplayWindow((prev) => ({ start, end: start + (prev.end - prev.start) }))
+                }}
+                aria-label="Scroll view"
+              />
+            )}
+            <span className="settings-info">Shift+scroll to zoom time, click to seek</span>
+            <button type="button" className="secondary-btn" onClick={handleCloseReplay}>
+              Close replay
+            </button>
+          </div>
+        )}
+
+        {audioFile && (
+          <div className="file-transport">
+            <span className="file-name" title={audioFile.name}>
+              {audioFile.name}
+            </span>
+            <button
+              type="button"
+              className="primary-btn"
+              onClick={handleToggleFilePlayback}
+            >
+              {isFilePlaying ? 'Pause' : 'Play'}
+            </button>
+            <input
+              type="range"
+              className="file-seek"
+              min={0}
+              max={audioFile.buffer.duration}
+              step={0.01}
+              value={filePositionSec}
+              onChange={(e) => handleFileSeek(Number(e.target.value))}
+              aria-label="Seek"
+            />
+            <span className="file-time">
+              {formatTime(filePositionSec)} / {formatTime(audioFile.buffer.duration)}
+              {timeScaled &&
+                ` · plays in ${formatTime(heardDuration(audioFile.buffer.duration, settings.transposition))}`}
+              {heterodyneProgress !== null && ` · heterodyning ${Math.round(heterodyneProgress * 100)}%…`}
+            </span>
+            {fileSelection && (
+              <>
+                <span className="file-time">
+                  Selection {formatTime(fileSelection.start)}–{formatTime(fileSelection.end)}
+                </span>
+                <button
+                  type="button"
+                  className="secondary-btn"
+                  onClick={handleExportSelectionWav}
+                >
+                  Export selection (WAV)
+                </button>
+                <button
+                  type="button"
+                  className="secondary-btn"
+                  onClick={() => updateFileSelection(null)}
+                >
+                  Clear selection
+                </button>
+              </>
+            )}
+            <button
+              type="button"
+              className="secondary-btn"
+              onClick={handleCloseAudioFile}
+            >
+              Close file
+            </button>
+          </div>
+        )}
+        {storageWarning && <p className="storage-warning">{storageWarning}</p>}
         {recordings.length > 0 && showRecordings && (
           <div className="recordings">
             <h2 className="section-title">Saved recordings</h2>
+            {storageEstimate && storageEstimate.quota > 0 && (
+              <div className="storage-usage">
+                <span>
+                  Storage: {formatBytes(storageEstimate.usage)} of {formatBytes(storageEstimate.quota)}
+                </span>
+                <span className="storage-meter">
+                  <span
+                    className={`storage-meter-fill ${
+                      storageEstimate.usage / storageEstimate.quota > 0.9 ? 'danger' : ''
+                    }`}
+                    style={{
+                      width: `${Math.min(100, (storageEstimate.usage / storageEstimate.quota) * 100)}%`,
+                    }}
+                  />
+                </span>
+              </div>
+            )}
+            <RecordingFilters
+              filters={recordingFilters}
+              onChange={setRecordingFilters}
+              taxonomy={settings.taxonomy}
+              shown={shownRecordings.length}
+              total={recordings.length}
+            />
             <ul>
-              {recordings.map((rec) => (
+              {shownRecordings.map((rec) => (
                 <li key={rec.id} className="recording-item">
-                  <span className="recording-label">
-                    {rec.label} — {Math.round(rec.durationMs / 1000)}s @ {rec.createdAt}
+                  <span className="recording-label" title={rec.recordedAt}>
+                    {rec.label} — {Math.round(rec.durationMs / 1000)}s @ {formatRecordingTime(rec)}
+                    {rec.audio ? ' · audio' : ''}
+                    {recordingTags(rec).map(({ category, tag }) => (
+                      <span key={`${category}:${tag}`} className="recording-tag">
+                        {tag}
+                      </span>
+                    ))}
                   </span>
                   <div className="recording-actions">
+                    <button
+                      type="button"
+                      className="secondary-btn"
+                      onClick={() => setEditingRecordingId(editingRecordingId === rec.id ? null : rec.id)}
+                    >
+                      Details
+                    </button>
                     <button
                       type="button"
                       className="secondary-btn"
                       onClick={() => handleReplay(rec.id)}
-                      disabled={isReplaying}
+                      disabled={replayInfo?.id === rec.id}
                     >
                       Replay
                     </button>
+                    {rec.audio && (
+                      <button
+                        type="button"
+                        className="secondary-btn"
+                        onClick={() => handleAnalyzeRecordingAudio(rec.id)}
+                        disabled={isReplaying || isRecording}
+                      >
+                        Analyze audio
+                      </button>
+                    )}
+                    {rec.audio && (
+                      <button
+                        type="button"
+                        className="secondary-btn"
+                        onClick={() => handleExportRecordingWav(rec.id)}
+                      >
+                        Export WAV
+                      </button>
+                    )}
                     <button
                       type="button"
                       className="secondary-btn danger"
@@ -842,6 +3583,17 @@ function App() {
                       Delete
                     </button>
                   </div>
+                  {editingRecordingId === rec.id && (
+                    <RecordingDetails
+                      key={rec.id}
+                      recording={rec}
+                      taxonomy={settings.taxonomy}
+                      onChange={handleUpdateRecording}
+                      playhead={replayInfo?.id === rec.id ? replayPositionSec : null}
+                      onSeek={handleReplaySeek}
+                      onClose={() => setEditingRecordingId(null)}
+                    />
+                  )}
                 </li>
               ))}
             </ul>
@@ -851,95 +3603,143 @@ function App() {
 
       <main className="visual-sections">
         <section>
-          <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginBottom: '0.5rem' }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1rem', marginBottom: '0.5rem' }}>
             <h2 className="section-title" style={{ margin: 0 }}>Spectrogram (Waterfall)</h2>
-            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem', color: '#c0c0c0', cursor: 'pointer' }}>
+            <label className="control-select">
+              Scale
+              <select
+                value={settings.frequencyScale}
+                onChange={(e) => setSettings((prev) => ({ ...prev, frequencyScale: e.target.value }))}
+              >
+                {FREQUENCY_SCALES.map((scale) => (
+                  <option key={scale.id} value={scale.id}>
+                    {scale.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="control-select">
+              Min Hz
               <input
-                type="checkbox"
-                checked={useLogScale}
-                onChange={(e) => setUseLogScale(e.target.checked)}
-                style={{ cursor: 'pointer' }}
+                type="number"
+                min={0}
+                value={settings.minFrequency}
+                onChange={(e) => handleFrequencyInput('minFrequency', Number(e.target.value))}
               />
-              Logarithmic Frequency Scale
             </label>
+            <label className="control-select">
+              Max Hz
+              <input
+                type="number"
+                min={1}
+                value={settings.maxFrequency}
+                onChange={(e) => handleFrequencyInput('maxFrequency', Number(e.target.value))}
+              />
+            </label>
+            <button type="button" className="secondary-btn" onClick={handleResetFrequencyRange}>
+              Reset range
+            </button>
+            <label className="control-select">
+              Time
+              <select
+                value={settings.secondsPerPixel}
+                onChange={(e) => setSettings((prev) => ({ ...prev, secondsPerPixel: Number(e.target.value) }))}
+                disabled={!!audioFile || isReplaying}
+                title={audioFile || isReplaying ? 'Only applies to the live view' : undefined}
+              >
+                {SECONDS_PER_PIXEL_OPTIONS.map((secondsPerPixel) => (
+                  <option key={secondsPerPixel} value={secondsPerPixel}>
+                    {formatSecondsPerPixel(secondsPerPixel)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="control-select">
+              Time labels
+              <select
+                value={settings.timeAxisMode}
+                onChange={(e) => setSettings((prev) => ({ ...prev, timeAxisMode: e.target.value }))}
+              >
+                {TIME_AXIS_MODES.map((mode) => (
+                  <option key={mode.id} value={mode.id}>
+                    {mode.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <span className="settings-info">Scroll to zoom, drag the axis to pan</span>
           </div>
+          <PinnedMarkers
+            markers={shownMarkers}
+            calibration={calibration}
+            onClear={() =>
+              setPinnedMarkers((current) => current.filter((marker) => marker.sourceKey !== spectrogramSourceKey))
+            }
+          />
           <div className="visual-layout">
-            <div className="visual-container">
-              <canvas
-                ref={spectrogramRef}
-                className="spectrogram-canvas"
-                width={1024}
-                height={320}
-                onMouseMove={handleSpectrogramHover}
-                onMouseLeave={() => setHoverFreqHz(null)}
-              />
-              {error && <div className="error">{error}</div>}
-            </div>
-            <aside className="frequency-scale" aria-hidden="true">
-              {(() => {
-                const bufferLength = bufferLengthRef.current || 1024
-                const sampleRate = sampleRateRef.current || 44100
-                const fftSize = fftSizeRef.current || 2048
-                const canvas = spectrogramRef.current
-                const height = canvas?.height || 320
-                const heightMinus1 = height - 1
-                
-                if (heightMinus1 <= 0) {
-                  // Fallback to simple linear scale if canvas not ready (5-20000 Hz range)
-                  const minFreq = 5
-                  const maxFreq = 20000
-                  return [
-                    1, 0.75, 0.5, 0.35, 0.2, 0,
-                  ].map((p) => {
-                    const freq = minFreq + (maxFreq - minFreq) * (1 - p)
-                    const label = freq >= 1000 ? `${Math.round(freq / 100) / 10} kHz` : `${Math.round(freq)} Hz`
-                    return (
-                      <span key={p} className="frequency-label">
-                        {label}
-                      </span>
-                    )
-                  })
-                }
-                
-                return [
-                  1, // top
-                  0.75,
-                  0.5,
-                  0.35,
-                  0.2,
-                  0, // bottom
-                ].map((p) => {
-                  // Calculate Y position: p = 1 is top, p = 0 is bottom
-                  const y = p * heightMinus1
-                  // Use same calculation as hover handler (maps to 5-20000 Hz range)
-                  const freq = yToFreq(y, height, useLogScale)
-                  const clampedFreq = Math.max(5, Math.min(20000, freq))
-                  
-                  let label = '5 Hz'
-                  if (clampedFreq >= 1000) {
-                    label = `${Math.round(clampedFreq / 100) / 10} kHz`
-                  } else {
-                    label = `${Math.round(clampedFreq)} Hz`
-                  }
-                  return (
-                    <span key={p} className="frequency-label">
-                      {label}
+            <div className="spectrogram-frame">
+              <div className="visual-container">
+                <canvas
+                  ref={spectrogramRef}
+                  className="spectrogram-canvas"
+                  width={SPECTROGRAM_WIDTH}
+                  height={SPECTROGRAM_HEIGHT}
+                  onMouseDown={handleSpectrogramMouseDown}
+                  onMouseMove={handleSpectrogramMouseMove}
+                  onMouseUp={handleSpectrogramMouseUp}
+                  onMouseLeave={handleSpectrogramMouseLeave}
+                />
+                <canvas
+                  ref={spectrogramOverlayRef}
+                  className="spectrogram-overlay"
+                  width={SPECTROGRAM_WIDTH}
+                  height={SPECTROGRAM_HEIGHT}
+                  aria-hidden="true"
+                />
+                <CanvasCursor cursor={cursor?.canvas === 'spectrogram' ? cursor : null} />
+                {error && <div className="error">{error}</div>}
+              </div>
+              <aside
+                ref={frequencyAxisRef}
+                className="frequency-scale"
+                aria-hidden="true"
+                onPointerDown={handleAxisPointerDown}
+                onPointerMove={handleAxisPointerMove}
+                onPointerUp={handleAxisPointerUp}
+                onPointerCancel={handleAxisPointerUp}
+              >
+                {stackedLanes(SPECTROGRAM_HEIGHT, spectrogramLaneCount).map((lane) =>
+                  frequencyTicks(frequencyView, laneTickCount(spectrogramLaneCount)).map((freq) => (
+                    <span
+                      key={`${lane.top}-${freq}`}
+                      className="frequency-label"
+                      style={{ top: `${(laneFreqToY(freq, frequencyView, lane) / (SPECTROGRAM_HEIGHT - 1)) * 100}%` }}
+                    >
+                      {formatFrequency(freq)}
+                      {transposed && (
+                        <span className="heard-frequency">
+                          {formatFrequency(heardFrequency(freq, settings.transposition))}
+                        </span>
+                      )}
                     </span>
-                  )
-                })
-              })()}
-            </aside>
+                  )),
+                )}
+              </aside>
+              <ColorBar palette={palette} {...decibelLegend} />
+            </div>
             <aside className="frequency-analysis-panel">
               <h3 className="analysis-title">Frequency Analysis</h3>
               <div className="analysis-section">
                 <div className="analysis-item">
                   <span className="analysis-label">Top Resonating:</span>
                   <span className="analysis-value">
-                    {topResonatingFreq != null
-                      ? topResonatingFreq >= 1000
-                        ? `${(topResonatingFreq / 1000).toFixed(2)} kHz`
-                        : `${Math.round(topResonatingFreq)} Hz`
+                    {topResonance != null
+                      ? topResonance.frequency >= 1000
+                        ? `${(topResonance.frequency / 1000).toFixed(2)} kHz`
+                        : `${Math.round(topResonance.frequency)} Hz`
                       : '—'}
+                    {topResonance != null &&
+                      ` · ${formatLevel(toDisplayLevel(topResonance.level, topResonance.frequency, calibration), calibration)}`}
                   </span>
                 </div>
                 {harmonyInfo?.fundamental && (
@@ -949,6 +3749,13 @@ function App() {
                       {harmonyInfo.fundamental >= 1000
                         ? `${(harmonyInfo.fundamental / 1000).toFixed(2)} kHz`
                         : `${Math.round(harmonyInfo.fundamental)} Hz`}
+                      {harmonyInfo.fundamentalConfidence != null &&
+                        ` (${Math.round(harmonyInfo.fundamentalConfidence * 100)}%)`}
+                      {harmonyInfo.fundamentalLevel != null &&
+                        ` · ${formatLevel(
+                          toDisplayLevel(harmonyInfo.fundamentalLevel, harmonyInfo.fundamental, calibration),
+                          calibration,
+                        )}`}
                     </span>
                   </div>
                 )}
@@ -964,37 +3771,129 @@ function App() {
                               ? `${(h.frequency / 1000).toFixed(2)} kHz`
                               : `${Math.round(h.frequency)} Hz`}
                           </span>
+                          <span className="harmonic-level">
+                            {formatLevel(toDisplayLevel(h.level, h.frequency, calibration), calibration)}
+                          </span>
                         </div>
                       ))}
                     </div>
                   </div>
                 )}
+                {frameFeatures && (
+                  <>
+                    <div className="analysis-item">
+                      <span className="analysis-label">Centroid ± Bandwidth:</span>
+                      <span className="analysis-value">
+                        {formatFeature(frameFeatures.centroid, formatFrequency)} ±{' '}
+                        {formatFeature(frameFeatures.bandwidth, formatFrequency)}
+                      </span>
+                    </div>
+                    <div className="analysis-item">
+                      <span className="analysis-label">Rolloff:</span>
+                      <span className="analysis-value">{formatFeature(frameFeatures.rolloff, formatFrequency)}</span>
+                    </div>
+                    <div className="analysis-item">
+                      <span className="analysis-label">Flatness · Entropy:</span>
+                      <span className="analysis-value">
+                        {formatFeature(frameFeatures.flatness, (value) => value.toFixed(3))} ·{' '}
+                        {formatFeature(frameFeatures.entropy, (value) => value.toFixed(3))}
+                      </span>
+                    </div>
+                    <div className="analysis-item">
+                      <span className="analysis-label">Zero crossings · RMS:</span>
+                      <span className="analysis-value">
+                        {formatFeature(frameFeatures.zcr, (value) => `${Math.round(value)}/s`)} ·{' '}
+                        {formatFeature(frameFeatures.rms, (value) => `${value.toFixed(1)} dBFS`)}
+                      </span>
+                    </div>
+                    <div className="analysis-item">
+                      <span className="analysis-label">Formants:</span>
+                      <span className="analysis-value">
+                        {[frameFeatures.f1, frameFeatures.f2, frameFeatures.f3]
+                          .map((freq) => formatFeature(freq, formatFrequency))
+                          .join(' · ')}
+                      </span>
+                    </div>
+                  </>
+                )}
               </div>
             </aside>
           </div>
         </section>
 
+        <section>
+          <SelectionTable
+            selections={selections}
+            onDelete={handleDeleteSelection}
+            onClear={() => setSelections([])}
+            onExport={handleExportSelections}
+          />
+          <DetectionLog detections={detections} onClear={handleClearDetections} onExport={handleExportDetections} />
+          <TemplateSearch
+            template={searchTemplate}
+            onUseSelection={lastOpenSelection ? handleUseSelectionForSearch : null}
+            canSearchCurrent={isReplaying && Boolean(replayInfo)}
+            onSearch={handleSearchRecordings}
+            progress={searchProgress}
+            matches={searchMatches}
+            onOpenMatch={handleOpenMatch}
+          />
+          <FeaturePanel
+            track={featureTrack && featureTrack.sourceKey === openSourceKey ? featureTrack : null}
+            canAnalyze={Boolean(openSourceKey)}
+            analyzing={analyzingFeatures}
+            onAnalyze={handleAnalyzeFeatures}
+            onExport={handleExportFeatures}
+          />
+        </section>
+
         <section className="section-row">
           <div className="panel">
             <h2 className="section-title">Waveform</h2>
-            <canvas
-              ref={waveformRef}
-              className="panel-canvas"
-              width={512}
-              height={160}
-            />
+            <div className="canvas-host">
+              <canvas
+                ref={waveformRef}
+                className="panel-canvas"
+                width={512}
+                height={160}
+                onMouseDown={handleWaveformMouseDown}
+                onMouseMove={handleWaveformMouseMove}
+                onMouseUp={handleWaveformMouseUp}
+                onMouseLeave={() => {
+                  waveformDragRef.current = null
+                  setCursor(null)
+                }}
+              />
+              <CanvasCursor cursor={cursor?.canvas === 'waveform' ? cursor : null} />
+            </div>
           </div>
           <div className="panel">
             <h2 className="section-title">Spectrum (FFT)</h2>
-            <canvas
-              ref={spectrumRef}
-              className="panel-canvas"
-              width={512}
-              height={160}
-              onMouseMove={handleSpectrumHover}
-              onMouseLeave={() => setHoverFreqHz(null)}
+            <div className="canvas-host">
+              <canvas
+                ref={spectrumRef}
+                className="panel-canvas"
+                width={512}
+                height={160}
+                onMouseMove={handleSpectrumHover}
+                onMouseLeave={() => {
+                  setHoverFreqHz(null)
+                  setCursor(null)
+                }}
+              />
+              <CanvasCursor cursor={cursor?.canvas === 'spectrum' ? cursor : null} />
+            </div>
+            <SpectrumSettings
+              spectrum={settings.spectrum}
+              onChange={(spectrum) => setSettings((current) => ({ ...current, spectrum }))}
+              overlays={spectrumOverlays}
+              onFreeze={handleFreezeSpectrum}
+              onRemoveOverlay={(id) => setSpectrumOverlays((current) => current.filter((overlay) => overlay.id !== id))}
+              onClearOverlays={() => setSpectrumOverlays([])}
+              onResetTraces={() => spectrumTracesRef.current?.reset()}
             />
           </div>
+          {channelPair && <ChannelPairPlot pair={channelPair} view={frequencyView} />}
         </section>
       </main>
       </div>
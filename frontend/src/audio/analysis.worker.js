@@ -0,0 +1,76 @@
+// Live analysis worker: receives the input from the analysis tap worklet on a
+// MessagePort and runs dsp/liveAnalysis on it, posting results to the page at
+// a throttled rate measured in audio time.
+//
+// Page -> worker:
+//   { type: 'start', port, sampleRate, settings }  settings from pickLiveAnalysisSettings
+//   { type: 'configure', settings }
+//   { type: 'record', recording, preRoll }         stopping answers with a final
+//                                                  'update' and then 'recordStopped'
+//   { type: 'captureNoise', seconds }              the profile comes with a later 'update'
+// Worker -> page:
+//   { type: 'update', ...liveAnalyzer.takeUpdate() }
+
+import { createLiveAnalyzer } from '../dsp/liveAnalysis'
+
+// Results are posted at most this often (seconds of audio)...
+const UPDATE_INTERVAL_SEC = 1 / 30
+// ...and carry the frequency analysis readout at most this often
+const ANALYSIS_INTERVAL_SEC = 0.1
+
+let analyzer = null
+let lastUpdateTime = -Infinity
+let lastAnalysisTime = -Infinity
+
+// Buffers of every typed array in an update, so they are moved rather than copied
+const transferables = (update) => {
+  const buffers = []
+  update.columns.forEach((column) => {
+    buffers.push(column.freq.buffer)
+    if (column.lanes) column.lanes.forEach((lane) => buffers.push(lane.buffer))
+  })
+  if (update.snapshot) {
+    const { spectrum, dbfs, timeDomain, pair } = update.snapshot
+    buffers.push(spectrum.buffer, dbfs.buffer, timeDomain.buffer)
+    if (pair) buffers.push(pair.levelDifference.buffer, pair.coherence.buffer)
+  }
+  update.frames.forEach((frame) => buffers.push(frame.freq.buffer, frame.timeDomain.buffer))
+  return buffers
+}
+
+const postUpdate = () => {
+  const withAnalysis = analyzer.time - lastAnalysisTime >= ANALYSIS_INTERVAL_SEC
+  if (withAnalysis) lastAnalysisTime = analyzer.time
+  lastUpdateTime = analyzer.time
+  const update = analyzer.takeUpdate({ withAnalysis })
+  self.postMessage({ type: 'update', ...update }, transferables(update))
+}
+
+const handleSamples = (event) => {
+  const { channels, time } = event.data
+  analyzer.push(channels, time)
+  if (analyzer.time - lastUpdateTime >= UPDATE_INTERVAL_SEC) postUpdate()
+}
+
+self.onmessage = (event) => {
+  const message = event.data
+  if (message.type === 'start') {
+    analyzer = createLiveAnalyzer(message.sampleRate, message.settings)
+    message.port.onmessage = handleSamples
+  } else if (!analyzer) {
+    return
+  } else if (message.type === 'configure') {
+    analyzer.configure(message.settings)
+  } else if (message.type === 'record') {
+    if (message.recording) {
+      analyzer.setRecording(true, { preRoll: message.preRoll })
+    } else {
+      // Hand over the frames recorded so far before confirming the stop
+      analyzer.setRecording(false)
+      postUpdate()
+      self.postMessage({ type: 'recordStopped' })
+    }
+  } else if (message.type === 'captureNoise') {
+    analyzer.captureNoiseProfile(message.seconds)
+  }
+}
@@ -0,0 +1,54 @@
+// AudioWorklet tap that streams the live input, one block per channel, to the
+// analysis worker over a MessagePort handed to it with { command: 'connect' }.
+// Loaded with audioWorklet.addModule, so it must stay dependency-free.
+
+// Samples per channel collected before a block is posted (~11 ms at 44.1 kHz)
+const BLOCK_SIZE = 512
+
+class AnalysisTapProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super()
+    this.target = null
+    this.blocks = []
+    this.blockLength = 0
+    this.blockTime = 0
+    this.port.onmessage = (event) => {
+      if (event.data?.command === 'connect') this.target = event.data.port
+    }
+  }
+
+  process(inputs) {
+    const input = inputs[0]
+    if (!this.target || !input || !input.length) return true
+
+    // A change in the channel count drops the partial block
+    if (input.length !== this.blocks.length) {
+      this.blocks = input.map(() => new Float32Array(BLOCK_SIZE))
+      this.blockLength = 0
+    }
+
+    const frames = input[0].length
+    let offset = 0
+    while (offset < frames) {
+      if (this.blockLength === 0) {
+        // Audio-clock time of the block's first sample
+        this.blockTime = currentTime + offset / sampleRate
+      }
+      const count = Math.min(frames - offset, BLOCK_SIZE - this.blockLength)
+      this.blocks.forEach((block, c) => block.set(input[c].subarray(offset, offset + count), this.blockLength))
+      this.blockLength += count
+      offset += count
+      if (this.blockLength === BLOCK_SIZE) {
+        this.target.postMessage(
+          { channels: this.blocks, time: this.blockTime },
+          this.blocks.map((block) => block.buffer),
+        )
+        this.blocks = this.blocks.map(() => new Float32Array(BLOCK_SIZE))
+        this.blockLength = 0
+      }
+    }
+    return true
+  }
+}
+
+registerProcessor('analysis-tap', AnalysisTapProcessor)
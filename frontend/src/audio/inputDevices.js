@@ -0,0 +1,66 @@
+// Audio input selection for live capture: which device to open and the
+// constraints to open it with. Browsers default to speech processing (echo
+// cancellation, noise suppression, automatic gain) that reshapes the spectrum,
+// so measurements ask for the raw signal unless told otherwise.
+
+import { MAX_CHANNELS } from '../dsp/channels'
+
+// Requested sample rates; 0 leaves the choice to the browser
+export const INPUT_SAMPLE_RATES = [0, 44100, 48000, 88200, 96000, 192000, 384000]
+
+// Mono up to as many channels as the spectrogram can show
+export const INPUT_CHANNEL_COUNTS = Array.from({ length: MAX_CHANNELS }, (_, i) => i + 1)
+
+// Browser processing that can be switched off, in the order they are shown
+export const INPUT_PROCESSING = [
+  { id: 'echoCancellation', label: 'Echo cancellation' },
+  { id: 'noiseSuppression', label: 'Noise suppression' },
+  { id: 'autoGainControl', label: 'Auto gain' },
+]
+
+export const DEFAULT_INPUT = {
+  deviceId: '', // the system default
+  sampleRate: 0,
+  channelCount: 1,
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: false,
+}
+
+// MediaTrackConstraints for getUserMedia. The device is required (a missing
+// one fails rather than silently opening another); rate and channels are
+// preferences the device may not meet.
+export const audioConstraints = (input) => {
+  const constraints = {
+    channelCount: { ideal: input.channelCount },
+    echoCancellation: input.echoCancellation,
+    noiseSuppression: input.noiseSuppression,
+    autoGainControl: input.autoGainControl,
+  }
+  if (input.deviceId) constraints.deviceId = { exact: input.deviceId }
+  if (input.sampleRate) constraints.sampleRate = { ideal: input.sampleRate }
+  return constraints
+}
+
+// [{ deviceId, label }] of the audio inputs. Labels are empty until the page
+// has been granted microphone access, so unnamed devices get a numbered one.
+export const listInputDevices = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) return []
+  const devices = await navigator.mediaDevices.enumerateDevices()
+  return devices
+    .filter((device) => device.kind === 'audioinput' && device.deviceId && device.deviceId !== 'default')
+    .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Input ${index + 1}` }))
+}
+
+// What the browser actually opened: { label, sampleRate, channelCount, ...processing }
+export const describeInputTrack = (track) => {
+  const actual = track.getSettings ? track.getSettings() : {}
+  return {
+    label: track.label,
+    sampleRate: actual.sampleRate,
+    channelCount: actual.channelCount,
+    echoCancellation: actual.echoCancellation,
+    noiseSuppression: actual.noiseSuppression,
+    autoGainControl: actual.autoGainControl,
+  }
+}
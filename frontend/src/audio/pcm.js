@@ -0,0 +1,31 @@
+// Helpers for raw PCM audio captured alongside recordings.
+// Stored audio has the shape { sampleRate, channels: Float32Array[] }.
+
+// Join the per-channel chunks posted by the PCM recorder worklet
+export const concatPcmChunks = (chunks) => {
+  if (!chunks.length) return []
+  const channelCount = chunks[0].length
+  const length = chunks.reduce((sum, chunk) => sum + chunk[0].length, 0)
+  const channels = []
+  for (let c = 0; c < channelCount; c += 1) {
+    const merged = new Float32Array(length)
+    let offset = 0
+    chunks.forEach((chunk) => {
+      if (chunk[c]) merged.set(chunk[c], offset)
+      offset += chunk[0].length
+    })
+    channels.push(merged)
+  }
+  return channels
+}
+
+// Wrap stored PCM in an AudioBuffer for playback or file-mode analysis
+export const pcmToAudioBuffer = ({ sampleRate, channels }) => {
+  const buffer = new AudioBuffer({
+    length: Math.max(1, channels[0]?.length ?? 0),
+    numberOfChannels: Math.max(1, channels.length),
+    sampleRate,
+  })
+  channels.forEach((data, c) => buffer.copyToChannel(data, c))
+  return buffer
+}
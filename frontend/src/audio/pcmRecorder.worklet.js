@@ -0,0 +1,107 @@
+// AudioWorklet tap that forwards raw input samples to the main thread while
+// capturing. Loaded with audioWorklet.addModule, so it must stay dependency-free.
+// Commands:
+//   { command: 'arm', seconds }     keep the last `seconds` of input while idle
+//   { command: 'start', preRoll }   capture, beginning up to `preRoll` seconds
+//                                   back in the armed history
+//   { command: 'stop' }
+
+// Samples per channel collected before a chunk is posted (~90 ms at 44.1 kHz)
+const CHUNK_SIZE = 4096
+
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super()
+    this.capturing = false
+    this.pending = []
+    this.pendingLength = 0
+    this.historySeconds = 0
+    this.history = [] // recent blocks, newest last, while armed
+    this.historyLength = 0
+    this.port.onmessage = (event) => {
+      const command = event.data?.command
+      if (command === 'arm') {
+        this.historySeconds = Math.max(0, event.data.seconds || 0)
+        this.trimHistory()
+      } else if (command === 'start') {
+        this.capturing = true
+        this.pending = []
+        this.pendingLength = 0
+        this.startWithHistory(Math.max(0, event.data.preRoll || 0))
+      } else if (command === 'stop') {
+        this.capturing = false
+        this.flush()
+        this.port.postMessage({ type: 'stopped' })
+      }
+    }
+  }
+
+  trimHistory() {
+    const keep = Math.ceil(this.historySeconds * sampleRate)
+    while (this.history.length && this.historyLength - this.history[0][0].length >= keep) {
+      this.historyLength -= this.history.shift()[0].length
+    }
+    if (!keep) {
+      this.history = []
+      this.historyLength = 0
+    }
+  }
+
+  // Begin the capture with the newest `preRoll` seconds of history (whole blocks)
+  startWithHistory(preRoll) {
+    const wanted = Math.ceil(preRoll * sampleRate)
+    let first = this.history.length
+    let length = 0
+    while (first > 0 && length < wanted) {
+      first -= 1
+      length += this.history[first][0].length
+    }
+    this.pending = this.history.slice(first)
+    this.pendingLength = length
+    this.history = []
+    this.historyLength = 0
+    this.announceStart = true
+  }
+
+  flush() {
+    if (!this.pendingLength) return
+    const channelCount = this.pending[0].length
+    const channels = []
+    for (let c = 0; c < channelCount; c += 1) {
+      const merged = new Float32Array(this.pendingLength)
+      let offset = 0
+      this.pending.forEach((block) => {
+        // A block with fewer channels leaves silence in the missing ones
+        if (block[c]) merged.set(block[c], offset)
+        offset += block[0].length
+      })
+      channels.push(merged)
+    }
+    this.pending = []
+    this.pendingLength = 0
+    this.port.postMessage({ type: 'chunk', channels }, channels.map((c) => c.buffer))
+  }
+
+  process(inputs) {
+    const input = inputs[0]
+    if (!input || !input.length) return true
+    if (this.capturing) {
+      if (this.announceStart) {
+        // Audio-clock time of the first captured sample; the history runs up to this quantum
+        this.announceStart = false
+        this.port.postMessage({ type: 'start', time: currentTime - this.pendingLength / sampleRate })
+      }
+      // Copy: the engine reuses the input buffers between render quanta
+      this.pending.push(input.map((channel) => channel.slice()))
+      this.pendingLength += input[0].length
+      if (this.pendingLength >= CHUNK_SIZE) this.flush()
+    } else if (this.historySeconds > 0) {
+      this.history.push(input.map((channel) => channel.slice()))
+      this.historyLength += input[0].length
+      this.trimHistory()
+    }
+    return true
+  }
+}
+
+registerProcessor('pcm-recorder', PcmRecorderProcessor)
@@ -0,0 +1,180 @@
+// WAV (RIFF) encoder for exporting recordings and selections.
+// Supports 16/24-bit integer PCM and 32-bit float, and writes a LIST/INFO
+// chunk (read by Audacity, Raven and most editors) plus an `fspc` chunk with
+// the full metadata as JSON for our own tools. Opened files are only read as
+// far as their sample rate.
+
+export const WAV_FORMATS = [
+  { id: 'pcm16', label: '16-bit PCM', bitsPerSample: 16, float: false },
+  { id: 'pcm24', label: '24-bit PCM', bitsPerSample: 24, float: false },
+  { id: 'float32', label: '32-bit float', bitsPerSample: 32, float: true },
+]
+
+const WAVE_FORMAT_PCM = 1
+const WAVE_FORMAT_IEEE_FLOAT = 3
+
+const writeAscii = (view, offset, text) => {
+  for (let i = 0; i < text.length; i += 1) {
+    view.setUint8(offset + i, text.charCodeAt(i) & 0x7f)
+  }
+}
+
+const readAscii = (view, offset, length) => {
+  let text = ''
+  for (let i = 0; i < length; i += 1) text += String.fromCharCode(view.getUint8(offset + i))
+  return text
+}
+
+// Sample rate from the `fmt ` chunk of a WAV file's ArrayBuffer, or null for
+// anything else. decodeAudioData resamples to its context's rate, so opening
+// an ultrasound recording at that rate would lose everything above 24 kHz.
+export const readWavSampleRate = (arrayBuffer) => {
+  const view = new DataView(arrayBuffer)
+  if (view.byteLength < 12 || readAscii(view, 0, 4) !== 'RIFF' || readAscii(view, 8, 4) !== 'WAVE') return null
+  let offset = 12
+  while (offset + 8 <= view.byteLength) {
+    const size = view.getUint32(offset + 4, true)
+    if (readAscii(view, offset, 4) === 'fmt ') {
+      return offset + 16 <= view.byteLength ? view.getUint32(offset + 12, true) : null
+    }
+    offset += 8 + size + (size % 2)
+  }
+  return null
+}
+
+// Encode a string as a NUL-terminated, even-length chunk payload
+const textPayload = (text) => {
+  const bytes = new TextEncoder().encode(`${text}\0`)
+  if (bytes.length % 2 === 0) return bytes
+  const padded = new Uint8Array(bytes.length + 1)
+  padded.set(bytes)
+  return padded
+}
+
+const buildChunk = (id, payload) => {
+  const chunk = new Uint8Array(8 + payload.length + (payload.length % 2))
+  const view = new DataView(chunk.buffer)
+  writeAscii(view, 0, id)
+  view.setUint32(4, payload.length, true)
+  chunk.set(payload, 8)
+  return chunk
+}
+
+const concatBytes = (parts) => {
+  const total = parts.reduce((sum, part) => sum + part.length, 0)
+  const out = new Uint8Array(total)
+  let offset = 0
+  parts.forEach((part) => {
+    out.set(part, offset)
+    offset += part.length
+  })
+  return out
+}
+
+// LIST/INFO chunk from { INAM, ICRD, ICMT, ... } string fields
+const buildInfoChunk = (fields) => {
+  const entries = Object.entries(fields)
+    .filter(([, value]) => value != null && value !== '')
+    .map(([id, value]) => buildChunk(id, textPayload(String(value))))
+  if (!entries.length) return new Uint8Array(0)
+  const type = new Uint8Array(4)
+  writeAscii(new DataView(type.buffer), 0, 'INFO')
+  return buildChunk('LIST', concatBytes([type, ...entries]))
+}
+
+// " at -12.3 dBFS" for a level in the analysis' unit (see dsp/levels)
+const describeLevel = (level, analysis) =>
+  Number.isFinite(level) ? ` at ${level.toFixed(1)} ${analysis.levelUnit || 'dBFS'}` : ''
+
+const describeAnalysis = (analysis) => {
+  if (!analysis) return ''
+  const parts = [`peak ${Math.round(analysis.topResonating)} Hz${describeLevel(analysis.topLevel, analysis)}`]
+  if (analysis.fundamental) {
+    parts.push(
+      `fundamental ${Math.round(analysis.fundamental)} Hz${describeLevel(analysis.fundamentalLevel, analysis)}`,
+    )
+  }
+  if (analysis.harmonics?.length) {
+    parts.push(
+      `harmonics ${analysis.harmonics
+        .map((h) => `${h.order}x ${Math.round(h.frequency)} Hz${describeLevel(h.level, analysis)}`)
+        .join(', ')}`,
+    )
+  }
+  return parts.join('; ')
+}
+
+// Encode PCM channels (equal-length Float32Arrays) as a WAV Blob.
+// metadata: { label, timestamp, analysis, ... } from the recording or selection.
+export const encodeWav = ({ sampleRate, channels, format = 'pcm16', metadata = {} }) => {
+  const spec = WAV_FORMATS.find((f) => f.id === format) || WAV_FORMATS[0]
+  const channelCount = channels.length
+  const frameCount = channelCount ? channels[0].length : 0
+  const bytesPerSample = spec.bitsPerSample / 8
+  const blockAlign = channelCount * bytesPerSample
+  const dataSize = frameCount * blockAlign
+
+  // fmt chunk
+  const fmt = new Uint8Array(16)
+  const fmtView = new DataView(fmt.buffer)
+  fmtView.setUint16(0, spec.float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true)
+  fmtView.setUint16(2, channelCount, true)
+  fmtView.setUint32(4, sampleRate, true)
+  fmtView.setUint32(8, sampleRate * blockAlign, true)
+  fmtView.setUint16(12, blockAlign, true)
+  fmtView.setUint16(14, spec.bitsPerSample, true)
+
+  // fact chunk is required for non-PCM formats
+  const chunks = [buildChunk('fmt ', fmt)]
+  if (spec.float) {
+    const fact = new Uint8Array(4)
+    new DataView(fact.buffer).setUint32(0, frameCount, true)
+    chunks.push(buildChunk('fact', fact))
+  }
+
+  const { label, timestamp, analysis } = metadata
+  chunks.push(
+    buildInfoChunk({
+      INAM: label,
+      ICRD: timestamp,
+      ICMT: [`sample rate ${sampleRate} Hz`, describeAnalysis(analysis)].filter(Boolean).join('; '),
+      ISFT: 'Venura Frequency Analysis',
+    }),
+  )
+  chunks.push(
+    buildChunk('fspc', textPayload(JSON.stringify({ ...metadata, sampleRate, channelCount }))),
+  )
+
+  // data chunk, interleaved
+  const data = new Uint8Array(8 + dataSize + (dataSize % 2))
+  const dataView = new DataView(data.buffer)
+  writeAscii(dataView, 0, 'data')
+  dataView.setUint32(4, dataSize, true)
+  let offset = 8
+  for (let i = 0; i < frameCount; i += 1) {
+    for (let c = 0; c < channelCount; c += 1) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i] || 0))
+      if (spec.float) {
+        dataView.setFloat32(offset, sample, true)
+      } else if (spec.bitsPerSample === 24) {
+        const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7fffff)
+        dataView.setUint8(offset, value & 0xff)
+        dataView.setUint8(offset + 1, (value >> 8) & 0xff)
+        dataView.setUint8(offset + 2, (value >> 16) & 0xff)
+      } else {
+        dataView.setInt16(offset, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7fff), true)
+      }
+      offset += bytesPerSample
+    }
+  }
+  chunks.push(data)
+
+  const body = concatBytes(chunks.filter((chunk) => chunk.length))
+  const header = new Uint8Array(12)
+  const headerView = new DataView(header.buffer)
+  writeAscii(headerView, 0, 'RIFF')
+  headerView.setUint32(4, 4 + body.length, true)
+  writeAscii(headerView, 8, 'WAVE')
+
+  return new Blob([header, body], { type: 'audio/wav' })
+}
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest'
+import { encodeWav, readWavSampleRate } from './wav'
+
+// RIFF/WAVE file of the given chunks ([id, payload bytes])
+const riff = (chunks, form = 'WAVE') => {
+  const size = chunks.reduce((total, [, payload]) => total + 8 + payload.length + (payload.length % 2), 12)
+  const view = new DataView(new ArrayBuffer(size))
+  const writeId = (offset, id) => [...id].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)))
+  writeId(0, 'RIFF')
+  view.setUint32(4, size - 8, true)
+  writeId(8, form)
+  let offset = 12
+  chunks.forEach(([id, payload]) => {
+    writeId(offset, id)
+    view.setUint32(offset + 4, payload.length, true)
+    new Uint8Array(view.buffer).set(payload, offset + 8)
+    offset += 8 + payload.length + (payload.length % 2)
+  })
+  return view.buffer
+}
+
+// A 16-byte PCM fmt payload for mono 16-bit audio at `sampleRate`
+const fmtPayload = (sampleRate) => {
+  const view = new DataView(new ArrayBuffer(16))
+  view.setUint16(0, 1, true)
+  view.setUint16(2, 1, true)
+  view.setUint32(4, sampleRate, true)
+  view.setUint32(8, sampleRate * 2, true)
+  view.setUint16(12, 2, true)
+  view.setUint16(14, 16, true)
+  return new Uint8Array(view.buffer)
+}
+
+// Interleaved samples of the `data` chunk of an encoded file
+const dataSamples = (buffer, read, bytesPerSample) => {
+  const view = new DataView(buffer)
+  let offset = 12
+  while (String.fromCharCode(...new Uint8Array(buffer, offset, 4)) !== 'data') {
+    offset += 8 + view.getUint32(offset + 4, true)
+  }
+  const size = view.getUint32(offset + 4, true)
+  return Array.from({ length: size / bytesPerSample }, (_, i) => read(view, offset + 8 + i * bytesPerSample))
+}
+
+describe('readWavSampleRate', () => {
+  it('reads the rate from the fmt chunk', () => {
+    expect(
+      readWavSampleRate(
+        riff([
+          ['fmt ', fmtPayload(384000)],
+          ['data', new Uint8Array(4)],
+        ]),
+      ),
+    ).toBe(384000)
+  })
+
+  it('skips chunks before the fmt chunk, including odd-sized ones', () => {
+    const info = new Uint8Array(13)
+    expect(
+      readWavSampleRate(
+        riff([
+          ['LIST', info],
+          ['fmt ', fmtPayload(250000)],
+        ]),
+      ),
+    ).toBe(250000)
+  })
+
+  it('gives null for a fmt chunk cut off before the sample rate', () => {
+    const buffer = riff([['fmt ', fmtPayload(96000)]])
+    expect(readWavSampleRate(buffer.slice(0, 12 + 8 + 6))).toBeNull()
+    expect(readWavSampleRate(buffer.slice(0, 12 + 8 + 7))).toBeNull()
+    // ...but not one cut off after it
+    expect(readWavSampleRate(buffer.slice(0, 12 + 8 + 8))).toBe(96000)
+  })
+
+  it('gives null for anything but a WAVE file', () => {
+    expect(readWavSampleRate(riff([['fmt ', fmtPayload(48000)]], 'AVI '))).toBeNull()
+    expect(readWavSampleRate(new TextEncoder().encode('ID3 not a wave file').buffer)).toBeNull()
+    expect(readWavSampleRate(new ArrayBuffer(4))).toBeNull()
+  })
+})
+
+describe('encodeWav', () => {
+  const channels = [new Float32Array([0, 0.5, -1, 1]), new Float32Array([0.25, -0.25, 2, -2])]
+
+  it('writes 16-bit PCM that reads back at its sample rate', async () => {
+    const buffer = await encodeWav({ sampleRate: 192000, channels, metadata: { label: 'Bat' } }).arrayBuffer()
+    expect(readWavSampleRate(buffer)).toBe(192000)
+    const samples = dataSamples(buffer, (view, offset) => view.getInt16(offset, true), 2)
+    // Interleaved, scaled to the integer range and clipped
+    expect(samples).toEqual([0, 8192, 16384, -8192, -32768, 32767, 32767, -32768])
+  })
+
+  it('writes 32-bit float samples as they are, within [-1, 1]', async () => {
+    const buffer = await encodeWav({ sampleRate: 48000, channels, format: 'float32' }).arrayBuffer()
+    expect(readWavSampleRate(buffer)).toBe(48000)
+    const samples = dataSamples(buffer, (view, offset) => view.getFloat32(offset, true), 4)
+    expect(samples).toEqual([0, 0.25, 0.5, -0.25, -1, 1, 1, -1])
+  })
+})
@@ -0,0 +1,87 @@
+import { WINDOW_FUNCTIONS } from '../dsp/fft'
+import { FFT_SIZES } from '../settings'
+
+// FFT size, window, smoothing and dB range controls.
+// `lockFftSize` keeps the frame layout fixed while a recording is in progress.
+function AnalysisSettings({ settings, onChange, sampleRate, lockFftSize }) {
+  const update = (patch) => onChange({ ...settings, ...patch })
+
+  const updateDecibels = (key, value) => {
+    const next = { ...settings, [key]: value }
+    // Ignore incomplete input and inverted ranges rather than persisting them
+    if (!Number.isFinite(value) || next.maxDecibels - next.minDecibels < 10) return
+    onChange(next)
+  }
+
+  const binWidthHz = sampleRate / settings.fftSize
+  const windowMs = (settings.fftSize / sampleRate) * 1000
+
+  return (
+    <div className="settings-panel">
+      <label className="control-select">
+        FFT size
+        <select
+          value={settings.fftSize}
+          onChange={(e) => update({ fftSize: Number(e.target.value) })}
+          disabled={lockFftSize}
+        >
+          {FFT_SIZES.map((size) => (
+            <option key={size} value={size}>
+              {size}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="control-select">
+        Window
+        <select
+          value={settings.windowFunction}
+          onChange={(e) => update({ windowFunction: e.target.value })}
+          disabled={lockFftSize}
+        >
+          {WINDOW_FUNCTIONS.map((w) => (
+            <option key={w.id} value={w.id}>
+              {w.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="control-select">
+        Smoothing
+        <input
+          type="range"
+          min={0}
+          max={0.95}
+          step={0.05}
+          value={settings.smoothing}
+          onChange={(e) => update({ smoothing: Number(e.target.value) })}
+        />
+        <span className="settings-value">{settings.smoothing.toFixed(2)}</span>
+      </label>
+      <label className="control-select">
+        Min dB
+        <input
+          type="number"
+          step={5}
+          value={settings.minDecibels}
+          onChange={(e) => updateDecibels('minDecibels', Number(e.target.value))}
+        />
+      </label>
+      <label className="control-select">
+        Max dB
+        <input
+          type="number"
+          step={5}
+          value={settings.maxDecibels}
+          onChange={(e) => updateDecibels('maxDecibels', Number(e.target.value))}
+        />
+      </label>
+      <span className="settings-info">
+        {binWidthHz < 10 ? binWidthHz.toFixed(2) : binWidthHz.toFixed(1)} Hz bins ·{' '}
+        {Math.round(windowMs)} ms window
+      </span>
+    </div>
+  )
+}
+
+export default AnalysisSettings
@@ -0,0 +1,119 @@
+import { useState } from 'react'
+import { CALIBRATION_MODES, measureReferenceOffset, parseResponseFile } from '../dsp/levels'
+
+// Microphone calibration: dB SPL from a measured reference tone or the mic's
+// sensitivity, optionally corrected by its frequency-response file.
+// `levelSpectrum` ({ dbfs, binHz }) is the spectrum the reference is measured in.
+function CalibrationSettings({ calibration, onChange, levelSpectrum }) {
+  // Why the last response file could not be read, shown beside the file input
+  const [responseError, setResponseError] = useState(null)
+  const update = (patch) => onChange({ ...calibration, ...patch })
+
+  // Changing the tone invalidates an earlier measurement of it
+  const updateReference = (key, value) => {
+    if (!Number.isFinite(value) || (key === 'referenceFrequency' && !(value > 0))) return
+    update({ [key]: value, referenceOffset: null })
+  }
+
+  const handleMeasure = () => {
+    if (!levelSpectrum) return
+    update({ referenceOffset: measureReferenceOffset(levelSpectrum.dbfs, levelSpectrum.binHz, calibration) })
+  }
+
+  const handleResponseFile = async (event) => {
+    const file = event.target.files && event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+    try {
+      update({ response: parseResponseFile(await file.text()), responseName: file.name })
+      setResponseError(null)
+    } catch (e) {
+      console.error('Failed to read the frequency response file', e)
+      setResponseError(`Could not read ${file.name}: ${e.message}`)
+    }
+  }
+
+  return (
+    <div className="settings-panel">
+      <label className="control-select">
+        Calibration
+        <select value={calibration.mode} onChange={(e) => update({ mode: e.target.value })}>
+          {CALIBRATION_MODES.map((mode) => (
+            <option key={mode.id} value={mode.id}>
+              {mode.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {calibration.mode === 'reference' && (
+        <>
+          <label className="control-select">
+            Tone dB SPL
+            <input
+              type="number"
+              step={0.1}
+              value={calibration.referenceLevel}
+              onChange={(e) => updateReference('referenceLevel', Number(e.target.value))}
+            />
+          </label>
+          <label className="control-select">
+            Tone Hz
+            <input
+              type="number"
+              min={1}
+              value={calibration.referenceFrequency}
+              onChange={(e) => updateReference('referenceFrequency', Number(e.target.value))}
+            />
+          </label>
+          <button type="button" className="secondary-btn" onClick={handleMeasure} disabled={!levelSpectrum}>
+            Measure
+          </button>
+          <span className="settings-info">
+            {Number.isFinite(calibration.referenceOffset)
+              ? `0 dBFS = ${calibration.referenceOffset.toFixed(1)} dB SPL`
+              : 'Play the reference tone into the mic, then measure'}
+          </span>
+        </>
+      )}
+      {calibration.mode === 'sensitivity' && (
+        <label className="control-select">
+          Sensitivity dBFS @ 94 dB SPL
+          <input
+            type="number"
+            step={0.1}
+            value={calibration.sensitivity}
+            onChange={(e) => {
+              const value = Number(e.target.value)
+              if (Number.isFinite(value)) update({ sensitivity: value })
+            }}
+          />
+        </label>
+      )}
+      {calibration.mode !== 'none' && (
+        <>
+          <label className="control-select">
+            Response file
+            <input type="file" accept=".txt,.frd,.cal,.csv,text/plain" onChange={handleResponseFile} />
+          </label>
+          {responseError && <span className="settings-error">{responseError}</span>}
+          {calibration.response && (
+            <>
+              <span className="settings-info">
+                {calibration.responseName || 'Response'} ({calibration.response.length} points)
+              </span>
+              <button
+                type="button"
+                className="secondary-btn"
+                onClick={() => update({ response: null, responseName: '' })}
+              >
+                Clear response
+              </button>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default CalibrationSettings
@@ -0,0 +1,26 @@
+// Crosshair over a canvas at the pointer with its readout beside it, laid over
+// the canvas's (relatively positioned) container. `cursor` is { x, y, lines }
+// with x and y as fractions of the canvas size, or null when the pointer is away.
+function CanvasCursor({ cursor }) {
+  if (!cursor) return null
+  // Keep the readout inside the canvas near the right and bottom edges
+  const shiftX = cursor.x > 0.6 ? 'calc(-100% - 8px)' : '8px'
+  const shiftY = cursor.y > 0.6 ? 'calc(-100% - 8px)' : '8px'
+
+  return (
+    <div className="canvas-cursor" aria-hidden="true">
+      <div className="canvas-cursor-x" style={{ left: `${cursor.x * 100}%` }} />
+      <div className="canvas-cursor-y" style={{ top: `${cursor.y * 100}%` }} />
+      <div
+        className="canvas-cursor-readout"
+        style={{ left: `${cursor.x * 100}%`, top: `${cursor.y * 100}%`, transform: `translate(${shiftX}, ${shiftY})` }}
+      >
+        {cursor.lines.map((line) => (
+          <div key={line}>{line}</div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default CanvasCursor
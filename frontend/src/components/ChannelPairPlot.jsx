@@ -0,0 +1,75 @@
+import { useEffect, useRef } from 'react'
+import { freqToFraction } from '../dsp/frequencyScale'
+
+// Level difference shown from -ILD_RANGE_DB to +ILD_RANGE_DB
+const ILD_RANGE_DB = 24
+const ILD_COLOR = '#ff9800'
+const COHERENCE_COLOR = '#4fc3f7'
+
+// Trace one value per bin across the frequency view; `toY` maps a value to a pixel row
+const drawTrace = (ctx, values, binHz, view, width, toY) => {
+  ctx.beginPath()
+  let started = false
+  for (let k = 1; k < values.length; k += 1) {
+    const fraction = freqToFraction(k * binHz, view)
+    if (fraction < 0 || fraction > 1) continue
+    const x = fraction * width
+    const y = toY(values[k])
+    if (started) ctx.lineTo(x, y)
+    else ctx.moveTo(x, y)
+    started = true
+  }
+  ctx.stroke()
+}
+
+// Inter-channel level difference (dB, first channel relative to the second)
+// and magnitude-squared coherence (0..1) across the spectrogram's frequency view.
+// `pair` is { levelDifference, coherence, binHz, channels: [a, b] }.
+function ChannelPairPlot({ pair, view }) {
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const ctx = canvas?.getContext('2d')
+    if (!ctx) return
+    const { width, height } = canvas
+    ctx.fillStyle = '#000'
+    ctx.fillRect(0, 0, width, height)
+
+    // 0 dB / coherence 0.5 centre line
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)'
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    ctx.moveTo(0, height / 2 + 0.5)
+    ctx.lineTo(width, height / 2 + 0.5)
+    ctx.stroke()
+
+    ctx.lineWidth = 1.5
+    ctx.strokeStyle = COHERENCE_COLOR
+    drawTrace(ctx, pair.coherence, pair.binHz, view, width, (value) => (1 - value) * (height - 1))
+    ctx.strokeStyle = ILD_COLOR
+    drawTrace(ctx, pair.levelDifference, pair.binHz, view, width, (value) => {
+      const clamped = Math.max(-ILD_RANGE_DB, Math.min(ILD_RANGE_DB, value))
+      return (0.5 - clamped / (2 * ILD_RANGE_DB)) * (height - 1)
+    })
+
+    ctx.font = '11px system-ui, sans-serif'
+    ctx.textBaseline = 'top'
+    ctx.fillStyle = ILD_COLOR
+    ctx.fillText(`Level difference ±${ILD_RANGE_DB} dB`, 6, 4)
+    ctx.fillStyle = COHERENCE_COLOR
+    ctx.fillText('Coherence 0–1', 6, 18)
+  }, [pair, view])
+
+  const [a, b] = pair.channels
+  return (
+    <div className="panel">
+      <h2 className="section-title">
+        Ch {a + 1} vs Ch {b + 1}
+      </h2>
+      <canvas ref={canvasRef} className="panel-canvas" width={512} height={160} />
+    </div>
+  )
+}
+
+export default ChannelPairPlot
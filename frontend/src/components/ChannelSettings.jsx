@@ -0,0 +1,64 @@
+import { CHANNEL_VIEWS, MAX_CHANNELS } from '../dsp/channels'
+
+// Which channels the spectrogram shows and which pair the level difference and
+// coherence plots compare. `channelCount` is that of the live input or open file.
+function ChannelSettings({ settings, onChange, channelCount }) {
+  const update = (patch) => onChange({ ...settings, ...patch })
+
+  // Offer every channel present, and a saved choice beyond them so it isn't lost
+  const optionCount = (index) => Math.min(MAX_CHANNELS, Math.max(channelCount, index + 1))
+  const channelOptions = (index) =>
+    Array.from({ length: optionCount(index) }, (_, c) => (
+      <option key={c} value={c}>
+        {`Ch ${c + 1}`}
+      </option>
+    ))
+
+  const updatePair = (slot, value) => {
+    const pairChannels = [...settings.pairChannels]
+    pairChannels[slot] = value
+    if (pairChannels[0] !== pairChannels[1]) update({ pairChannels })
+  }
+
+  return (
+    <div className="settings-panel">
+      <label className="control-select">
+        Channels
+        <select value={settings.channelView} onChange={(e) => update({ channelView: e.target.value })}>
+          {CHANNEL_VIEWS.map((view) => (
+            <option key={view.id} value={view.id}>
+              {view.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {settings.channelView === 'single' && (
+        <label className="control-select">
+          Channel
+          <select value={settings.channelIndex} onChange={(e) => update({ channelIndex: Number(e.target.value) })}>
+            {channelOptions(settings.channelIndex)}
+          </select>
+        </label>
+      )}
+      {channelCount > 2 && (
+        <label className="control-select">
+          Compare
+          <select value={settings.pairChannels[0]} onChange={(e) => updatePair(0, Number(e.target.value))}>
+            {channelOptions(settings.pairChannels[0])}
+          </select>
+          with
+          <select value={settings.pairChannels[1]} onChange={(e) => updatePair(1, Number(e.target.value))}>
+            {channelOptions(settings.pairChannels[1])}
+          </select>
+        </label>
+      )}
+      <span className="settings-info">
+        {channelCount > 1
+          ? `${channelCount} channels`
+          : 'Mono source: choose a stereo input or open a multi-channel file to compare channels'}
+      </span>
+    </div>
+  )
+}
+
+export default ChannelSettings
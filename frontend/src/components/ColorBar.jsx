@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react'
+
+// Spacing of the dB labels: the first step giving at most this many labels
+const MAX_LABELS = 8
+const LABEL_STEPS = [5, 10, 20, 30, 50]
+
+// Vertical legend of the spectrogram palette: byte level 255 at the top,
+// labelled with the dB values the byte range stands for.
+function ColorBar({ palette, minDecibels, maxDecibels }) {
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const ctx = canvas?.getContext('2d')
+    if (!ctx) return
+    const image = ctx.createImageData(1, 256)
+    for (let y = 0; y < 256; y += 1) {
+      const value = 255 - y
+      image.data.set(palette.subarray(value * 4, value * 4 + 4), y * 4)
+    }
+    ctx.putImageData(image, 0, 0)
+  }, [palette])
+
+  const range = maxDecibels - minDecibels
+  const step = LABEL_STEPS.find((s) => range / s <= MAX_LABELS) || LABEL_STEPS[LABEL_STEPS.length - 1]
+  const labels = []
+  for (let db = Math.ceil(minDecibels / step) * step; db <= maxDecibels; db += step) labels.push(db)
+
+  return (
+    <aside className="color-bar" aria-label={`Colour scale from ${minDecibels} to ${maxDecibels} dB`}>
+      <canvas ref={canvasRef} className="color-bar-canvas" width={1} height={256} />
+      <div className="color-bar-labels">
+        {labels.map((db) => (
+          <span key={db} className="frequency-label" style={{ top: `${((maxDecibels - db) / range) * 100}%` }}>
+            {db} dB
+          </span>
+        ))}
+      </div>
+    </aside>
+  )
+}
+
+export default ColorBar
@@ -0,0 +1,89 @@
+import { COLORMAPS, MAX_CUSTOM_STOPS } from '../dsp/colormaps'
+import { BRIGHTNESS_RANGE, CONTRAST_RANGE } from '../settings'
+
+// Spectrogram colormap, brightness/contrast and the stops of the custom gradient.
+function ColormapSettings({ settings, onChange }) {
+  const update = (patch) => onChange({ ...settings, ...patch })
+
+  const stops = settings.customColormap
+  const updateStop = (index, color) => update({ customColormap: stops.map((c, i) => (i === index ? color : c)) })
+
+  return (
+    <div className="settings-panel">
+      <label className="control-select">
+        Colormap
+        <select value={settings.colormap} onChange={(e) => update({ colormap: e.target.value })}>
+          {COLORMAPS.map((colormap) => (
+            <option key={colormap.id} value={colormap.id}>
+              {colormap.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="control-select">
+        Brightness
+        <input
+          type="range"
+          min={BRIGHTNESS_RANGE[0]}
+          max={BRIGHTNESS_RANGE[1]}
+          step={0.05}
+          value={settings.brightness}
+          onChange={(e) => update({ brightness: Number(e.target.value) })}
+        />
+        <span className="settings-value">{settings.brightness.toFixed(2)}</span>
+      </label>
+      <label className="control-select">
+        Contrast
+        <input
+          type="range"
+          min={CONTRAST_RANGE[0]}
+          max={CONTRAST_RANGE[1]}
+          step={0.05}
+          value={settings.contrast}
+          onChange={(e) => update({ contrast: Number(e.target.value) })}
+        />
+        <span className="settings-value">{settings.contrast.toFixed(2)}×</span>
+      </label>
+      <button
+        type="button"
+        className="secondary-btn"
+        onClick={() => update({ brightness: 0, contrast: 1 })}
+        disabled={settings.brightness === 0 && settings.contrast === 1}
+      >
+        Reset levels
+      </button>
+      {settings.colormap === 'custom' && (
+        <div className="colormap-stops">
+          {stops.map((color, index) => (
+            <input
+              // Stops have no identity beyond their position
+              key={index}
+              type="color"
+              value={color}
+              aria-label={`Gradient stop ${index + 1}`}
+              onChange={(e) => updateStop(index, e.target.value)}
+            />
+          ))}
+          <button
+            type="button"
+            className="secondary-btn"
+            onClick={() => update({ customColormap: [...stops, stops[stops.length - 1]] })}
+            disabled={stops.length >= MAX_CUSTOM_STOPS}
+          >
+            Add stop
+          </button>
+          <button
+            type="button"
+            className="secondary-btn"
+            onClick={() => update({ customColormap: stops.slice(0, -1) })}
+            disabled={stops.length <= 2}
+          >
+            Remove stop
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ColormapSettings
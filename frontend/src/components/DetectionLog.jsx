@@ -0,0 +1,47 @@
+import { DETECTION_COLUMNS } from '../dsp/detection'
+import { formatSelectionValue } from '../dsp/measurements'
+
+// Logged live detections, one row each, with CSV export.
+function DetectionLog({ detections, onClear, onExport }) {
+  return (
+    <div className="selection-table">
+      <div className="selection-table-header">
+        <h2 className="section-title" style={{ margin: 0 }}>
+          Detections
+        </h2>
+        <button type="button" className="secondary-btn" onClick={onExport} disabled={!detections.length}>
+          Export CSV
+        </button>
+        <button type="button" className="secondary-btn" onClick={onClear} disabled={!detections.length}>
+          Clear
+        </button>
+      </div>
+      {detections.length === 0 ? (
+        <p className="settings-info">Events found by the live detector are listed here as they end.</p>
+      ) : (
+        <div className="selection-table-scroll">
+          <table>
+            <thead>
+              <tr>
+                {DETECTION_COLUMNS.map((column) => (
+                  <th key={column.key}>{column.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {detections.map((detection) => (
+                <tr key={detection.number}>
+                  {DETECTION_COLUMNS.map((column) => (
+                    <td key={column.key}>{formatSelectionValue(detection[column.key], column)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DetectionLog
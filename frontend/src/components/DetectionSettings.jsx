@@ -0,0 +1,114 @@
+import { DETECTION_METHODS } from '../dsp/detection'
+
+// Live event detection: the detector and its band, threshold and timing, and
+// whether detections start recordings. `status` is the detector's latest
+// { score, active, threshold } (null while it isn't running); `onUseSelection`
+// builds a template from the last measured selection (null without one).
+function DetectionSettings({ detection, onChange, status, onUseSelection }) {
+  const update = (patch) => onChange({ ...detection, ...patch })
+  const method = DETECTION_METHODS.find((m) => m.id === detection.method) || DETECTION_METHODS[0]
+  const { template } = detection
+
+  // Number inputs only apply valid, non-negative values; `apply` defaults to setting `key`
+  const numberInput = (key, step, value = detection[key], apply = (next) => update({ [key]: next })) => (
+    <input
+      type="number"
+      min={0}
+      step={step}
+      value={value}
+      onChange={(e) => {
+        const value = Number(e.target.value)
+        if (e.target.value !== '' && Number.isFinite(value) && value >= 0) apply(value)
+      }}
+    />
+  )
+
+  return (
+    <div className="settings-panel">
+      <label className="control-select">
+        <input type="checkbox" checked={detection.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+        Detect events
+      </label>
+      <label className="control-select">
+        Detector
+        <select value={detection.method} onChange={(e) => update({ method: e.target.value })}>
+          {DETECTION_METHODS.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {detection.method === 'template' ? (
+        <>
+          <button type="button" className="secondary-btn" onClick={onUseSelection} disabled={!onUseSelection}>
+            Use last selection as template
+          </button>
+          <span className="settings-info">
+            {template
+              ? `Template ${Math.round(template.lowFrequency)}–${Math.round(template.highFrequency)} Hz, ` +
+                `${(template.frames.length * template.frameSeconds).toFixed(2)} s`
+              : 'Measure a selection of a call in a file or replay to use it as the template'}
+          </span>
+        </>
+      ) : (
+        <label className="control-select">
+          Band Hz
+          {numberInput('lowFrequency', 10, detection.lowFrequency, (value) => {
+            if (value < detection.highFrequency) update({ lowFrequency: value })
+          })}
+          –
+          {numberInput('highFrequency', 10, detection.highFrequency, (value) => {
+            if (value > detection.lowFrequency) update({ highFrequency: value })
+          })}
+        </label>
+      )}
+      <label className="control-select">
+        Threshold ({method.unit})
+        {numberInput('threshold', method.step, detection.thresholds[method.id], (value) =>
+          update({ thresholds: { ...detection.thresholds, [method.id]: value } }),
+        )}
+      </label>
+      {detection.method !== 'flux' && (
+        <label className="control-select">
+          Min duration (s)
+          {numberInput('minDuration', 0.01)}
+        </label>
+      )}
+      <label className="control-select">
+        Hold (s)
+        {numberInput('holdTime', 0.05)}
+      </label>
+      <label className="control-select">
+        <input
+          type="checkbox"
+          checked={detection.autoRecord}
+          onChange={(e) => update({ autoRecord: e.target.checked })}
+        />
+        Record detections
+      </label>
+      {detection.autoRecord && (
+        <>
+          <label className="control-select">
+            Pre-roll (s)
+            {numberInput('preRoll', 0.5)}
+          </label>
+          <label className="control-select">
+            Post-roll (s)
+            {numberInput('postRoll', 0.5)}
+          </label>
+        </>
+      )}
+      {detection.enabled && (
+        <span className="settings-info">
+          {status
+            ? `Score ${Number.isFinite(status.score) ? status.score.toFixed(2) : '—'} / ${status.threshold}` +
+              (status.active ? ' · event' : '')
+            : 'Waiting for live input'}
+        </span>
+      )}
+    </div>
+  )
+}
+
+export default DetectionSettings
@@ -0,0 +1,138 @@
+import { useEffect, useRef, useState } from 'react'
+import { FEATURE_COLUMNS, FEATURE_SUMMARY_COLUMNS } from '../dsp/features'
+import { formatSelectionValue } from '../dsp/measurements'
+
+const TRACE_COLOR = '#4fc3f7'
+
+// Acoustic features across the open file or replayed recording (see
+// dsp/features): one feature plotted against time and the summary of every
+// feature, exported as CSV (summary or frames) or JSON. `track` is
+// { source, frames, summary } or null before `onAnalyze` has run.
+function FeaturePanel({ track, canAnalyze, analyzing, onAnalyze, onExport }) {
+  const [plotted, setPlotted] = useState('centroid')
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const ctx = canvas?.getContext('2d')
+    if (!ctx || !track) return
+    const { width, height } = canvas
+    ctx.fillStyle = '#000'
+    ctx.fillRect(0, 0, width, height)
+    const { frames } = track
+    const row = track.summary.find((summary) => summary.key === plotted)
+    const column = FEATURE_COLUMNS.find((c) => c.key === plotted)
+    ctx.font = '11px system-ui, sans-serif'
+    ctx.fillStyle = TRACE_COLOR
+    ctx.textBaseline = 'top'
+    if (!row || !row.count) {
+      ctx.fillText(`${column.label}: no values`, 6, 4)
+      return
+    }
+
+    const first = frames[0].time
+    const span = Math.max(frames[frames.length - 1].time - first, 1e-6)
+    const range = Math.max(row.max - row.min, 1e-9)
+    const toX = (time) => ((time - first) / span) * (width - 1)
+    const toY = (value) => 4 + (1 - (value - row.min) / range) * (height - 9)
+
+    // Missing values (silent frames, unfound formants) break the line
+    ctx.strokeStyle = TRACE_COLOR
+    ctx.lineWidth = 1.5
+    ctx.beginPath()
+    let started = false
+    frames.forEach((frame) => {
+      const value = frame[plotted]
+      if (!Number.isFinite(value)) {
+        started = false
+        return
+      }
+      if (started) ctx.lineTo(toX(frame.time), toY(value))
+      else ctx.moveTo(toX(frame.time), toY(value))
+      started = true
+    })
+    ctx.stroke()
+
+    ctx.fillStyle = '#ddd'
+    ctx.fillText(`${column.label}: max ${formatSelectionValue(row.max, column)}`, 6, 4)
+    ctx.textBaseline = 'bottom'
+    ctx.fillText(`min ${formatSelectionValue(row.min, column)}`, 6, height - 4)
+    ctx.textAlign = 'right'
+    ctx.fillText(`${first.toFixed(2)}–${(first + span).toFixed(2)} s`, width - 6, height - 4)
+    ctx.textAlign = 'left'
+  }, [track, plotted])
+
+  return (
+    <div className="selection-table">
+      <div className="selection-table-header">
+        <h2 className="section-title" style={{ margin: 0 }}>
+          Acoustic features
+        </h2>
+        <button type="button" className="secondary-btn" onClick={onAnalyze} disabled={!canAnalyze || analyzing}>
+          {analyzing ? 'Analysing…' : 'Analyse file / recording'}
+        </button>
+        <button type="button" className="secondary-btn" onClick={() => onExport('summary')} disabled={!track}>
+          Export summary CSV
+        </button>
+        <button type="button" className="secondary-btn" onClick={() => onExport('frames')} disabled={!track}>
+          Export frames CSV
+        </button>
+        <button type="button" className="secondary-btn" onClick={() => onExport('json')} disabled={!track}>
+          Export JSON
+        </button>
+      </div>
+      {!track ? (
+        <p className="settings-info">
+          Open a file or replay a recording, then analyse it for spectral centroid, bandwidth, rolloff, flatness,
+          entropy, zero-crossing rate, RMS, formants and MFCCs over time.
+        </p>
+      ) : (
+        <>
+          <div className="settings-panel">
+            <span className="settings-info">
+              {track.source}: {track.frames.length} frames
+            </span>
+            <label className="control-select">
+              Plot
+              <select value={plotted} onChange={(e) => setPlotted(e.target.value)}>
+                {FEATURE_COLUMNS.map((column) => (
+                  <option key={column.key} value={column.key}>
+                    {column.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <canvas ref={canvasRef} className="panel-canvas" width={1024} height={160} />
+          <div className="selection-table-scroll">
+            <table>
+              <thead>
+                <tr>
+                  {FEATURE_SUMMARY_COLUMNS.map((column) => (
+                    <th key={column.key}>{column.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {track.summary.map((row) => (
+                  <tr key={row.key}>
+                    {FEATURE_SUMMARY_COLUMNS.map((column) => (
+                      <td key={column.key}>
+                        {/* Values keep their feature's precision on screen */}
+                        {column.digits == null
+                          ? row[column.key]
+                          : formatSelectionValue(row[column.key], { digits: row.digits })}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default FeaturePanel
@@ -0,0 +1,86 @@
+import { INPUT_CHANNEL_COUNTS, INPUT_PROCESSING, INPUT_SAMPLE_RATES } from '../audio/inputDevices'
+
+// Live input device, requested format and browser processing. `activeInput`
+// describes what the browser actually opened (see audio/inputDevices), which
+// may differ from what was asked for.
+function InputSettings({ input, onChange, devices, activeInput, disabled }) {
+  const update = (patch) => onChange({ ...input, ...patch })
+
+  // A saved device that is not plugged in is still listed, so the choice isn't lost
+  const missingDevice = input.deviceId && !devices.some((device) => device.deviceId === input.deviceId)
+
+  const processingOn = activeInput ? INPUT_PROCESSING.filter(({ id }) => activeInput[id]) : []
+
+  return (
+    <div className="settings-panel">
+      <label className="control-select">
+        Input
+        <select value={input.deviceId} onChange={(e) => update({ deviceId: e.target.value })} disabled={disabled}>
+          <option value="">System default</option>
+          {devices.map((device) => (
+            <option key={device.deviceId} value={device.deviceId}>
+              {device.label}
+            </option>
+          ))}
+          {missingDevice && <option value={input.deviceId}>Unavailable device</option>}
+        </select>
+      </label>
+      <label className="control-select">
+        Rate
+        <select
+          value={input.sampleRate}
+          onChange={(e) => update({ sampleRate: Number(e.target.value) })}
+          disabled={disabled}
+        >
+          {INPUT_SAMPLE_RATES.map((rate) => (
+            <option key={rate} value={rate}>
+              {rate ? `${rate / 1000} kHz` : 'Default'}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="control-select">
+        Channels
+        <select
+          value={input.channelCount}
+          onChange={(e) => update({ channelCount: Number(e.target.value) })}
+          disabled={disabled}
+        >
+          {INPUT_CHANNEL_COUNTS.map((count) => (
+            <option key={count} value={count}>
+              {count === 1 ? 'Mono' : count === 2 ? 'Stereo' : `${count} channels`}
+            </option>
+          ))}
+        </select>
+      </label>
+      {INPUT_PROCESSING.map(({ id, label }) => (
+        <label key={id} className="control-select">
+          <input
+            type="checkbox"
+            checked={input[id]}
+            onChange={(e) => update({ [id]: e.target.checked })}
+            disabled={disabled}
+          />
+          {label}
+        </label>
+      ))}
+      {activeInput && (
+        <span className="settings-info">
+          {[
+            activeInput.label || 'Default input',
+            activeInput.sampleRate && `${activeInput.sampleRate} Hz`,
+            activeInput.channelCount && `${activeInput.channelCount} ch`,
+            processingOn.length
+              ? `${processingOn.map(({ label }) => label.toLowerCase()).join(', ')} on`
+              : 'no processing',
+          ]
+            .filter(Boolean)
+            .join(' · ')}
+        </span>
+      )}
+      {disabled && <span className="settings-info">Stop recording to change the input</span>}
+    </div>
+  )
+}
+
+export default InputSettings
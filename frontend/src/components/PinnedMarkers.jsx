@@ -0,0 +1,39 @@
+import { formatHertz } from '../dsp/frequencyScale'
+import { formatLevel } from '../dsp/levels'
+import { formatSeconds } from '../dsp/timeAxis'
+
+const signed = (value, format) => `${value < 0 ? '−' : '+'}${format(Math.abs(value))}`
+
+// Markers pinned on the spectrogram and the difference between the last two.
+// `markers` are [{ id, label, time, freq, level }] with `level` in display
+// units (see dsp/levels) or null where nothing was measured.
+function PinnedMarkers({ markers, calibration, onClear }) {
+  const [first, second] = markers
+
+  return (
+    <div className="settings-panel">
+      {!markers.length && <span className="settings-info">Shift+click the spectrogram to pin a marker</span>}
+      {markers.map((marker) => (
+        <span key={marker.id} className="settings-info">
+          <strong>{marker.label}</strong> {formatSeconds(marker.time)}, {formatHertz(marker.freq)},{' '}
+          {formatLevel(marker.level, calibration)}
+        </span>
+      ))}
+      {second && (
+        <span className="settings-info">
+          Δt {signed(second.time - first.time, formatSeconds)}, Δf {signed(second.freq - first.freq, formatHertz)}
+          {Number.isFinite(first.level) && Number.isFinite(second.level) && (
+            <>, ΔL {signed(second.level - first.level, (db) => `${db.toFixed(1)} dB`)}</>
+          )}
+        </span>
+      )}
+      {markers.length > 0 && (
+        <button type="button" className="secondary-btn" onClick={onClear}>
+          Clear markers
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default PinnedMarkers
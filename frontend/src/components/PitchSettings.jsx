@@ -0,0 +1,68 @@
+import { PITCH_METHODS } from '../dsp/pitch'
+
+// F0 tracker method, search range, confidence threshold and contour toggle.
+function PitchSettings({ settings, onChange }) {
+  const update = (patch) => onChange({ ...settings, ...patch })
+
+  const updateRange = (key, value) => {
+    const next = { ...settings, [key]: value }
+    // Ignore incomplete input and inverted ranges rather than persisting them
+    if (!(value > 0) || next.pitchMaxFrequency <= next.pitchMinFrequency) return
+    onChange(next)
+  }
+
+  return (
+    <div className="settings-panel">
+      <label className="control-select">
+        Pitch
+        <select value={settings.pitchMethod} onChange={(e) => update({ pitchMethod: e.target.value })}>
+          {PITCH_METHODS.map((method) => (
+            <option key={method.id} value={method.id}>
+              {method.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="control-select">
+        F0 min Hz
+        <input
+          type="number"
+          min={1}
+          value={settings.pitchMinFrequency}
+          onChange={(e) => updateRange('pitchMinFrequency', Number(e.target.value))}
+        />
+      </label>
+      <label className="control-select">
+        F0 max Hz
+        <input
+          type="number"
+          min={2}
+          value={settings.pitchMaxFrequency}
+          onChange={(e) => updateRange('pitchMaxFrequency', Number(e.target.value))}
+        />
+      </label>
+      <label className="control-select">
+        Min confidence
+        <input
+          type="range"
+          min={0}
+          max={1}
+          step={0.05}
+          value={settings.pitchMinConfidence}
+          onChange={(e) => update({ pitchMinConfidence: Number(e.target.value) })}
+        />
+        <span className="settings-value">{Math.round(settings.pitchMinConfidence * 100)}%</span>
+      </label>
+      <label className="control-select">
+        <input
+          type="checkbox"
+          checked={settings.showPitch}
+          onChange={(e) => update({ showPitch: e.target.checked })}
+        />
+        Pitch contour
+      </label>
+    </div>
+  )
+}
+
+export default PitchSettings
@@ -0,0 +1,135 @@
+import { DEFAULT_FILTER, FILTER_PRESETS, FILTER_TYPES } from '../dsp/processing'
+
+// Processing before analysis: the filter chain, spectral subtraction of a noise
+// profile, and the A/B switch between the raw and processed spectrogram.
+// `onCaptureNoise` captures a profile from the live input (null when not
+// listening), `capturing` is true meanwhile; `onUseSelection` takes one from the
+// last measured selection (null without one).
+function ProcessingSettings({ processing, onChange, onCaptureNoise, capturing, onUseSelection }) {
+  const update = (patch) => onChange({ ...processing, ...patch })
+  const { filters, noiseProfile } = processing
+
+  const updateFilter = (index, patch) =>
+    update({ filters: filters.map((f, i) => (i === index ? { ...f, ...patch } : f)) })
+
+  // Number inputs only apply valid values, positive ones by default
+  const numberInput = (value, step, apply, valid = (next) => next > 0) => (
+    <input
+      type="number"
+      step={step}
+      value={value}
+      onChange={(e) => {
+        const next = Number(e.target.value)
+        if (e.target.value !== '' && Number.isFinite(next) && valid(next)) apply(next)
+      }}
+    />
+  )
+
+  const nonNegative = (next) => next >= 0
+
+  return (
+    <div className="settings-panel">
+      <label className="control-select">
+        <input type="checkbox" checked={processing.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+        Process input
+      </label>
+      <button
+        type="button"
+        className="secondary-btn"
+        aria-pressed={processing.showRaw}
+        onClick={() => update({ showRaw: !processing.showRaw })}
+        disabled={!processing.enabled}
+        title="Compare the spectrogram with and without processing"
+      >
+        {processing.showRaw ? 'A: raw' : 'B: processed'}
+      </button>
+      {filters.map((filter, index) => (
+        // Filters have no identity beyond their place in the chain
+        <span key={index} className="processing-filter">
+          <select value={filter.type} onChange={(e) => updateFilter(index, { type: e.target.value })}>
+            {FILTER_TYPES.map((type) => (
+              <option key={type.id} value={type.id}>
+                {type.label}
+              </option>
+            ))}
+          </select>
+          <label className="control-select">
+            Hz
+            {numberInput(filter.frequency, 10, (frequency) => updateFilter(index, { frequency }))}
+          </label>
+          <label className="control-select">Q{numberInput(filter.q, 0.1, (q) => updateFilter(index, { q }))}</label>
+          <button
+            type="button"
+            className="secondary-btn"
+            onClick={() => update({ filters: filters.filter((_, i) => i !== index) })}
+          >
+            Remove
+          </button>
+        </span>
+      ))}
+      <button type="button" className="secondary-btn" onClick={() => update({ filters: [...filters, DEFAULT_FILTER] })}>
+        Add filter
+      </button>
+      <label className="control-select">
+        Preset
+        <select
+          value=""
+          onChange={(e) => {
+            const preset = FILTER_PRESETS.find((p) => p.id === e.target.value)
+            if (preset) update({ filters: [...filters, ...preset.filters] })
+          }}
+        >
+          <option value="">Add…</option>
+          {FILTER_PRESETS.map((preset) => (
+            <option key={preset.id} value={preset.id}>
+              {preset.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="control-select">
+        <input
+          type="checkbox"
+          checked={processing.noiseReduction}
+          onChange={(e) => update({ noiseReduction: e.target.checked })}
+        />
+        Noise reduction
+      </label>
+      {processing.noiseReduction && (
+        <>
+          <label className="control-select">
+            Over-subtraction
+            {numberInput(
+              processing.overSubtraction,
+              0.1,
+              (overSubtraction) => update({ overSubtraction }),
+              nonNegative,
+            )}
+          </label>
+          <label className="control-select">
+            Max reduction (dB)
+            {numberInput(-processing.spectralFloor, 1, (depth) => update({ spectralFloor: -depth }), nonNegative)}
+          </label>
+          <button
+            type="button"
+            className="secondary-btn"
+            onClick={onCaptureNoise}
+            disabled={!onCaptureNoise || capturing}
+          >
+            {capturing ? 'Capturing noise…' : 'Capture noise profile'}
+          </button>
+          <button type="button" className="secondary-btn" onClick={onUseSelection} disabled={!onUseSelection}>
+            Use last selection as noise
+          </button>
+          <span className="settings-info">
+            {noiseProfile
+              ? `Noise profile: ${noiseProfile.levels.length} bins of ${noiseProfile.binHz.toFixed(1)} Hz`
+              : 'Capture the background noise alone, live or from a selection'}
+          </span>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ProcessingSettings
@@ -0,0 +1,127 @@
+import { useState } from 'react'
+
+// Name, notes, tags and time-anchored annotations of a saved recording (see
+// storage/catalog). Text fields are saved when they lose focus. `playhead` is
+// the replay position in seconds while this recording is replayed, else null.
+function RecordingDetails({ recording, taxonomy, onChange, playhead, onSeek, onClose }) {
+  const [annotationText, setAnnotationText] = useState('')
+  const update = (patch) => onChange({ ...recording, ...patch })
+  const tags = recording.tags || {}
+  const annotations = [...(recording.annotations || [])].sort((a, b) => a.time - b.time)
+
+  const toggleTag = (categoryId, tag, on) => {
+    const current = tags[categoryId] || []
+    const next = on ? [...current, tag] : current.filter((t) => t !== tag)
+    update({ tags: { ...tags, [categoryId]: next } })
+  }
+
+  const addAnnotation = () => {
+    const text = annotationText.trim()
+    if (!text || playhead == null) return
+    const id = annotations.reduce((max, annotation) => Math.max(max, annotation.id), 0) + 1
+    update({ annotations: [...annotations, { id, time: playhead, text }] })
+    setAnnotationText('')
+  }
+
+  return (
+    <div className="recording-details">
+      <div className="settings-panel">
+        <label className="control-select">
+          Name
+          <input
+            type="text"
+            defaultValue={recording.label}
+            onBlur={(e) => {
+              const label = e.target.value.trim()
+              if (label && label !== recording.label) update({ label })
+            }}
+          />
+        </label>
+        <span className="settings-info" title={recording.recordedAt}>
+          {recording.recordedAt || recording.createdAt}
+        </span>
+        <button type="button" className="secondary-btn" onClick={onClose}>
+          Done
+        </button>
+      </div>
+      <label className="control-select recording-notes">
+        Notes
+        <textarea
+          rows={2}
+          defaultValue={recording.notes || ''}
+          onBlur={(e) => {
+            if (e.target.value !== (recording.notes || '')) update({ notes: e.target.value })
+          }}
+        />
+      </label>
+      {taxonomy.map((category) => {
+        // Tags given before they were removed from the taxonomy stay visible
+        const offered = [...new Set([...category.tags, ...(tags[category.id] || [])])]
+        return (
+          <div key={category.id} className="settings-panel">
+            <span className="settings-info">{category.label}</span>
+            {offered.length === 0 && <span className="settings-info">No tags yet: add some in the settings</span>}
+            {offered.map((tag) => (
+              <label key={tag} className="control-select">
+                <input
+                  type="checkbox"
+                  checked={(tags[category.id] || []).includes(tag)}
+                  onChange={(e) => toggleTag(category.id, tag, e.target.checked)}
+                />
+                {tag}
+              </label>
+            ))}
+          </div>
+        )
+      })}
+      <div className="settings-panel">
+        <label className="control-select">
+          Annotation
+          <input
+            type="text"
+            value={annotationText}
+            placeholder={playhead == null ? 'Replay the recording to annotate' : 'Text at the playhead'}
+            onChange={(e) => setAnnotationText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') addAnnotation()
+            }}
+          />
+        </label>
+        <button
+          type="button"
+          className="secondary-btn"
+          onClick={addAnnotation}
+          disabled={playhead == null || !annotationText.trim()}
+        >
+          Add at {playhead == null ? 'playhead' : `${playhead.toFixed(2)} s`}
+        </button>
+      </div>
+      {annotations.length > 0 && (
+        <ul className="annotation-list">
+          {annotations.map((annotation) => (
+            <li key={annotation.id}>
+              <button
+                type="button"
+                className="secondary-btn"
+                onClick={() => onSeek(annotation.time)}
+                disabled={playhead == null}
+              >
+                {annotation.time.toFixed(2)} s
+              </button>
+              <span>{annotation.text}</span>
+              <button
+                type="button"
+                className="secondary-btn"
+                onClick={() => update({ annotations: annotations.filter((a) => a.id !== annotation.id) })}
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default RecordingDetails
@@ -0,0 +1,53 @@
+import { RECORDING_SORTS, tagKey } from '../storage/catalog'
+
+// Search, tag filter and sort order of the recordings list.
+// `filters` is { query, tag, sort } as taken by filterRecordings.
+function RecordingFilters({ filters, onChange, taxonomy, shown, total }) {
+  const update = (patch) => onChange({ ...filters, ...patch })
+
+  return (
+    <div className="settings-panel">
+      <label className="control-select">
+        Search
+        <input
+          type="search"
+          value={filters.query}
+          placeholder="Name, notes, tags…"
+          onChange={(e) => update({ query: e.target.value })}
+        />
+      </label>
+      <label className="control-select">
+        Tag
+        <select value={filters.tag} onChange={(e) => update({ tag: e.target.value })}>
+          <option value="">Any</option>
+          {taxonomy.map((category) => (
+            <optgroup key={category.id} label={category.label}>
+              {category.tags.map((tag) => (
+                <option key={tag} value={tagKey(category.id, tag)}>
+                  {tag}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+      </label>
+      <label className="control-select">
+        Sort
+        <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })}>
+          {RECORDING_SORTS.map((sort) => (
+            <option key={sort.id} value={sort.id}>
+              {sort.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {shown < total && (
+        <span className="settings-info">
+          {shown} of {total} recordings
+        </span>
+      )}
+    </div>
+  )
+}
+
+export default RecordingFilters
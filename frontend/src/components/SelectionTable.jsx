@@ -0,0 +1,56 @@
+import { formatSelectionValue, SELECTION_COLUMNS } from '../dsp/measurements'
+
+// Measured spectrogram selections, one row each, with CSV export.
+function SelectionTable({ selections, onDelete, onClear, onExport }) {
+  return (
+    <div className="selection-table">
+      <div className="selection-table-header">
+        <h2 className="section-title" style={{ margin: 0 }}>
+          Selections
+        </h2>
+        <button type="button" className="secondary-btn" onClick={onExport} disabled={!selections.length}>
+          Export CSV
+        </button>
+        <button type="button" className="secondary-btn" onClick={onClear} disabled={!selections.length}>
+          Clear
+        </button>
+      </div>
+      {selections.length === 0 ? (
+        <p className="settings-info">Drag on the spectrogram of a file or replay to measure a region.</p>
+      ) : (
+        <div className="selection-table-scroll">
+          <table>
+            <thead>
+              <tr>
+                {SELECTION_COLUMNS.map((column) => (
+                  <th key={column.key}>{column.label}</th>
+                ))}
+                <th aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {selections.map((selection) => (
+                <tr key={selection.number}>
+                  {SELECTION_COLUMNS.map((column) => (
+                    <td key={column.key}>{formatSelectionValue(selection[column.key], column)}</td>
+                  ))}
+                  <td>
+                    <button
+                      type="button"
+                      className="secondary-btn"
+                      onClick={() => onDelete(selection.number)}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SelectionTable
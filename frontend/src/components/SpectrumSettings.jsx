@@ -0,0 +1,64 @@
+import { SPECTRUM_SCALES } from '../dsp/spectrumPlot'
+
+// Spectrum plot controls: the frequency axis, the traces held over the frames
+// seen (peak, min, Welch average) and the spectra frozen for comparison.
+// `overlays` are [{ id, label, color }]; `onFreeze` freezes the spectrum shown.
+function SpectrumSettings({ spectrum, onChange, overlays, onFreeze, onRemoveOverlay, onClearOverlays, onResetTraces }) {
+  const update = (patch) => onChange({ ...spectrum, ...patch })
+
+  const toggle = (key, label) => (
+    <label className="control-select">
+      <input type="checkbox" checked={spectrum[key]} onChange={(e) => update({ [key]: e.target.checked })} />
+      {label}
+    </label>
+  )
+
+  return (
+    <div className="settings-panel">
+      <label className="control-select">
+        Axis
+        <select value={spectrum.scale} onChange={(e) => update({ scale: e.target.value })}>
+          {SPECTRUM_SCALES.map((scale) => (
+            <option key={scale.id} value={scale.id}>
+              {scale.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {toggle('peakHold', 'Peak hold')}
+      {toggle('minHold', 'Min hold')}
+      {toggle('average', 'Average')}
+      <button type="button" className="secondary-btn" onClick={onResetTraces}>
+        Reset
+      </button>
+      <button
+        type="button"
+        className="secondary-btn"
+        onClick={onFreeze}
+        title="Keep the spectrum shown (the average while it is on) to compare with other sources"
+      >
+        Freeze
+      </button>
+      {overlays.map((overlay) => (
+        <span key={overlay.id} className="spectrum-overlay" style={{ borderColor: overlay.color }}>
+          {overlay.label}
+          <button
+            type="button"
+            className="secondary-btn"
+            onClick={() => onRemoveOverlay(overlay.id)}
+            aria-label={`Remove ${overlay.label}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      {overlays.length > 0 && (
+        <button type="button" className="secondary-btn" onClick={onClearOverlays}>
+          Clear frozen
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default SpectrumSettings
@@ -0,0 +1,28 @@
+import { parseTagList } from '../storage/catalog'
+
+// The tags offered for labelling recordings, a comma-separated list per category.
+// Lists are applied when a field loses focus so typing a comma doesn't drop it.
+function TaxonomySettings({ taxonomy, onChange }) {
+  const updateTags = (id, text) =>
+    onChange(taxonomy.map((category) => (category.id === id ? { ...category, tags: parseTagList(text) } : category)))
+
+  return (
+    <div className="settings-panel">
+      {taxonomy.map((category) => (
+        <label key={category.id} className="control-select">
+          {category.label} tags
+          <input
+            key={category.tags.join(',')}
+            type="text"
+            className="tag-list-input"
+            defaultValue={category.tags.join(', ')}
+            placeholder="Comma-separated"
+            onBlur={(e) => updateTags(category.id, e.target.value)}
+          />
+        </label>
+      ))}
+    </div>
+  )
+}
+
+export default TaxonomySettings
@@ -0,0 +1,94 @@
+import { useState } from 'react'
+import { DEFAULT_SEARCH_THRESHOLD } from '../dsp/templateSearch'
+
+// Search saved recordings for a template cut from a measured selection, with
+// the ranked matches listed for opening in replay. `template` is null until one
+// has been taken; `onUseSelection` is null without a selection to take it from;
+// `progress` is { done, total } recordings while a search runs.
+function TemplateSearch({ template, onUseSelection, canSearchCurrent, onSearch, progress, matches, onOpenMatch }) {
+  const [scope, setScope] = useState('all')
+  const [threshold, setThreshold] = useState(DEFAULT_SEARCH_THRESHOLD)
+  const searchScope = canSearchCurrent ? scope : 'all'
+
+  return (
+    <div className="selection-table">
+      <div className="selection-table-header">
+        <h2 className="section-title" style={{ margin: 0 }}>
+          Template search
+        </h2>
+        <button type="button" className="secondary-btn" onClick={onUseSelection} disabled={!onUseSelection}>
+          Use last selection
+        </button>
+        <label className="control-select">
+          Search
+          <select value={searchScope} onChange={(e) => setScope(e.target.value)}>
+            <option value="all">All recordings</option>
+            {canSearchCurrent && <option value="current">This recording</option>}
+          </select>
+        </label>
+        <label className="control-select">
+          Min score
+          <input
+            type="number"
+            min={0}
+            max={1}
+            step={0.05}
+            value={threshold}
+            onChange={(e) => {
+              const value = Number(e.target.value)
+              if (e.target.value !== '' && value >= 0 && value <= 1) setThreshold(value)
+            }}
+          />
+        </label>
+        <button
+          type="button"
+          className="secondary-btn"
+          onClick={() => onSearch(searchScope, threshold)}
+          disabled={!template || Boolean(progress)}
+        >
+          {progress ? `Searching ${progress.done}/${progress.total}…` : 'Search'}
+        </button>
+      </div>
+      <p className="settings-info">
+        {template
+          ? `Template: ${template.source}, ${Math.round(template.lowFrequency)}–${Math.round(template.highFrequency)} Hz, ` +
+            `${(template.frames.length * template.frameSeconds).toFixed(2)} s`
+          : 'Measure a selection of a call in a file or replay, then use it as the template.'}
+      </p>
+      {matches.length > 0 && (
+        <div className="selection-table-scroll">
+          <table>
+            <thead>
+              <tr>
+                <th>Rank</th>
+                <th>Recording</th>
+                <th>Begin Time (s)</th>
+                <th>End Time (s)</th>
+                <th>Score</th>
+                <th aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {matches.map((match) => (
+                <tr key={match.number}>
+                  <td>{match.number}</td>
+                  <td>{match.label}</td>
+                  <td>{match.begin.toFixed(3)}</td>
+                  <td>{match.end.toFixed(3)}</td>
+                  <td>{match.score.toFixed(3)}</td>
+                  <td>
+                    <button type="button" className="secondary-btn" onClick={() => onOpenMatch(match)}>
+                      Show
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TemplateSearch
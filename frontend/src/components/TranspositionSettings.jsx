@@ -0,0 +1,70 @@
+import { withInfrasoundMode } from '../settings'
+import { formatFrequency } from '../dsp/frequencyScale'
+import {
+  HETERODYNE_REFERENCE_HZ,
+  heardFrequency,
+  TRANSPOSITION_FACTORS,
+  TRANSPOSITION_MODES,
+} from '../dsp/transposition'
+
+// The infrasound mode (long FFTs over 1-200 Hz) and how files and recordings
+// are made audible when played back: sped up or heterodyned by a factor, or
+// slowed down by it for ultrasound. `onChange` is given a function from the
+// current settings to the new ones.
+function TranspositionSettings({ settings, onChange }) {
+  const { transposition } = settings
+  const update = (patch) =>
+    onChange((current) => ({ ...current, transposition: { ...current.transposition, ...patch } }))
+
+  return (
+    <div className="settings-panel">
+      <label className="control-select">
+        <input
+          type="checkbox"
+          checked={settings.infrasound.enabled}
+          onChange={(e) => {
+            const { checked } = e.target
+            onChange((current) => withInfrasoundMode(current, checked))
+          }}
+        />
+        Infrasound mode
+      </label>
+      <label className="control-select">
+        Playback
+        <select value={transposition.mode} onChange={(e) => update({ mode: e.target.value })}>
+          {TRANSPOSITION_MODES.map((mode) => (
+            <option key={mode.id} value={mode.id}>
+              {mode.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {transposition.mode !== 'off' && (
+        <>
+          <label className="control-select">
+            Factor
+            <select value={transposition.factor} onChange={(e) => update({ factor: Number(e.target.value) })}>
+              {TRANSPOSITION_FACTORS.map((factor) => (
+                <option key={factor} value={factor}>
+                  ×{factor}
+                </option>
+              ))}
+            </select>
+          </label>
+          <span className="settings-info">
+            {transposition.mode === 'speed' &&
+              `Plays ${transposition.factor}× faster and ${transposition.factor}× higher`}
+            {transposition.mode === 'expansion' &&
+              `Plays ${transposition.factor}× slower and ${transposition.factor}× lower`}
+            {transposition.mode === 'heterodyne' &&
+              `Real time, raised by ${formatFrequency(heardFrequency(0, transposition))}: ` +
+                `${formatFrequency(HETERODYNE_REFERENCE_HZ)} is heard at ` +
+                formatFrequency(heardFrequency(HETERODYNE_REFERENCE_HZ, transposition))}
+          </span>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default TranspositionSettings
@@ -0,0 +1,101 @@
+// Spectrum analysis shared by the live view, file view, replay and exports.
+// Pure functions on typed arrays: spectra are dBFS Float32Arrays (see ./fft and
+// ./levels) with bin k centred on k * sampleRate / fftSize.
+
+import { fractionToFreq, freqToFraction } from './frequencyScale'
+
+// dB a harmonic must rise above the spectrum's median to be listed...
+export const HARMONIC_MARGIN_DB = 10
+
+// ...and how far below the strongest bin it may be (window sidelobes and
+// rounding noise of clean signals sit further down)
+export const HARMONIC_RANGE_DB = 60
+
+// Harmonic orders looked up above the fundamental
+const HARMONIC_ORDERS = [2, 3, 4]
+
+// How far (as a fraction of its frequency) a harmonic may sit from n * F0
+const HARMONIC_TOLERANCE = 0.03
+
+// Canvas row for FFT bin `binIndex` on a frequency view (see ./frequencyScale),
+// or -1 when the bin lies outside the visible range
+export const binToY = (binIndex, height, sampleRate, fftSize, view) => {
+  const binFreq = (binIndex * sampleRate) / fftSize
+  if (binFreq < view.minFreq || binFreq > view.maxFreq) return -1
+  const frac = 1 - freqToFraction(binFreq, view)
+  return Math.floor(frac * (height - 1))
+}
+
+// Frequency at canvas row `y` (the inverse of binToY)
+export const yToFreq = (y, height, view) => {
+  const frac = 1 - (y + 0.5) / (height - 1)
+  return fractionToFreq(frac, view)
+}
+
+// FFT bin containing `freq`
+export const freqToBin = (freq, sampleRate, fftSize) => Math.floor((freq * fftSize) / sampleRate)
+
+// Index of the strongest bin (the first one on ties)
+export const peakBin = (spectrum) => {
+  let best = 0
+  for (let i = 1; i < spectrum.length; i += 1) {
+    if (spectrum[i] > spectrum[best]) best = i
+  }
+  return best
+}
+
+// Median level of a spectrum, used as its noise floor
+const medianLevel = (spectrum) => {
+  const sorted = Float32Array.from(spectrum).sort()
+  return sorted[sorted.length >> 1]
+}
+
+// Strongest bin within HARMONIC_TOLERANCE of `frequency`, or -1 past the spectrum
+const strongestBinNear = (spectrum, frequency, sampleRate, fftSize) => {
+  const firstBin = freqToBin(frequency * (1 - HARMONIC_TOLERANCE), sampleRate, fftSize)
+  const lastBin = Math.min(
+    spectrum.length - 1,
+    Math.ceil((frequency * (1 + HARMONIC_TOLERANCE) * fftSize) / sampleRate),
+  )
+  let best = -1
+  for (let i = firstBin; i <= lastBin; i += 1) {
+    if (best < 0 || spectrum[i] > spectrum[best]) best = i
+  }
+  return best
+}
+
+// Top resonating frequency and harmony of a dBFS spectrum, with their levels.
+// `pitch` is the F0 estimate ({ frequency, confidence }) for the same frame (see
+// ./pitch), or null when there is no confident estimate; harmonics are looked
+// up at its multiples. Returns null for an empty spectrum.
+export const calculateFrequencyAnalysis = (freqDataArray, sampleRate, fftSize, pitch = null) => {
+  if (!freqDataArray || freqDataArray.length === 0) return null
+
+  const topBin = peakBin(freqDataArray)
+
+  // Each harmonic is the strongest bin near its multiple of F0 that stands
+  // clear of the noise floor
+  const harmonics = []
+  let fundamentalLevel = null
+  if (pitch) {
+    const fundamentalBin = strongestBinNear(freqDataArray, pitch.frequency, sampleRate, fftSize)
+    if (fundamentalBin >= 0) fundamentalLevel = freqDataArray[fundamentalBin]
+    const floor = Math.max(medianLevel(freqDataArray) + HARMONIC_MARGIN_DB, freqDataArray[topBin] - HARMONIC_RANGE_DB)
+    HARMONIC_ORDERS.forEach((order) => {
+      const harmonicFreq = pitch.frequency * order
+      const harmonicBin = strongestBinNear(freqDataArray, harmonicFreq, sampleRate, fftSize)
+      if (harmonicBin >= 0 && freqDataArray[harmonicBin] > floor) {
+        harmonics.push({ order, frequency: harmonicFreq, level: freqDataArray[harmonicBin] })
+      }
+    })
+  }
+
+  return {
+    topResonating: (topBin * sampleRate) / fftSize,
+    topLevel: freqDataArray[topBin],
+    fundamental: pitch ? pitch.frequency : null,
+    fundamentalConfidence: pitch ? pitch.confidence : null,
+    fundamentalLevel,
+    harmonics,
+  }
+}
@@ -0,0 +1,155 @@
+import { describe, expect, it } from 'vitest'
+import { harmonicStack, mix, sine, sines, whiteNoise } from '../test/signals'
+import { binToY, calculateFrequencyAnalysis, freqToBin, peakBin, yToFreq } from './analysis'
+import { createSpectrumAnalyzer } from './fft'
+import { createFrequencyView } from './frequencyScale'
+import { createPitchTracker } from './pitch'
+
+const SAMPLE_RATE = 48000
+const FFT_SIZE = 4096
+const BIN_HZ = SAMPLE_RATE / FFT_SIZE
+
+const dbfsSpectrum = (samples) => {
+  const analyzer = createSpectrumAnalyzer(FFT_SIZE)
+  return analyzer.decibelFrequencyData(samples, 0, new Float32Array(analyzer.binCount))
+}
+
+const yinPitch = (samples) =>
+  createPitchTracker({ method: 'yin', sampleRate: SAMPLE_RATE, frameSize: FFT_SIZE }).estimate(samples, 0)
+
+describe('bin and row mapping', () => {
+  const view = createFrequencyView('linear', 0, 24000)
+
+  it('puts a frequency in the bin that contains it', () => {
+    expect(freqToBin(0, SAMPLE_RATE, FFT_SIZE)).toBe(0)
+    expect(freqToBin(1000, SAMPLE_RATE, FFT_SIZE)).toBe(Math.floor(1000 / BIN_HZ))
+    expect(freqToBin(BIN_HZ * 10, SAMPLE_RATE, FFT_SIZE)).toBe(10)
+  })
+
+  it('maps low bins to the bottom row and high bins to the top', () => {
+    expect(binToY(0, 512, SAMPLE_RATE, FFT_SIZE, view)).toBe(511)
+    expect(binToY(FFT_SIZE / 2, 512, SAMPLE_RATE, FFT_SIZE, view)).toBe(0)
+  })
+
+  it('skips bins outside the visible range', () => {
+    const zoomed = createFrequencyView('linear', 1000, 2000)
+    expect(binToY(freqToBin(500, SAMPLE_RATE, FFT_SIZE), 512, SAMPLE_RATE, FFT_SIZE, zoomed)).toBe(-1)
+    expect(binToY(freqToBin(4000, SAMPLE_RATE, FFT_SIZE), 512, SAMPLE_RATE, FFT_SIZE, zoomed)).toBe(-1)
+  })
+
+  it('inverts the row of a bin on every scale', () => {
+    ;['linear', 'log', 'mel', 'bark', 'erb'].forEach((scaleId) => {
+      const scaled = createFrequencyView(scaleId, 20, 20000)
+      const height = 1000
+      const bin = freqToBin(3000, SAMPLE_RATE, FFT_SIZE)
+      const y = binToY(bin, height, SAMPLE_RATE, FFT_SIZE, scaled)
+      // One row spans several bins near 3 kHz, so the row's frequency is within a few bins
+      expect(Math.abs(yToFreq(y, height, scaled) - bin * BIN_HZ)).toBeLessThan(scaled.maxFreq / 100)
+    })
+  })
+})
+
+describe('peakBin', () => {
+  it('returns the first of equal maxima', () => {
+    expect(peakBin(Uint8Array.from([1, 7, 3, 7]))).toBe(1)
+  })
+})
+
+describe('calculateFrequencyAnalysis', () => {
+  it('returns null for an empty spectrum', () => {
+    expect(calculateFrequencyAnalysis(new Float32Array(0), SAMPLE_RATE, FFT_SIZE)).toBeNull()
+    expect(calculateFrequencyAnalysis(null, SAMPLE_RATE, FFT_SIZE)).toBeNull()
+  })
+
+  it('finds the peak of a pure sine to within a bin', () => {
+    ;[100, 1000, 5000, 15000].forEach((frequency) => {
+      const spectrum = dbfsSpectrum(sine(frequency, SAMPLE_RATE, FFT_SIZE))
+      const analysis = calculateFrequencyAnalysis(spectrum, SAMPLE_RATE, FFT_SIZE)
+      expect(Math.abs(analysis.topResonating - frequency)).toBeLessThanOrEqual(BIN_HZ)
+    })
+  })
+
+  it('reports the level of a sine in dBFS', () => {
+    // Half of full scale is -6 dBFS; a Blackman window loses up to ~1.1 dB between bins
+    const spectrum = dbfsSpectrum(sine(1000, SAMPLE_RATE, FFT_SIZE))
+    const analysis = calculateFrequencyAnalysis(spectrum, SAMPLE_RATE, FFT_SIZE)
+    expect(analysis.topLevel).toBeLessThan(-6 + 0.1)
+    expect(analysis.topLevel).toBeGreaterThan(-6 - 1.2)
+  })
+
+  it('picks the louder of two sines', () => {
+    const samples = sines(
+      [
+        { frequency: 440, amplitude: 0.1 },
+        { frequency: 3000, amplitude: 0.4 },
+      ],
+      SAMPLE_RATE,
+      FFT_SIZE,
+    )
+    const analysis = calculateFrequencyAnalysis(dbfsSpectrum(samples), SAMPLE_RATE, FFT_SIZE)
+    expect(Math.abs(analysis.topResonating - 3000)).toBeLessThanOrEqual(BIN_HZ)
+  })
+
+  it('finds the peak of a sine buried in noise', () => {
+    const samples = mix(sine(2000, SAMPLE_RATE, FFT_SIZE, 0.3), whiteNoise(FFT_SIZE, 0.3))
+    const analysis = calculateFrequencyAnalysis(dbfsSpectrum(samples), SAMPLE_RATE, FFT_SIZE)
+    expect(Math.abs(analysis.topResonating - 2000)).toBeLessThanOrEqual(BIN_HZ)
+  })
+
+  it('reports the fundamental and harmonics of a harmonic stack', () => {
+    const samples = harmonicStack(220, SAMPLE_RATE, FFT_SIZE)
+    const pitch = yinPitch(samples)
+    const analysis = calculateFrequencyAnalysis(dbfsSpectrum(samples), SAMPLE_RATE, FFT_SIZE, pitch)
+    expect(analysis.fundamental).toBeCloseTo(220, 0)
+    expect(analysis.fundamentalConfidence).toBeGreaterThan(0.8)
+    expect(analysis.harmonics.map((harmonic) => harmonic.order)).toEqual([2, 3, 4])
+    analysis.harmonics.forEach((harmonic) => {
+      expect(harmonic.frequency).toBeCloseTo(220 * harmonic.order, 0)
+    })
+    // Partials fall off as 1 / n: 20 log10(n) dB below the fundamental, give or
+    // take the window's scalloping loss
+    analysis.harmonics.forEach((harmonic) => {
+      const drop = analysis.fundamentalLevel - harmonic.level
+      expect(Math.abs(drop - 20 * Math.log10(harmonic.order))).toBeLessThan(1.5)
+    })
+  })
+
+  it('lists no harmonics for a pure sine', () => {
+    const samples = sine(440, SAMPLE_RATE, FFT_SIZE)
+    const pitch = yinPitch(samples)
+    const analysis = calculateFrequencyAnalysis(dbfsSpectrum(samples), SAMPLE_RATE, FFT_SIZE, pitch)
+    expect(analysis.fundamental).toBeCloseTo(440, 0)
+    expect(analysis.harmonics).toEqual([])
+  })
+
+  it('lists only the harmonics that are present', () => {
+    const samples = sines(
+      [
+        { frequency: 300, amplitude: 0.4 },
+        { frequency: 900, amplitude: 0.2 },
+      ],
+      SAMPLE_RATE,
+      FFT_SIZE,
+    )
+    const analysis = calculateFrequencyAnalysis(dbfsSpectrum(samples), SAMPLE_RATE, FFT_SIZE, {
+      frequency: 300,
+      confidence: 1,
+    })
+    expect(analysis.harmonics.map((harmonic) => harmonic.order)).toEqual([3])
+  })
+
+  it('reports no fundamental or harmonics without a pitch estimate', () => {
+    const analysis = calculateFrequencyAnalysis(dbfsSpectrum(whiteNoise(FFT_SIZE)), SAMPLE_RATE, FFT_SIZE)
+    expect(analysis.fundamental).toBeNull()
+    expect(analysis.fundamentalConfidence).toBeNull()
+    expect(analysis.harmonics).toEqual([])
+  })
+
+  it('finds no harmonics in noise even when given a pitch', () => {
+    const analysis = calculateFrequencyAnalysis(dbfsSpectrum(whiteNoise(FFT_SIZE)), SAMPLE_RATE, FFT_SIZE, {
+      frequency: 500,
+      confidence: 1,
+    })
+    expect(analysis.harmonics).toEqual([])
+  })
+})
@@ -0,0 +1,164 @@
+// Multi-channel input: which channel(s) the spectrogram shows, the pixel lanes
+// of a stacked view, and the inter-channel level difference (ILD) and
+// magnitude-squared coherence of a channel pair, estimated from averaged auto-
+// and cross-spectra (Welch's method, with exponential averaging for live input).
+
+import { createWindow, fft } from './fft'
+
+export const CHANNEL_VIEWS = [
+  { id: 'mix', label: 'Mix' },
+  { id: 'stacked', label: 'Stacked' },
+  { id: 'single', label: 'Single channel' },
+]
+
+// Channels shown in a stacked view or offered for selection
+export const MAX_CHANNELS = 8
+
+// Frames averaged into a pair estimate; coherence of a single frame is always 1
+export const PAIR_AVERAGE_FRAMES = 16
+
+// Largest FFT the channel pair is analysed at
+export const PAIR_MAX_FFT_SIZE = 8192
+
+// Rows between stacked lanes
+const LANE_GAP = 2
+
+// Floor on the auto-spectra so silent bins compare as equal rather than as 0/0
+const POWER_FLOOR = 1e-20
+
+// Mean of the channels (the only channel itself when there is one)
+export const downmixChannels = (channels) => {
+  if (channels.length === 1) return channels[0]
+  const mono = new Float32Array(channels[0].length)
+  channels.forEach((channel) => {
+    for (let i = 0; i < mono.length; i += 1) mono[i] += channel[i] / channels.length
+  })
+  return mono
+}
+
+// The signal the single-spectrum analysis runs on: the chosen channel in the
+// single-channel view, otherwise the mix
+export const analysisChannel = (channels, view, index) =>
+  view === 'single' ? channels[Math.min(index, channels.length - 1)] : downmixChannels(channels)
+
+// The channel pair to compare: the chosen one when both channels are present, else the first two
+export const pairIndices = (pairChannels, channelCount) =>
+  pairChannels && pairChannels.every((c) => c < channelCount) ? pairChannels : [0, 1]
+
+// Number of spectrogram lanes for a view of `channelCount` channels
+export const laneCount = (view, channelCount) => (view === 'stacked' ? Math.min(channelCount, MAX_CHANNELS) : 1) || 1
+
+// [{ top, height }] pixel rows of `count` lanes stacked over `height` rows, top to bottom
+export const stackedLanes = (height, count) => {
+  const laneHeight = Math.max(1, Math.floor((height - LANE_GAP * (count - 1)) / count))
+  return Array.from({ length: count }, (_, i) => ({ top: i * (laneHeight + LANE_GAP), height: laneHeight }))
+}
+
+// Lane containing pixel row `y`, or the nearest one for rows in a gap or outside
+export const laneAt = (lanes, y) =>
+  lanes.reduce((best, lane) => {
+    const distance = y < lane.top ? lane.top - y : Math.max(0, y - (lane.top + lane.height - 1))
+    const bestDistance = y < best.top ? best.top - y : Math.max(0, y - (best.top + best.height - 1))
+    return distance < bestDistance ? lane : best
+  })
+
+// Cross-spectral estimator for a channel pair (a, b). `add` windows one frame
+// of each (samples outside a signal are silence) and folds it into the
+// averages: a running mean for the first `averageFrames` frames, then an
+// exponential average with the same time constant.
+//   levelDifference(out) - 10·log10(Paa / Pbb) per bin: positive where a is louder
+//   coherence(out)       - |Pab|² / (Paa·Pbb) per bin, 0..1
+export const createChannelPairAnalyzer = (
+  fftSize,
+  windowFunction = 'blackman',
+  averageFrames = PAIR_AVERAGE_FRAMES,
+) => {
+  const windowCoefficients = createWindow(windowFunction, fftSize)
+  const binCount = fftSize / 2
+  const aRe = new Float32Array(fftSize)
+  const aIm = new Float32Array(fftSize)
+  const bRe = new Float32Array(fftSize)
+  const bIm = new Float32Array(fftSize)
+  const powerA = new Float64Array(binCount)
+  const powerB = new Float64Array(binCount)
+  const crossRe = new Float64Array(binCount)
+  const crossIm = new Float64Array(binCount)
+  let frames = 0
+
+  const transform = (samples, start, re, im) => {
+    for (let i = 0; i < fftSize; i += 1) {
+      const idx = start + i
+      re[i] = idx >= 0 && idx < samples.length ? samples[idx] * windowCoefficients[i] : 0
+      im[i] = 0
+    }
+    fft(re, im)
+  }
+
+  const add = (a, aStart, b, bStart) => {
+    transform(a, aStart, aRe, aIm)
+    transform(b, bStart, bRe, bIm)
+    frames += 1
+    const weight = 1 / Math.min(frames, averageFrames)
+    const keep = 1 - weight
+    for (let k = 0; k < binCount; k += 1) {
+      // a · conj(b)
+      const re = aRe[k] * bRe[k] + aIm[k] * bIm[k]
+      const im = aIm[k] * bRe[k] - aRe[k] * bIm[k]
+      powerA[k] = keep * powerA[k] + weight * (aRe[k] * aRe[k] + aIm[k] * aIm[k])
+      powerB[k] = keep * powerB[k] + weight * (bRe[k] * bRe[k] + bIm[k] * bIm[k])
+      crossRe[k] = keep * crossRe[k] + weight * re
+      crossIm[k] = keep * crossIm[k] + weight * im
+    }
+  }
+
+  const levelDifference = (out = new Float32Array(binCount)) => {
+    for (let k = 0; k < binCount; k += 1) {
+      out[k] = 10 * Math.log10((powerA[k] + POWER_FLOOR) / (powerB[k] + POWER_FLOOR))
+    }
+    return out
+  }
+
+  const coherence = (out = new Float32Array(binCount)) => {
+    for (let k = 0; k < binCount; k += 1) {
+      const denominator = powerA[k] * powerB[k]
+      out[k] =
+        denominator > POWER_FLOOR * POWER_FLOOR
+          ? Math.min(1, (crossRe[k] * crossRe[k] + crossIm[k] * crossIm[k]) / denominator)
+          : 0
+    }
+    return out
+  }
+
+  const reset = () => {
+    frames = 0
+    powerA.fill(0)
+    powerB.fill(0)
+    crossRe.fill(0)
+    crossIm.fill(0)
+  }
+
+  return {
+    fftSize,
+    binCount,
+    get frames() {
+      return frames
+    },
+    add,
+    levelDifference,
+    coherence,
+    reset,
+  }
+}
+
+// { levelDifference, coherence } of channels a and b over samples [from, to),
+// from at most `maxFrames` half-overlapping frames
+export const measureChannelPair = (a, b, from, to, fftSize, windowFunction, maxFrames = PAIR_AVERAGE_FRAMES) => {
+  const span = Math.max(0, to - from - fftSize)
+  const frameCount = Math.max(1, Math.min(maxFrames, Math.floor(span / (fftSize / 2)) + 1))
+  const analyzer = createChannelPairAnalyzer(fftSize, windowFunction, frameCount)
+  for (let f = 0; f < frameCount; f += 1) {
+    const start = from + (frameCount > 1 ? Math.round((f * span) / (frameCount - 1)) : 0)
+    analyzer.add(a, start, b, start)
+  }
+  return { levelDifference: analyzer.levelDifference(), coherence: analyzer.coherence() }
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest'
+import { mix, sine, whiteNoise } from '../test/signals'
+import {
+  analysisChannel,
+  createChannelPairAnalyzer,
+  downmixChannels,
+  laneAt,
+  laneCount,
+  measureChannelPair,
+  pairIndices,
+  stackedLanes,
+} from './channels'
+
+const SAMPLE_RATE = 48000
+const FFT_SIZE = 1024
+const LENGTH = FFT_SIZE * 32
+
+const scaled = (samples, gain) => samples.map((value) => value * gain)
+
+describe('channel selection', () => {
+  it('mixes channels to their mean', () => {
+    const mono = downmixChannels([Float32Array.of(1, 0), Float32Array.of(0, 1)])
+    expect(Array.from(mono)).toEqual([0.5, 0.5])
+  })
+
+  it('picks the selected channel, clamped to the ones present', () => {
+    const channels = [Float32Array.of(1), Float32Array.of(2)]
+    expect(analysisChannel(channels, 'single', 1)).toBe(channels[1])
+    expect(analysisChannel(channels, 'single', 5)).toBe(channels[1])
+    expect(Array.from(analysisChannel(channels, 'mix', 1))).toEqual([1.5])
+  })
+
+  it('compares the chosen pair only when both channels are present', () => {
+    expect(pairIndices([2, 0], 4)).toEqual([2, 0])
+    expect(pairIndices([2, 0], 2)).toEqual([0, 1])
+  })
+
+  it('stacks one lane per channel only in the stacked view', () => {
+    expect(laneCount('stacked', 2)).toBe(2)
+    expect(laneCount('stacked', 0)).toBe(1)
+    expect(laneCount('single', 2)).toBe(1)
+  })
+})
+
+describe('stackedLanes', () => {
+  it('splits the height into equal lanes separated by gaps', () => {
+    const lanes = stackedLanes(320, 2)
+    expect(lanes).toEqual([
+      { top: 0, height: 159 },
+      { top: 161, height: 159 },
+    ])
+    expect(laneAt(lanes, 10)).toBe(lanes[0])
+    expect(laneAt(lanes, 200)).toBe(lanes[1])
+    expect(laneAt(lanes, 400)).toBe(lanes[1])
+  })
+})
+
+describe('createChannelPairAnalyzer', () => {
+  const feed = (analyzer, a, b) => {
+    for (let start = 0; start + FFT_SIZE <= a.length; start += FFT_SIZE / 2) analyzer.add(a, start, b, start)
+    return analyzer
+  }
+  const toneBin = Math.round((1500 * FFT_SIZE) / SAMPLE_RATE)
+
+  it('reads the level difference of a scaled copy', () => {
+    const a = sine(1500, SAMPLE_RATE, LENGTH)
+    const analyzer = feed(createChannelPairAnalyzer(FFT_SIZE), a, scaled(a, 0.5))
+    expect(analyzer.levelDifference()[toneBin]).toBeCloseTo(20 * Math.log10(2), 3)
+    expect(analyzer.coherence()[toneBin]).toBeCloseTo(1, 3)
+  })
+
+  it('finds independent noise incoherent and a shared tone coherent', () => {
+    const tone = sine(1500, SAMPLE_RATE, LENGTH, 0.5)
+    const a = mix(tone, whiteNoise(LENGTH, 0.1, 1))
+    const b = mix(tone, whiteNoise(LENGTH, 0.1, 2))
+    const coherence = feed(createChannelPairAnalyzer(FFT_SIZE), a, b).coherence()
+    expect(coherence[toneBin]).toBeGreaterThan(0.95)
+
+    // Away from the tone only the uncorrelated noise is left
+    const noiseBins = coherence.slice(200, 400)
+    const mean = noiseBins.reduce((sum, value) => sum + value, 0) / noiseBins.length
+    expect(mean).toBeLessThan(0.2)
+  })
+
+  it('treats bins that are silent in both channels as equal and incoherent', () => {
+    const silence = new Float32Array(LENGTH)
+    const analyzer = feed(createChannelPairAnalyzer(FFT_SIZE), silence, silence)
+    expect(analyzer.levelDifference()[toneBin]).toBe(0)
+    expect(analyzer.coherence()[toneBin]).toBe(0)
+  })
+})
+
+describe('measureChannelPair', () => {
+  it('matches the level difference over a range', () => {
+    const a = whiteNoise(LENGTH, 0.5)
+    const { levelDifference, coherence } = measureChannelPair(a, scaled(a, 0.25), 0, LENGTH, FFT_SIZE, 'hann')
+    expect(levelDifference[100]).toBeCloseTo(20 * Math.log10(4), 3)
+    expect(coherence[100]).toBeCloseTo(1, 3)
+  })
+})
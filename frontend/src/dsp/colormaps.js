@@ -0,0 +1,68 @@
+// Spectrogram colormaps. A palette is a 256-entry RGBA lookup table indexed by
+// byte level (0..255, see ./fft); brightness and contrast reshape the level
+// before the colormap is applied, so every view colours the same way.
+
+// Gradient stops sampled evenly from matplotlib's colormaps
+const GRADIENTS = {
+  viridis: ['#440154', '#472c7a', '#3b518b', '#2c718e', '#21908d', '#27ad81', '#5cc863', '#aadc32', '#fde725'],
+  magma: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf'],
+  inferno: ['#000004', '#1f0c48', '#550f6d', '#88226a', '#ba3655', '#e35933', '#f98e09', '#f9cb35', '#fcffa4'],
+  grayscale: ['#000000', '#ffffff'],
+  jet: ['#00007f', '#0000ff', '#007fff', '#00ffff', '#7fff7f', '#ffff00', '#ff7f00', '#ff0000', '#7f0000'],
+}
+
+export const COLORMAPS = [
+  { id: 'classic', label: 'Classic' },
+  { id: 'viridis', label: 'Viridis' },
+  { id: 'magma', label: 'Magma' },
+  { id: 'inferno', label: 'Inferno' },
+  { id: 'grayscale', label: 'Grayscale' },
+  { id: 'jet', label: 'Jet' },
+  { id: 'custom', label: 'Custom' },
+]
+
+export const DEFAULT_CUSTOM_COLORMAP = ['#000000', '#1d4ed8', '#f97316', '#ffffff']
+
+// Custom gradients have between 2 and this many stops
+export const MAX_CUSTOM_STOPS = 8
+
+export const parseHexColor = (hex) => {
+  const match = /^#([0-9a-f]{6})$/i.exec(hex || '')
+  if (!match) return null
+  const value = parseInt(match[1], 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+}
+
+// The original waterfall colouring: dark purple/blue, turning orange when loud
+const classicColor = (t) => [255 * Math.pow(t, 3), 50 * t, 255 * Math.sqrt(t)]
+
+// Linear interpolation between evenly spaced [r, g, b] stops
+const gradientColor = (stops, t) => {
+  const position = t * (stops.length - 1)
+  const index = Math.min(stops.length - 2, Math.floor(position))
+  const frac = position - index
+  const from = stops[index]
+  const to = stops[index + 1]
+  return [0, 1, 2].map((c) => from[c] + (to[c] - from[c]) * frac)
+}
+
+// Intensity (0..1) after contrast (about the middle) and brightness (an offset)
+export const adjustIntensity = (t, brightness = 0, contrast = 1) =>
+  Math.max(0, Math.min(1, (t - 0.5) * contrast + 0.5 + brightness))
+
+// { colormap, customColormap, brightness, contrast } -> Uint8ClampedArray(256 * 4)
+export const createPalette = ({ colormap = 'classic', customColormap, brightness = 0, contrast = 1 } = {}) => {
+  const hexStops = colormap === 'custom' ? customColormap || DEFAULT_CUSTOM_COLORMAP : GRADIENTS[colormap]
+  const stops = hexStops && hexStops.map(parseHexColor).filter(Boolean)
+  const colorAt = stops && stops.length >= 2 ? (t) => gradientColor(stops, t) : classicColor
+
+  const palette = new Uint8ClampedArray(256 * 4)
+  for (let value = 0; value < 256; value += 1) {
+    const [r, g, b] = colorAt(adjustIntensity(value / 255, brightness, contrast))
+    palette[value * 4] = Math.floor(r)
+    palette[value * 4 + 1] = Math.floor(g)
+    palette[value * 4 + 2] = Math.floor(b)
+    palette[value * 4 + 3] = 255
+  }
+  return palette
+}
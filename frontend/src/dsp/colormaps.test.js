@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest'
+import { adjustIntensity, COLORMAPS, createPalette, parseHexColor } from './colormaps'
+
+const colorOf = (palette, value) => Array.from(palette.subarray(value * 4, value * 4 + 4))
+
+describe('parseHexColor', () => {
+  it('reads #rrggbb colours', () => {
+    expect(parseHexColor('#ff8000')).toEqual([255, 128, 0])
+    expect(parseHexColor('#0A0b0C')).toEqual([10, 11, 12])
+  })
+
+  it('rejects anything else', () => {
+    expect(parseHexColor('red')).toBeNull()
+    expect(parseHexColor('#fff')).toBeNull()
+    expect(parseHexColor(undefined)).toBeNull()
+  })
+})
+
+describe('adjustIntensity', () => {
+  it('leaves intensities alone by default', () => {
+    expect(adjustIntensity(0.3)).toBeCloseTo(0.3)
+  })
+
+  it('stretches about the middle and clamps to 0..1', () => {
+    expect(adjustIntensity(0.5, 0, 3)).toBeCloseTo(0.5)
+    expect(adjustIntensity(0.6, 0, 2)).toBeCloseTo(0.7)
+    expect(adjustIntensity(0.9, 0, 2)).toBe(1)
+    expect(adjustIntensity(0.1, 0, 2)).toBe(0)
+    expect(adjustIntensity(0.2, 0.25)).toBeCloseTo(0.45)
+  })
+})
+
+describe('createPalette', () => {
+  it('builds an opaque 256-entry table for every colormap', () => {
+    COLORMAPS.forEach(({ id }) => {
+      const palette = createPalette({ colormap: id })
+      expect(palette).toHaveLength(1024)
+      for (let value = 0; value < 256; value += 1) expect(palette[value * 4 + 3]).toBe(255)
+    })
+  })
+
+  it('keeps the classic colouring as the default', () => {
+    const palette = createPalette()
+    expect(colorOf(palette, 0)).toEqual([0, 0, 0, 255])
+    expect(colorOf(palette, 255)).toEqual([255, 50, 255, 255])
+  })
+
+  it('runs grayscale from black to white', () => {
+    const palette = createPalette({ colormap: 'grayscale' })
+    expect(colorOf(palette, 0)).toEqual([0, 0, 0, 255])
+    expect(colorOf(palette, 255)).toEqual([255, 255, 255, 255])
+    const [r, g, b] = colorOf(palette, 128)
+    expect(r).toBe(g)
+    expect(g).toBe(b)
+  })
+
+  it('interpolates custom gradients between their stops', () => {
+    const palette = createPalette({ colormap: 'custom', customColormap: ['#000000', '#ff0000', '#ffffff'] })
+    expect(colorOf(palette, 0)).toEqual([0, 0, 0, 255])
+    expect(colorOf(palette, 255)).toEqual([255, 255, 255, 255])
+    const [r, g] = colorOf(palette, 127)
+    expect(r).toBeGreaterThan(250)
+    expect(g).toBe(0)
+  })
+
+  it('applies brightness before the colormap', () => {
+    const brighter = createPalette({ colormap: 'grayscale', brightness: 0.5 })
+    expect(colorOf(brighter, 0)).toEqual([127, 127, 127, 255])
+    expect(colorOf(brighter, 128)).toEqual([255, 255, 255, 255])
+  })
+
+  it('falls back to the classic colouring for unusable custom stops', () => {
+    const palette = createPalette({ colormap: 'custom', customColormap: ['nope'] })
+    expect(palette).toEqual(createPalette())
+  })
+})
@@ -0,0 +1,254 @@
+// Event detection on a stream of dBFS spectra (one per analysis frame) within
+// a frequency band. Three detectors share one interface, a score per frame
+// compared against a threshold:
+//   energy   - band level in dB above an adaptive background level
+//   flux     - mean rise in dB across the band bins since FLUX_LAG_SECONDS ago
+//   template - correlation (0..1) of the recent band spectra with a template
+//              cut from a measured selection (see createTemplate)
+// An event starts once the score has stayed at or above the threshold for
+// `minDuration` seconds (at once for flux, whose score only peaks at onsets)
+// and ends once it has stayed below for `holdTime`.
+
+export const DETECTION_METHODS = [
+  { id: 'energy', label: 'Band energy', unit: 'dB above background', step: 1 },
+  { id: 'flux', label: 'Spectral flux', unit: 'dB rise', step: 0.5 },
+  { id: 'template', label: 'Template match', unit: 'correlation', step: 0.05 },
+]
+
+export const DEFAULT_DETECTION = {
+  enabled: false,
+  method: 'energy',
+  lowFrequency: 1000,
+  highFrequency: 8000,
+  thresholds: { energy: 12, flux: 10, template: 0.6 }, // per method, in its unit
+  minDuration: 0.05, // seconds the score must stay above the threshold
+  holdTime: 0.3, // seconds below the threshold that end an event
+  autoRecord: false,
+  preRoll: 2, // seconds recorded before the event starts
+  postRoll: 3, // seconds recorded after it ends
+  template: null, // see createTemplate
+}
+
+// Frequency bands a template is reduced to
+export const TEMPLATE_BANDS = 24
+
+// Longest template kept, in seconds
+export const MAX_TEMPLATE_SECONDS = 2
+
+// Extra input kept for pre-roll, for the delay between a detection and the recording starting
+const PRE_ROLL_MARGIN_SECONDS = 0.5
+
+// The background level follows drops at once and rises with this time constant
+const BACKGROUND_SECONDS = 10
+
+// Spectral flux compares each frame with the one this long before it
+const FLUX_LAG_SECONDS = 0.05
+
+// Level silence is counted as, so scores and correlations stay defined
+const SILENCE_DB = -200
+
+// Seconds of recent input to keep so a triggered recording can start `preRoll`
+// before its event (which is only confirmed `minDuration` after it starts);
+// 0 while detections don't start recordings
+export const preRollHistorySeconds = (detection) =>
+  detection?.enabled && detection.autoRecord && detection.preRoll > 0
+    ? detection.preRoll + detection.minDuration + PRE_ROLL_MARGIN_SECONDS
+    : 0
+
+// [firstBin, lastBin] of a frequency band, at least one bin wide
+export const bandBins = (binHz, binCount, lowFrequency, highFrequency) => {
+  const first = Math.max(1, Math.min(binCount - 1, Math.ceil(lowFrequency / binHz)))
+  const last = Math.min(binCount - 1, Math.floor(highFrequency / binHz))
+  return [first, Math.max(first, last)]
+}
+
+// Mean power of `dbfs` over bins [first, last], in dB
+const bandLevel = (dbfs, first, last) => {
+  let power = 0
+  for (let k = first; k <= last; k += 1) power += Number.isFinite(dbfs[k]) ? 10 ** (dbfs[k] / 10) : 0
+  return power > 0 ? 10 * Math.log10(power / (last - first + 1)) : -Infinity
+}
+
+// Levels in dB of `bands` equal-width bands between the frequencies, each the
+// mean power of the bins it covers (or of the nearest bin when it covers none)
+export const bandLevels = (dbfs, binHz, lowFrequency, highFrequency, bands = TEMPLATE_BANDS) => {
+  const levels = new Array(bands)
+  const width = (highFrequency - lowFrequency) / bands
+  for (let b = 0; b < bands; b += 1) {
+    const [first, last] = bandBins(binHz, dbfs.length, lowFrequency + b * width, lowFrequency + (b + 1) * width)
+    levels[b] = Math.max(SILENCE_DB, bandLevel(dbfs, first, last))
+  }
+  return levels
+}
+
+// A template for the template-match detector from the dBFS spectra of a
+// selection: { lowFrequency, highFrequency, frameSeconds, frames } with one
+// TEMPLATE_BANDS-long array of band levels per spectrum. Spectra past
+// MAX_TEMPLATE_SECONDS are dropped.
+export const createTemplate = (spectra, binHz, { lowFrequency, highFrequency, frameSeconds }) => {
+  const count = Math.max(1, Math.min(spectra.length, Math.floor(MAX_TEMPLATE_SECONDS / frameSeconds)))
+  return {
+    lowFrequency,
+    highFrequency,
+    frameSeconds,
+    frames: spectra.slice(0, count).map((dbfs) => bandLevels(dbfs, binHz, lowFrequency, highFrequency)),
+  }
+}
+
+// The template's frames resampled in time to `frameSeconds` per frame (linear interpolation)
+export const resampleTemplate = (template, frameSeconds) => {
+  const { frames } = template
+  const duration = frames.length * template.frameSeconds
+  const count = Math.max(1, Math.round(duration / frameSeconds))
+  return Array.from({ length: count }, (_, i) => {
+    const position = Math.min(frames.length - 1, (i * frameSeconds) / template.frameSeconds)
+    const before = Math.floor(position)
+    const after = Math.min(frames.length - 1, before + 1)
+    const fraction = position - before
+    return frames[before].map((level, b) => level + (frames[after][b] - level) * fraction)
+  })
+}
+
+// Pearson correlation of two equally long number arrays, clamped to 0..1
+const correlation = (a, b) => {
+  const n = a.length
+  let meanA = 0
+  let meanB = 0
+  for (let i = 0; i < n; i += 1) {
+    meanA += a[i] / n
+    meanB += b[i] / n
+  }
+  let cross = 0
+  let varA = 0
+  let varB = 0
+  for (let i = 0; i < n; i += 1) {
+    const da = a[i] - meanA
+    const db = b[i] - meanB
+    cross += da * db
+    varA += da * da
+    varB += db * db
+  }
+  return varA > 0 && varB > 0 ? Math.max(0, cross / Math.sqrt(varA * varB)) : 0
+}
+
+// Detector for frames `frameSeconds` apart. `push(dbfs, binHz, time)` takes the
+// next frame's spectrum and audio time (s) and returns { score, active, events },
+// where events are { type: 'start' | 'end', event } and an event is
+// { id, start, end, duration, peakLevel, peakFrequency, peakScore } (times in s,
+// levels in dBFS, `end` null until it has ended).
+export const createEventDetector = (config, frameSeconds) => {
+  const { method, lowFrequency, highFrequency, holdTime } = config
+  const minDuration = method === 'flux' ? 0 : config.minDuration
+  const threshold = config.thresholds[method]
+  const fluxLag = Math.max(1, Math.round(FLUX_LAG_SECONDS / frameSeconds))
+  const template =
+    method === 'template' && config.template ? resampleTemplate(config.template, frameSeconds).flat() : null
+
+  let background = null
+  let history = [] // recent band spectra (flux) or band levels (template)
+  let aboveSince = null
+  let belowSince = null
+  let current = null
+  let nextId = 1
+
+  const score = (dbfs, binHz) => {
+    const [first, last] = bandBins(binHz, dbfs.length, lowFrequency, highFrequency)
+    if (method === 'energy') {
+      const level = Math.max(SILENCE_DB, bandLevel(dbfs, first, last))
+      if (background == null || level < background) background = level
+      // The background only rises outside events, so long events don't raise it
+      else if (!current) background += (level - background) * Math.min(1, frameSeconds / BACKGROUND_SECONDS)
+      return level - background
+    }
+    if (method === 'flux') {
+      const band = dbfs.slice(first, last + 1)
+      history.push(band)
+      if (history.length <= fluxLag) return 0
+      const previous = history.shift()
+      let rise = 0
+      for (let k = 0; k < band.length; k += 1) {
+        const delta = band[k] - previous[k]
+        if (delta > 0 && Number.isFinite(delta)) rise += delta
+      }
+      return rise / band.length
+    }
+    if (!template) return 0
+    history.push(...bandLevels(dbfs, binHz, config.template.lowFrequency, config.template.highFrequency))
+    if (history.length > template.length) history = history.slice(history.length - template.length)
+    return history.length === template.length ? correlation(history, template) : 0
+  }
+
+  // Strongest bin of the band, for the event's peak
+  const peakOf = (dbfs, binHz) => {
+    const [first, last] = bandBins(binHz, dbfs.length, lowFrequency, highFrequency)
+    let best = first
+    for (let k = first + 1; k <= last; k += 1) if (dbfs[k] > dbfs[best]) best = k
+    return { level: dbfs[best], frequency: best * binHz }
+  }
+
+  const push = (dbfs, binHz, time) => {
+    const frameScore = score(dbfs, binHz)
+    const events = []
+    const above = frameScore >= threshold
+
+    if (!current) {
+      if (!above) {
+        aboveSince = null
+      } else {
+        if (aboveSince == null) aboveSince = time
+        if (time - aboveSince >= minDuration) {
+          current = {
+            id: nextId,
+            start: aboveSince,
+            end: null,
+            duration: 0,
+            peakLevel: -Infinity,
+            peakFrequency: 0,
+            peakScore: frameScore,
+          }
+          nextId += 1
+          belowSince = null
+          events.push({ type: 'start', event: { ...current } })
+        }
+      }
+    }
+
+    if (current) {
+      const peak = peakOf(dbfs, binHz)
+      if (peak.level > current.peakLevel) {
+        current.peakLevel = peak.level
+        current.peakFrequency = peak.frequency
+      }
+      if (frameScore > current.peakScore) current.peakScore = frameScore
+      if (above) {
+        belowSince = null
+      } else {
+        if (belowSince == null) belowSince = time
+        if (time - belowSince >= holdTime) {
+          current.end = belowSince
+          current.duration = current.end - current.start
+          events.push({ type: 'end', event: { ...current } })
+          current = null
+          aboveSince = null
+        }
+      }
+    }
+
+    return { score: frameScore, active: Boolean(current), events }
+  }
+
+  return { threshold, push }
+}
+
+// Detection log columns, formatted and exported like the selection table's (see ./measurements)
+export const DETECTION_COLUMNS = [
+  { key: 'number', label: 'Detection', digits: 0 },
+  { key: 'detectedAt', label: 'Time' },
+  { key: 'method', label: 'Method' },
+  { key: 'duration', label: 'Duration (s)', digits: 3 },
+  { key: 'peakFrequency', label: 'Peak Freq (Hz)', digits: 1 },
+  { key: 'peakLevel', label: 'Peak Level (dB)', digits: 1 },
+  { key: 'levelUnit', label: 'Level Units' },
+  { key: 'peakScore', label: 'Peak Score', digits: 2 },
+  { key: 'recording', label: 'Recording' },
+]
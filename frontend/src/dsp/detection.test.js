@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest'
+import { mix, sine, whiteNoise } from '../test/signals'
+import { createEventDetector, createTemplate, DEFAULT_DETECTION } from './detection'
+import { createSpectrumAnalyzer } from './fft'
+
+const SAMPLE_RATE = 48000
+const FFT_SIZE = 1024
+const HOP = 800 // 60 frames per second
+const FRAME_SECONDS = HOP / SAMPLE_RATE
+const BIN_HZ = SAMPLE_RATE / FFT_SIZE
+
+// dBFS spectra of `samples` every HOP samples
+const spectraOf = (samples) => {
+  const analyzer = createSpectrumAnalyzer(FFT_SIZE, 'hann')
+  const spectra = []
+  for (let start = 0; start + FFT_SIZE <= samples.length; start += HOP) {
+    spectra.push(analyzer.decibelFrequencyData(samples, start, new Float32Array(analyzer.binCount)))
+  }
+  return spectra
+}
+
+// Quiet noise with a 3 kHz tone burst from 1 s to 1.5 s
+const burst = (frequency = 3000, length = SAMPLE_RATE * 3) => {
+  const tone = sine(frequency, SAMPLE_RATE, length, 0.3)
+  tone.fill(0, 0, SAMPLE_RATE)
+  tone.fill(0, SAMPLE_RATE * 1.5)
+  return mix(whiteNoise(length, 0.001), tone)
+}
+
+const run = (config, spectra) => {
+  const detector = createEventDetector({ ...DEFAULT_DETECTION, ...config }, FRAME_SECONDS)
+  const events = []
+  spectra.forEach((dbfs, i) => events.push(...detector.push(dbfs, BIN_HZ, i * FRAME_SECONDS).events))
+  return events
+}
+
+describe('createEventDetector', () => {
+  it('detects a burst of band energy once, with its extent and peak', () => {
+    const events = run({ method: 'energy', lowFrequency: 2000, highFrequency: 4000 }, spectraOf(burst()))
+    expect(events.map((e) => e.type)).toEqual(['start', 'end'])
+    const { event } = events[1]
+    // Frames are windows starting at their time, so the burst shows up a window early
+    expect(event.start).toBeGreaterThan(1 - (FFT_SIZE / SAMPLE_RATE) * 1.5)
+    expect(event.start).toBeLessThan(1.02)
+    expect(event.end).toBeGreaterThan(1.45)
+    expect(event.end).toBeLessThan(1.55)
+    expect(event.peakFrequency).toBeCloseTo(3000, -2)
+    expect(event.peakLevel).toBeGreaterThan(-15)
+  })
+
+  it('ignores energy outside the band', () => {
+    const events = run({ method: 'energy', lowFrequency: 6000, highFrequency: 9000 }, spectraOf(burst()))
+    expect(events).toHaveLength(0)
+  })
+
+  it('ignores events shorter than the minimum duration', () => {
+    const events = run(
+      { method: 'energy', lowFrequency: 2000, highFrequency: 4000, minDuration: 1 },
+      spectraOf(burst()),
+    )
+    expect(events).toHaveLength(0)
+  })
+
+  it('detects the onset by spectral flux', () => {
+    const events = run({ method: 'flux', lowFrequency: 2000, highFrequency: 4000 }, spectraOf(burst()))
+    expect(events[0].type).toBe('start')
+    expect(events[0].event.start).toBeCloseTo(1, 1)
+  })
+
+  it('matches a template of the call, but not of another one', () => {
+    const spectra = spectraOf(burst())
+    const callFrames = spectra.slice(Math.round(1 / FRAME_SECONDS) + 2, Math.round(1.4 / FRAME_SECONDS))
+    const band = { lowFrequency: 1000, highFrequency: 6000, frameSeconds: FRAME_SECONDS }
+    const template = createTemplate(callFrames, BIN_HZ, band)
+    const config = { method: 'template', ...band, template, thresholds: { template: 0.8 } }
+    expect(run(config, spectra).filter((e) => e.type === 'start')).toHaveLength(1)
+    expect(run(config, spectraOf(burst(5000)))).toHaveLength(0)
+  })
+})
@@ -0,0 +1,335 @@
+// Acoustic features of analysis frames:
+//   spectral shape - centroid, bandwidth (spread about the centroid), rolloff,
+//                    flatness and entropy of a dBFS spectrum (see ./fft)
+//   waveform       - zero-crossing rate and RMS level of the frame's samples
+//   MFCCs          - DCT of the log energies of a mel filterbank
+//   formants       - the first resonances, as peaks of an LPC envelope
+// A track holds one feature frame per hop across a file or recording, and its
+// summary the spread of every feature over the track.
+
+import { createSpectrumAnalyzer, createWindow, fft } from './fft'
+import { getFrequencyScale } from './frequencyScale'
+import { byteSpectrumToDbfs } from './levels'
+
+// Share of the spectral power below the rolloff frequency
+export const ROLLOFF_FRACTION = 0.85
+
+// Cepstral coefficients kept, c0 (overall level) included
+export const MFCC_COUNT = 13
+
+// Triangular mel bands the MFCCs are taken from, above MEL_MIN_HZ
+const MEL_BANDS = 26
+const MEL_MIN_HZ = 20
+
+// Formants listed, and the range searched for them (speech and most vocalisations)
+export const FORMANT_COUNT = 3
+const FORMANT_MIN_HZ = 90
+const FORMANT_MAX_HZ = 5500
+
+// Formants are estimated on the frame decimated to at least this rate, with
+// a predictor order of two per kHz plus two
+const FORMANT_SAMPLE_RATE = 11025
+
+// LPC envelope points (the FFT of the predictor coefficients)
+const ENVELOPE_SIZE = 1024
+
+// Pre-emphasis before LPC, so the higher formants are not lost under F1
+const PRE_EMPHASIS = 0.97
+
+// Frames per track at most; longer sources use a larger hop
+export const MAX_TRACK_FRAMES = 2000
+
+// Feature columns, shared by the analysis panel, plots, summary and CSV export
+export const FEATURE_COLUMNS = [
+  { key: 'centroid', label: 'Centroid (Hz)', digits: 1 },
+  { key: 'bandwidth', label: 'Bandwidth (Hz)', digits: 1 },
+  { key: 'rolloff', label: 'Rolloff (Hz)', digits: 1 },
+  { key: 'flatness', label: 'Flatness', digits: 3 },
+  { key: 'entropy', label: 'Entropy', digits: 3 },
+  { key: 'zcr', label: 'Zero crossings (/s)', digits: 1 },
+  { key: 'rms', label: 'RMS (dBFS)', digits: 1 },
+  ...Array.from({ length: FORMANT_COUNT }, (_, i) => ({ key: `f${i + 1}`, label: `F${i + 1} (Hz)`, digits: 0 })),
+  ...Array.from({ length: MFCC_COUNT }, (_, i) => ({ key: `mfcc${i}`, label: `MFCC ${i}`, digits: 2 })),
+]
+
+// Frame table columns for the CSV export: the frame time, then every feature
+export const FEATURE_FRAME_COLUMNS = [{ key: 'time', label: 'Time (s)', digits: 3 }, ...FEATURE_COLUMNS]
+
+// Summary table columns, shared by the table and the CSV export
+export const FEATURE_SUMMARY_COLUMNS = [
+  { key: 'label', label: 'Feature' },
+  { key: 'min', label: 'Min', digits: 3 },
+  { key: 'p10', label: 'P10', digits: 3 },
+  { key: 'median', label: 'Median', digits: 3 },
+  { key: 'mean', label: 'Mean', digits: 3 },
+  { key: 'p90', label: 'P90', digits: 3 },
+  { key: 'max', label: 'Max', digits: 3 },
+]
+
+// Spectral shape of a dBFS spectrum whose bin k is centred on k * binHz, from
+// its power above DC. Entropy is normalised to 0..1 (1 for white noise), as
+// is flatness (geometric over arithmetic mean power). All null for silence.
+export const spectralShape = (dbfs, binHz, rolloffFraction = ROLLOFF_FRACTION) => {
+  const power = new Float64Array(dbfs.length)
+  let total = 0
+  let weighted = 0
+  for (let k = 1; k < dbfs.length; k += 1) {
+    power[k] = Number.isFinite(dbfs[k]) ? 10 ** (dbfs[k] / 10) : 0
+    total += power[k]
+    weighted += power[k] * k * binHz
+  }
+  const count = dbfs.length - 1
+  if (!(total > 0) || count < 2) {
+    return { centroid: null, bandwidth: null, rolloff: null, flatness: null, entropy: null }
+  }
+  const centroid = weighted / total
+  let spread = 0
+  let logSum = 0
+  let entropy = 0
+  let cumulative = 0
+  let rolloff = null
+  for (let k = 1; k < dbfs.length; k += 1) {
+    const share = power[k] / total
+    spread += share * (k * binHz - centroid) ** 2
+    logSum += Math.log(Math.max(power[k], Number.MIN_VALUE))
+    if (share > 0) entropy -= share * Math.log(share)
+    cumulative += power[k]
+    if (rolloff == null && cumulative >= rolloffFraction * total) rolloff = k * binHz
+  }
+  return {
+    centroid,
+    bandwidth: Math.sqrt(spread),
+    rolloff,
+    flatness: Math.exp(logSum / count) / (total / count),
+    entropy: entropy / Math.log(count),
+  }
+}
+
+// Zero crossings per second and RMS level (dBFS: a full-scale sine reads 0) of
+// samples [start, start + length); samples outside the signal count as silence
+export const waveformLevels = (samples, start, length, sampleRate) => {
+  let sumSquares = 0
+  let crossings = 0
+  let wasNegative = false
+  for (let i = 0; i < length; i += 1) {
+    const idx = start + i
+    const sample = idx >= 0 && idx < samples.length ? samples[idx] : 0
+    sumSquares += sample * sample
+    const negative = sample < 0
+    if (i > 0 && negative !== wasNegative) crossings += 1
+    wasNegative = negative
+  }
+  const rms = Math.sqrt(sumSquares / length)
+  return {
+    zcr: length > 1 ? (crossings * sampleRate) / (length - 1) : 0,
+    rms: rms > 0 ? 20 * Math.log10(rms * Math.SQRT2) : -Infinity,
+  }
+}
+
+// MFCCs of dBFS spectra with `binCount` bins of `binHz`: the orthonormal DCT-II
+// of the mel band energies in dB. Returns { mfcc0, mfcc1, ... }.
+export const createMfcc = (binCount, binHz) => {
+  const mel = getFrequencyScale('mel')
+  const lo = mel.toUnit(MEL_MIN_HZ)
+  const hi = mel.toUnit(binCount * binHz)
+  const edges = Array.from({ length: MEL_BANDS + 2 }, (_, i) => mel.fromUnit(lo + ((hi - lo) * i) / (MEL_BANDS + 1)))
+  // Triangular weights per band, as [bin, weight] pairs
+  const bands = Array.from({ length: MEL_BANDS }, (_, m) => {
+    const [left, centre, right] = edges.slice(m, m + 3)
+    const weights = []
+    for (let k = Math.max(1, Math.ceil(left / binHz)); k < binCount && k * binHz <= right; k += 1) {
+      const freq = k * binHz
+      const weight = freq <= centre ? (freq - left) / (centre - left) : (right - freq) / (right - centre)
+      if (weight > 0) weights.push([k, weight])
+    }
+    // Bands narrower than a bin take the nearest one
+    if (!weights.length) weights.push([Math.min(binCount - 1, Math.max(1, Math.round(centre / binHz))), 1])
+    return weights
+  })
+  const energies = new Float64Array(MEL_BANDS)
+
+  return (dbfs) => {
+    bands.forEach((weights, m) => {
+      let energy = 0
+      weights.forEach(([k, weight]) => {
+        if (Number.isFinite(dbfs[k])) energy += weight * 10 ** (dbfs[k] / 10)
+      })
+      // Floored like the spectra themselves, so silent bands don't run off to -Infinity
+      energies[m] = 10 * Math.log10(Math.max(energy, 1e-20))
+    })
+    const coefficients = {}
+    for (let n = 0; n < MFCC_COUNT; n += 1) {
+      let sum = 0
+      for (let m = 0; m < MEL_BANDS; m += 1) sum += energies[m] * Math.cos((Math.PI * n * (m + 0.5)) / MEL_BANDS)
+      coefficients[`mfcc${n}`] = sum * Math.sqrt((n === 0 ? 1 : 2) / MEL_BANDS)
+    }
+    return coefficients
+  }
+}
+
+// Predictor coefficients [1, a1, ..., a_order] of `autocorrelation` by the
+// Levinson-Durbin recursion, or null when the frame is silent
+const levinson = (autocorrelation, order) => {
+  if (!(autocorrelation[0] > 0)) return null
+  const a = new Float64Array(order + 1)
+  const previous = new Float64Array(order + 1)
+  a[0] = 1
+  let error = autocorrelation[0]
+  for (let i = 1; i <= order; i += 1) {
+    let acc = autocorrelation[i]
+    for (let j = 1; j < i; j += 1) acc += a[j] * autocorrelation[i - j]
+    const reflection = -acc / error
+    previous.set(a)
+    for (let j = 1; j < i; j += 1) a[j] = previous[j] + reflection * previous[i - j]
+    a[i] = reflection
+    error *= 1 - reflection * reflection
+    if (!(error > 0)) break
+  }
+  return a
+}
+
+// Formant tracker for frames at `sampleRate`: `estimate(samples, start, length)`
+// returns { f1, f2, f3 } in Hz, null where fewer resonances were found
+export const createFormantTracker = (sampleRate) => {
+  const decimation = Math.max(1, Math.floor(sampleRate / FORMANT_SAMPLE_RATE))
+  const rate = sampleRate / decimation
+  const order = 2 + Math.round(rate / 1000)
+  const re = new Float32Array(ENVELOPE_SIZE)
+  const im = new Float32Array(ENVELOPE_SIZE)
+  const envelope = new Float32Array(ENVELOPE_SIZE / 2)
+  const binHz = rate / ENVELOPE_SIZE
+  let window = null
+
+  const empty = () => Object.fromEntries(Array.from({ length: FORMANT_COUNT }, (_, i) => [`f${i + 1}`, null]))
+
+  const estimate = (samples, start, length) => {
+    const formants = empty()
+    // Pre-emphasised, then decimated by block averaging
+    const size = Math.floor(length / decimation)
+    if (size <= order) return formants
+    if (!window || window.length !== size) window = createWindow('hamming', size)
+    const frame = new Float64Array(size)
+    let previous = 0
+    for (let i = 0; i < size * decimation; i += 1) {
+      const idx = start + i
+      const sample = idx >= 0 && idx < samples.length ? samples[idx] : 0
+      frame[Math.floor(i / decimation)] += (sample - PRE_EMPHASIS * previous) / decimation
+      previous = sample
+    }
+    for (let i = 0; i < size; i += 1) frame[i] *= window[i]
+
+    const autocorrelation = new Float64Array(order + 1)
+    for (let lag = 0; lag <= order; lag += 1) {
+      let sum = 0
+      for (let i = lag; i < size; i += 1) sum += frame[i] * frame[i - lag]
+      autocorrelation[lag] = sum
+    }
+    const a = levinson(autocorrelation, order)
+    if (!a) return formants
+
+    // Envelope 1 / |A| and its peaks in the formant range
+    re.fill(0)
+    im.fill(0)
+    for (let j = 0; j <= order; j += 1) re[j] = a[j]
+    fft(re, im)
+    for (let k = 0; k < envelope.length; k += 1) envelope[k] = 1 / Math.max(Math.hypot(re[k], im[k]), 1e-12)
+    let found = 0
+    const first = Math.max(1, Math.ceil(FORMANT_MIN_HZ / binHz))
+    const last = Math.min(envelope.length - 2, Math.floor(FORMANT_MAX_HZ / binHz))
+    for (let k = first; k <= last && found < FORMANT_COUNT; k += 1) {
+      if (envelope[k] > envelope[k - 1] && envelope[k] >= envelope[k + 1]) {
+        // Vertex of the parabola through the peak and its neighbours
+        const [l, c, r] = [envelope[k - 1], envelope[k], envelope[k + 1]].map(Math.log)
+        const denominator = l - 2 * c + r
+        const offset = denominator !== 0 ? (0.5 * (l - r)) / denominator : 0
+        found += 1
+        formants[`f${found}`] = (k + offset) * binHz
+      }
+    }
+    return formants
+  }
+
+  return { estimate }
+}
+
+// Every feature of a frame: `extract(dbfs, samples, start, length)` takes the
+// frame's dBFS spectrum (fftSize / 2 bins) and its `length` samples from `start`
+export const createFeatureExtractor = (sampleRate, fftSize) => {
+  const binHz = sampleRate / fftSize
+  const mfcc = createMfcc(fftSize / 2, binHz)
+  const formantTracker = createFormantTracker(sampleRate)
+
+  const extract = (dbfs, samples, start = 0, length = fftSize) => ({
+    ...spectralShape(dbfs, binHz),
+    ...waveformLevels(samples, start, length, sampleRate),
+    ...formantTracker.estimate(samples, start, length),
+    ...mfcc(dbfs),
+  })
+
+  return { extract }
+}
+
+// Feature frames ({ time, ...features }) across `samples`, at most
+// MAX_TRACK_FRAMES of them. Times are of the frame centres plus `offset` seconds.
+export const featureTrackFromSamples = (samples, sampleRate, { fftSize, windowFunction, offset = 0 }) => {
+  const analyzer = createSpectrumAnalyzer(fftSize, windowFunction)
+  const extractor = createFeatureExtractor(sampleRate, fftSize)
+  const dbfs = new Float32Array(analyzer.binCount)
+  const hop = Math.max(fftSize / 2, Math.ceil((samples.length - fftSize) / MAX_TRACK_FRAMES))
+  const track = []
+  // A source shorter than one FFT still gets a (zero-padded) frame
+  for (let start = 0; start === 0 || start + fftSize <= samples.length; start += hop) {
+    analyzer.decibelFrequencyData(samples, start, dbfs)
+    track.push({ time: offset + (start + fftSize / 2) / sampleRate, ...extractor.extract(dbfs, samples, start) })
+  }
+  return track
+}
+
+// Feature frames from stored recording frames (byte spectra and waveforms,
+// see storage/recordingStore), for recordings saved without their audio.
+// `scaling` is the recording's { minDecibels, maxDecibels, windowFunction }.
+export const featureTrackFromFrames = (frames, { sampleRate, fftSize, scaling }) => {
+  const extractor = createFeatureExtractor(sampleRate, fftSize)
+  const step = Math.max(1, Math.ceil(frames.length / MAX_TRACK_FRAMES))
+  const track = []
+  for (let i = 0; i < frames.length; i += step) {
+    const frame = frames[i]
+    const samples = Float32Array.from(frame.timeDomain, (value) => (value - 128) / 128)
+    const dbfs = byteSpectrumToDbfs(frame.freq, scaling)
+    track.push({ time: frame.t / 1000, ...extractor.extract(dbfs, samples, 0, samples.length) })
+  }
+  return track
+}
+
+// Value at fraction `p` (0..1) of sorted `values`, linear between neighbours
+const percentile = (values, p) => {
+  const position = p * (values.length - 1)
+  const below = Math.floor(position)
+  const above = Math.min(values.length - 1, below + 1)
+  return values[below] + (values[above] - values[below]) * (position - below)
+}
+
+// One row per feature with the min, max, mean and 10th/50th/90th percentiles
+// of its finite values over `track` (null when there are none)
+export const summarizeFeatures = (track) =>
+  FEATURE_COLUMNS.map(({ key, label, digits }) => {
+    const values = track
+      .map((frame) => frame[key])
+      .filter(Number.isFinite)
+      .sort((a, b) => a - b)
+    if (!values.length) {
+      return { key, label, digits, count: 0, min: null, p10: null, median: null, mean: null, p90: null, max: null }
+    }
+    return {
+      key,
+      label,
+      digits,
+      count: values.length,
+      min: values[0],
+      p10: percentile(values, 0.1),
+      median: percentile(values, 0.5),
+      mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+      p90: percentile(values, 0.9),
+      max: values[values.length - 1],
+    }
+  })
@@ -0,0 +1,117 @@
+import { describe, expect, it } from 'vitest'
+import { sine, whiteNoise } from '../test/signals'
+import { createSpectrumAnalyzer } from './fft'
+import {
+  createFormantTracker,
+  createMfcc,
+  featureTrackFromSamples,
+  MAX_TRACK_FRAMES,
+  MFCC_COUNT,
+  spectralShape,
+  summarizeFeatures,
+  waveformLevels,
+} from './features'
+
+const SAMPLE_RATE = 48000
+const FFT_SIZE = 2048
+const BIN_HZ = SAMPLE_RATE / FFT_SIZE
+
+const spectrumOf = (samples, start = 0) => {
+  const analyzer = createSpectrumAnalyzer(FFT_SIZE, 'hann')
+  return analyzer.decibelFrequencyData(samples, start, new Float32Array(analyzer.binCount))
+}
+
+// Impulse train at `pitch` Hz through two-pole resonators at `formants` Hz
+// (80 Hz bandwidth), a crude vowel
+const vowel = (pitch, formants, sampleRate, length) => {
+  let signal = new Float32Array(length)
+  for (let i = 0; i < length; i += Math.round(sampleRate / pitch)) signal[i] = 1
+  formants.forEach((frequency) => {
+    const radius = Math.exp((-Math.PI * 80) / sampleRate)
+    const b1 = 2 * radius * Math.cos((2 * Math.PI * frequency) / sampleRate)
+    const b2 = -radius * radius
+    const out = new Float32Array(length)
+    for (let i = 0; i < length; i += 1) {
+      out[i] = signal[i] + b1 * (i > 0 ? out[i - 1] : 0) + b2 * (i > 1 ? out[i - 2] : 0)
+    }
+    signal = out
+  })
+  return signal
+}
+
+describe('spectralShape', () => {
+  it('centres a tone on its frequency with a flat, low-entropy spectrum', () => {
+    const shape = spectralShape(spectrumOf(sine(3000, SAMPLE_RATE, FFT_SIZE)), BIN_HZ)
+    expect(shape.centroid).toBeGreaterThan(3000 - BIN_HZ)
+    expect(shape.centroid).toBeLessThan(3000 + BIN_HZ)
+    expect(shape.rolloff).toBeCloseTo(3000, -2)
+    expect(shape.bandwidth).toBeLessThan(100)
+    expect(shape.flatness).toBeLessThan(0.01)
+    expect(shape.entropy).toBeLessThan(0.3)
+  })
+
+  it('spreads white noise across the band', () => {
+    const shape = spectralShape(spectrumOf(whiteNoise(FFT_SIZE)), BIN_HZ)
+    expect(shape.centroid / (SAMPLE_RATE / 4)).toBeCloseTo(1, 1)
+    expect(shape.rolloff / (0.85 * (SAMPLE_RATE / 2))).toBeCloseTo(1, 1)
+    // The geometric over arithmetic mean of a periodogram of white noise is about exp(-0.577)
+    expect(shape.flatness).toBeGreaterThan(0.4)
+    expect(shape.entropy).toBeGreaterThan(0.9)
+    expect(spectralShape(new Float32Array(FFT_SIZE / 2).fill(-Infinity), BIN_HZ).centroid).toBeNull()
+  })
+})
+
+describe('waveformLevels', () => {
+  it('counts two zero crossings per period and reads a full-scale sine as 0 dBFS', () => {
+    const levels = waveformLevels(sine(1000, SAMPLE_RATE, SAMPLE_RATE, 1), 0, SAMPLE_RATE, SAMPLE_RATE)
+    expect(levels.zcr).toBeCloseTo(2000, -1)
+    expect(levels.rms).toBeCloseTo(0, 2)
+    expect(waveformLevels(sine(1000, SAMPLE_RATE, 4800), 0, 4800, SAMPLE_RATE).rms).toBeCloseTo(-6.02, 1)
+  })
+})
+
+describe('createMfcc', () => {
+  it('moves only c0 when the level changes', () => {
+    const mfcc = createMfcc(FFT_SIZE / 2, BIN_HZ)
+    const quiet = mfcc(spectrumOf(whiteNoise(FFT_SIZE, 0.1)))
+    const loud = mfcc(spectrumOf(whiteNoise(FFT_SIZE, 0.2)))
+    expect(Object.keys(quiet)).toHaveLength(MFCC_COUNT)
+    // +6 dB in every band, through the orthonormal DCT
+    expect(loud.mfcc0 - quiet.mfcc0).toBeCloseTo(6.02 * Math.sqrt(26), 1)
+    for (let n = 1; n < MFCC_COUNT; n += 1) expect(loud[`mfcc${n}`]).toBeCloseTo(quiet[`mfcc${n}`], 3)
+  })
+})
+
+describe('createFormantTracker', () => {
+  it('finds the resonances of a synthetic vowel', () => {
+    const tracker = createFormantTracker(SAMPLE_RATE)
+    const samples = vowel(120, [700, 1220, 2600], SAMPLE_RATE, SAMPLE_RATE / 4)
+    const { f1, f2, f3 } = tracker.estimate(samples, 4096, 2048)
+    expect(f1 / 700).toBeCloseTo(1, 1)
+    expect(f2 / 1220).toBeCloseTo(1, 1)
+    expect(f3 / 2600).toBeCloseTo(1, 1)
+    expect(tracker.estimate(new Float32Array(2048), 0, 2048).f1).toBeNull()
+  })
+})
+
+describe('feature tracks', () => {
+  it('summarises each feature over the frames of a source', () => {
+    const samples = sine(1000, SAMPLE_RATE, SAMPLE_RATE)
+    const track = featureTrackFromSamples(samples, SAMPLE_RATE, { fftSize: FFT_SIZE, windowFunction: 'hann' })
+    expect(track.length).toBeLessThanOrEqual(MAX_TRACK_FRAMES)
+    expect(track[0].time).toBeCloseTo(FFT_SIZE / 2 / SAMPLE_RATE, 6)
+    const rows = Object.fromEntries(summarizeFeatures(track).map((row) => [row.key, row]))
+    expect(rows.centroid.count).toBe(track.length)
+    expect(rows.centroid.median).toBeCloseTo(1000, -1)
+    expect(rows.rms.mean).toBeCloseTo(-6.02, 1)
+    expect(rows.rms.min).toBeLessThanOrEqual(rows.rms.p10)
+    expect(rows.rms.p90).toBeLessThanOrEqual(rows.rms.max)
+  })
+
+  it('takes percentiles between neighbouring values and skips missing ones', () => {
+    const track = [0, 10, null, 20, 30, 40].map((centroid, i) => ({ time: i, centroid }))
+    const [centroid] = summarizeFeatures(track)
+    expect(centroid).toMatchObject({ count: 5, min: 0, p10: 4, median: 20, mean: 20, p90: 36, max: 40 })
+    expect(summarizeFeatures([]).every((row) => row.count === 0 && row.mean === null)).toBe(true)
+  })
+})
@@ -0,0 +1,191 @@
+// FFT helpers for analysing decoded audio outside of an AnalyserNode.
+// Output is scaled the same way as AnalyserNode.getByteFrequencyData so the
+// existing drawing and analysis code can consume it unchanged.
+
+export const DEFAULT_MIN_DECIBELS = -100
+export const DEFAULT_MAX_DECIBELS = -30
+
+// Generalised cosine window: w[i] = a0 - a1 cos(x) + a2 cos(2x) - a3 cos(3x)
+const cosineWindow = (size, [a0, a1, a2 = 0, a3 = 0]) => {
+  const coefficients = new Float32Array(size)
+  for (let i = 0; i < size; i += 1) {
+    const x = (2 * Math.PI * i) / size
+    coefficients[i] = a0 - a1 * Math.cos(x) + a2 * Math.cos(2 * x) - a3 * Math.cos(3 * x)
+  }
+  return coefficients
+}
+
+// Blackman window, same coefficients the Web Audio AnalyserNode uses
+export const blackmanWindow = (size) => cosineWindow(size, [0.42, 0.5, 0.08])
+
+// Window functions selectable in the analysis settings
+export const WINDOW_FUNCTIONS = [
+  { id: 'blackman', label: 'Blackman', create: blackmanWindow },
+  { id: 'hann', label: 'Hann', create: (size) => cosineWindow(size, [0.5, 0.5]) },
+  { id: 'hamming', label: 'Hamming', create: (size) => cosineWindow(size, [0.54, 0.46]) },
+  {
+    id: 'blackman-harris',
+    label: 'Blackman-Harris',
+    create: (size) => cosineWindow(size, [0.35875, 0.48829, 0.14128, 0.01168]),
+  },
+]
+
+export const createWindow = (windowFunction, size) =>
+  (WINDOW_FUNCTIONS.find((w) => w.id === windowFunction) || WINDOW_FUNCTIONS[0]).create(size)
+
+// dB to add to the AnalyserNode scaling (magnitude / fftSize) to get dBFS, where
+// a sine of peak amplitude 1 reads 0 dB: undoes the window's coherent gain and
+// the split of the sine's energy between the positive and negative frequency
+const fullScaleOffset = (coefficients) => {
+  const sum = coefficients.reduce((total, c) => total + c, 0)
+  return 20 * Math.log10((2 * coefficients.length) / sum)
+}
+
+const fullScaleOffsets = new Map()
+const GAIN_WINDOW_SIZE = 4096
+
+// The same offset by window function (it hardly depends on the FFT size)
+export const fullScaleOffsetDb = (windowFunction) => {
+  if (!fullScaleOffsets.has(windowFunction)) {
+    fullScaleOffsets.set(windowFunction, fullScaleOffset(createWindow(windowFunction, GAIN_WINDOW_SIZE)))
+  }
+  return fullScaleOffsets.get(windowFunction)
+}
+
+// In-place iterative radix-2 FFT. `re` and `im` must have a power-of-two length.
+export const fft = (re, im) => {
+  const n = re.length
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i += 1) {
+    let bit = n >> 1
+    while (j & bit) {
+      j ^= bit
+      bit >>= 1
+    }
+    j ^= bit
+    if (i < j) {
+      const tr = re[i]
+      re[i] = re[j]
+      re[j] = tr
+      const ti = im[i]
+      im[i] = im[j]
+      im[j] = ti
+    }
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = (-2 * Math.PI) / len
+    const wRe = Math.cos(angle)
+    const wIm = Math.sin(angle)
+    const half = len >> 1
+    for (let i = 0; i < n; i += len) {
+      let curRe = 1
+      let curIm = 0
+      for (let k = 0; k < half; k += 1) {
+        const a = i + k
+        const b = a + half
+        const tRe = re[b] * curRe - im[b] * curIm
+        const tIm = re[b] * curIm + im[b] * curRe
+        re[b] = re[a] - tRe
+        im[b] = im[a] - tIm
+        re[a] += tRe
+        im[a] += tIm
+        const nextRe = curRe * wRe - curIm * wIm
+        curIm = curRe * wIm + curIm * wRe
+        curRe = nextRe
+      }
+    }
+  }
+}
+
+// Mix all channels of an AudioBuffer down to a single Float32Array
+export const downmixToMono = (audioBuffer) => {
+  const { numberOfChannels, length } = audioBuffer
+  if (numberOfChannels === 1) return audioBuffer.getChannelData(0)
+  const mono = new Float32Array(length)
+  for (let c = 0; c < numberOfChannels; c += 1) {
+    const data = audioBuffer.getChannelData(c)
+    for (let i = 0; i < length; i += 1) {
+      mono[i] += data[i] / numberOfChannels
+    }
+  }
+  return mono
+}
+
+// Reusable analyser for a fixed FFT size and window. `byteFrequencyData` fills
+// `out` (length fftSize / 2) from the window of `samples` starting at `start`;
+// samples outside the signal are treated as silence. `smoothing` blends each
+// magnitude with the previous call's, like AnalyserNode.smoothingTimeConstant;
+// given a Float32Array `dbfs`, it also receives the smoothed levels in dBFS.
+// `decibelFrequencyData` fills a Float32Array with unsmoothed dBFS values instead.
+export const createSpectrumAnalyzer = (fftSize, windowFunction = 'blackman') => {
+  const windowCoefficients = createWindow(windowFunction, fftSize)
+  const dbfsOffset = fullScaleOffset(windowCoefficients)
+  const re = new Float32Array(fftSize)
+  const im = new Float32Array(fftSize)
+  const binCount = fftSize / 2
+  const previous = new Float32Array(binCount)
+
+  const transform = (samples, start) => {
+    for (let i = 0; i < fftSize; i += 1) {
+      const idx = start + i
+      const sample = idx >= 0 && idx < samples.length ? samples[idx] : 0
+      re[i] = sample * windowCoefficients[i]
+      im[i] = 0
+    }
+    fft(re, im)
+  }
+
+  const byteFrequencyData = (
+    samples,
+    start,
+    out,
+    {
+      minDecibels = DEFAULT_MIN_DECIBELS,
+      maxDecibels = DEFAULT_MAX_DECIBELS,
+      smoothing = 0,
+      dbfs = null,
+    } = {},
+  ) => {
+    transform(samples, start)
+
+    const rangeScale = 255 / (maxDecibels - minDecibels)
+    for (let k = 0; k < binCount; k += 1) {
+      const magnitude = smoothing * previous[k] + (1 - smoothing) * (Math.hypot(re[k], im[k]) / fftSize)
+      previous[k] = magnitude
+      const db = magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity
+      if (dbfs) dbfs[k] = db + dbfsOffset
+      const scaled = (db - minDecibels) * rangeScale
+      out[k] = scaled <= 0 ? 0 : scaled >= 255 ? 255 : Math.floor(scaled)
+    }
+    return out
+  }
+
+  const decibelFrequencyData = (samples, start, out) => {
+    transform(samples, start)
+    for (let k = 0; k < binCount; k += 1) {
+      const magnitude = Math.hypot(re[k], im[k]) / fftSize
+      out[k] = magnitude > 0 ? 20 * Math.log10(magnitude) + dbfsOffset : -Infinity
+    }
+    return out
+  }
+
+  return { fftSize, windowFunction, binCount, dbfsOffset, byteFrequencyData, decibelFrequencyData }
+}
+
+// Mean dBFS spectrum over samples [from, to), averaged in power, using at most
+// `maxFrames` FFTs
+export const averageDbfsSpectrum = (samples, from, to, fftSize, windowFunction, maxFrames = 256) => {
+  const analyzer = createSpectrumAnalyzer(fftSize, windowFunction)
+  const column = new Float32Array(analyzer.binCount)
+  const sum = new Float64Array(analyzer.binCount)
+  const span = Math.max(0, to - from - fftSize)
+  const frameCount = Math.max(1, Math.min(maxFrames, Math.floor(span / (fftSize / 2)) + 1))
+  for (let f = 0; f < frameCount; f += 1) {
+    const start = from + (frameCount > 1 ? Math.round((f * span) / (frameCount - 1)) : 0)
+    analyzer.decibelFrequencyData(samples, start, column)
+    for (let i = 0; i < column.length; i += 1) sum[i] += 10 ** (column[i] / 10)
+  }
+  return Float32Array.from(sum, (power) => (power > 0 ? 10 * Math.log10(power / frameCount) : -Infinity))
+}
@@ -0,0 +1,150 @@
+// Frequency axis mappings for the spectrogram. Each scale maps Hz onto a
+// monotonic unit so the visible range can be laid out (and zoomed) linearly
+// in that unit. A "view" is { scale, minFreq, maxFreq, lo, hi } where lo/hi
+// are minFreq/maxFreq expressed in the scale's unit.
+
+// Log scales need a positive floor
+export const MIN_LOG_FREQUENCY = 1
+
+// Narrowest range a zoom can reach
+const MIN_SPAN_HZ = 1
+
+export const FREQUENCY_SCALES = [
+  { id: 'linear', label: 'Linear', toUnit: (f) => f, fromUnit: (u) => u },
+  {
+    id: 'log',
+    label: 'Logarithmic',
+    toUnit: (f) => Math.log10(Math.max(f, MIN_LOG_FREQUENCY)),
+    fromUnit: (u) => 10 ** u,
+  },
+  {
+    id: 'mel',
+    label: 'Mel',
+    toUnit: (f) => 2595 * Math.log10(1 + f / 700),
+    fromUnit: (m) => 700 * (10 ** (m / 2595) - 1),
+  },
+  {
+    // Traunmüller's approximation of the Bark scale
+    id: 'bark',
+    label: 'Bark',
+    toUnit: (f) => (26.81 * f) / (1960 + f) - 0.53,
+    fromUnit: (z) => (1960 * (z + 0.53)) / (26.28 - z),
+  },
+  {
+    // ERB-rate scale (Glasberg & Moore)
+    id: 'erb',
+    label: 'ERB',
+    toUnit: (f) => 21.4 * Math.log10(1 + 0.00437 * f),
+    fromUnit: (e) => (10 ** (e / 21.4) - 1) / 0.00437,
+  },
+]
+
+export const getFrequencyScale = (id) =>
+  FREQUENCY_SCALES.find((scale) => scale.id === id) || FREQUENCY_SCALES[1]
+
+// Lowest frequency a scale can show
+export const scaleFloor = (scale) => (scale.id === 'log' ? MIN_LOG_FREQUENCY : 0)
+
+export const createFrequencyView = (scaleId, minFreq, maxFreq) => {
+  const scale = getFrequencyScale(scaleId)
+  const min = Math.max(scaleFloor(scale), minFreq)
+  const max = Math.max(min + MIN_SPAN_HZ, maxFreq)
+  return { scale, minFreq: min, maxFreq: max, lo: scale.toUnit(min), hi: scale.toUnit(max) }
+}
+
+// Position of `freq` within the view: 0 at minFreq (bottom), 1 at maxFreq (top)
+export const freqToFraction = (freq, view) => (view.scale.toUnit(freq) - view.lo) / (view.hi - view.lo)
+
+export const fractionToFreq = (frac, view) => view.scale.fromUnit(view.lo + frac * (view.hi - view.lo))
+
+// Fit a [lo, hi] unit range inside the limits, shifting rather than shrinking it
+const clampRange = (view, lo, hi, [limitMin, limitMax]) => {
+  const { scale } = view
+  const floor = scale.toUnit(Math.max(scaleFloor(scale), limitMin))
+  const ceiling = scale.toUnit(limitMax)
+  if (hi - lo >= ceiling - floor) {
+    return { minFreq: scale.fromUnit(floor), maxFreq: scale.fromUnit(ceiling) }
+  }
+  let nextLo = lo
+  let nextHi = hi
+  if (nextLo < floor) {
+    nextHi += floor - nextLo
+    nextLo = floor
+  }
+  if (nextHi > ceiling) {
+    nextLo -= nextHi - ceiling
+    nextHi = ceiling
+  }
+  return { minFreq: scale.fromUnit(nextLo), maxFreq: scale.fromUnit(nextHi) }
+}
+
+// Zoom by `factor` (< 1 zooms in) keeping the frequency at `anchorFrac` in place.
+// Returns the new { minFreq, maxFreq } within `limits` ([min, max] Hz).
+export const zoomFrequencyRange = (view, anchorFrac, factor, limits) => {
+  const anchor = view.lo + anchorFrac * (view.hi - view.lo)
+  const lo = anchor - (anchor - view.lo) * factor
+  const hi = anchor + (view.hi - anchor) * factor
+  const next = clampRange(view, lo, hi, limits)
+  if (next.maxFreq - next.minFreq < MIN_SPAN_HZ) {
+    return { minFreq: view.minFreq, maxFreq: view.maxFreq }
+  }
+  return next
+}
+
+// Shift the range by `deltaFrac` of its height (positive moves towards higher frequencies)
+export const panFrequencyRange = (view, deltaFrac, limits) => {
+  const shift = deltaFrac * (view.hi - view.lo)
+  return clampRange(view, view.lo + shift, view.hi + shift, limits)
+}
+
+// Round to 1, 2 or 5 times a power of ten
+const niceNumber = (value) => {
+  const exponent = Math.floor(Math.log10(value))
+  const base = 10 ** exponent
+  const fraction = value / base
+  const nice = fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10
+  return nice * base
+}
+
+// Round to two significant digits for labels placed at arbitrary positions
+const roundToTwoDigits = (value) => {
+  if (value <= 0) return 0
+  const base = 10 ** (Math.floor(Math.log10(value)) - 1)
+  return Math.round(value / base) * base
+}
+
+// Roughly `count` tick frequencies inside the view, at readable values
+export const frequencyTicks = (view, count = 6) => {
+  const { scale, minFreq, maxFreq } = view
+  let ticks = []
+  if (scale.id === 'linear') {
+    const step = niceNumber((maxFreq - minFreq) / count)
+    for (let k = Math.ceil(minFreq / step); k * step <= maxFreq; k += 1) ticks.push(k * step)
+  } else if (scale.id === 'log' && maxFreq / minFreq >= 10) {
+    // 1-2-5 sequence, thinned out when the range spans many decades
+    const candidates = []
+    for (let exp = Math.floor(Math.log10(minFreq)); 10 ** exp <= maxFreq; exp += 1) {
+      for (const m of [1, 2, 5]) {
+        const f = m * 10 ** exp
+        if (f >= minFreq && f <= maxFreq) candidates.push(f)
+      }
+    }
+    const stride = Math.max(1, Math.ceil(candidates.length / (count + 1)))
+    ticks = candidates.filter((_, i) => i % stride === 0)
+  } else {
+    // Evenly spaced in the scale's unit, rounded to readable values
+    for (let i = 0; i <= count; i += 1) {
+      ticks.push(roundToTwoDigits(fractionToFreq(i / count, view)))
+    }
+  }
+  return [...new Set(ticks)].filter((f) => f >= minFreq && f <= maxFreq)
+}
+
+export const formatFrequency = (freq) => {
+  if (freq >= 1000) return `${Math.round(freq / 100) / 10} kHz`
+  if (freq < 10) return `${Math.round(freq * 10) / 10} Hz`
+  return `${Math.round(freq)} Hz`
+}
+
+// Frequency to the hertz for readouts (the cursor, pinned markers); tenths below 100 Hz
+export const formatHertz = (freq) => `${freq < 100 ? freq.toFixed(1) : Math.round(freq)} Hz`
@@ -0,0 +1,114 @@
+// Level units. Spectra are in dBFS (see ./fft): a sine of peak amplitude 1
+// reads 0 dBFS whatever the window. A microphone calibration maps dBFS to
+// dB SPL with an offset (measured from a reference tone or derived from the
+// mic's sensitivity) and, optionally, the mic's frequency response subtracted
+// per frequency.
+
+import { fullScaleOffsetDb } from './fft'
+
+// dBFS spectrum of a byte spectrum that was scaled with [minDecibels, maxDecibels]
+// and `windowFunction`. Byte 0 maps to the floor: the true level is at or below it.
+export const byteSpectrumToDbfs = (bytes, { minDecibels, maxDecibels, windowFunction }) => {
+  const offset = fullScaleOffsetDb(windowFunction)
+  const scale = (maxDecibels - minDecibels) / 255
+  return Float32Array.from(bytes, (value) => minDecibels + value * scale + offset)
+}
+
+export const CALIBRATION_MODES = [
+  { id: 'none', label: 'None (dBFS)' },
+  { id: 'reference', label: 'Reference tone' },
+  { id: 'sensitivity', label: 'Mic sensitivity' },
+]
+
+// Level of the common 94 dB SPL (1 Pa) calibrator tone that mic sensitivities refer to
+export const SENSITIVITY_REFERENCE_SPL = 94
+
+export const DEFAULT_CALIBRATION = {
+  mode: 'none',
+  referenceLevel: SENSITIVITY_REFERENCE_SPL, // dB SPL of the reference tone
+  referenceFrequency: 1000,
+  referenceOffset: null, // dB SPL - dBFS, once the reference tone has been measured
+  sensitivity: -18, // dBFS a 94 dB SPL tone reads at
+  response: null, // [[frequency, dB], ...] from a frequency-response file
+  responseName: '',
+}
+
+// Frequency-response file (REW / miniDSP style): one "frequency dB [phase]" row
+// per line, separated by whitespace, commas, semicolons or tabs. Header and
+// comment lines are skipped. Returns [[frequency, dB], ...] sorted by frequency.
+export const parseResponseFile = (text) => {
+  const points = []
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const fields = line.trim().split(/[\s,;]+/)
+      const frequency = Number(fields[0])
+      const db = Number(fields[1])
+      if (fields.length >= 2 && frequency > 0 && Number.isFinite(db)) points.push([frequency, db])
+    })
+  if (points.length < 2) throw new Error('No frequency/dB rows found in the response file')
+  return points.sort((a, b) => a[0] - b[0])
+}
+
+// Response (dB) at `frequency`: linear in log frequency between points, held
+// flat beyond the first and last
+export const responseAt = (response, frequency) => {
+  if (!response || !response.length) return 0
+  if (frequency <= response[0][0]) return response[0][1]
+  const last = response[response.length - 1]
+  if (frequency >= last[0]) return last[1]
+  let hi = 1
+  while (response[hi][0] < frequency) hi += 1
+  const [f0, db0] = response[hi - 1]
+  const [f1, db1] = response[hi]
+  const frac = Math.log(frequency / f0) / Math.log(f1 / f0)
+  return db0 + frac * (db1 - db0)
+}
+
+// { offsetDb, response } in effect for the calibration settings, or null while
+// levels are plain dBFS (no calibration, or a reference tone not yet measured)
+export const activeCalibration = (calibration) => {
+  if (!calibration) return null
+  let offsetDb = null
+  if (calibration.mode === 'reference') offsetDb = calibration.referenceOffset
+  else if (calibration.mode === 'sensitivity') offsetDb = SENSITIVITY_REFERENCE_SPL - calibration.sensitivity
+  if (!Number.isFinite(offsetDb)) return null
+  return { offsetDb, response: calibration.response }
+}
+
+// A dBFS level at `frequency` in the calibrated unit
+export const toDisplayLevel = (dbfs, frequency, calibration) =>
+  calibration ? dbfs + calibration.offsetDb - responseAt(calibration.response, frequency) : dbfs
+
+export const levelUnit = (calibration) => (calibration ? 'dB SPL' : 'dBFS')
+
+export const formatLevel = (db, calibration) =>
+  Number.isFinite(db) ? `${db.toFixed(1)} ${levelUnit(calibration)}` : '—'
+
+// Calibration offset that makes the loudest bin within ±5% of the reference
+// frequency read `referenceLevel` dB SPL, or null when nothing is there
+export const measureReferenceOffset = (dbfsSpectrum, binHz, { referenceFrequency, referenceLevel, response }) => {
+  const firstBin = Math.max(0, Math.floor((referenceFrequency * 0.95) / binHz))
+  const lastBin = Math.min(dbfsSpectrum.length - 1, Math.ceil((referenceFrequency * 1.05) / binHz))
+  let measured = -Infinity
+  for (let k = firstBin; k <= lastBin; k += 1) measured = Math.max(measured, dbfsSpectrum[k])
+  if (!Number.isFinite(measured)) return null
+  return referenceLevel - measured + responseAt(response, referenceFrequency)
+}
+
+// Levels of a frequency analysis (see ./analysis) in the calibrated unit, with
+// `levelUnit` saying which
+export const calibrateAnalysis = (analysis, calibration) =>
+  analysis && {
+    ...analysis,
+    topLevel: toDisplayLevel(analysis.topLevel, analysis.topResonating, calibration),
+    fundamentalLevel:
+      analysis.fundamentalLevel != null
+        ? toDisplayLevel(analysis.fundamentalLevel, analysis.fundamental, calibration)
+        : null,
+    harmonics: analysis.harmonics.map((harmonic) => ({
+      ...harmonic,
+      level: toDisplayLevel(harmonic.level, harmonic.frequency, calibration),
+    })),
+    levelUnit: levelUnit(calibration),
+  }
@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest'
+import { sine } from '../test/signals'
+import { peakBin } from './analysis'
+import { createSpectrumAnalyzer, WINDOW_FUNCTIONS } from './fft'
+import {
+  activeCalibration,
+  byteSpectrumToDbfs,
+  calibrateAnalysis,
+  formatLevel,
+  measureReferenceOffset,
+  parseResponseFile,
+  responseAt,
+  toDisplayLevel,
+} from './levels'
+
+const SAMPLE_RATE = 48000
+const FFT_SIZE = 4096
+const BIN_HZ = SAMPLE_RATE / FFT_SIZE
+
+// A tone centred on a bin, so the window's scalloping doesn't lower its peak
+const TONE_BIN = 85
+const BIN_TONE = TONE_BIN * BIN_HZ
+
+const dbfsSpectrum = (samples, windowFunction) => {
+  const analyzer = createSpectrumAnalyzer(FFT_SIZE, windowFunction)
+  return analyzer.decibelFrequencyData(samples, 0, new Float32Array(analyzer.binCount))
+}
+
+describe('dBFS spectra', () => {
+  it('reads a full-scale sine as 0 dBFS with every window', () => {
+    WINDOW_FUNCTIONS.forEach(({ id }) => {
+      const spectrum = dbfsSpectrum(sine(BIN_TONE, SAMPLE_RATE, FFT_SIZE, 1), id)
+      expect(spectrum[TONE_BIN]).toBeCloseTo(0, 1)
+    })
+  })
+
+  it('fills dBFS alongside the byte spectrum', () => {
+    const decibelRange = { minDecibels: -140, maxDecibels: 0 }
+    const analyzer = createSpectrumAnalyzer(FFT_SIZE, 'hann')
+    const dbfs = new Float32Array(analyzer.binCount)
+    const samples = sine(BIN_TONE, SAMPLE_RATE, FFT_SIZE, 0.1)
+    const bytes = analyzer.byteFrequencyData(samples, 0, new Uint8Array(dbfs.length), { ...decibelRange, dbfs })
+    expect(dbfs[TONE_BIN]).toBeCloseTo(-20, 1)
+    // Undoing the byte scaling lands within one byte step of the float level
+    const fromBytes = byteSpectrumToDbfs(bytes, { ...decibelRange, windowFunction: 'hann' })
+    expect(Math.abs(fromBytes[TONE_BIN] - dbfs[TONE_BIN])).toBeLessThan(140 / 255)
+  })
+})
+
+describe('frequency response files', () => {
+  it('reads frequency/dB rows and skips everything else', () => {
+    const text = ['* Mic response', 'Freq(Hz)\tdB', '1000, 0.5', '20\t-3.2\t12.0', '', '"Sens Factor =-1.2"'].join('\n')
+    expect(parseResponseFile(text)).toEqual([
+      [20, -3.2],
+      [1000, 0.5],
+    ])
+  })
+
+  it('rejects files without at least two rows', () => {
+    expect(() => parseResponseFile('hello\n100 1')).toThrow()
+  })
+
+  it('interpolates in log frequency and holds the ends', () => {
+    const response = [
+      [100, 0],
+      [1000, 10],
+    ]
+    expect(responseAt(response, 50)).toBe(0)
+    expect(responseAt(response, 5000)).toBe(10)
+    expect(responseAt(response, Math.sqrt(100 * 1000))).toBeCloseTo(5)
+    expect(responseAt(null, 440)).toBe(0)
+  })
+})
+
+describe('calibration', () => {
+  it('is inactive without a mode or before the reference is measured', () => {
+    expect(activeCalibration({ mode: 'none', sensitivity: -20 })).toBeNull()
+    expect(activeCalibration({ mode: 'reference', referenceOffset: null })).toBeNull()
+    expect(formatLevel(-12.34, null)).toBe('-12.3 dBFS')
+  })
+
+  it('turns a sensitivity into an SPL offset', () => {
+    const calibration = activeCalibration({ mode: 'sensitivity', sensitivity: -20, response: null })
+    // A 94 dB SPL tone reads -20 dBFS
+    expect(toDisplayLevel(-20, 1000, calibration)).toBeCloseTo(94)
+    expect(formatLevel(toDisplayLevel(-40, 1000, calibration), calibration)).toBe('74.0 dB SPL')
+  })
+
+  it('subtracts the microphone response', () => {
+    const response = [
+      [100, -6],
+      [10000, -6],
+    ]
+    const calibration = activeCalibration({ mode: 'sensitivity', sensitivity: -20, response })
+    expect(toDisplayLevel(-20, 5000, calibration)).toBeCloseTo(100)
+  })
+
+  it('measures the offset from a reference tone', () => {
+    // A 94 dB SPL calibrator reading -26 dBFS (peak amplitude 0.05)
+    const spectrum = dbfsSpectrum(sine(1000, SAMPLE_RATE, FFT_SIZE, 0.05))
+    const offset = measureReferenceOffset(spectrum, BIN_HZ, {
+      referenceFrequency: 1000,
+      referenceLevel: 94,
+      response: null,
+    })
+    const calibration = activeCalibration({ mode: 'reference', referenceOffset: offset })
+    expect(toDisplayLevel(spectrum[peakBin(spectrum)], 1000, calibration)).toBeCloseTo(94)
+    // 1 kHz falls between bins, so the raw reading is a little under -26 dBFS
+    expect(offset).toBeGreaterThan(94 + 26 - 0.1)
+    expect(offset).toBeLessThan(94 + 26 + 1.2)
+  })
+
+  it('calibrates every level of an analysis', () => {
+    const analysis = calibrateAnalysis(
+      {
+        topResonating: 440,
+        topLevel: -10,
+        fundamental: 440,
+        fundamentalConfidence: 0.9,
+        fundamentalLevel: -10,
+        harmonics: [{ order: 2, frequency: 880, level: -30 }],
+      },
+      { offsetDb: 100, response: null },
+    )
+    expect(analysis.topLevel).toBe(90)
+    expect(analysis.fundamentalLevel).toBe(90)
+    expect(analysis.harmonics[0].level).toBe(70)
+    expect(analysis.levelUnit).toBe('dB SPL')
+    expect(calibrateAnalysis(null, null)).toBeNull()
+  })
+})
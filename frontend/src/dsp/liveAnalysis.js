@@ -0,0 +1,432 @@
+// Streaming analysis of the live input, run off the main thread by
+// audio/analysis.worker. Samples arrive in blocks from the analysis tap
+// worklet and are analysed on their own clock (sample count), so a busy
+// main thread delays results but never loses them. The spectrum, F0 and
+// recording follow one signal, the mix or a single channel (see ./channels),
+// after the optional filters and spectral subtraction (see ./processing).
+// Produces:
+//   columns  - one byte spectrum per completed spectrogram column (the loudest
+//              value per bin over the column) with the most confident F0 in it,
+//              plus one per channel (`lanes`) in the stacked view
+//   snapshot - the newest spectrum (bytes for drawing, dBFS for levels),
+//              waveform and F0, FRAME_RATE times per second of audio (the
+//              rate the old render loop ran at), and with two or more channels
+//              the level difference and coherence of the channel pair (`pair`)
+//   frames   - snapshots in the stored recording format, while recording
+//              (and, when detections may start a recording, the last pre-roll
+//              seconds of them, handed over when one does)
+//   detections - events started or ended since the last update, from the
+//              event detector (see ./detection) run on every snapshot
+//   noiseProfile - the noise profile once a capture asked for has completed
+// With the frequency analysis of an update come the acoustic features of the
+// same snapshot (see ./features).
+
+import { calculateFrequencyAnalysis } from './analysis'
+import { analysisChannel, createChannelPairAnalyzer, PAIR_MAX_FFT_SIZE, pairIndices } from './channels'
+import { createEventDetector, preRollHistorySeconds } from './detection'
+import { createFeatureExtractor } from './features'
+import { createSpectrumAnalyzer } from './fft'
+import { confidentPitch, createPitchTrackerFor } from './pitch'
+import { createFilterChain, createNoiseProfile, createNoiseSubtractor, filtersActive } from './processing'
+import { createColumnClock } from './timeAxis'
+
+// Snapshots (and recorded frames) per second of audio
+export const FRAME_RATE = 60
+
+// Waveform samples stored per recorded frame (large FFT sizes would otherwise bloat recordings)
+export const RECORDED_WAVEFORM_SAMPLES = 2048
+
+// Ring buffer length: the largest FFT size plus room for an incoming block
+const RING_SIZE = 131072
+
+// FFTs overlap by at most 7/8, so large sizes at fast time scales repeat a
+// spectrum across columns rather than running thousands of FFTs per second
+const MIN_HOP_FRACTION = 1 / 8
+
+// The settings the analysis depends on, copied out of the app settings
+export const LIVE_ANALYSIS_SETTINGS = [
+  'fftSize',
+  'windowFunction',
+  'smoothing',
+  'minDecibels',
+  'maxDecibels',
+  'secondsPerPixel',
+  'pitchMethod',
+  'pitchMinFrequency',
+  'pitchMaxFrequency',
+  'pitchMinConfidence',
+  'channelView',
+  'channelIndex',
+  'pairChannels',
+  'detection',
+  'processing',
+]
+
+export const pickLiveAnalysisSettings = (settings) =>
+  Object.fromEntries(LIVE_ANALYSIS_SETTINGS.map((key) => [key, settings[key]]))
+
+export const createLiveAnalyzer = (sampleRate, initialSettings) => {
+  const ring = new Float32Array(RING_SIZE)
+  const frame = new Float32Array(RING_SIZE / 2)
+  const channelFrame = new Float32Array(RING_SIZE / 2)
+  const snapshotHop = Math.round(sampleRate / FRAME_RATE)
+
+  let settings = null
+  let spectrumAnalyzer
+  let featureExtractor
+  let snapshotSamples // the samples of the newest snapshot, for its features
+  let pitchTracker
+  let spectrum
+  let dbfs
+  let columnPeak
+  let columnPitch = null
+  let channelRings = [] // one ring per input channel, with two or more
+  let laneAnalyzers = [] // per-channel spectra of the stacked view
+  let laneSpectra = []
+  let laneDbfs = []
+  let lanePeaks = []
+  let pairAnalyzer = null
+  let pairFrames = []
+  let nextPairAt = 0
+  let columnClock
+  let hop
+  let resetColumns = false
+
+  let filterChains = [] // one per input channel while the filters are active
+  let filterKey = null // the filters and channel count the chains were made for
+  let subtractor = null
+  let noiseCapture = null // { until, spectra } while a noise profile is captured
+  let noiseProfile = null
+
+  let originTime = null // audio-clock seconds of the first sample
+  let received = 0 // samples received so far
+  let nextHopAt = 0
+  let nextSnapshotAt = 0
+  let columns = []
+  let snapshot = null
+
+  let detector = null
+  let detectorKey = null // the detection settings and frame interval the detector was made for
+  let detectorState = null // { score, active, threshold } at the newest snapshot
+  let detections = []
+
+  let recording = false
+  let recordStartMs = null
+  let frames = []
+  let preRollFrames = [] // recent frames with their audio-clock times, while pre-roll is kept
+
+  const time = (position) => position / sampleRate
+
+  const stacked = () => settings.channelView === 'stacked' && channelRings.length > 1
+
+  // Per-channel state for the current channel count and settings
+  const configureChannels = () => {
+    const count = stacked() ? channelRings.length : 0
+    laneAnalyzers = Array.from({ length: count }, () =>
+      createSpectrumAnalyzer(settings.fftSize, settings.windowFunction),
+    )
+    laneSpectra = laneAnalyzers.map((analyzer) => new Uint8Array(analyzer.binCount))
+    laneDbfs = laneAnalyzers.map((analyzer) => new Float32Array(analyzer.binCount))
+    lanePeaks = laneAnalyzers.map((analyzer) => new Uint8Array(analyzer.binCount))
+    pairAnalyzer =
+      channelRings.length > 1
+        ? createChannelPairAnalyzer(Math.min(settings.fftSize, PAIR_MAX_FFT_SIZE), settings.windowFunction)
+        : null
+    pairFrames = pairAnalyzer ? [0, 1].map(() => new Float32Array(pairAnalyzer.fftSize)) : []
+  }
+
+  const configure = (next) => {
+    const previous = settings
+    settings = { ...next }
+    const resized =
+      !previous || previous.fftSize !== settings.fftSize || previous.windowFunction !== settings.windowFunction
+    if (resized) {
+      spectrumAnalyzer = createSpectrumAnalyzer(settings.fftSize, settings.windowFunction)
+      featureExtractor = createFeatureExtractor(sampleRate, settings.fftSize)
+      snapshotSamples = new Float32Array(settings.fftSize)
+      spectrum = new Uint8Array(spectrumAnalyzer.binCount)
+      dbfs = new Float32Array(spectrumAnalyzer.binCount)
+      columnPeak = new Uint8Array(spectrumAnalyzer.binCount)
+    }
+    if (
+      resized ||
+      previous.channelView !== settings.channelView ||
+      previous.pairChannels?.join() !== settings.pairChannels?.join()
+    ) {
+      configureChannels()
+    }
+    if (
+      !previous ||
+      previous.pitchMethod !== settings.pitchMethod ||
+      previous.pitchMinFrequency !== settings.pitchMinFrequency ||
+      previous.pitchMaxFrequency !== settings.pitchMaxFrequency
+    ) {
+      pitchTracker = createPitchTrackerFor(settings, sampleRate)
+    }
+    if (
+      !previous ||
+      previous.secondsPerPixel !== settings.secondsPerPixel ||
+      previous.channelView !== settings.channelView ||
+      previous.channelIndex !== settings.channelIndex
+    ) {
+      // Columns already drawn are at the old rate or of another signal; start over from now
+      columnClock = createColumnClock(settings.secondsPerPixel, time(received))
+      columnPeak.fill(0)
+      lanePeaks.forEach((peak) => peak.fill(0))
+      columnPitch = null
+      columns = []
+      resetColumns = Boolean(previous)
+    }
+    const columnSamples = Math.floor(settings.secondsPerPixel * sampleRate)
+    hop = Math.max(1, Math.ceil(settings.fftSize * MIN_HOP_FRACTION), Math.min(snapshotHop, columnSamples))
+    // The first hop needs samples to analyse; later ones keep their schedule
+    if (!previous) nextHopAt = hop
+
+    // Snapshots fall on the first hop at or after each snapshot interval
+    const snapshotSeconds = time(Math.ceil(snapshotHop / hop) * hop)
+    const key = JSON.stringify([settings.detection, snapshotSeconds])
+    if (key !== detectorKey) {
+      detectorKey = key
+      detector = settings.detection?.enabled ? createEventDetector(settings.detection, snapshotSeconds) : null
+      detectorState = null
+    }
+    if (!preRollHistorySeconds(settings.detection)) preRollFrames = []
+
+    subtractor = createNoiseSubtractor(settings.processing, sampleRate / settings.fftSize, spectrumAnalyzer.binCount)
+  }
+
+  // The input channels through the filters, with the chains remade when the
+  // filters or the channel count change
+  const processChannels = (channels) => {
+    const filters = filtersActive(settings.processing) ? settings.processing.filters : []
+    const key = JSON.stringify([filters, channels.length])
+    if (key !== filterKey) {
+      filterKey = key
+      filterChains = filters.length ? channels.map(() => createFilterChain(filters, sampleRate)) : []
+    }
+    return filterChains.length ? channels.map((channel, c) => filterChains[c].process(channel)) : channels
+  }
+
+  const addFrame = ({ clockMs, ...recorded }) => {
+    if (recordStartMs == null) recordStartMs = clockMs
+    frames.push({ t: clockMs - recordStartMs, ...recorded })
+  }
+
+  // Copy the `length` samples of `source` ending at `position` to the start of `target`
+  const readWindow = (position, length, source = ring, target = frame) => {
+    for (let i = 0; i < length; i += 1) {
+      target[i] = source[(position - length + i) & (RING_SIZE - 1)]
+    }
+  }
+
+  const analyzePairAt = (position) => {
+    const [a, b] = pairIndices(settings.pairChannels, channelRings.length)
+    readWindow(position, pairAnalyzer.fftSize, channelRings[a], pairFrames[0])
+    readWindow(position, pairAnalyzer.fftSize, channelRings[b], pairFrames[1])
+    pairAnalyzer.add(pairFrames[0], 0, pairFrames[1], 0)
+  }
+
+  const takeSnapshot = (position, length) => {
+    const { fftSize } = spectrumAnalyzer
+    const estimate = pitchTracker.estimate(frame, length - pitchTracker.frameSize)
+    const pitch = confidentPitch(estimate, settings)
+    if (pitch && (!columnPitch || pitch.confidence > columnPitch.confidence)) columnPitch = pitch
+
+    // Scaled like AnalyserNode.getByteTimeDomainData
+    const timeDomain = new Uint8Array(fftSize)
+    for (let i = 0; i < fftSize; i += 1) {
+      const value = Math.floor(128 * (1 + frame[length - fftSize + i]))
+      timeDomain[i] = value < 0 ? 0 : value > 255 ? 255 : value
+    }
+    snapshot = { spectrum: spectrum.slice(), dbfs: dbfs.slice(), timeDomain, pitch }
+    snapshotSamples.set(frame.subarray(length - fftSize, length))
+    if (pairAnalyzer && pairAnalyzer.frames) {
+      snapshot.pair = {
+        fftSize: pairAnalyzer.fftSize,
+        levelDifference: pairAnalyzer.levelDifference(),
+        coherence: pairAnalyzer.coherence(),
+      }
+    }
+
+    if (detector) {
+      const result = detector.push(snapshot.dbfs, sampleRate / fftSize, time(position))
+      detections.push(...result.events)
+      detectorState = { score: result.score, active: result.active, threshold: detector.threshold }
+    }
+
+    // Recent frames are kept while a detection may start a recording with pre-roll
+    const history = preRollHistorySeconds(settings.detection)
+    if (recording || history) {
+      const recorded = {
+        // Audio-clock milliseconds, shared with the PCM capture start time
+        clockMs: (originTime + time(position)) * 1000,
+        // Raw estimate; the confidence threshold is applied when it is displayed
+        pitch: estimate ? estimate.frequency : 0,
+        pitchConfidence: estimate ? estimate.confidence : 0,
+        freq: spectrum.slice(),
+        timeDomain: timeDomain.slice(Math.max(0, fftSize - RECORDED_WAVEFORM_SAMPLES)),
+      }
+      if (recording) addFrame(recorded)
+      if (history) {
+        preRollFrames.push(recorded)
+        const oldestMs = recorded.clockMs - history * 1000
+        while (preRollFrames[0].clockMs < oldestMs) preRollFrames.shift()
+      }
+    }
+  }
+
+  const analyzeAt = (position) => {
+    const length = Math.max(spectrumAnalyzer.fftSize, pitchTracker.frameSize)
+    readWindow(position, length)
+    // Smoothing is specified per snapshot; spread it over the hops in between
+    const decibelRange = { minDecibels: settings.minDecibels, maxDecibels: settings.maxDecibels }
+    spectrumAnalyzer.byteFrequencyData(frame, length - spectrumAnalyzer.fftSize, spectrum, {
+      ...decibelRange,
+      smoothing: settings.smoothing ** (hop / snapshotHop),
+      dbfs,
+    })
+    // A noise profile is captured from the spectra before subtraction, one per snapshot
+    if (noiseCapture && position >= nextSnapshotAt) {
+      noiseCapture.spectra.push(dbfs.slice())
+      if (position >= noiseCapture.until) {
+        noiseProfile = createNoiseProfile(noiseCapture.spectra, sampleRate / spectrumAnalyzer.fftSize)
+        noiseCapture = null
+      }
+    }
+    if (subtractor) subtractor.apply(dbfs, spectrum, decibelRange, spectrumAnalyzer.dbfsOffset)
+    // Keep the loudest value per bin until its column is complete, so slow
+    // time scales don't drop short events between columns
+    for (let i = 0; i < spectrum.length; i += 1) {
+      if (spectrum[i] > columnPeak[i]) columnPeak[i] = spectrum[i]
+    }
+    laneAnalyzers.forEach((laneAnalyzer, c) => {
+      readWindow(position, laneAnalyzer.fftSize, channelRings[c], channelFrame)
+      const laneSpectrum = laneAnalyzer.byteFrequencyData(channelFrame, 0, laneSpectra[c], {
+        ...decibelRange,
+        smoothing: settings.smoothing ** (hop / snapshotHop),
+        dbfs: laneDbfs[c],
+      })
+      if (subtractor) subtractor.apply(laneDbfs[c], laneSpectrum, decibelRange, laneAnalyzer.dbfsOffset)
+      const peak = lanePeaks[c]
+      for (let i = 0; i < laneSpectrum.length; i += 1) {
+        if (laneSpectrum[i] > peak[i]) peak[i] = laneSpectrum[i]
+      }
+    })
+    // The pair is analysed on half-overlapping frames
+    if (pairAnalyzer && position >= nextPairAt) {
+      analyzePairAt(position)
+      nextPairAt = position + pairAnalyzer.fftSize / 2
+    }
+    if (position >= nextSnapshotAt) {
+      takeSnapshot(position, length)
+      nextSnapshotAt = position + snapshotHop
+    }
+    const due = columnClock.advance(time(position))
+    for (let k = 0; k < due; k += 1) {
+      const column = { freq: columnPeak.slice(), pitch: columnPitch }
+      if (lanePeaks.length) column.lanes = lanePeaks.map((peak) => peak.slice())
+      columns.push(column)
+    }
+    if (due) {
+      columnPeak.fill(0)
+      lanePeaks.forEach((peak) => peak.fill(0))
+      columnPitch = null
+    }
+  }
+
+  // Append a block of samples (one Float32Array per channel) whose first sample
+  // plays at audio-clock `blockTime` (s)
+  const push = (input, blockTime) => {
+    if (originTime == null) originTime = blockTime - time(received)
+    const channels = processChannels(input)
+    const multiChannel = channels.length > 1
+    if (multiChannel ? channelRings.length !== channels.length : channelRings.length) {
+      channelRings = multiChannel ? channels.map(() => new Float32Array(RING_SIZE)) : []
+      configureChannels()
+    }
+    const samples = analysisChannel(channels, settings.channelView, settings.channelIndex)
+    const end = received + samples.length
+    for (let i = 0; i < samples.length; i += 1) {
+      ring[(received + i) & (RING_SIZE - 1)] = samples[i]
+    }
+    channelRings.forEach((channelRing, c) => {
+      const channel = channels[c]
+      for (let i = 0; i < channel.length; i += 1) {
+        channelRing[(received + i) & (RING_SIZE - 1)] = channel[i]
+      }
+    })
+    while (nextHopAt <= end) {
+      analyzeAt(nextHopAt)
+      nextHopAt += hop
+    }
+    received = end
+  }
+
+  // Start or stop recording frames. A recording may start with up to `preRoll`
+  // seconds of frames from before it was asked for.
+  const setRecording = (value, { preRoll = 0 } = {}) => {
+    recording = value
+    if (value) {
+      recordStartMs = null
+      frames = []
+      const latest = preRollFrames[preRollFrames.length - 1]
+      if (preRoll > 0 && latest) {
+        preRollFrames.filter((recorded) => recorded.clockMs >= latest.clockMs - preRoll * 1000).forEach(addFrame)
+      }
+    }
+  }
+
+  // Capture a noise profile from the next `seconds` of input (the signal is
+  // expected to hold only background noise meanwhile); it comes with an update
+  const captureNoiseProfile = (seconds) => {
+    noiseCapture = { until: received + Math.round(seconds * sampleRate), spectra: [] }
+  }
+
+  // Everything produced since the last call. The frequency analysis of the
+  // newest snapshot is only computed when asked for.
+  const takeUpdate = ({ withAnalysis = false } = {}) => {
+    const update = {
+      time: time(received),
+      headTime: columnClock.headTime,
+      secondsPerPixel: columnClock.secondsPerPixel,
+      fftSize: spectrumAnalyzer.fftSize,
+      channelCount: Math.max(1, channelRings.length),
+      resetColumns,
+      columns,
+      snapshot,
+      analysis:
+        withAnalysis && snapshot
+          ? calculateFrequencyAnalysis(snapshot.dbfs, sampleRate, spectrumAnalyzer.fftSize, snapshot.pitch)
+          : null,
+      features: withAnalysis && snapshot ? featureExtractor.extract(snapshot.dbfs, snapshotSamples) : null,
+      frames,
+      recordStartMs,
+      // Audio-clock time (s) of the first sample, to place detections on the recording's clock
+      originTime,
+      detections,
+      detector: detectorState,
+      noiseProfile,
+    }
+    resetColumns = false
+    columns = []
+    snapshot = null
+    frames = []
+    detections = []
+    noiseProfile = null
+    return update
+  }
+
+  configure(initialSettings)
+
+  return {
+    sampleRate,
+    get time() {
+      return time(received)
+    },
+    configure,
+    push,
+    setRecording,
+    captureNoiseProfile,
+    takeUpdate,
+  }
+}
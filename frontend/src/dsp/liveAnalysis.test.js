@@ -0,0 +1,233 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_SETTINGS } from '../settings'
+import { harmonicStack, mix, sine, whiteNoise } from '../test/signals'
+import { peakBin } from './analysis'
+import { DEFAULT_DETECTION } from './detection'
+import { createLiveAnalyzer, FRAME_RATE, pickLiveAnalysisSettings } from './liveAnalysis'
+import { DEFAULT_PROCESSING, FILTER_PRESETS } from './processing'
+
+const SAMPLE_RATE = 48000
+const BLOCK_SIZE = 512
+
+const settingsWith = (overrides) => pickLiveAnalysisSettings({ ...DEFAULT_SETTINGS, ...overrides })
+
+// Feed `samples` (a signal or an array of channels) to the analyser in blocks
+// of `blockSize`, on an audio clock starting at `startTime`
+const feed = (analyzer, samples, blockSize = BLOCK_SIZE, startTime = 0) => {
+  const channels = Array.isArray(samples) ? samples : [samples]
+  for (let offset = 0; offset < channels[0].length; offset += blockSize) {
+    analyzer.push(
+      channels.map((channel) => channel.subarray(offset, offset + blockSize)),
+      startTime + offset / SAMPLE_RATE,
+    )
+  }
+}
+
+describe('createLiveAnalyzer', () => {
+  it('completes one column per secondsPerPixel of audio', () => {
+    const analyzer = createLiveAnalyzer(SAMPLE_RATE, settingsWith({ secondsPerPixel: 0.01 }))
+    feed(analyzer, sine(1000, SAMPLE_RATE, SAMPLE_RATE))
+    const update = analyzer.takeUpdate()
+    expect(update.columns).toHaveLength(100)
+    expect(update.headTime).toBeCloseTo(1, 6)
+    expect(analyzer.takeUpdate().columns).toHaveLength(0)
+  })
+
+  it('does not depend on how the input is split into blocks', () => {
+    const samples = harmonicStack(300, SAMPLE_RATE, SAMPLE_RATE / 2)
+    const columnsFor = (blockSize) => {
+      const analyzer = createLiveAnalyzer(SAMPLE_RATE, settingsWith({ secondsPerPixel: 0.02 }))
+      feed(analyzer, samples, blockSize)
+      return analyzer.takeUpdate().columns.map((column) => Array.from(column.freq))
+    }
+    expect(columnsFor(128)).toEqual(columnsFor(1000))
+  })
+
+  it('puts a tone in its bin', () => {
+    const settings = settingsWith({ fftSize: 2048, smoothing: 0 })
+    const analyzer = createLiveAnalyzer(SAMPLE_RATE, settings)
+    feed(analyzer, sine(3000, SAMPLE_RATE, SAMPLE_RATE / 4))
+    const { columns, snapshot } = analyzer.takeUpdate()
+    const toneBin = Math.round((3000 * 2048) / SAMPLE_RATE)
+    expect(Math.abs(peakBin(columns[columns.length - 1].freq) - toneBin)).toBeLessThanOrEqual(1)
+    expect(Math.abs(peakBin(snapshot.spectrum) - toneBin)).toBeLessThanOrEqual(1)
+    // The tone sits on a bin centre; half of full scale is -6 dBFS
+    expect(snapshot.dbfs[toneBin]).toBeCloseTo(-6, 0)
+    expect(snapshot.timeDomain).toHaveLength(2048)
+  })
+
+  it('marks columns with the F0 and reports the analysis and features on request', () => {
+    const analyzer = createLiveAnalyzer(SAMPLE_RATE, settingsWith({ secondsPerPixel: 0.05 }))
+    feed(analyzer, harmonicStack(220, SAMPLE_RATE, SAMPLE_RATE / 2))
+    const { columns, analysis, features } = analyzer.takeUpdate({ withAnalysis: true })
+    const pitched = columns.filter((column) => column.pitch)
+    expect(pitched.length).toBeGreaterThan(columns.length / 2)
+    pitched.forEach((column) => expect(column.pitch.frequency).toBeCloseTo(220, 0))
+    expect(analysis.fundamental).toBeCloseTo(220, 0)
+    // The partials fall off as 1/n, so the centroid sits among the lower ones
+    expect(features.centroid).toBeGreaterThan(220)
+    expect(features.centroid).toBeLessThan(660)
+    expect(features.rms).toBeLessThan(0)
+    const next = analyzer.takeUpdate({ withAnalysis: true })
+    expect(next.analysis).toBeNull()
+    expect(next.features).toBeNull()
+  })
+
+  it('records frames at the frame rate, timed from the first one on the audio clock', () => {
+    const analyzer = createLiveAnalyzer(SAMPLE_RATE, settingsWith({}))
+    feed(analyzer, sine(500, SAMPLE_RATE, SAMPLE_RATE / 2), BLOCK_SIZE, 10)
+    expect(analyzer.takeUpdate().frames).toHaveLength(0)
+
+    analyzer.setRecording(true)
+    feed(analyzer, sine(500, SAMPLE_RATE, SAMPLE_RATE), BLOCK_SIZE, 10.5)
+    analyzer.setRecording(false)
+    const { frames, recordStartMs } = analyzer.takeUpdate()
+    expect(Math.abs(frames.length - FRAME_RATE)).toBeLessThanOrEqual(1)
+    expect(frames[0].t).toBe(0)
+    expect(recordStartMs).toBeGreaterThanOrEqual(10500)
+    expect(recordStartMs).toBeLessThan(10500 + 1000 / FRAME_RATE + 1)
+    frames.slice(1).forEach((frame, i) => expect(frame.t).toBeGreaterThan(frames[i].t))
+    expect(frames[frames.length - 1].t).toBeGreaterThan(950)
+  })
+
+  it('restarts the columns when the time scale changes', () => {
+    const analyzer = createLiveAnalyzer(SAMPLE_RATE, settingsWith({ secondsPerPixel: 0.01 }))
+    feed(analyzer, sine(1000, SAMPLE_RATE, SAMPLE_RATE / 2))
+    analyzer.configure(settingsWith({ secondsPerPixel: 0.1 }))
+    // A little over a second, so the last hop lands past the tenth column's end
+    feed(analyzer, sine(1000, SAMPLE_RATE, SAMPLE_RATE * 1.02), BLOCK_SIZE, 0.5)
+    const update = analyzer.takeUpdate()
+    expect(update.resetColumns).toBe(true)
+    expect(update.columns).toHaveLength(10)
+    expect(update.secondsPerPixel).toBe(0.1)
+    expect(analyzer.takeUpdate().resetColumns).toBe(false)
+  })
+
+  describe('with two channels', () => {
+    const length = SAMPLE_RATE / 2
+    // Tones on bin centres, well apart in level
+    const stereo = () => [sine(1500, SAMPLE_RATE, length), sine(6000, SAMPLE_RATE, length, 0.125)]
+    const binOf = (frequency) => Math.round((frequency * 2048) / SAMPLE_RATE)
+
+    it('analyses the mix, or the selected channel', () => {
+      const mixed = createLiveAnalyzer(SAMPLE_RATE, settingsWith({ smoothing: 0 }))
+      feed(mixed, stereo())
+      const { snapshot, channelCount } = mixed.takeUpdate()
+      expect(channelCount).toBe(2)
+      expect(snapshot.spectrum[binOf(1500)]).toBeGreaterThan(0)
+      expect(snapshot.spectrum[binOf(6000)]).toBeGreaterThan(0)
+
+      // A 0 dB ceiling keeps the tones from saturating the byte scale
+      const single = createLiveAnalyzer(
+        SAMPLE_RATE,
+        settingsWith({ channelView: 'single', channelIndex: 1, maxDecibels: 0 }),
+      )
+      feed(single, stereo())
+      expect(peakBin(single.takeUpdate().snapshot.spectrum)).toBe(binOf(6000))
+    })
+
+    it('adds a spectrum per channel to each column in the stacked view', () => {
+      const analyzer = createLiveAnalyzer(SAMPLE_RATE, settingsWith({ channelView: 'stacked', maxDecibels: 0 }))
+      feed(analyzer, stereo())
+      const { columns } = analyzer.takeUpdate()
+      const { lanes } = columns[columns.length - 1]
+      expect(lanes).toHaveLength(2)
+      expect(peakBin(lanes[0])).toBe(binOf(1500))
+      expect(peakBin(lanes[1])).toBe(binOf(6000))
+    })
+
+    it('reports the level difference and coherence of the pair', () => {
+      const left = sine(2000, SAMPLE_RATE, length)
+      const right = left.map((value) => value / 2)
+      const analyzer = createLiveAnalyzer(SAMPLE_RATE, settingsWith({}))
+      feed(analyzer, [left, right])
+      const { pair } = analyzer.takeUpdate().snapshot
+      const bin = Math.round((2000 * pair.fftSize) / SAMPLE_RATE)
+      expect(pair.levelDifference[bin]).toBeCloseTo(20 * Math.log10(2), 2)
+      expect(pair.coherence[bin]).toBeCloseTo(1, 3)
+    })
+  })
+
+  describe('with event detection', () => {
+    const detection = { ...DEFAULT_DETECTION, enabled: true, lowFrequency: 2000, highFrequency: 4000 }
+    // Silence with a 3 kHz tone from 1 s to 1.5 s
+    const burst = () => {
+      const samples = sine(3000, SAMPLE_RATE, SAMPLE_RATE * 2)
+      samples.fill(0, 0, SAMPLE_RATE)
+      samples.fill(0, SAMPLE_RATE * 1.5)
+      return samples
+    }
+
+    it('reports detections on the audio clock', () => {
+      const analyzer = createLiveAnalyzer(SAMPLE_RATE, settingsWith({ detection, smoothing: 0 }))
+      feed(analyzer, burst(), BLOCK_SIZE, 10)
+      const update = analyzer.takeUpdate()
+      expect(update.detections.map((d) => d.type)).toEqual(['start', 'end'])
+      // Snapshots are timed at the end of their window
+      expect(update.detections[0].event.start).toBeGreaterThanOrEqual(1)
+      expect(update.detections[0].event.start).toBeLessThan(1.04)
+      expect(update.originTime).toBe(10)
+      expect(update.detector.threshold).toBe(detection.thresholds.energy)
+      expect(analyzer.takeUpdate().detections).toHaveLength(0)
+    })
+
+    it('starts a recording with the pre-roll frames kept for it', () => {
+      const analyzer = createLiveAnalyzer(
+        SAMPLE_RATE,
+        settingsWith({ detection: { ...detection, autoRecord: true, preRoll: 0.5 } }),
+      )
+      feed(analyzer, sine(1000, SAMPLE_RATE, SAMPLE_RATE))
+      analyzer.takeUpdate()
+      analyzer.setRecording(true, { preRoll: 0.25 })
+      feed(analyzer, sine(1000, SAMPLE_RATE, SAMPLE_RATE / 2), BLOCK_SIZE, 1)
+      const { frames, recordStartMs } = analyzer.takeUpdate()
+      // A quarter second before the recording started, then half a second of it
+      expect(frames.length).toBeGreaterThanOrEqual(Math.floor(0.75 * FRAME_RATE))
+      expect(frames.length).toBeLessThanOrEqual(Math.ceil(0.75 * FRAME_RATE) + 1)
+      expect(frames[0].t).toBe(0)
+      expect(recordStartMs).toBeGreaterThan(700)
+      expect(recordStartMs).toBeLessThan(800)
+    })
+  })
+
+  describe('with processing', () => {
+    const humBin = Math.round((50 * 16384) / SAMPLE_RATE)
+    const toneBin = Math.round((1000 * 16384) / SAMPLE_RATE)
+    const processing = { ...DEFAULT_PROCESSING, enabled: true, filters: FILTER_PRESETS[0].filters }
+    const humAndTone = () => mix(sine(50, SAMPLE_RATE, SAMPLE_RATE), sine(1000, SAMPLE_RATE, SAMPLE_RATE, 0.1))
+
+    it('filters the input, unless the raw signal is shown', () => {
+      const levelsWith = (overrides) => {
+        const analyzer = createLiveAnalyzer(
+          SAMPLE_RATE,
+          settingsWith({ fftSize: 16384, smoothing: 0, processing: { ...processing, ...overrides } }),
+        )
+        feed(analyzer, humAndTone())
+        const { dbfs } = analyzer.takeUpdate().snapshot
+        return { hum: dbfs[humBin], tone: dbfs[toneBin] }
+      }
+      const raw = levelsWith({ showRaw: true })
+      const filtered = levelsWith({})
+      expect(filtered.hum).toBeLessThan(raw.hum - 30)
+      expect(filtered.tone).toBeCloseTo(raw.tone, 0)
+    })
+
+    it('captures a noise profile and subtracts it', () => {
+      const analyzer = createLiveAnalyzer(SAMPLE_RATE, settingsWith({ smoothing: 0, processing }))
+      analyzer.captureNoiseProfile(0.5)
+      feed(analyzer, whiteNoise(SAMPLE_RATE, 0.05))
+      const { noiseProfile, snapshot } = analyzer.takeUpdate()
+      expect(noiseProfile.binHz).toBe(SAMPLE_RATE / DEFAULT_SETTINGS.fftSize)
+      expect(noiseProfile.levels).toHaveLength(DEFAULT_SETTINGS.fftSize / 2)
+      expect(analyzer.takeUpdate().noiseProfile).toBeNull()
+
+      analyzer.configure(
+        settingsWith({ smoothing: 0, processing: { ...processing, noiseReduction: true, noiseProfile } }),
+      )
+      feed(analyzer, whiteNoise(SAMPLE_RATE / 4, 0.05, 7), BLOCK_SIZE, 1)
+      const reduced = analyzer.takeUpdate().snapshot
+      const mean = (dbfs) => dbfs.slice(100, 400).reduce((sum, level) => sum + level, 0) / 300
+      expect(mean(reduced.dbfs)).toBeLessThan(mean(snapshot.dbfs) - 10)
+    })
+  })
+})
@@ -0,0 +1,117 @@
+// Measurements for time–frequency selections, in the spirit of Raven's
+// selection tables. Spectra are dBFS arrays (one per time slice) whose bin k is
+// centred on k * binHz.
+
+import { createSpectrumAnalyzer } from './fft'
+import { byteSpectrumToDbfs, levelUnit, toDisplayLevel } from './levels'
+
+// Most time slices measured per selection; longer selections use a larger hop
+const MAX_SLICES = 512
+
+// dBFS spectra of windows centred across [begin, end) seconds of `samples`
+export const spectraFromSamples = (samples, sampleRate, begin, end, fftSize, windowFunction) => {
+  const analyzer = createSpectrumAnalyzer(fftSize, windowFunction)
+  const from = Math.round(begin * sampleRate)
+  const to = Math.round(end * sampleRate)
+  const hop = Math.max(fftSize / 2, Math.ceil((to - from) / MAX_SLICES))
+  const spectra = []
+  // A selection shorter than the hop still measures one window
+  for (let center = from; center < to || !spectra.length; center += hop) {
+    spectra.push(
+      analyzer.decibelFrequencyData(samples, center - fftSize / 2, new Float32Array(analyzer.binCount)),
+    )
+  }
+  return spectra
+}
+
+// dBFS spectra from stored byte frames within [begin, end) seconds, undoing the
+// byte scaling applied with the recording's dB range and window
+export const spectraFromFrames = (frames, begin, end, { minDecibels, maxDecibels, windowFunction }) => {
+  if (!frames.length) return []
+  let chosen = frames.filter((frame) => frame.t >= begin * 1000 && frame.t < end * 1000)
+  if (!chosen.length) {
+    // Narrower than the frame interval: measure the frame nearest the middle
+    const middle = ((begin + end) / 2) * 1000
+    chosen = [frames.reduce((best, frame) => (Math.abs(frame.t - middle) < Math.abs(best.t - middle) ? frame : best))]
+  }
+  const stride = Math.ceil(chosen.length / MAX_SLICES)
+  return chosen
+    .filter((_, i) => i % stride === 0)
+    .map((frame) => byteSpectrumToDbfs(frame.freq, { minDecibels, maxDecibels, windowFunction }))
+}
+
+// { begin, end, lowFreq, highFreq } plus duration, bandwidth, peak frequency
+// and peak/mean power over the bins inside the frequency range, in dB SPL
+// under a microphone calibration (see ./levels) and dBFS otherwise
+export const measureSelection = ({ begin, end, lowFreq, highFreq }, spectra, binHz, calibration = null) => {
+  const binCount = spectra.length ? spectra[0].length : 0
+  let firstBin = Math.max(0, Math.ceil(lowFreq / binHz))
+  let lastBin = Math.min(binCount - 1, Math.floor(highFreq / binHz))
+  if (lastBin < firstBin) {
+    // Narrower than one bin: use the bin nearest the centre
+    firstBin = Math.min(binCount - 1, Math.round((lowFreq + highFreq) / 2 / binHz))
+    lastBin = firstBin
+  }
+
+  let peakPower = -Infinity
+  let peakBin = firstBin
+  let powerSum = 0
+  let cells = 0
+  spectra.forEach((spectrum) => {
+    for (let k = firstBin; k <= lastBin; k += 1) {
+      const db = toDisplayLevel(spectrum[k], k * binHz, calibration)
+      if (db > peakPower) {
+        peakPower = db
+        peakBin = k
+      }
+      // Average in the power domain
+      powerSum += Number.isFinite(db) ? 10 ** (db / 10) : 0
+      cells += 1
+    }
+  })
+
+  return {
+    begin,
+    end,
+    lowFreq,
+    highFreq,
+    duration: end - begin,
+    bandwidth: highFreq - lowFreq,
+    peakFreq: peakBin * binHz,
+    peakPower,
+    meanPower: cells && powerSum > 0 ? 10 * Math.log10(powerSum / cells) : -Infinity,
+    powerUnit: levelUnit(calibration),
+  }
+}
+
+// Selection table columns, shared by the table and the CSV export
+export const SELECTION_COLUMNS = [
+  { key: 'number', label: 'Selection', digits: 0 },
+  { key: 'source', label: 'Source' },
+  { key: 'begin', label: 'Begin Time (s)', digits: 3 },
+  { key: 'end', label: 'End Time (s)', digits: 3 },
+  { key: 'lowFreq', label: 'Low Freq (Hz)', digits: 1 },
+  { key: 'highFreq', label: 'High Freq (Hz)', digits: 1 },
+  { key: 'duration', label: 'Delta Time (s)', digits: 3 },
+  { key: 'bandwidth', label: 'Delta Freq (Hz)', digits: 1 },
+  { key: 'peakFreq', label: 'Peak Freq (Hz)', digits: 1 },
+  { key: 'peakPower', label: 'Peak Power (dB)', digits: 1 },
+  { key: 'meanPower', label: 'Avg Power (dB)', digits: 1 },
+  { key: 'powerUnit', label: 'Power Units' },
+]
+
+export const formatSelectionValue = (value, column) => {
+  if (column.digits == null) return String(value ?? '')
+  return Number.isFinite(value) ? value.toFixed(column.digits) : ''
+}
+
+const csvField = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text)
+
+// CSV of `rows` under `columns` ({ key, label, digits }), formatted as in the table
+export const rowsToCsv = (columns, rows) =>
+  [
+    columns.map((column) => csvField(column.label)).join(','),
+    ...rows.map((row) => columns.map((column) => csvField(formatSelectionValue(row[column.key], column))).join(',')),
+  ].join('\n')
+
+export const selectionsToCsv = (selections) => rowsToCsv(SELECTION_COLUMNS, selections)
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest'
+import { mix, sine, whiteNoise } from '../test/signals'
+import { formatSelectionValue, measureSelection, rowsToCsv, spectraFromSamples } from './measurements'
+
+const SAMPLE_RATE = 48000
+const FFT_SIZE = 1024
+const BIN_HZ = SAMPLE_RATE / FFT_SIZE
+
+// Quiet noise with a bin-centred 3 kHz tone of amplitude 0.5 (-6 dBFS)
+const toneInNoise = () => mix(whiteNoise(SAMPLE_RATE, 0.0001), sine(3000, SAMPLE_RATE, SAMPLE_RATE))
+
+describe('measureSelection', () => {
+  const samples = toneInNoise()
+  const box = { begin: 0.25, end: 0.75, lowFreq: 2000, highFreq: 4000 }
+  const spectra = spectraFromSamples(samples, SAMPLE_RATE, box.begin, box.end, FFT_SIZE, 'hann')
+  const measurement = measureSelection(box, spectra, BIN_HZ)
+
+  it('reports the box extent', () => {
+    expect(measurement).toMatchObject(box)
+    expect(measurement.duration).toBeCloseTo(0.5)
+    expect(measurement.bandwidth).toBe(2000)
+  })
+
+  it('finds the tone as the peak at its level in dBFS', () => {
+    expect(measurement.peakFreq).toBe(3000)
+    expect(measurement.peakPower).toBeCloseTo(-6.02, 1)
+    expect(measurement.powerUnit).toBe('dBFS')
+  })
+
+  it('averages power over the box, below the peak', () => {
+    // The tone's power spread over the ~43 bins in the box
+    expect(measurement.meanPower).toBeLessThan(measurement.peakPower - 10)
+    expect(measurement.meanPower).toBeGreaterThan(measurement.peakPower - 25)
+  })
+
+  it('measures the nearest bin when the box is narrower than one bin', () => {
+    const narrow = measureSelection({ ...box, lowFreq: 2995, highFreq: 3005 }, spectra, BIN_HZ)
+    expect(narrow.peakFreq).toBe(3000)
+    expect(narrow.meanPower).toBeCloseTo(narrow.peakPower, 0)
+  })
+})
+
+describe('formatSelectionValue', () => {
+  it('rounds numbers to the column digits', () => {
+    expect(formatSelectionValue(1.23456, { digits: 3 })).toBe('1.235')
+    expect(formatSelectionValue(7, { digits: 0 })).toBe('7')
+  })
+
+  it('leaves non-finite numbers blank', () => {
+    expect(formatSelectionValue(-Infinity, { digits: 1 })).toBe('')
+    expect(formatSelectionValue(undefined, { digits: 1 })).toBe('')
+  })
+
+  it('shows text columns as they are', () => {
+    expect(formatSelectionValue('dBFS', {})).toBe('dBFS')
+    expect(formatSelectionValue(null, {})).toBe('')
+  })
+})
+
+describe('rowsToCsv', () => {
+  const columns = [
+    { key: 'source', label: 'Source' },
+    { key: 'peak', label: 'Peak, Hz', digits: 1 },
+  ]
+
+  it('writes a header and formatted rows', () => {
+    expect(rowsToCsv(columns, [{ source: 'mic', peak: 3000 }])).toBe('Source,"Peak, Hz"\nmic,3000.0')
+  })
+
+  it('quotes fields with commas, quotes or newlines', () => {
+    const rows = [
+      { source: 'say "hi"', peak: 1 },
+      { source: 'a\nb', peak: 2 },
+    ]
+    expect(rowsToCsv(columns, rows).split('\n').slice(1).join('\n')).toBe('"say ""hi""",1.0\n"a\nb",2.0')
+  })
+})
@@ -0,0 +1,287 @@
+// Fundamental frequency (F0) estimation on time-domain frames.
+//
+// Three methods share one interface: `createPitchTracker(options).estimate(samples, start)`
+// returns { frequency, confidence } for the frame of `frameSize` samples starting at
+// `start`, or null when the frame is silent or no period lies in the search range.
+//   yin      - YIN (de Cheveigné & Kawahara 2002); confidence is 1 - aperiodicity
+//   hps      - harmonic product spectrum
+//   cepstrum - real cepstrum peak
+// For the spectral methods confidence is the share of spectral energy on the
+// harmonics of the estimate.
+
+import { createWindow, fft } from './fft'
+
+export const PITCH_METHODS = [
+  { id: 'yin', label: 'YIN' },
+  { id: 'hps', label: 'Harmonic product spectrum' },
+  { id: 'cepstrum', label: 'Cepstrum' },
+]
+
+// YIN's absolute threshold on the cumulative mean normalised difference
+const YIN_THRESHOLD = 0.15
+
+// Harmonics multiplied together by the HPS and counted for spectral confidence
+const HARMONIC_COUNT = 5
+
+// Floor for log spectra relative to the strongest bin (-80 dB), so empty bins
+// of clean signals don't dominate the HPS and cepstrum
+const LOG_FLOOR = 1e-8
+
+// An HPS estimate whose own bin is this far below the strongest bin is a
+// sub-harmonic; the lowest strong multiple is used instead
+const SUBHARMONIC_RATIO = 0.01
+
+const nextPowerOfTwo = (value) => 2 ** Math.ceil(Math.log2(Math.max(1, value)))
+
+// Frame length that fits about three periods of the lowest frequency searched
+export const pitchFrameSize = (sampleRate, minFrequency) =>
+  Math.min(8192, Math.max(1024, nextPowerOfTwo((3 * sampleRate) / Math.max(1, minFrequency))))
+
+// Vertex offset (-0.5..0.5) of the parabola through three equally spaced values
+const parabolicOffset = (left, center, right) => {
+  const denominator = left - 2 * center + right
+  return denominator === 0 ? 0 : Math.max(-0.5, Math.min(0.5, (0.5 * (left - right)) / denominator))
+}
+
+// Inverse FFT in place via the conjugate trick
+const inverseFft = (re, im) => {
+  const n = re.length
+  for (let i = 0; i < n; i += 1) im[i] = -im[i]
+  fft(re, im)
+  for (let i = 0; i < n; i += 1) {
+    re[i] /= n
+    im[i] = -im[i] / n
+  }
+}
+
+export const createPitchTracker = ({
+  method = 'yin',
+  sampleRate,
+  frameSize,
+  minFrequency = 50,
+  maxFrequency = 2000,
+  silenceDb = -60,
+}) => {
+  const size = nextPowerOfTwo(frameSize)
+  const frame = new Float32Array(size)
+  const re = new Float32Array(size)
+  const im = new Float32Array(size)
+
+  // ----- YIN, with the difference function computed through FFT correlation -----
+  // Lags stop at half the frame so the integration window is at least as long
+  const maxLag = Math.min(Math.ceil(sampleRate / minFrequency), size >> 1)
+  const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency))
+  const yinWindow = size - maxLag
+  const windowRe = new Float32Array(size)
+  const windowIm = new Float32Array(size)
+  const energy = new Float64Array(size + 1)
+  const normalized = new Float32Array(maxLag + 1)
+
+  const estimateYin = () => {
+    // Cross term r(τ) = Σ_{j<W} x_j x_{j+τ} via conj(FFT(x[0..W))) · FFT(x)
+    re.set(frame)
+    im.fill(0)
+    windowRe.fill(0)
+    windowRe.set(frame.subarray(0, yinWindow))
+    windowIm.fill(0)
+    fft(re, im)
+    fft(windowRe, windowIm)
+    for (let k = 0; k < size; k += 1) {
+      const a = re[k]
+      const b = im[k]
+      re[k] = a * windowRe[k] + b * windowIm[k]
+      im[k] = b * windowRe[k] - a * windowIm[k]
+    }
+    inverseFft(re, im)
+
+    // Energy of each window position from prefix sums of squares
+    for (let i = 0; i < size; i += 1) energy[i + 1] = energy[i] + frame[i] * frame[i]
+    const energyAt = (lag) => energy[lag + yinWindow] - energy[lag]
+
+    // Cumulative mean normalised difference d'(τ)
+    normalized[0] = 1
+    let runningSum = 0
+    for (let lag = 1; lag <= maxLag; lag += 1) {
+      const difference = Math.max(0, energyAt(0) + energyAt(lag) - 2 * re[lag])
+      runningSum += difference
+      normalized[lag] = runningSum > 0 ? (difference * lag) / runningSum : 1
+    }
+
+    // First dip under the threshold (descending to its minimum), else the global minimum
+    let best = -1
+    for (let lag = minLag; lag <= maxLag; lag += 1) {
+      if (normalized[lag] < YIN_THRESHOLD) {
+        while (lag + 1 <= maxLag && normalized[lag + 1] < normalized[lag]) lag += 1
+        best = lag
+        break
+      }
+    }
+    if (best < 0) {
+      best = minLag
+      for (let lag = minLag + 1; lag <= maxLag; lag += 1) {
+        if (normalized[lag] < normalized[best]) best = lag
+      }
+    }
+    // A minimum at the edge of the range means the period lies outside it
+    if (best <= minLag || best >= maxLag) return null
+
+    const lag = best + parabolicOffset(normalized[best - 1], normalized[best], normalized[best + 1])
+    return {
+      frequency: sampleRate / lag,
+      confidence: Math.max(0, Math.min(1, 1 - normalized[best])),
+    }
+  }
+
+  // ----- Spectral methods -----
+  const windowCoefficients = createWindow('hann', size)
+  const binHz = sampleRate / size
+  const binCount = size >> 1
+  const power = new Float32Array(binCount)
+  const logPower = new Float32Array(binCount)
+  let maxPower = 0
+
+  const computePowerSpectrum = () => {
+    for (let i = 0; i < size; i += 1) {
+      re[i] = frame[i] * windowCoefficients[i]
+      im[i] = 0
+    }
+    fft(re, im)
+    maxPower = 0
+    for (let k = 0; k < binCount; k += 1) {
+      power[k] = re[k] * re[k] + im[k] * im[k]
+      if (power[k] > maxPower) maxPower = power[k]
+    }
+    const floor = maxPower * LOG_FLOOR + 1e-30
+    for (let k = 0; k < binCount; k += 1) logPower[k] = Math.log(power[k] + floor)
+  }
+
+  // Share of the energy between F0 / 2 and the last harmonic that sits on
+  // harmonics of F0, rescaled so a flat (noise) spectrum scores 0
+  const harmonicConfidence = (frequency) => {
+    const fundamentalBin = frequency / binHz
+    const firstBin = Math.floor(fundamentalBin / 2)
+    const lastBin = Math.min(binCount - 1, Math.ceil(fundamentalBin * (HARMONIC_COUNT + 0.5)))
+    let total = 0
+    for (let k = firstBin; k <= lastBin; k += 1) total += power[k]
+    if (total <= 0) return 0
+    let harmonic = 0
+    let harmonicBins = 0
+    let previous = -1
+    for (let h = 1; h <= HARMONIC_COUNT; h += 1) {
+      const center = Math.round(h * fundamentalBin)
+      // The Hann main lobe spans two bins either side
+      for (let k = Math.max(previous + 1, center - 2); k <= Math.min(lastBin, center + 2); k += 1) {
+        harmonic += power[k]
+        harmonicBins += 1
+        previous = k
+      }
+    }
+    const expected = harmonicBins / (lastBin - firstBin + 1)
+    if (expected >= 1) return 0
+    return Math.max(0, Math.min(1, (harmonic / total - expected) / (1 - expected)))
+  }
+
+  const estimateHps = () => {
+    computePowerSpectrum()
+    const firstBin = Math.max(1, Math.floor(minFrequency / binHz))
+    const lastBin = Math.min(binCount - 1, Math.ceil(maxFrequency / binHz))
+    let bestBin = -1
+    let bestScore = -Infinity
+    for (let k = firstBin; k <= lastBin; k += 1) {
+      // Sum of log magnitudes = log of the harmonic product
+      let score = 0
+      for (let h = 1; h <= HARMONIC_COUNT && h * k < binCount; h += 1) {
+        score += logPower[h * k]
+      }
+      if (score > bestScore) {
+        bestScore = score
+        bestBin = k
+      }
+    }
+    if (bestBin <= 0) return null
+
+    // Octave correction: move up to the lowest multiple that carries energy,
+    // snapping to the strongest bin next to it
+    if (power[bestBin] < maxPower * SUBHARMONIC_RATIO) {
+      for (let m = 2; m * bestBin < binCount - 1; m += 1) {
+        const center = m * bestBin
+        const strongest = [center - 1, center, center + 1].reduce((a, b) => (power[b] > power[a] ? b : a))
+        if (power[strongest] >= maxPower * SUBHARMONIC_RATIO) {
+          bestBin = strongest
+          break
+        }
+      }
+    }
+    if (bestBin >= binCount - 1) return null
+    const offset = parabolicOffset(logPower[bestBin - 1], logPower[bestBin], logPower[bestBin + 1])
+    const frequency = (bestBin + offset) * binHz
+    return { frequency, confidence: harmonicConfidence(frequency) }
+  }
+
+  const estimateCepstrum = () => {
+    computePowerSpectrum()
+    // Real cepstrum: inverse FFT of the (symmetric) log magnitude spectrum
+    for (let k = 0; k < size; k += 1) {
+      const bin = k <= binCount ? k : size - k
+      re[k] = 0.5 * logPower[Math.min(bin, binCount - 1)]
+      im[k] = 0
+    }
+    inverseFft(re, im)
+    const firstQuefrency = Math.max(2, Math.floor(sampleRate / maxFrequency))
+    const lastQuefrency = Math.min((size >> 1) - 1, Math.ceil(sampleRate / minFrequency))
+    // Highest interior peak; the spectral envelope only adds a slope at low quefrencies
+    let best = -1
+    for (let q = firstQuefrency + 1; q < lastQuefrency; q += 1) {
+      const isPeak = re[q] > re[q - 1] && re[q] >= re[q + 1]
+      if (isPeak && (best < 0 || re[q] > re[best])) best = q
+    }
+    if (best < 0) return null
+    const quefrency = best + parabolicOffset(re[best - 1], re[best], re[best + 1])
+    const frequency = sampleRate / quefrency
+    return { frequency, confidence: harmonicConfidence(frequency) }
+  }
+
+  const estimators = { yin: estimateYin, hps: estimateHps, cepstrum: estimateCepstrum }
+  const estimator = estimators[method] || estimateYin
+
+  const estimate = (samples, start) => {
+    let sumSquares = 0
+    for (let i = 0; i < size; i += 1) {
+      const idx = start + i
+      const sample = idx >= 0 && idx < samples.length ? samples[idx] : 0
+      frame[i] = sample
+      sumSquares += sample * sample
+    }
+    const rms = Math.sqrt(sumSquares / size)
+    if (rms <= 0 || 20 * Math.log10(rms) < silenceDb) return null
+    const result = estimator()
+    if (!result || result.frequency < minFrequency || result.frequency > maxFrequency) return null
+    return result
+  }
+
+  return { method, frameSize: size, minFrequency, maxFrequency, estimate }
+}
+
+// Tracker configured from the app settings (pitchMethod, pitchMinFrequency, pitchMaxFrequency)
+export const createPitchTrackerFor = (settings, sampleRate) =>
+  createPitchTracker({
+    method: settings.pitchMethod,
+    sampleRate,
+    frameSize: pitchFrameSize(sampleRate, settings.pitchMinFrequency),
+    minFrequency: settings.pitchMinFrequency,
+    maxFrequency: settings.pitchMaxFrequency,
+  })
+
+// An F0 estimate, or null when it falls below settings.pitchMinConfidence
+export const confidentPitch = (estimate, settings) =>
+  estimate && estimate.confidence >= settings.pitchMinConfidence ? estimate : null
+
+// Median frequency and mean confidence of the estimates at or above `minConfidence`,
+// or null when there are none
+export const summarizePitch = (estimates, minConfidence = 0) => {
+  const confident = estimates.filter((estimate) => estimate && estimate.confidence >= minConfidence)
+  if (!confident.length) return null
+  const frequencies = confident.map((estimate) => estimate.frequency).sort((a, b) => a - b)
+  const confidence = confident.reduce((sum, estimate) => sum + estimate.confidence, 0) / confident.length
+  return { frequency: frequencies[frequencies.length >> 1], confidence }
+}
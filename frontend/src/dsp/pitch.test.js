@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest'
+import { harmonicStack, mix, sine, whiteNoise } from '../test/signals'
+import { createPitchTracker, PITCH_METHODS, pitchFrameSize, summarizePitch } from './pitch'
+
+const SAMPLE_RATE = 48000
+
+const trackerFor = (method, minFrequency = 50, maxFrequency = 2000) =>
+  createPitchTracker({
+    method,
+    sampleRate: SAMPLE_RATE,
+    frameSize: pitchFrameSize(SAMPLE_RATE, minFrequency),
+    minFrequency,
+    maxFrequency,
+  })
+
+// Relative error of an estimate
+const error = (estimate, expected) => Math.abs(estimate.frequency - expected) / expected
+
+describe('pitchFrameSize', () => {
+  it('fits three periods of the lowest frequency in a power of two', () => {
+    expect(pitchFrameSize(48000, 50)).toBe(4096)
+    expect(pitchFrameSize(48000, 100)).toBe(2048)
+  })
+
+  it('stays between 1024 and 8192 samples', () => {
+    expect(pitchFrameSize(48000, 2000)).toBe(1024)
+    expect(pitchFrameSize(48000, 1)).toBe(8192)
+  })
+})
+
+describe('createPitchTracker', () => {
+  PITCH_METHODS.forEach(({ id }) => {
+    describe(id, () => {
+      ;[82.4, 110, 220, 440, 1000].forEach((fundamental) => {
+        it(`finds the fundamental of a ${fundamental} Hz harmonic stack`, () => {
+          const tracker = trackerFor(id)
+          const estimate = tracker.estimate(harmonicStack(fundamental, SAMPLE_RATE, tracker.frameSize), 0)
+          expect(estimate).not.toBeNull()
+          expect(error(estimate, fundamental)).toBeLessThan(0.01)
+          expect(estimate.confidence).toBeGreaterThan(0.8)
+        })
+      })
+
+      it('returns null for silence', () => {
+        const tracker = trackerFor(id)
+        expect(tracker.estimate(new Float32Array(tracker.frameSize), 0)).toBeNull()
+      })
+
+      it('is not confident about white noise', () => {
+        const tracker = trackerFor(id)
+        const estimate = tracker.estimate(whiteNoise(tracker.frameSize), 0)
+        expect(estimate === null || estimate.confidence < 0.5).toBe(true)
+      })
+    })
+  })
+
+  it('tracks a pure sine with YIN', () => {
+    const tracker = trackerFor('yin')
+    const estimate = tracker.estimate(sine(330, SAMPLE_RATE, tracker.frameSize), 0)
+    expect(error(estimate, 330)).toBeLessThan(0.005)
+  })
+
+  it('tracks a harmonic stack under moderate noise with YIN', () => {
+    const tracker = trackerFor('yin')
+    const noise = whiteNoise(tracker.frameSize, 0.05)
+    const samples = mix(harmonicStack(200, SAMPLE_RATE, tracker.frameSize), noise)
+    const estimate = tracker.estimate(samples, 0)
+    expect(error(estimate, 200)).toBeLessThan(0.01)
+  })
+
+  it('returns null when the fundamental is outside the search range', () => {
+    const tracker = trackerFor('yin', 300, 2000)
+    expect(tracker.estimate(sine(100, SAMPLE_RATE, tracker.frameSize), 0)).toBeNull()
+  })
+
+  it('reads frames from an offset, treating samples past the end as silence', () => {
+    const tracker = trackerFor('yin')
+    const samples = harmonicStack(250, SAMPLE_RATE, tracker.frameSize * 2)
+    expect(error(tracker.estimate(samples, tracker.frameSize / 2), 250)).toBeLessThan(0.01)
+    expect(tracker.estimate(samples, samples.length)).toBeNull()
+  })
+})
+
+describe('summarizePitch', () => {
+  it('takes the median frequency and mean confidence of confident estimates', () => {
+    const summary = summarizePitch(
+      [
+        { frequency: 100, confidence: 0.9 },
+        { frequency: 300, confidence: 0.7 },
+        null,
+        { frequency: 200, confidence: 0.8 },
+        { frequency: 5000, confidence: 0.1 },
+      ],
+      0.5,
+    )
+    expect(summary.frequency).toBe(200)
+    expect(summary.confidence).toBeCloseTo(0.8)
+  })
+
+  it('returns null without confident estimates', () => {
+    expect(summarizePitch([null, { frequency: 100, confidence: 0.2 }], 0.5)).toBeNull()
+    expect(summarizePitch([])).toBeNull()
+  })
+})
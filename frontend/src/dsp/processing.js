@@ -0,0 +1,153 @@
+// Optional processing of the input before it is analysed: a chain of biquad
+// filters (high-pass, low-pass, band-pass, notch; coefficients from the RBJ
+// Audio EQ Cookbook) run on the samples, then spectral subtraction of a
+// captured noise profile run on each dBFS spectrum. `showRaw` bypasses both,
+// so the spectrogram can be compared with and without them.
+
+export const FILTER_TYPES = [
+  { id: 'highpass', label: 'High-pass' },
+  { id: 'lowpass', label: 'Low-pass' },
+  { id: 'bandpass', label: 'Band-pass' },
+  { id: 'notch', label: 'Notch' },
+]
+
+// Q of a Butterworth (maximally flat) second-order section
+export const BUTTERWORTH_Q = Math.SQRT1_2
+
+// Notches at a mains frequency and its first harmonics
+const humNotches = (frequency) => [1, 2, 3, 4].map((h) => ({ type: 'notch', frequency: frequency * h, q: 30 }))
+
+// Filter sets added in one go
+export const FILTER_PRESETS = [
+  { id: 'hum50', label: '50 Hz hum', filters: humNotches(50) },
+  { id: 'hum60', label: '60 Hz hum', filters: humNotches(60) },
+  { id: 'wind', label: 'Wind rumble', filters: [{ type: 'highpass', frequency: 120, q: BUTTERWORTH_Q }] },
+]
+
+export const DEFAULT_FILTER = { type: 'highpass', frequency: 100, q: BUTTERWORTH_Q }
+
+export const DEFAULT_PROCESSING = {
+  enabled: false,
+  filters: [], // { type, frequency (Hz), q }, applied in order
+  noiseReduction: false,
+  overSubtraction: 1.5, // multiple of the noise profile's power subtracted
+  spectralFloor: -25, // dB: no bin is reduced by more than this
+  noiseProfile: null, // see createNoiseProfile
+  showRaw: false, // A/B: analyse the unprocessed input
+}
+
+// Whether the filters run on the analysed signal
+export const filtersActive = (processing) =>
+  Boolean(processing?.enabled && !processing.showRaw && processing.filters.length)
+
+// Whether spectral subtraction runs on the analysed spectra
+export const noiseReductionActive = (processing) =>
+  Boolean(processing?.enabled && !processing.showRaw && processing.noiseReduction && processing.noiseProfile)
+
+// Normalized biquad coefficients { b0, b1, b2, a1, a2 } of one filter. The
+// frequency is kept just inside (0, Nyquist) so every filter stays stable.
+export const designBiquad = ({ type, frequency, q }, sampleRate) => {
+  const nyquist = sampleRate / 2
+  const f0 = Math.min(Math.max(frequency, 1e-3 * nyquist), 0.999 * nyquist)
+  const w0 = (2 * Math.PI * f0) / sampleRate
+  const cos = Math.cos(w0)
+  const alpha = Math.sin(w0) / (2 * Math.max(q, 1e-3))
+  const numerators = {
+    lowpass: [(1 - cos) / 2, 1 - cos, (1 - cos) / 2],
+    highpass: [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2],
+    bandpass: [alpha, 0, -alpha], // 0 dB gain at the centre frequency
+    notch: [1, -2 * cos, 1],
+  }
+  const b = numerators[type] || numerators.notch
+  const a0 = 1 + alpha
+  return { b0: b[0] / a0, b1: b[1] / a0, b2: b[2] / a0, a1: (-2 * cos) / a0, a2: (1 - alpha) / a0 }
+}
+
+// Streaming filter chain for one channel: `process(input, output)` filters a
+// block into `output` (a new array by default), carrying the filter state over
+// to the next block.
+export const createFilterChain = (filters, sampleRate) => {
+  const stages = filters.map((filter) => ({ ...designBiquad(filter, sampleRate), z1: 0, z2: 0 }))
+
+  const process = (input, output = new Float32Array(input.length)) => {
+    output.set(input)
+    stages.forEach((stage) => {
+      const { b0, b1, b2, a1, a2 } = stage
+      let { z1, z2 } = stage
+      // Transposed direct form II
+      for (let i = 0; i < output.length; i += 1) {
+        const x = output[i]
+        const y = b0 * x + z1
+        z1 = b1 * x - a1 * y + z2
+        z2 = b2 * x - a2 * y
+        output[i] = y
+      }
+      stage.z1 = z1
+      stage.z2 = z2
+    })
+    return output
+  }
+
+  return { process }
+}
+
+// Each channel of a whole signal filtered through `filters` (fresh state per channel)
+export const filterChannels = (channels, filters, sampleRate) =>
+  channels.map((channel) => createFilterChain(filters, sampleRate).process(channel))
+
+// A noise profile from dBFS spectra of background noise, `binHz` apart:
+// { binHz, levels } with the mean power of each bin in dBFS, to 0.1 dB
+export const createNoiseProfile = (spectra, binHz) => {
+  const binCount = spectra[0].length
+  const sum = new Float64Array(binCount)
+  spectra.forEach((dbfs) => {
+    for (let k = 0; k < binCount; k += 1) if (Number.isFinite(dbfs[k])) sum[k] += 10 ** (dbfs[k] / 10)
+  })
+  const levels = Array.from(sum, (power) =>
+    power > 0 ? Math.round(100 * Math.log10(power / spectra.length)) / 10 : null,
+  )
+  return { binHz, levels }
+}
+
+// Noise power per bin of a spectrum with other bins, interpolated from the profile in dB
+const profilePower = (profile, binHz, binCount) => {
+  const { levels } = profile
+  const power = new Float32Array(binCount)
+  for (let k = 0; k < binCount; k += 1) {
+    const position = Math.min(levels.length - 1, (k * binHz) / profile.binHz)
+    const before = Math.floor(position)
+    const after = Math.min(levels.length - 1, before + 1)
+    const low = levels[before]
+    const high = levels[after]
+    if (low == null || high == null) continue
+    power[k] = 10 ** ((low + (high - low) * (position - before)) / 10)
+  }
+  return power
+}
+
+// Spectral subtraction of the noise profile for spectra of `binCount` bins
+// `binHz` apart: `apply(dbfs, bytes, { minDecibels, maxDecibels }, dbfsOffset)`
+// reduces the power of each bin of `dbfs` in place and rescales `bytes` to
+// match (see ./fft byteFrequencyData, which they came from). Null when the
+// subtraction isn't active.
+export const createNoiseSubtractor = (processing, binHz, binCount) => {
+  if (!noiseReductionActive(processing)) return null
+  const noise = profilePower(processing.noiseProfile, binHz, binCount)
+  const floorGain = 10 ** (processing.spectralFloor / 10)
+
+  const apply = (dbfs, bytes, { minDecibels, maxDecibels }, dbfsOffset) => {
+    const rangeScale = 255 / (maxDecibels - minDecibels)
+    for (let k = 0; k < binCount; k += 1) {
+      if (!Number.isFinite(dbfs[k])) continue
+      const power = 10 ** (dbfs[k] / 10)
+      const clean = Math.max(power - processing.overSubtraction * noise[k], power * floorGain)
+      dbfs[k] = 10 * Math.log10(clean)
+      if (bytes) {
+        const scaled = (dbfs[k] - dbfsOffset - minDecibels) * rangeScale
+        bytes[k] = scaled <= 0 ? 0 : scaled >= 255 ? 255 : Math.floor(scaled)
+      }
+    }
+  }
+
+  return { apply }
+}
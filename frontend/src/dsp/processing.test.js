@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest'
+import { mix, sine, whiteNoise } from '../test/signals'
+import { createSpectrumAnalyzer } from './fft'
+import {
+  BUTTERWORTH_Q,
+  createFilterChain,
+  createNoiseProfile,
+  createNoiseSubtractor,
+  DEFAULT_PROCESSING,
+  FILTER_PRESETS,
+} from './processing'
+
+const SAMPLE_RATE = 48000
+const FFT_SIZE = 2048
+const BIN_HZ = SAMPLE_RATE / FFT_SIZE
+
+// RMS of the second half of a signal, past any filter transient
+const settledRms = (samples) => {
+  const tail = samples.subarray(samples.length / 2)
+  return Math.sqrt(tail.reduce((sum, x) => sum + x * x, 0) / tail.length)
+}
+
+// Gain in dB of a filter chain on a sine
+const gainAt = (filters, frequency) => {
+  const input = sine(frequency, SAMPLE_RATE, SAMPLE_RATE)
+  const output = createFilterChain(filters, SAMPLE_RATE).process(input)
+  return 20 * Math.log10(settledRms(output) / settledRms(input))
+}
+
+describe('createFilterChain', () => {
+  it('shapes the response of each filter type', () => {
+    const highpass = [{ type: 'highpass', frequency: 1000, q: BUTTERWORTH_Q }]
+    expect(gainAt(highpass, 1000)).toBeCloseTo(-3, 0)
+    expect(gainAt(highpass, 100)).toBeLessThan(-35)
+    expect(gainAt(highpass, 10000)).toBeCloseTo(0, 0)
+    const lowpass = [{ type: 'lowpass', frequency: 1000, q: BUTTERWORTH_Q }]
+    expect(gainAt(lowpass, 10000)).toBeLessThan(-35)
+    expect(gainAt(lowpass, 100)).toBeCloseTo(0, 0)
+    const bandpass = [{ type: 'bandpass', frequency: 2000, q: 5 }]
+    expect(gainAt(bandpass, 2000)).toBeCloseTo(0, 0)
+    expect(gainAt(bandpass, 500)).toBeLessThan(-15)
+  })
+
+  it('removes mains hum and its harmonics but keeps the signal', () => {
+    const [hum50] = FILTER_PRESETS
+    ;[50, 100, 150].forEach((frequency) => expect(gainAt(hum50.filters, frequency)).toBeLessThan(-25))
+    expect(Math.abs(gainAt(hum50.filters, 1000))).toBeLessThan(0.1)
+  })
+
+  it('carries its state across blocks', () => {
+    const filters = [
+      { type: 'highpass', frequency: 200, q: BUTTERWORTH_Q },
+      { type: 'notch', frequency: 60, q: 30 },
+    ]
+    const input = whiteNoise(4096)
+    const whole = createFilterChain(filters, SAMPLE_RATE).process(input)
+    const chain = createFilterChain(filters, SAMPLE_RATE)
+    const blocks = new Float32Array(input.length)
+    for (let offset = 0; offset < input.length; offset += 128) {
+      blocks.set(chain.process(input.subarray(offset, offset + 128)), offset)
+    }
+    expect(Array.from(blocks)).toEqual(Array.from(whole))
+  })
+})
+
+describe('spectral subtraction', () => {
+  const noise = (seed) => whiteNoise(SAMPLE_RATE, 0.05, seed)
+  const spectraOf = (samples) => {
+    const analyzer = createSpectrumAnalyzer(FFT_SIZE, 'hann')
+    const spectra = []
+    for (let start = 0; start + FFT_SIZE <= samples.length; start += FFT_SIZE) {
+      spectra.push(analyzer.decibelFrequencyData(samples, start, new Float32Array(analyzer.binCount)))
+    }
+    return { analyzer, spectra }
+  }
+  // Mean in dB, so the many bins taken down to the floor count as much as the peaks left above it
+  const meanLevel = (dbfs, first, last) =>
+    dbfs.slice(first, last + 1).reduce((sum, level) => sum + level, 0) / (last - first + 1)
+
+  it('lowers the noise floor down to the spectral floor and keeps a tone', () => {
+    const profile = createNoiseProfile(spectraOf(noise(1)).spectra, BIN_HZ)
+    expect(profile.levels).toHaveLength(FFT_SIZE / 2)
+    const processing = { ...DEFAULT_PROCESSING, enabled: true, noiseReduction: true, noiseProfile: profile }
+    const subtractor = createNoiseSubtractor(processing, BIN_HZ, FFT_SIZE / 2)
+
+    const { analyzer, spectra } = spectraOf(mix(noise(2), sine(3000, SAMPLE_RATE, SAMPLE_RATE, 0.2)))
+    const dbfs = spectra[5]
+    const toneBin = Math.round(3000 / BIN_HZ)
+    const before = { noise: meanLevel(dbfs, 200, 400), tone: dbfs[toneBin] }
+    const bytes = new Uint8Array(dbfs.length)
+    subtractor.apply(dbfs, bytes, { minDecibels: -100, maxDecibels: -30 }, analyzer.dbfsOffset)
+    expect(meanLevel(dbfs, 200, 400)).toBeLessThan(before.noise - 10)
+    expect(meanLevel(dbfs, 200, 400)).toBeGreaterThanOrEqual(before.noise + processing.spectralFloor - 0.5)
+    expect(dbfs[toneBin]).toBeCloseTo(before.tone, 0)
+    expect(bytes[toneBin]).toBeGreaterThan(bytes[300])
+  })
+
+  it('applies a profile taken at another FFT size, and only when active', () => {
+    const profile = { binHz: BIN_HZ * 2, levels: new Array(FFT_SIZE / 4).fill(-60) }
+    const processing = { ...DEFAULT_PROCESSING, enabled: true, noiseReduction: true, noiseProfile: profile }
+    const subtractor = createNoiseSubtractor({ ...processing, overSubtraction: 1 }, BIN_HZ, FFT_SIZE / 2)
+    const dbfs = new Float32Array(FFT_SIZE / 2).fill(-57)
+    subtractor.apply(dbfs, null, { minDecibels: -100, maxDecibels: -30 }, 0)
+    // Half the power is noise
+    expect(dbfs[100]).toBeCloseTo(-60, 1)
+    expect(dbfs[FFT_SIZE / 2 - 1]).toBeCloseTo(-60, 1)
+    expect(createNoiseSubtractor({ ...processing, showRaw: true }, BIN_HZ, FFT_SIZE / 2)).toBeNull()
+    expect(createNoiseSubtractor({ ...processing, noiseProfile: null }, BIN_HZ, FFT_SIZE / 2)).toBeNull()
+  })
+})
@@ -0,0 +1,44 @@
+// Pixel writing for spectrogram images. Byte spectra (see ./fft) are mapped
+// onto the pixel rows of a frequency view (see ./frequencyScale) and coloured
+// through a 256-entry RGBA palette (see ./colormaps), one ImageData column at a time.
+
+import { freqToBin, yToFreq } from './analysis'
+import { createPalette } from './colormaps'
+
+export const DEFAULT_PALETTE = createPalette()
+
+// [firstBin, lastBin] covered by each of `height` pixel rows, so sparse
+// low-frequency bins still fill their rows and dense high ones are folded
+export const rowBinRanges = (height, sampleRate, fftSize, binCount, view) => {
+  const rows = []
+  for (let y = 0; y < height; y += 1) {
+    const topFreq = yToFreq(y - 0.5, height, view)
+    const bottomFreq = yToFreq(y + 0.5, height, view)
+    let firstBin = Math.ceil((bottomFreq * fftSize) / sampleRate)
+    let lastBin = Math.floor((topFreq * fftSize) / sampleRate)
+    if (lastBin < firstBin) {
+      firstBin = freqToBin(yToFreq(y, height, view), sampleRate, fftSize)
+      lastBin = firstBin
+    }
+    rows.push([Math.max(0, firstBin), Math.min(binCount - 1, lastBin)])
+  }
+  return rows
+}
+
+// Colour column `x` of `image` with the loudest bin of each row's range,
+// starting `top` rows down (the lane of a stacked view)
+export const writeSpectrumColumn = (image, x, spectrum, rowBins, palette = DEFAULT_PALETTE, top = 0) => {
+  const { data, width } = image
+  for (let y = 0; y < rowBins.length; y += 1) {
+    const [firstBin, lastBin] = rowBins[y]
+    let value = 0
+    for (let i = firstBin; i <= lastBin; i += 1) {
+      if (spectrum[i] > value) value = spectrum[i]
+    }
+    const offset = ((top + y) * width + x) * 4
+    data[offset] = palette[value * 4]
+    data[offset + 1] = palette[value * 4 + 1]
+    data[offset + 2] = palette[value * 4 + 2]
+    data[offset + 3] = 255
+  }
+}
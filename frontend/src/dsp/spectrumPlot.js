@@ -0,0 +1,181 @@
+// Spectrum (FFT) plot: dBFS spectra (see ./fft) along a frequency view (see
+// ./frequencyScale), each pixel column showing the loudest bin it covers so
+// narrow peaks survive when there are more bins than pixels. Under the
+// current frame go the traces held over the frames seen so far (peak, min and
+// the Welch average, i.e. the mean power of the overlapping windowed frames)
+// and spectra frozen for comparison.
+
+import { fullScaleOffsetDb } from './fft'
+import { formatFrequency, fractionToFreq, frequencyTicks, freqToFraction } from './frequencyScale'
+
+export const SPECTRUM_SCALES = [
+  { id: 'linear', label: 'Linear' },
+  { id: 'log', label: 'Logarithmic' },
+]
+
+export const DEFAULT_SPECTRUM = { scale: 'log', peakHold: false, minHold: false, average: true }
+
+// Frozen spectra kept at most, each drawn in its own colour
+export const MAX_SPECTRUM_OVERLAYS = 6
+export const OVERLAY_COLORS = ['#66bb6a', '#ab47bc', '#26c6da', '#ffee58', '#ec407a', '#8d6e63']
+
+const CURRENT_COLOR = '#ff9800'
+const PEAK_COLOR = '#f44336'
+const MIN_COLOR = '#64b5f6'
+const AVERAGE_COLOR = '#9e9e9e'
+const GRID_COLOR = 'rgba(255, 255, 255, 0.15)'
+const LABEL_COLOR = '#888'
+
+// dB between the level grid lines
+const LEVEL_GRID_DB = 20
+
+// dBFS range of the plot for byte spectra scaled with { minDecibels, maxDecibels, windowFunction }
+export const spectrumLevelRange = ({ minDecibels, maxDecibels, windowFunction }) => {
+  const offset = fullScaleOffsetDb(windowFunction)
+  return { low: minDecibels + offset, high: maxDecibels + offset }
+}
+
+// Peak, min and average of the dBFS spectra added since the last reset; a
+// spectrum of another length starts over
+export const createSpectrumTraces = () => {
+  let peak = null
+  let min = null
+  let powerSum = null
+  let count = 0
+
+  const reset = (length = 0) => {
+    peak = length ? new Float32Array(length).fill(-Infinity) : null
+    min = length ? new Float32Array(length).fill(Infinity) : null
+    powerSum = length ? new Float64Array(length) : null
+    count = 0
+  }
+
+  const add = (dbfs) => {
+    if (!peak || peak.length !== dbfs.length) reset(dbfs.length)
+    for (let k = 0; k < dbfs.length; k += 1) {
+      const level = dbfs[k]
+      if (level > peak[k]) peak[k] = level
+      if (level < min[k]) min[k] = level
+      if (Number.isFinite(level)) powerSum[k] += 10 ** (level / 10)
+    }
+    count += 1
+  }
+
+  // Mean power of the spectra added, in dBFS
+  const average = () =>
+    count ? Float32Array.from(powerSum, (power) => (power > 0 ? 10 * Math.log10(power / count) : -Infinity)) : null
+
+  return {
+    add,
+    reset,
+    average,
+    get peak() {
+      return count ? peak : null
+    },
+    get min() {
+      return count ? min : null
+    },
+    get count() {
+      return count
+    },
+  }
+}
+
+// The held traces `options` ({ peakHold, minHold, average }) ask for; a given
+// `average` (of a whole file) stands in for the running one
+export const heldTraces = (traces, options, average = null) => ({
+  peak: options.peakHold ? traces.peak : null,
+  min: options.minHold ? traces.min : null,
+  average: options.average ? average || traces.average() : null,
+})
+
+// [firstBin, lastBin] whose centres fall in each of `width` pixel columns, left
+// to right; a column narrower than a bin takes the nearest one
+export const columnBinRanges = (width, binHz, binCount, view) => {
+  const columns = []
+  const edgeBin = (x) => Math.ceil(fractionToFreq(x / (width - 1), view) / binHz)
+  for (let x = 0; x < width; x += 1) {
+    let firstBin = edgeBin(x - 0.5)
+    let lastBin = edgeBin(x + 0.5) - 1
+    if (lastBin < firstBin) {
+      firstBin = Math.round(fractionToFreq(x / (width - 1), view) / binHz)
+      lastBin = firstBin
+    }
+    columns.push([Math.max(0, Math.min(binCount - 1, firstBin)), Math.max(0, Math.min(binCount - 1, lastBin))])
+  }
+  return columns
+}
+
+// Loudest level among bins [firstBin, lastBin] of a dBFS spectrum
+const loudestInRange = (dbfs, [firstBin, lastBin]) => {
+  let level = -Infinity
+  for (let k = firstBin; k <= lastBin; k += 1) {
+    if (dbfs[k] > level) level = dbfs[k]
+  }
+  return level
+}
+
+// Level the trace of a dBFS spectrum shows at pixel column `x` of a plot `width` px wide
+export const columnLevel = (dbfs, binHz, view, width, x) => {
+  const column = Math.max(0, Math.min(width - 1, Math.round(x)))
+  return loudestInRange(dbfs, columnBinRanges(width, binHz, dbfs.length, view)[column])
+}
+
+// Trace of a dBFS spectrum, the loudest bin per pixel column
+const drawTrace = (ctx, dbfs, binHz, view, { width, height, low, high }, color, lineWidth = 1) => {
+  const columns = columnBinRanges(width, binHz, dbfs.length, view)
+  ctx.strokeStyle = color
+  ctx.lineWidth = lineWidth
+  ctx.beginPath()
+  columns.forEach((range, x) => {
+    const level = loudestInRange(dbfs, range)
+    const fraction = Math.max(0, Math.min(1, (level - low) / (high - low)))
+    const y = (1 - fraction) * (height - 1)
+    if (x === 0) ctx.moveTo(x, y)
+    else ctx.lineTo(x, y)
+  })
+  ctx.stroke()
+}
+
+// Frequency grid with labels along the bottom, and level lines every LEVEL_GRID_DB
+const drawGrid = (ctx, view, { width, height, low, high }) => {
+  ctx.strokeStyle = GRID_COLOR
+  ctx.lineWidth = 1
+  ctx.fillStyle = LABEL_COLOR
+  ctx.font = '10px system-ui, sans-serif'
+  ctx.textBaseline = 'bottom'
+  frequencyTicks(view, 6).forEach((freq) => {
+    const x = Math.round(freqToFraction(freq, view) * (width - 1)) + 0.5
+    ctx.beginPath()
+    ctx.moveTo(x, 0)
+    ctx.lineTo(x, height)
+    ctx.stroke()
+    ctx.fillText(formatFrequency(freq), x + 2, height - 2)
+  })
+  ctx.textBaseline = 'top'
+  for (let level = Math.ceil(low / LEVEL_GRID_DB) * LEVEL_GRID_DB; level <= high; level += LEVEL_GRID_DB) {
+    const y = Math.round((1 - (level - low) / (high - low)) * (height - 1)) + 0.5
+    ctx.beginPath()
+    ctx.moveTo(0, y)
+    ctx.lineTo(width, y)
+    ctx.stroke()
+    ctx.fillText(`${level} dB`, 2, y + 1)
+  }
+}
+
+// Draw the plot on a canvas: `current` is the frame's dBFS spectrum with bins of
+// `binHz`, `held` its { peak, min, average } traces (null where not shown),
+// `overlays` the frozen [{ dbfs, binHz, color }] and `range` the { low, high }
+// dBFS shown from bottom to top
+export const drawSpectrumPlot = (canvas, { view, range, binHz, current, held = {}, overlays = [] }) => {
+  const ctx = canvas.getContext('2d')
+  const box = { width: canvas.width, height: canvas.height, ...range }
+  ctx.fillStyle = '#000'
+  ctx.fillRect(0, 0, box.width, box.height)
+  drawGrid(ctx, view, box)
+  overlays.forEach((overlay) => drawTrace(ctx, overlay.dbfs, overlay.binHz, view, box, overlay.color, 1.5))
+  if (held.min) drawTrace(ctx, held.min, binHz, view, box, MIN_COLOR)
+  if (held.average) drawTrace(ctx, held.average, binHz, view, box, AVERAGE_COLOR, 1.5)
+  if (held.peak) drawTrace(ctx, held.peak, binHz, view, box, PEAK_COLOR)
+  if (current) drawTrace(ctx, current, binHz, view, box, CURRENT_COLOR, 2)
+}
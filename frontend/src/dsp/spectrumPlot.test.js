@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest'
+import { createFrequencyView } from './frequencyScale'
+import { columnBinRanges, columnLevel, createSpectrumTraces, heldTraces } from './spectrumPlot'
+
+describe('createSpectrumTraces', () => {
+  it('holds the peak and min per bin and averages in power', () => {
+    const traces = createSpectrumTraces()
+    expect(traces.average()).toBeNull()
+    traces.add(Float32Array.from([-10, -40]))
+    traces.add(Float32Array.from([-20, -40]))
+    expect(Array.from(traces.peak)).toEqual([-10, -40])
+    expect(Array.from(traces.min)).toEqual([-20, -40])
+    const average = traces.average()
+    // (0.1 + 0.01) / 2 in power
+    expect(average[0]).toBeCloseTo(10 * Math.log10(0.055), 4)
+    expect(average[1]).toBeCloseTo(-40, 4)
+    expect(traces.count).toBe(2)
+
+    // A new spectrum length starts over
+    traces.add(Float32Array.from([-30, -30, -30]))
+    expect(traces.count).toBe(1)
+    expect(heldTraces(traces, { peakHold: true, minHold: false, average: false })).toEqual({
+      peak: traces.peak,
+      min: null,
+      average: null,
+    })
+    traces.reset()
+    expect(traces.peak).toBeNull()
+  })
+})
+
+describe('columnBinRanges', () => {
+  it('covers every bin once on a linear axis denser than the pixels', () => {
+    const binCount = 1024
+    const view = createFrequencyView('linear', 0, binCount * 10)
+    const columns = columnBinRanges(100, 10, binCount, view)
+    expect(columns).toHaveLength(100)
+    expect(columns[0][0]).toBe(0)
+    expect(columns[99][1]).toBe(binCount - 1)
+    for (let x = 1; x < columns.length; x += 1) expect(columns[x][0]).toBe(columns[x - 1][1] + 1)
+  })
+
+  it('spreads sparse low bins over several pixels on a log axis', () => {
+    const view = createFrequencyView('log', 20, 20000)
+    const columns = columnBinRanges(512, 23.4375, 1024, view)
+    // Left to right in frequency
+    for (let x = 1; x < columns.length; x += 1) expect(columns[x][0]).toBeGreaterThanOrEqual(columns[x - 1][0])
+    expect(columns[0][0]).toBe(columns[10][0])
+  })
+})
+
+describe('columnLevel', () => {
+  it('reads the loudest bin a pixel column covers', () => {
+    const dbfs = new Float32Array(1024).fill(-90)
+    dbfs[513] = -12
+    const view = createFrequencyView('linear', 0, 10240)
+    // About ten bins per pixel
+    const x = columnBinRanges(100, 10, 1024, view).findIndex(([first, last]) => first <= 513 && last >= 513)
+    expect(columnLevel(dbfs, 10, view, 100, x)).toBe(-12)
+    expect(columnLevel(dbfs, 10, view, 100, x + 2)).toBe(-90)
+    expect(columnLevel(dbfs, 10, view, 100, 500)).toBe(-90)
+  })
+})
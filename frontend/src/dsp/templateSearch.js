@@ -0,0 +1,120 @@
+// Template search across stored recordings: the spectrogram of a selection,
+// reduced to band levels like the template-match detector's (see ./detection),
+// is slid along a recording's frames and scored by normalised cross-correlation
+// (0..1) at every step. Matches are the best-scoring offsets above a threshold.
+
+import { bandLevels, resampleTemplate, TEMPLATE_BANDS } from './detection'
+import { byteSpectrumToDbfs } from './levels'
+
+// Time resolution the template and recordings are compared at: the recorded frame rate
+export const SEARCH_STEP_SECONDS = 1 / 60
+
+export const DEFAULT_SEARCH_THRESHOLD = 0.6
+
+// Matches kept per search, over all recordings
+export const MAX_MATCHES = 100
+
+// Band levels of stored byte frames ({ t, freq }) every `step` seconds from the
+// first frame, taking the nearest frame to each step. `scaling` is how the
+// frames were scaled (see byteSpectrumToDbfs).
+export const framesBandSeries = (frames, { binHz, scaling, lowFrequency, highFrequency }, step) => {
+  if (!frames.length) return []
+  const levels = new Map() // per frame index, as most steps land on a frame of their own
+  const levelsOf = (index) => {
+    if (!levels.has(index)) {
+      const dbfs = byteSpectrumToDbfs(frames[index].freq, scaling)
+      levels.set(index, bandLevels(dbfs, binHz, lowFrequency, highFrequency, TEMPLATE_BANDS))
+    }
+    return levels.get(index)
+  }
+  const count = Math.floor(frames[frames.length - 1].t / 1000 / step) + 1
+  const series = new Array(count)
+  let index = 0
+  for (let i = 0; i < count; i += 1) {
+    const ms = i * step * 1000
+    while (index + 1 < frames.length && Math.abs(frames[index + 1].t - ms) <= Math.abs(frames[index].t - ms)) {
+      index += 1
+    }
+    series[i] = levelsOf(index)
+  }
+  return series
+}
+
+// Normalised cross-correlation of `template` (rows of band levels) with
+// `series` at every offset: scores[i] is for the template's first row on row i,
+// clamped to 0..1. A flat template or window scores 0.
+export const correlateSeries = (template, series) => {
+  const rows = template.length
+  const bands = template[0].length
+  const cells = rows * bands
+  const count = series.length - rows + 1
+  if (count <= 0) return new Float32Array(0)
+
+  // Zero-mean template, so its cross term with a window needs no window mean
+  const templateMean = template.flat().reduce((sum, value) => sum + value, 0) / cells
+  const centred = template.map((row) => row.map((value) => value - templateMean))
+  const templateNorm = centred.flat().reduce((sum, value) => sum + value * value, 0)
+
+  // Prefix sums of each row's sum and sum of squares, for window means and variances
+  const sums = new Float64Array(series.length + 1)
+  const squares = new Float64Array(series.length + 1)
+  series.forEach((row, i) => {
+    let sum = 0
+    let square = 0
+    for (let b = 0; b < bands; b += 1) {
+      sum += row[b]
+      square += row[b] * row[b]
+    }
+    sums[i + 1] = sums[i] + sum
+    squares[i + 1] = squares[i] + square
+  })
+
+  const scores = new Float32Array(count)
+  for (let i = 0; i < count; i += 1) {
+    const sum = sums[i + rows] - sums[i]
+    const variance = squares[i + rows] - squares[i] - (sum * sum) / cells
+    if (!(templateNorm > 0) || !(variance > 1e-9)) continue
+    let cross = 0
+    for (let r = 0; r < rows; r += 1) {
+      const row = series[i + r]
+      const templateRow = centred[r]
+      for (let b = 0; b < bands; b += 1) cross += templateRow[b] * row[b]
+    }
+    scores[i] = Math.max(0, Math.min(1, cross / Math.sqrt(templateNorm * variance)))
+  }
+  return scores
+}
+
+// Offsets of local maxima in `scores` at or above `threshold`, best first, none
+// within `separation` steps of a better one
+export const pickMatches = (scores, threshold, separation) => {
+  const peaks = []
+  for (let i = 0; i < scores.length; i += 1) {
+    const score = scores[i]
+    if (score >= threshold && !(scores[i - 1] > score) && !(scores[i + 1] >= score)) peaks.push(i)
+  }
+  peaks.sort((a, b) => scores[b] - scores[a])
+  const picked = []
+  peaks.forEach((i) => {
+    if (picked.every((j) => Math.abs(i - j) >= separation)) picked.push(i)
+  })
+  return picked
+}
+
+// Matches of `template` (see createTemplate in ./detection) in a recording's
+// frames: [{ begin, end, score }] in seconds from its first frame, best first.
+// `recording` is { binHz, scaling } of the frames.
+export const searchFrames = (template, frames, recording, threshold = DEFAULT_SEARCH_THRESHOLD) => {
+  const step = SEARCH_STEP_SECONDS
+  const rows = resampleTemplate(template, step)
+  const { lowFrequency, highFrequency } = template
+  const series = framesBandSeries(frames, { ...recording, lowFrequency, highFrequency }, step)
+  const scores = correlateSeries(rows, series)
+  const duration = rows.length * step
+  // Overlapping matches are the same occurrence
+  return pickMatches(scores, threshold, rows.length).map((i) => ({
+    begin: i * step,
+    end: i * step + duration,
+    score: scores[i],
+  }))
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest'
+import { mix, sine, whiteNoise } from '../test/signals'
+import { createTemplate } from './detection'
+import { createSpectrumAnalyzer } from './fft'
+import { byteSpectrumToDbfs } from './levels'
+import { correlateSeries, pickMatches, SEARCH_STEP_SECONDS, searchFrames } from './templateSearch'
+
+const SAMPLE_RATE = 48000
+const FFT_SIZE = 1024
+const HOP = SAMPLE_RATE * SEARCH_STEP_SECONDS
+const SCALING = { minDecibels: -100, maxDecibels: 0, windowFunction: 'hann' }
+const RECORDING = { binHz: SAMPLE_RATE / FFT_SIZE, scaling: SCALING }
+
+// Quiet noise with 0.3 s tone bursts at the given { at, frequency }
+const calls = (bursts, seconds = 4) => {
+  const length = SAMPLE_RATE * seconds
+  const tones = bursts.map(({ at, frequency }) => {
+    const tone = sine(frequency, SAMPLE_RATE, length, 0.3)
+    tone.fill(0, 0, at * SAMPLE_RATE)
+    tone.fill(0, (at + 0.3) * SAMPLE_RATE)
+    return tone
+  })
+  return mix(whiteNoise(length, 0.001), ...tones)
+}
+
+// Stored byte frames, HOP samples apart
+const framesOf = (samples) => {
+  const analyzer = createSpectrumAnalyzer(FFT_SIZE, SCALING.windowFunction)
+  const frames = []
+  for (let start = 0; start + FFT_SIZE <= samples.length; start += HOP) {
+    const freq = analyzer.byteFrequencyData(samples, start, new Uint8Array(analyzer.binCount), SCALING)
+    frames.push({ t: (start / SAMPLE_RATE) * 1000, freq })
+  }
+  return frames
+}
+
+describe('correlateSeries', () => {
+  it('scores an exact copy 1 at its offset', () => {
+    const template = [
+      [0, 1],
+      [2, 0],
+    ]
+    const scores = correlateSeries(template, [
+      [5, 5],
+      [0, 1],
+      [2, 0],
+      [5, 5],
+    ])
+    expect(scores).toHaveLength(3)
+    expect(scores[1]).toBeCloseTo(1, 6)
+    expect(scores[0]).toBeLessThan(1)
+  })
+})
+
+describe('pickMatches', () => {
+  it('keeps the best of nearby peaks', () => {
+    const scores = Float32Array.of(0, 0.7, 0, 0.9, 0, 0, 0, 0, 0.8, 0)
+    expect(pickMatches(scores, 0.6, 3)).toEqual([3, 8])
+  })
+})
+
+describe('searchFrames', () => {
+  it('finds every occurrence of a call, but not other calls', () => {
+    const frames = framesOf(
+      calls([
+        { at: 0.5, frequency: 3000 },
+        { at: 1.5, frequency: 6000 },
+        { at: 2.7, frequency: 3000 },
+      ]),
+    )
+    const from = Math.round(0.5 / SEARCH_STEP_SECONDS)
+    const spectra = frames.slice(from, from + 18).map((frame) => byteSpectrumToDbfs(frame.freq, SCALING))
+    const template = createTemplate(spectra, RECORDING.binHz, {
+      lowFrequency: 2000,
+      highFrequency: 7000,
+      frameSeconds: SEARCH_STEP_SECONDS,
+    })
+
+    const matches = searchFrames(template, frames, RECORDING, 0.7)
+    expect(matches).toHaveLength(2)
+    const starts = matches.map((match) => match.begin).sort((a, b) => a - b)
+    expect(starts[0]).toBeCloseTo(0.5, 1)
+    expect(starts[1]).toBeCloseTo(2.7, 1)
+    expect(matches[0].score).toBeGreaterThan(0.9)
+    expect(matches[0].end - matches[0].begin).toBeCloseTo(0.3, 1)
+  })
+})
@@ -0,0 +1,106 @@
+// Time axis for the scrolling spectrogram. Columns advance with audio time
+// (AudioContext.currentTime or the recording's own clock) at a fixed
+// seconds-per-pixel rate, independent of the display refresh rate.
+
+// The finest scales spread ultrasonic calls lasting a few milliseconds over many columns
+export const SECONDS_PER_PIXEL_OPTIONS = [0.0005, 0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.25, 0.5, 1, 2, 5]
+
+export const TIME_AXIS_MODES = [
+  { id: 'elapsed', label: 'Elapsed' },
+  { id: 'clock', label: 'Wall clock' },
+]
+
+// Readable tick spacings in seconds
+const TICK_INTERVALS = [
+  0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200,
+]
+
+// Tracks which columns are due as time advances. Column k covers
+// [startTime + k * secondsPerPixel, startTime + (k + 1) * secondsPerPixel).
+export const createColumnClock = (secondsPerPixel, startTime = 0) => {
+  // Count columns rather than accumulating times, so long sessions don't drift
+  let completed = 0
+  return {
+    secondsPerPixel,
+    // Number of columns completed since the last call
+    advance(time) {
+      const total = Math.floor((time - startTime) / secondsPerPixel)
+      if (total <= completed) return 0
+      const count = total - completed
+      completed = total
+      return count
+    },
+    // End time of the newest completed column (the right edge of the waterfall)
+    get headTime() {
+      return startTime + completed * secondsPerPixel
+    },
+  }
+}
+
+// Tick times (seconds) visible on a canvas `width` px wide whose right edge is
+// `headTime`, spaced at least `minSpacingPx` apart
+export const timeTicks = (headTime, secondsPerPixel, width, minSpacingPx = 100) => {
+  const minInterval = secondsPerPixel * minSpacingPx
+  const interval = TICK_INTERVALS.find((i) => i >= minInterval) || TICK_INTERVALS[TICK_INTERVALS.length - 1]
+  const earliest = Math.max(0, headTime - width * secondsPerPixel)
+  const ticks = []
+  for (let k = Math.ceil(earliest / interval); k * interval <= headTime; k += 1) {
+    ticks.push(k * interval)
+  }
+  return { interval, ticks }
+}
+
+// x position (canvas px) of `time` on the waterfall
+export const timeToX = (time, headTime, secondsPerPixel, width) =>
+  width - 1 - (headTime - time) / secondsPerPixel
+
+// Time (seconds) at canvas x on the waterfall, the inverse of timeToX
+export const xToTime = (x, headTime, secondsPerPixel, width) => headTime - (width - 1 - x) * secondsPerPixel
+
+const pad2 = (value) => String(value).padStart(2, '0')
+
+// Label for a tick at `time` seconds. In clock mode `originEpochMs` is the
+// wall-clock time of t = 0; without it, elapsed time is shown.
+export const formatTimeTick = (time, interval, mode = 'elapsed', originEpochMs = null) => {
+  if (mode === 'clock' && originEpochMs != null) {
+    const date = new Date(originEpochMs + time * 1000)
+    const hms = `${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`
+    return interval < 1 ? `${hms}.${Math.floor(date.getMilliseconds() / 100)}` : hms
+  }
+  if (time < 60) {
+    if (interval >= 1) return `${Math.round(time)} s`
+    return `${time.toFixed(interval < 0.01 ? 3 : interval < 0.1 ? 2 : 1)} s`
+  }
+  const hours = Math.floor(time / 3600)
+  const minutes = Math.floor((time % 3600) / 60)
+  const seconds = Math.floor(time % 60)
+  return hours ? `${hours}:${pad2(minutes)}:${pad2(seconds)}` : `${minutes}:${pad2(seconds)}`
+}
+
+// Time to the millisecond for readouts (the cursor, pinned markers)
+export const formatSeconds = (seconds) => `${seconds.toFixed(3)} s`
+
+export const formatSecondsPerPixel = (secondsPerPixel) =>
+  secondsPerPixel < 1 ? `${Math.round(secondsPerPixel * 10000) / 10} ms/px` : `${secondsPerPixel} s/px`
+
+// Shortest time range a replay zoom can reach, in seconds
+const MIN_TIME_SPAN = 0.01
+
+// Fit { start, end } inside [0, duration], shifting rather than shrinking it
+const clampTimeRange = (start, end, duration) => {
+  const span = Math.min(end - start, duration)
+  const clampedStart = Math.max(0, Math.min(start, duration - span))
+  return { start: clampedStart, end: clampedStart + span }
+}
+
+// Zoom a { start, end } range by `factor` (< 1 zooms in), keeping the time at
+// `anchorFrac` of the width in place
+export const zoomTimeRange = (range, anchorFrac, factor, duration) => {
+  const anchor = range.start + anchorFrac * (range.end - range.start)
+  const span = Math.min(duration, Math.max(MIN_TIME_SPAN, (range.end - range.start) * factor))
+  return clampTimeRange(anchor - anchorFrac * span, anchor - anchorFrac * span + span, duration)
+}
+
+// Shift a range by `deltaSeconds`
+export const panTimeRange = (range, deltaSeconds, duration) =>
+  clampTimeRange(range.start + deltaSeconds, range.end + deltaSeconds, duration)
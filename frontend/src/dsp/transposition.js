@@ -0,0 +1,97 @@
+// Audible playback of sounds outside the hearing range. Below it (elephant
+// rumbles and other infrasound), two ways of moving them up by `factor`:
+//   speed      - time compression: played `factor` times faster, so every
+//                frequency is `factor` times higher and durations shrink
+//   heterodyne - single-sideband frequency shift at the original speed, by
+//                (factor - 1) * HETERODYNE_REFERENCE_HZ, so a sound at the
+//                reference frequency is heard `factor` times higher while
+//                durations and the spacing of harmonics are kept
+// Above it (bat and rodent calls), one way of moving them down:
+//   expansion  - time expansion: played `factor` times slower, so every
+//                frequency is `factor` times lower and durations grow
+
+import { createWindow, fft } from './fft'
+
+export const TRANSPOSITION_MODES = [
+  { id: 'off', label: 'Off' },
+  { id: 'speed', label: 'Sped up' },
+  { id: 'heterodyne', label: 'Heterodyne' },
+  { id: 'expansion', label: 'Time expansion' },
+]
+
+// 10 and 32 are the usual time-expansion factors of bat detectors
+export const TRANSPOSITION_FACTORS = [4, 8, 10, 16, 32]
+
+// Frequency heard `factor` times higher in heterodyne mode, in Hz
+export const HETERODYNE_REFERENCE_HZ = 20
+
+export const DEFAULT_TRANSPOSITION = { mode: 'off', factor: 8 }
+
+// Heterodyning works on overlapping Hann-windowed segments this long, long
+// enough to resolve a few hertz at common sample rates
+const HETERODYNE_SEGMENT = 1 << 18
+
+// Source playback rate for a transposition
+export const transpositionRate = ({ mode, factor }) => {
+  if (mode === 'speed') return factor
+  if (mode === 'expansion') return 1 / factor
+  return 1
+}
+
+// Frequency shift in Hz of heterodyne playback (0 in other modes)
+export const heterodyneShift = ({ mode, factor }) =>
+  mode === 'heterodyne' ? (factor - 1) * HETERODYNE_REFERENCE_HZ : 0
+
+// Frequency a component at `freq` Hz is heard at
+export const heardFrequency = (freq, transposition) =>
+  freq * transpositionRate(transposition) + heterodyneShift(transposition)
+
+// How long `seconds` of the sound take to play
+export const heardDuration = (seconds, transposition) => seconds / transpositionRate(transposition)
+
+// Shifts `samples` up in frequency by `shift` Hz into `out`, a segment at a
+// time, yielding the fraction done after each so long buffers can be shifted
+// without blocking: the analytic signal of each segment (negative frequencies
+// removed by FFT) is turned by the shift and its real part overlap-added
+export function* heterodyneSegments(samples, shift, sampleRate, out) {
+  const size = Math.min(HETERODYNE_SEGMENT, 1 << Math.ceil(Math.log2(Math.max(2, samples.length))))
+  const hop = size / 2
+  const window = createWindow('hann', size)
+  const re = new Float32Array(size)
+  const im = new Float32Array(size)
+  const step = (2 * Math.PI * shift) / sampleRate
+
+  for (let start = -hop; start < samples.length; start += hop) {
+    for (let i = 0; i < size; i += 1) {
+      const idx = start + i
+      re[i] = idx >= 0 && idx < samples.length ? samples[idx] * window[i] : 0
+      im[i] = 0
+    }
+    fft(re, im)
+    // Double the positive frequencies, drop the negative ones, then invert
+    // (as the conjugate of the FFT of the conjugate)
+    for (let k = 1; k < size; k += 1) {
+      const gain = k < hop ? 2 : k === hop ? 1 : 0
+      re[k] *= gain
+      im[k] *= -gain
+    }
+    im[0] = -im[0]
+    fft(re, im)
+    for (let i = 0; i < size; i += 1) {
+      const idx = start + i
+      if (idx < 0 || idx >= samples.length) continue
+      const phase = step * idx
+      out[idx] += (re[i] * Math.cos(phase) + im[i] * Math.sin(phase)) / size
+    }
+    // Everything before the next segment is final
+    yield Math.min(1, (start + hop) / samples.length)
+  }
+}
+
+// `samples` shifted up in frequency by `shift` Hz, all at once
+export const heterodyne = (samples, shift, sampleRate) => {
+  const out = new Float32Array(samples.length)
+  const segments = heterodyneSegments(samples, shift, sampleRate, out)
+  while (!segments.next().done);
+  return out
+}
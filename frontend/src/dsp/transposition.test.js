@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest'
+import { mix, sine } from '../test/signals'
+import { peakBin } from './analysis'
+import { createSpectrumAnalyzer } from './fft'
+import {
+  heardDuration,
+  heardFrequency,
+  heterodyne,
+  heterodyneSegments,
+  heterodyneShift,
+  HETERODYNE_REFERENCE_HZ,
+} from './transposition'
+
+const SAMPLE_RATE = 8192 // whole-hertz bins, so levels compare without scalloping
+const FFT_SIZE = 8192
+const BIN_HZ = SAMPLE_RATE / FFT_SIZE
+
+// dBFS spectrum of the middle of a signal
+const spectrumOf = (samples) => {
+  const analyzer = createSpectrumAnalyzer(FFT_SIZE, 'hann')
+  return analyzer.decibelFrequencyData(samples, (samples.length - FFT_SIZE) >> 1, new Float32Array(analyzer.binCount))
+}
+
+describe('transposition', () => {
+  it('maps frequencies and durations to what is heard', () => {
+    expect(heardFrequency(15, { mode: 'speed', factor: 8 })).toBe(120)
+    expect(heardDuration(10, { mode: 'speed', factor: 8 })).toBe(1.25)
+    const heterodyned = { mode: 'heterodyne', factor: 4 }
+    expect(heardFrequency(HETERODYNE_REFERENCE_HZ, heterodyned)).toBe(4 * HETERODYNE_REFERENCE_HZ)
+    expect(heardFrequency(30, heterodyned)).toBe(30 + 3 * HETERODYNE_REFERENCE_HZ)
+    expect(heardDuration(10, heterodyned)).toBe(10)
+    expect(heardFrequency(15, { mode: 'off', factor: 8 })).toBe(15)
+    expect(heardFrequency(45000, { mode: 'expansion', factor: 10 })).toBe(4500)
+    expect(heardDuration(0.005, { mode: 'expansion', factor: 10 })).toBeCloseTo(0.05, 10)
+  })
+
+  it('shifts every component up by the heterodyne shift, keeping levels', () => {
+    const shift = heterodyneShift({ mode: 'heterodyne', factor: 8 })
+    // Longer than one segment, so the overlap-add is exercised
+    const length = (1 << 18) + 5000
+    const input = mix(sine(15, SAMPLE_RATE, length), sine(60, SAMPLE_RATE, length, 0.1))
+    const before = spectrumOf(input)
+    const after = spectrumOf(heterodyne(input, shift, SAMPLE_RATE))
+    expect(peakBin(after) * BIN_HZ).toBeCloseTo(15 + shift, 0)
+    const levelAt = (spectrum, freq) => spectrum[Math.round(freq / BIN_HZ)]
+    expect(levelAt(after, 15 + shift)).toBeCloseTo(levelAt(before, 15), 0)
+    expect(levelAt(after, 60 + shift)).toBeCloseTo(levelAt(before, 60), 0)
+    // Single sideband: nothing is left at the originals or mirrored below the shift
+    expect(levelAt(after, 15)).toBeLessThan(levelAt(before, 15) - 60)
+    expect(levelAt(after, shift - 15)).toBeLessThan(levelAt(before, 15) - 60)
+  })
+
+  it('shifts a segment at a time, reporting the fraction done', () => {
+    const length = (1 << 19) + 5000
+    const input = sine(15, SAMPLE_RATE, length)
+    const out = new Float32Array(length)
+    const fractions = [...heterodyneSegments(input, 140, SAMPLE_RATE, out)]
+    expect(fractions.length).toBeGreaterThan(2)
+    fractions.slice(1).forEach((fraction, i) => expect(fraction).toBeGreaterThan(fractions[i]))
+    expect(fractions[fractions.length - 1]).toBe(1)
+    expect(out).toEqual(heterodyne(input, 140, SAMPLE_RATE))
+  })
+})
@@ -0,0 +1,342 @@
+// Persisted analysis/display settings shared by the live, file and replay views.
+
+import { DEFAULT_INPUT, INPUT_CHANNEL_COUNTS, INPUT_PROCESSING, INPUT_SAMPLE_RATES } from './audio/inputDevices'
+import { COLORMAPS, DEFAULT_CUSTOM_COLORMAP, MAX_CUSTOM_STOPS, parseHexColor } from './dsp/colormaps'
+import { FREQUENCY_SCALES } from './dsp/frequencyScale'
+import { CHANNEL_VIEWS, MAX_CHANNELS } from './dsp/channels'
+import { DEFAULT_DETECTION, DETECTION_METHODS, TEMPLATE_BANDS } from './dsp/detection'
+import { WINDOW_FUNCTIONS } from './dsp/fft'
+import { CALIBRATION_MODES, DEFAULT_CALIBRATION } from './dsp/levels'
+import { PITCH_METHODS } from './dsp/pitch'
+import { DEFAULT_PROCESSING, FILTER_TYPES } from './dsp/processing'
+import { DEFAULT_SPECTRUM, SPECTRUM_SCALES } from './dsp/spectrumPlot'
+import { SECONDS_PER_PIXEL_OPTIONS, TIME_AXIS_MODES } from './dsp/timeAxis'
+import { DEFAULT_TRANSPOSITION, TRANSPOSITION_FACTORS, TRANSPOSITION_MODES } from './dsp/transposition'
+import { DEFAULT_TAXONOMY } from './storage/catalog'
+
+const SETTINGS_STORAGE_KEY = 'venura-frequency-settings'
+
+// The noise profile holds up to fftSize / 2 levels, so it has a key of its own,
+// written only when the profile changes; the settings keep `true` in its place
+const NOISE_PROFILE_STORAGE_KEY = 'venura-frequency-noise-profile'
+let savedNoiseProfile = null
+
+// Powers of two; the longest resolve infrasound (0.73 Hz bins at 48 kHz)
+export const FFT_SIZES = [512, 1024, 2048, 4096, 8192, 16384, 32768, 65536]
+
+export const DEFAULT_SETTINGS = {
+  fftSize: 2048,
+  windowFunction: 'blackman', // AnalyserNode's built-in window
+  smoothing: 0.8,
+  minDecibels: -100,
+  maxDecibels: -30,
+  frequencyScale: 'log', // Logarithmic scale by default (like Maztr)
+  minFrequency: 5,
+  maxFrequency: 250000, // above any source's Nyquist frequency, so the view reaches the top of each
+  secondsPerPixel: 0.02, // ~20 s across the waterfall
+  timeAxisMode: 'elapsed',
+  pitchMethod: 'yin',
+  pitchMinFrequency: 50,
+  pitchMaxFrequency: 2000,
+  pitchMinConfidence: 0.6, // estimates below this are not shown or used for harmonics
+  showPitch: true,
+  colormap: 'classic',
+  customColormap: DEFAULT_CUSTOM_COLORMAP,
+  brightness: 0, // offset added to the 0..1 intensity
+  contrast: 1, // gain about the middle of the intensity range
+  calibration: DEFAULT_CALIBRATION, // microphone calibration for dB SPL, see dsp/levels
+  input: DEFAULT_INPUT, // live capture device and constraints, see audio/inputDevices
+  channelView: 'mix', // spectrogram of the mix, every channel stacked, or one channel
+  channelIndex: 0, // the channel of the single-channel view
+  pairChannels: [0, 1], // channels compared in the level difference and coherence plots
+  detection: DEFAULT_DETECTION, // live event detection and triggered recording, see dsp/detection
+  taxonomy: DEFAULT_TAXONOMY, // tag categories for labelling recordings, see storage/catalog
+  processing: DEFAULT_PROCESSING, // filters and noise reduction before analysis, see dsp/processing
+  transposition: DEFAULT_TRANSPOSITION, // audible playback of infrasound, see dsp/transposition
+  infrasound: { enabled: false, previous: null }, // see withInfrasoundMode
+  spectrum: DEFAULT_SPECTRUM, // spectrum plot axis and held traces, see dsp/spectrumPlot
+}
+
+// Analysis and view settings of the infrasound mode: the longest FFT and 1-200 Hz
+export const INFRASOUND_VIEW = {
+  fftSize: 65536,
+  frequencyScale: 'log',
+  minFrequency: 1,
+  maxFrequency: 200,
+  secondsPerPixel: 0.1,
+  transposition: { mode: 'speed', factor: 8 },
+}
+
+// Settings with the infrasound mode switched on or off. Switching it on keeps
+// the settings it replaces, and switching it off brings them back.
+export const withInfrasoundMode = (settings, enabled) => {
+  if (enabled === settings.infrasound.enabled) return settings
+  if (enabled) {
+    const previous = Object.fromEntries(Object.keys(INFRASOUND_VIEW).map((key) => [key, settings[key]]))
+    return { ...settings, ...INFRASOUND_VIEW, infrasound: { enabled: true, previous } }
+  }
+  return { ...settings, ...settings.infrasound.previous, infrasound: { enabled: false, previous: null } }
+}
+
+export const BRIGHTNESS_RANGE = [-0.5, 0.5]
+export const CONTRAST_RANGE = [0.25, 4]
+
+// The same for the nested microphone calibration
+const sanitizeCalibration = (raw) => {
+  const calibration = { ...DEFAULT_CALIBRATION, ...(raw && typeof raw === 'object' ? raw : {}) }
+  if (!CALIBRATION_MODES.some((mode) => mode.id === calibration.mode)) calibration.mode = DEFAULT_CALIBRATION.mode
+  ;['referenceLevel', 'sensitivity'].forEach((key) => {
+    if (!Number.isFinite(calibration[key])) calibration[key] = DEFAULT_CALIBRATION[key]
+  })
+  if (!(calibration.referenceFrequency > 0)) calibration.referenceFrequency = DEFAULT_CALIBRATION.referenceFrequency
+  if (!Number.isFinite(calibration.referenceOffset)) calibration.referenceOffset = null
+  if (
+    !Array.isArray(calibration.response) ||
+    calibration.response.length < 2 ||
+    !calibration.response.every((point) => Array.isArray(point) && point[0] > 0 && Number.isFinite(point[1]))
+  ) {
+    calibration.response = null
+    calibration.responseName = ''
+  }
+  return calibration
+}
+
+// ...and the live input selection
+const sanitizeInput = (raw) => {
+  const input = { ...DEFAULT_INPUT, ...(raw && typeof raw === 'object' ? raw : {}) }
+  if (typeof input.deviceId !== 'string') input.deviceId = DEFAULT_INPUT.deviceId
+  if (!INPUT_SAMPLE_RATES.includes(input.sampleRate)) input.sampleRate = DEFAULT_INPUT.sampleRate
+  if (!INPUT_CHANNEL_COUNTS.includes(input.channelCount)) input.channelCount = DEFAULT_INPUT.channelCount
+  INPUT_PROCESSING.forEach(({ id }) => {
+    input[id] = input[id] === true
+  })
+  return input
+}
+
+// ...and the event detection
+const sanitizeDetection = (raw) => {
+  const detection = { ...DEFAULT_DETECTION, ...(raw && typeof raw === 'object' ? raw : {}) }
+  detection.enabled = detection.enabled === true
+  detection.autoRecord = detection.autoRecord === true
+  if (!DETECTION_METHODS.some((method) => method.id === detection.method)) detection.method = DEFAULT_DETECTION.method
+  if (!(detection.lowFrequency >= 0) || !(detection.highFrequency > detection.lowFrequency)) {
+    detection.lowFrequency = DEFAULT_DETECTION.lowFrequency
+    detection.highFrequency = DEFAULT_DETECTION.highFrequency
+  }
+  const thresholds = detection.thresholds && typeof detection.thresholds === 'object' ? detection.thresholds : {}
+  detection.thresholds = Object.fromEntries(
+    DETECTION_METHODS.map(({ id }) => [
+      id,
+      Number.isFinite(thresholds[id]) ? thresholds[id] : DEFAULT_DETECTION.thresholds[id],
+    ]),
+  )
+  ;['minDuration', 'holdTime', 'preRoll', 'postRoll'].forEach((key) => {
+    if (!(detection[key] >= 0)) detection[key] = DEFAULT_DETECTION[key]
+  })
+  const { template } = detection
+  if (
+    !template ||
+    !(template.frameSeconds > 0) ||
+    !(template.highFrequency > template.lowFrequency) ||
+    !Array.isArray(template.frames) ||
+    !template.frames.length ||
+    !template.frames.every((levels) => Array.isArray(levels) && levels.length === TEMPLATE_BANDS)
+  ) {
+    detection.template = null
+  }
+  return detection
+}
+
+// ...and the tag taxonomy: the default categories, each with its stored tags
+const sanitizeTaxonomy = (raw) => {
+  const stored = Array.isArray(raw) ? raw : []
+  return DEFAULT_TAXONOMY.map((category) => {
+    const match = stored.find((entry) => entry && entry.id === category.id)
+    const tags = Array.isArray(match?.tags) ? match.tags.filter((tag) => typeof tag === 'string' && tag.trim()) : null
+    return { ...category, tags: tags ? [...new Set(tags.map((tag) => tag.trim()))] : category.tags }
+  })
+}
+
+// ...and the processing before analysis
+const sanitizeProcessing = (raw) => {
+  const processing = { ...DEFAULT_PROCESSING, ...(raw && typeof raw === 'object' ? raw : {}) }
+  ;['enabled', 'noiseReduction', 'showRaw'].forEach((key) => {
+    processing[key] = processing[key] === true
+  })
+  processing.filters = Array.isArray(processing.filters)
+    ? processing.filters.filter(
+        (filter) =>
+          filter && FILTER_TYPES.some((type) => type.id === filter.type) && filter.frequency > 0 && filter.q > 0,
+      )
+    : []
+  if (!(processing.overSubtraction >= 0)) processing.overSubtraction = DEFAULT_PROCESSING.overSubtraction
+  if (!(processing.spectralFloor <= 0)) processing.spectralFloor = DEFAULT_PROCESSING.spectralFloor
+  const profile = processing.noiseProfile
+  if (
+    !profile ||
+    !(profile.binHz > 0) ||
+    !Array.isArray(profile.levels) ||
+    !profile.levels.length ||
+    !profile.levels.every((level) => level === null || Number.isFinite(level))
+  ) {
+    processing.noiseProfile = null
+  }
+  return processing
+}
+
+// ...and the playback transposition
+const sanitizeTransposition = (raw) => {
+  const transposition = { ...DEFAULT_TRANSPOSITION, ...(raw && typeof raw === 'object' ? raw : {}) }
+  if (!TRANSPOSITION_MODES.some((mode) => mode.id === transposition.mode)) {
+    transposition.mode = DEFAULT_TRANSPOSITION.mode
+  }
+  if (!TRANSPOSITION_FACTORS.includes(transposition.factor)) transposition.factor = DEFAULT_TRANSPOSITION.factor
+  return transposition
+}
+
+// ...and the spectrum plot
+const sanitizeSpectrum = (raw) => {
+  const spectrum = { ...DEFAULT_SPECTRUM, ...(raw && typeof raw === 'object' ? raw : {}) }
+  if (!SPECTRUM_SCALES.some((scale) => scale.id === spectrum.scale)) spectrum.scale = DEFAULT_SPECTRUM.scale
+  ;['peakHold', 'minHold', 'average'].forEach((key) => {
+    spectrum[key] = spectrum[key] === true
+  })
+  return spectrum
+}
+
+// Coerce stored values back into valid ranges, falling back to defaults
+const sanitizeSettings = (raw) => {
+  const settings = { ...DEFAULT_SETTINGS, ...(raw && typeof raw === 'object' ? raw : {}) }
+  if (!FFT_SIZES.includes(settings.fftSize)) settings.fftSize = DEFAULT_SETTINGS.fftSize
+  if (!(settings.smoothing >= 0 && settings.smoothing < 1)) settings.smoothing = DEFAULT_SETTINGS.smoothing
+  if (!Number.isFinite(settings.minDecibels)) settings.minDecibels = DEFAULT_SETTINGS.minDecibels
+  if (!Number.isFinite(settings.maxDecibels)) settings.maxDecibels = DEFAULT_SETTINGS.maxDecibels
+  if (settings.maxDecibels <= settings.minDecibels) {
+    settings.minDecibels = DEFAULT_SETTINGS.minDecibels
+    settings.maxDecibels = DEFAULT_SETTINGS.maxDecibels
+  }
+  if (!WINDOW_FUNCTIONS.some((w) => w.id === settings.windowFunction)) {
+    settings.windowFunction = DEFAULT_SETTINGS.windowFunction
+  }
+  if (!FREQUENCY_SCALES.some((scale) => scale.id === settings.frequencyScale)) {
+    settings.frequencyScale = DEFAULT_SETTINGS.frequencyScale
+  }
+  if (!(settings.minFrequency >= 0) || !(settings.maxFrequency > settings.minFrequency)) {
+    settings.minFrequency = DEFAULT_SETTINGS.minFrequency
+    settings.maxFrequency = DEFAULT_SETTINGS.maxFrequency
+  }
+  if (!SECONDS_PER_PIXEL_OPTIONS.includes(settings.secondsPerPixel)) {
+    settings.secondsPerPixel = DEFAULT_SETTINGS.secondsPerPixel
+  }
+  if (!TIME_AXIS_MODES.some((mode) => mode.id === settings.timeAxisMode)) {
+    settings.timeAxisMode = DEFAULT_SETTINGS.timeAxisMode
+  }
+  if (!PITCH_METHODS.some((method) => method.id === settings.pitchMethod)) {
+    settings.pitchMethod = DEFAULT_SETTINGS.pitchMethod
+  }
+  if (!(settings.pitchMinFrequency > 0) || !(settings.pitchMaxFrequency > settings.pitchMinFrequency)) {
+    settings.pitchMinFrequency = DEFAULT_SETTINGS.pitchMinFrequency
+    settings.pitchMaxFrequency = DEFAULT_SETTINGS.pitchMaxFrequency
+  }
+  if (!(settings.pitchMinConfidence >= 0 && settings.pitchMinConfidence <= 1)) {
+    settings.pitchMinConfidence = DEFAULT_SETTINGS.pitchMinConfidence
+  }
+  settings.showPitch = settings.showPitch !== false
+  if (!COLORMAPS.some((colormap) => colormap.id === settings.colormap)) {
+    settings.colormap = DEFAULT_SETTINGS.colormap
+  }
+  if (
+    !Array.isArray(settings.customColormap) ||
+    settings.customColormap.length < 2 ||
+    settings.customColormap.length > MAX_CUSTOM_STOPS ||
+    !settings.customColormap.every(parseHexColor)
+  ) {
+    settings.customColormap = DEFAULT_SETTINGS.customColormap
+  }
+  if (!(settings.brightness >= BRIGHTNESS_RANGE[0] && settings.brightness <= BRIGHTNESS_RANGE[1])) {
+    settings.brightness = DEFAULT_SETTINGS.brightness
+  }
+  if (!(settings.contrast >= CONTRAST_RANGE[0] && settings.contrast <= CONTRAST_RANGE[1])) {
+    settings.contrast = DEFAULT_SETTINGS.contrast
+  }
+  if (!CHANNEL_VIEWS.some((view) => view.id === settings.channelView)) {
+    settings.channelView = DEFAULT_SETTINGS.channelView
+  }
+  const isChannel = (index) => Number.isInteger(index) && index >= 0 && index < MAX_CHANNELS
+  if (!isChannel(settings.channelIndex)) settings.channelIndex = DEFAULT_SETTINGS.channelIndex
+  if (
+    !Array.isArray(settings.pairChannels) ||
+    settings.pairChannels.length !== 2 ||
+    !settings.pairChannels.every(isChannel) ||
+    settings.pairChannels[0] === settings.pairChannels[1]
+  ) {
+    settings.pairChannels = DEFAULT_SETTINGS.pairChannels
+  }
+  settings.calibration = sanitizeCalibration(settings.calibration)
+  settings.input = sanitizeInput(settings.input)
+  settings.detection = sanitizeDetection(settings.detection)
+  settings.taxonomy = sanitizeTaxonomy(settings.taxonomy)
+  settings.processing = sanitizeProcessing(settings.processing)
+  settings.transposition = sanitizeTransposition(settings.transposition)
+  settings.spectrum = sanitizeSpectrum(settings.spectrum)
+  // The settings kept by the infrasound mode are sanitized like the rest
+  const { infrasound } = settings
+  if (infrasound && infrasound.enabled === true && infrasound.previous && typeof infrasound.previous === 'object') {
+    const previous = sanitizeSettings({ ...infrasound.previous, infrasound: null })
+    settings.infrasound = {
+      enabled: true,
+      previous: Object.fromEntries(Object.keys(INFRASOUND_VIEW).map((key) => [key, previous[key]])),
+    }
+  } else {
+    settings.infrasound = { enabled: false, previous: null }
+  }
+  return settings
+}
+
+const loadNoiseProfile = () => {
+  try {
+    const raw = window.localStorage.getItem(NOISE_PROFILE_STORAGE_KEY)
+    return raw ? JSON.parse(raw) : null
+  } catch (e) {
+    console.error('Failed to load the noise profile from localStorage', e)
+    return null
+  }
+}
+
+export const loadSettings = () => {
+  try {
+    const raw = window.localStorage.getItem(SETTINGS_STORAGE_KEY)
+    const stored = raw ? JSON.parse(raw) : null
+    // Older settings carry the profile itself, which sanitizes the same way
+    if (stored?.processing?.noiseProfile === true) stored.processing.noiseProfile = loadNoiseProfile()
+    const settings = sanitizeSettings(stored)
+    savedNoiseProfile = settings.processing.noiseProfile
+    return settings
+  } catch (e) {
+    console.error('Failed to load settings from localStorage', e)
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+export const saveSettings = (settings) => {
+  const { noiseProfile } = settings.processing
+  if (noiseProfile !== savedNoiseProfile) {
+    try {
+      if (noiseProfile) window.localStorage.setItem(NOISE_PROFILE_STORAGE_KEY, JSON.stringify(noiseProfile))
+      else window.localStorage.removeItem(NOISE_PROFILE_STORAGE_KEY)
+      savedNoiseProfile = noiseProfile
+    } catch (e) {
+      console.error('Failed to save the noise profile to localStorage', e)
+    }
+  }
+  try {
+    // Only a profile actually stored is flagged, so a failed save loads without one
+    const processing = {
+      ...settings.processing,
+      noiseProfile: Boolean(noiseProfile) && noiseProfile === savedNoiseProfile,
+    }
+    window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ ...settings, processing }))
+  } catch (e) {
+    console.error('Failed to save settings to localStorage', e)
+  }
+}
@@ -0,0 +1,97 @@
+// Descriptive metadata of saved recordings and the search, filter and sort of
+// the recordings list. Besides its analysis settings a recording's metadata
+// (see ./recordingStore) may carry:
+//   label        - its name, editable
+//   notes        - free text
+//   tags         - { [categoryId]: string[] }, tags from the taxonomy's categories
+//   annotations  - [{ id, time, text }] notes anchored `time` seconds from the first frame
+//   recordedAt   - ISO timestamp of when it was saved (older recordings only kept
+//                  `createdAt`, a local time of day)
+
+// Tag categories and the tags offered in each, as kept in the app settings
+export const DEFAULT_TAXONOMY = [
+  { id: 'species', label: 'Species', tags: [] },
+  { id: 'callType', label: 'Call type', tags: ['Song', 'Call', 'Alarm', 'Echolocation'] },
+]
+
+export const RECORDING_SORTS = [
+  { id: 'newest', label: 'Newest first' },
+  { id: 'oldest', label: 'Oldest first' },
+  { id: 'name', label: 'Name' },
+  { id: 'duration', label: 'Longest first' },
+]
+
+// Trimmed, non-empty, unique tags from a comma-separated list
+export const parseTagList = (text) => [
+  ...new Set(
+    String(text)
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter(Boolean),
+  ),
+]
+
+// Milliseconds since the epoch a recording was made: its ISO timestamp, or
+// when it was stored for recordings without one
+export const recordingTime = (recording) => {
+  const parsed = Date.parse(recording.recordedAt || recording.createdAt)
+  return Number.isFinite(parsed) ? parsed : (recording.savedAt ?? 0)
+}
+
+// [{ category, tag }] of a recording's tags
+export const recordingTags = (recording) =>
+  Object.entries(recording.tags || {}).flatMap(([category, tags]) =>
+    Array.isArray(tags) ? tags.map((tag) => ({ category, tag })) : [],
+  )
+
+// Tags of an imported recording: per category, its trimmed, non-empty, unique
+// string tags; categories left without any are dropped
+export const sanitizeRecordingTags = (raw) =>
+  Object.fromEntries(
+    Object.entries(raw && typeof raw === 'object' ? raw : {})
+      .map(([category, tags]) => [
+        category,
+        Array.isArray(tags)
+          ? [...new Set(tags.filter((tag) => typeof tag === 'string' && tag.trim()).map((tag) => tag.trim()))]
+          : [],
+      ])
+      .filter(([, tags]) => tags.length),
+  )
+
+// Annotations of an imported recording: those with a finite time and text,
+// numbered afresh so their ids are unique
+export const sanitizeAnnotations = (raw) =>
+  (Array.isArray(raw) ? raw : [])
+    .filter((annotation) => annotation && Number.isFinite(annotation.time) && typeof annotation.text === 'string')
+    .map(({ time, text }, i) => ({ id: i + 1, time, text }))
+
+// Filter value of a tag, as used by filterRecordings
+export const tagKey = (category, tag) => `${category}:${tag}`
+
+// Whether the query (case-insensitive) appears in a recording's name, notes, tags or annotations
+const matchesQuery = (recording, query) => {
+  const text = [
+    recording.label,
+    recording.notes,
+    ...recordingTags(recording).map(({ tag }) => tag),
+    ...(recording.annotations || []).map((annotation) => annotation.text),
+  ]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase()
+  return text.includes(query.toLowerCase())
+}
+
+const compareBy = {
+  newest: (a, b) => recordingTime(b) - recordingTime(a),
+  oldest: (a, b) => recordingTime(a) - recordingTime(b),
+  name: (a, b) => (a.label || '').localeCompare(b.label || '', undefined, { numeric: true }),
+  duration: (a, b) => (b.durationMs || 0) - (a.durationMs || 0),
+}
+
+// The recordings matching a text `query` and a `tag` (see tagKey; '' for any), in `sort` order
+export const filterRecordings = (recordings, { query = '', tag = '', sort = 'newest' } = {}) =>
+  recordings
+    .filter((recording) => !query.trim() || matchesQuery(recording, query.trim()))
+    .filter((recording) => !tag || recordingTags(recording).some((entry) => tagKey(entry.category, entry.tag) === tag))
+    .sort(compareBy[sort] || compareBy.newest)
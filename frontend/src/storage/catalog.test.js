@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest'
+import {
+  filterRecordings,
+  parseTagList,
+  recordingTags,
+  recordingTime,
+  sanitizeAnnotations,
+  sanitizeRecordingTags,
+  tagKey,
+} from './catalog'
+
+const recordings = [
+  {
+    id: 'a',
+    label: 'Recording 2',
+    recordedAt: '2026-05-02T06:00:00.000Z',
+    durationMs: 4000,
+    tags: { species: ['Robin'], callType: ['Song'] },
+  },
+  {
+    id: 'b',
+    label: 'Recording 10',
+    recordedAt: '2026-05-01T06:00:00.000Z',
+    durationMs: 9000,
+    notes: 'Dawn chorus by the pond',
+    annotations: [{ id: 1, time: 2.5, text: 'wren alarm' }],
+  },
+  // Saved before ISO timestamps were kept
+  { id: 'c', label: 'Old', createdAt: '6:00:00 AM', savedAt: Date.parse('2026-04-30T06:00:00.000Z'), durationMs: 1 },
+]
+
+const ids = (list) => list.map((recording) => recording.id)
+
+describe('parseTagList', () => {
+  it('trims, drops empty and repeated tags', () => {
+    expect(parseTagList(' Robin, ,Wren,Robin ')).toEqual(['Robin', 'Wren'])
+  })
+})
+
+describe('recordingTime', () => {
+  it('falls back to when an old recording was stored', () => {
+    expect(recordingTime(recordings[2])).toBe(Date.parse('2026-04-30T06:00:00.000Z'))
+  })
+})
+
+describe('filterRecordings', () => {
+  it('sorts by time, name or duration', () => {
+    expect(ids(filterRecordings(recordings))).toEqual(['a', 'b', 'c'])
+    expect(ids(filterRecordings(recordings, { sort: 'oldest' }))).toEqual(['c', 'b', 'a'])
+    expect(ids(filterRecordings(recordings, { sort: 'name' }))).toEqual(['c', 'a', 'b'])
+    expect(ids(filterRecordings(recordings, { sort: 'duration' }))).toEqual(['b', 'a', 'c'])
+  })
+
+  it('searches names, notes, tags and annotations', () => {
+    expect(ids(filterRecordings(recordings, { query: 'POND' }))).toEqual(['b'])
+    expect(ids(filterRecordings(recordings, { query: 'wren' }))).toEqual(['b'])
+    expect(ids(filterRecordings(recordings, { query: 'robin' }))).toEqual(['a'])
+  })
+
+  it('filters by tag', () => {
+    expect(ids(filterRecordings(recordings, { tag: tagKey('callType', 'Song') }))).toEqual(['a'])
+    expect(filterRecordings(recordings, { tag: tagKey('species', 'Song') })).toHaveLength(0)
+  })
+})
+
+describe('importing a malformed backup', () => {
+  const backup = {
+    tags: { species: [' Robin ', '', 42, 'Robin', null], callType: 'Song', notes: [] },
+    annotations: [
+      { id: 7, time: 1.5, text: 'wren alarm', extra: true },
+      { id: 8, time: '2', text: 'string time' },
+      { id: 9, time: NaN, text: 'no time' },
+      { id: 10, time: 3 },
+      null,
+      { time: 4, text: '' },
+    ],
+  }
+
+  it('keeps only non-empty string tags of each category', () => {
+    expect(sanitizeRecordingTags(backup.tags)).toEqual({ species: ['Robin'] })
+    expect(sanitizeRecordingTags(['Robin'])).toEqual({})
+    expect(sanitizeRecordingTags(null)).toEqual({})
+  })
+
+  it('keeps only annotations with a finite time and text', () => {
+    expect(sanitizeAnnotations(backup.annotations)).toEqual([
+      { id: 1, time: 1.5, text: 'wren alarm' },
+      { id: 2, time: 4, text: '' },
+    ])
+    expect(sanitizeAnnotations({ time: 1, text: 'not a list' })).toEqual([])
+  })
+
+  it('skips tag categories that are not lists', () => {
+    const recording = { id: 'd', tags: { species: ['Robin'], callType: 'Song' } }
+    expect(recordingTags(recording)).toEqual([{ category: 'species', tag: 'Robin' }])
+    expect(ids(filterRecordings([recording], { query: 'song' }))).toEqual([])
+  })
+})
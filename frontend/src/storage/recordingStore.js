@@ -0,0 +1,181 @@
+// IndexedDB-backed recording store.
+//
+// Recordings are split across three object stores so the list can be shown
+// without touching the (large) frame and audio data:
+//   recordings       - metadata only, keyed by `id`
+//   recording-frames - analyser frames packed into typed arrays, loaded on replay
+//   recording-audio  - raw PCM { sampleRate, channels: Float32Array[] }
+
+const DB_NAME = 'venura-frequency'
+const DB_VERSION = 2
+const RECORDINGS_STORE = 'recordings'
+const FRAMES_STORE = 'recording-frames'
+const AUDIO_STORE = 'recording-audio'
+const ALL_STORES = [RECORDINGS_STORE, FRAMES_STORE, AUDIO_STORE]
+
+// Pre-IndexedDB storage, migrated once and then removed
+export const LEGACY_STORAGE_KEY = 'venura-frequency-recordings'
+
+let dbPromise = null
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(RECORDINGS_STORE)) {
+          db.createObjectStore(RECORDINGS_STORE, { keyPath: 'id' })
+        }
+        if (!db.objectStoreNames.contains(FRAMES_STORE)) {
+          db.createObjectStore(FRAMES_STORE)
+        }
+        if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+          db.createObjectStore(AUDIO_STORE)
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+// Run `work(stores)` in one transaction and resolve with its return value
+// (an IDBRequest's result, or a plain value) once the transaction commits.
+const transact = async (storeNames, mode, work) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode)
+    const stores = Object.fromEntries(storeNames.map((name) => [name, tx.objectStore(name)]))
+    const outcome = work(stores)
+    tx.oncomplete = () => resolve(outcome instanceof IDBRequest ? outcome.result : outcome)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// Pack [{ t, freq, timeDomain, pitch, pitchConfidence }] frames into contiguous
+// typed arrays. Frames without an F0 estimate store a pitch of 0.
+export const packFrames = (frames) => {
+  const count = frames.length
+  const binCount = count ? frames[0].freq.length : 0
+  const timeDomainLength = count ? frames[0].timeDomain.length : 0
+  const times = new Float64Array(count)
+  const freq = new Uint8Array(count * binCount)
+  const timeDomain = new Uint8Array(count * timeDomainLength)
+  const pitch = new Float32Array(count)
+  const pitchConfidence = new Float32Array(count)
+  frames.forEach((frame, i) => {
+    times[i] = frame.t
+    freq.set(frame.freq.slice(0, binCount), i * binCount)
+    timeDomain.set(frame.timeDomain.slice(0, timeDomainLength), i * timeDomainLength)
+    pitch[i] = frame.pitch || 0
+    pitchConfidence[i] = frame.pitchConfidence || 0
+  })
+  return { count, binCount, timeDomainLength, times, freq, timeDomain, pitch, pitchConfidence }
+}
+
+// Inverse of packFrames; frame arrays are views into the packed buffers.
+// Recordings saved before pitch tracking have no pitch fields.
+export const unpackFrames = (packed) => {
+  if (!packed) return []
+  const { count, binCount, timeDomainLength, times, freq, timeDomain, pitch, pitchConfidence } = packed
+  const frames = new Array(count)
+  for (let i = 0; i < count; i += 1) {
+    frames[i] = {
+      t: times[i],
+      freq: freq.subarray(i * binCount, (i + 1) * binCount),
+      timeDomain: timeDomain.subarray(i * timeDomainLength, (i + 1) * timeDomainLength),
+    }
+    if (pitch) {
+      frames[i].pitch = pitch[i]
+      frames[i].pitchConfidence = pitchConfidence[i]
+    }
+  }
+  return frames
+}
+
+// Recording metadata, newest first
+export const listRecordings = async () => {
+  const all = await transact([RECORDINGS_STORE], 'readonly', (stores) =>
+    stores[RECORDINGS_STORE].getAll(),
+  )
+  return all.sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0))
+}
+
+// Save metadata, frames and (optionally) audio atomically
+export const saveRecording = (recording, frames, audio = null) => {
+  const packed = packFrames(frames)
+  const meta = { ...recording, frameCount: packed.count, savedAt: recording.savedAt ?? Date.now() }
+  delete meta.frames
+  return transact(ALL_STORES, 'readwrite', (stores) => {
+    stores[RECORDINGS_STORE].put(meta)
+    stores[FRAMES_STORE].put(packed, meta.id)
+    if (audio) stores[AUDIO_STORE].put(audio, meta.id)
+    return meta
+  })
+}
+
+// Update metadata only (frames and audio are left untouched)
+export const updateRecording = (recording) =>
+  transact([RECORDINGS_STORE], 'readwrite', (stores) => {
+    stores[RECORDINGS_STORE].put(recording)
+    return recording
+  })
+
+export const loadRecordingFrames = async (recordingId) => {
+  const packed = await transact([FRAMES_STORE], 'readonly', (stores) =>
+    stores[FRAMES_STORE].get(recordingId),
+  )
+  return unpackFrames(packed)
+}
+
+export const loadRecordingAudio = (recordingId) =>
+  transact([AUDIO_STORE], 'readonly', (stores) => stores[AUDIO_STORE].get(recordingId))
+
+export const deleteRecording = (recordingId) =>
+  transact(ALL_STORES, 'readwrite', (stores) => {
+    ALL_STORES.forEach((name) => stores[name].delete(recordingId))
+  })
+
+// Browser storage usage for this origin: { usage, quota } in bytes, or null
+export const getStorageEstimate = async () => {
+  if (!navigator.storage || !navigator.storage.estimate) return null
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate()
+  return { usage, quota }
+}
+
+// Ask the browser not to evict our data under storage pressure (best effort)
+export const requestPersistentStorage = async () => {
+  if (!navigator.storage || !navigator.storage.persist) return false
+  if (navigator.storage.persisted && (await navigator.storage.persisted())) return true
+  return navigator.storage.persist()
+}
+
+// One-time move of recordings saved by older versions in localStorage.
+// The legacy key is only removed once every recording has been written.
+export const migrateLegacyRecordings = async () => {
+  const raw = window.localStorage.getItem(LEGACY_STORAGE_KEY)
+  if (!raw) return 0
+  let parsed
+  try {
+    parsed = JSON.parse(raw)
+  } catch {
+    parsed = null
+  }
+  const legacy = Array.isArray(parsed) ? parsed : []
+  const now = Date.now()
+  for (let i = 0; i < legacy.length; i += 1) {
+    const rec = legacy[i]
+    if (!rec || !rec.id) continue
+    // Ids start with the creation timestamp; keep the saved (newest-first) order otherwise
+    const savedAt = parseInt(rec.id, 10) || now - i
+    await saveRecording({ ...rec, savedAt }, Array.isArray(rec.frames) ? rec.frames : [])
+  }
+  window.localStorage.removeItem(LEGACY_STORAGE_KEY)
+  return legacy.length
+}
@@ -0,0 +1,46 @@
+// Synthetic test signals for the DSP unit tests.
+
+// Sum of sines: partials are [{ frequency, amplitude, phase }]
+export const sines = (partials, sampleRate, length) => {
+  const samples = new Float32Array(length)
+  partials.forEach(({ frequency, amplitude = 1, phase = 0 }) => {
+    const step = (2 * Math.PI * frequency) / sampleRate
+    for (let i = 0; i < length; i += 1) samples[i] += amplitude * Math.sin(step * i + phase)
+  })
+  return samples
+}
+
+export const sine = (frequency, sampleRate, length, amplitude = 0.5) =>
+  sines([{ frequency, amplitude }], sampleRate, length)
+
+// Harmonic stack on `fundamental` with `count` partials falling off as 1/n
+export const harmonicStack = (fundamental, sampleRate, length, count = 5, amplitude = 0.5) =>
+  sines(
+    Array.from({ length: count }, (_, i) => ({
+      frequency: fundamental * (i + 1),
+      amplitude: amplitude / (i + 1),
+      phase: i,
+    })),
+    sampleRate,
+    length,
+  )
+
+// Uniform white noise from a seeded LCG, so runs are repeatable
+export const whiteNoise = (length, amplitude = 0.5, seed = 1) => {
+  let state = seed >>> 0
+  const samples = new Float32Array(length)
+  for (let i = 0; i < length; i += 1) {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0
+    samples[i] = amplitude * ((state / 2 ** 32) * 2 - 1)
+  }
+  return samples
+}
+
+// Element-wise sum of equal-length signals
+export const mix = (...signals) => {
+  const samples = new Float32Array(signals[0].length)
+  signals.forEach((signal) => {
+    for (let i = 0; i < samples.length; i += 1) samples[i] += signal[i]
+  })
+  return samples
+}